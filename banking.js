@@ -1,30 +1,3084 @@
 // ===========================================
-// OOP STRUCTURE - ENCAPSULATION & INHERITANCE
+// CORE - HEADLESS DOMAIN PACKAGE
 // ===========================================
 
-// Base Account Class (Abstraction)
-class BaseAccount {
-    constructor(accountNumber, initialBalance = 0) {
+// Money, clocks, FX, accounts, transactions, the journal, interest, limits, commands, statements,
+// categories, budgets and analytics live in core/, an ES module package with no DOM access that also runs under Node. core/global.js
+// publishes it for this classic script, which builds the app and its pages on top of it.
+// Browsers do not run module scripts from file:// URLs, so the pages are served (`npm start`).
+if (!globalThis.SecureBankCore) {
+    if (globalThis.location && globalThis.location.protocol === "file:" && globalThis.document) {
+        document.body.innerHTML = `
+            <div style="max-width: 40rem; margin: 4rem auto; padding: 2rem; font-family: sans-serif;">
+                <h1>SecureBank needs to be served over HTTP</h1>
+                <p>Browsers block the modules these pages load when they are opened straight from disk.
+                Run <code>npm start</code> in the project folder and open
+                <a href="http://localhost:8080/">http://localhost:8080/</a> instead.</p>
+            </div>
+        `;
+    }
+    throw new Error("SecureBank core is not loaded; serve the pages over HTTP (npm start) and include core/global.js as a module before banking.js");
+}
+
+const {
+    DEFAULT_CURRENCY,
+    ROUNDING_MODES,
+    CURRENCY_MINOR_UNITS,
+    CURRENCY_LOCALES,
+    currencyExponent,
+    toDecimalFraction,
+    divideRounded,
+    Money,
+    formatAmount,
+    currencySymbol,
+    MS_PER_DAY,
+    Clock,
+    SystemClock,
+    ManualClock,
+    SharedClock,
+    bankingClock,
+    setBankingClock,
+    startOfDay,
+    addDays,
+    startOfMonth,
+    addMonths,
+    calendarDaysBetween,
+    formatDate,
+    FX_RATE_PLACES,
+    DEFAULT_FX_SPREAD,
+    DEFAULT_FX_RATES,
+    decimalQuotient,
+    FxRateProvider,
+    StaticFxRateProvider,
+    FxQuote,
+    CurrencyExchange,
+    currencyExchange,
+    setDefaultServices,
+    defaultService,
+    ACCOUNT_STATUSES,
+    ACCOUNT_STATUS_LABELS,
+    ACCOUNT_STATUS_TRANSITIONS,
+    ACCOUNT_STATUS_RULES,
+    DEFAULT_DORMANCY_DAYS,
+    describeStatus,
+    AccountStatusError,
+    AccountStatusEvent,
+    TRANSACTION_CATEGORIES,
+    CATEGORY_SOURCES,
+    Transaction,
+    BaseAccount,
+    SavingsAccount,
+    DEFAULT_OVERDRAFT_LIMIT,
+    OverdraftEvent,
+    CurrentAccount,
+    FD_RENEWAL_OPTIONS,
+    FD_PREMATURE_POLICIES,
+    FixedDepositAccount,
+    DEFAULT_RD_PENALTY,
+    RecurringDepositAccount,
+    ACCOUNT_KINDS,
+    createJournalId,
+    JournalEntry,
+    Journal,
+    RateTable,
+    DEFAULT_INTEREST_RATES,
+    DEFAULT_INTEREST_SLABS,
+    interestRates,
+    COMPOUNDING_FREQUENCIES,
+    InterestStrategy,
+    SimpleInterestStrategy,
+    SavingsInterestStrategy,
+    CurrentInterestStrategy,
+    FixedDepositInterestStrategy,
+    CompoundInterestStrategy,
+    quarterlyCompoundedInterest,
+    RecurringDepositInterestStrategy,
+    OverdraftInterestStrategy,
+    TieredInterestStrategy,
+    InterestCalculator,
+    createInterestStrategy,
+    days360,
+    DAY_COUNT_CONVENTIONS,
+    POSTING_FREQUENCIES,
+    nextPostingDate,
+    InterestAccrualEngine,
+    TRANSACTION_CHANNELS,
+    LIMIT_WINDOWS,
+    DEFAULT_LIMITS,
+    PolicyViolationError,
+    TransactionPolicy,
+    Command,
+    DepositCommand,
+    WithdrawCommand,
+    TransferCommand,
+    RecurringDepositInstallmentCommand,
+    COMMAND_KINDS,
+    auditBalances,
+    COMMAND_STATUSES,
+    CommandInvoker,
+    LOAN_TYPES,
+    PREPAYMENT_MODES,
+    DEFAULT_LATE_FEE,
+    MAX_LOAN_INSTALLMENTS,
+    emiFor,
+    monthlyInterest,
+    tenureFor,
+    amortisationSchedule,
+    scheduleTotals,
+    LoanEvent,
+    ReducingBalanceInterestStrategy,
+    LoanAccount,
+    LoanDisbursementCommand,
+    EmiPaymentCommand,
+    LoanPrepaymentCommand,
+    QUERY_OPERATORS,
+    DEFAULT_QUERY_SORT,
+    DEFAULT_PAGE_SIZE,
+    QuerySyntaxError,
+    QUERY_FIELDS,
+    QUERY_SORTS,
+    TransactionQuery,
+    sortTransactions,
+    paginate,
+    SavedFilters,
+    Statement,
+    pad2,
+    escapeHtml,
+    formatStatementDate,
+    statementReference,
+    StatementFormatter,
+    CsvStatementFormatter,
+    OfxStatementFormatter,
+    HtmlStatementFormatter,
+    STATEMENT_FORMATS,
+    exportStatement,
+    formatScheduleCsv,
+    exportSchedule,
+    parseStatementDate,
+    parseStatementAmount,
+    parseCsvRows,
+    CSV_IMPORT_COLUMNS,
+    CsvStatementParser,
+    OfxStatementParser,
+    STATEMENT_PARSERS,
+    detectStatementFormat,
+    StatementImporter,
+    CATEGORY_LABELS,
+    SPENDING_CATEGORIES,
+    PAYMENT_CATEGORIES,
+    DEFAULT_CATEGORY_RULES,
+    merchantKey,
+    CategoryRule,
+    CategoryRulesEngine,
+    isPayment,
+    spendingByCategory,
+    BUDGET_ROLLOVER_MODES,
+    BUDGET_ALERT_THRESHOLDS,
+    Budget,
+    BudgetAlert,
+    BudgetTracker,
+    ANALYTICS_GROUPINGS,
+    percentChange,
+    AnalyticsEngine
+} = globalThis.SecureBankCore;
+
+// ===========================================
+// STANDING INSTRUCTIONS - RECURRING PAYMENTS & SWEEPS
+// ===========================================
+
+// Step between occurrences; "once" runs a single time on the start date
+const SCHEDULE_FREQUENCIES = {
+    once: null,
+    daily: { days: 1 },
+    weekly: { days: 7 },
+    monthly: { months: 1 },
+    quarterly: { months: 3 },
+    yearly: { months: 12 }
+};
+
+const INSTRUCTION_STATUSES = {
+    ACTIVE: "active",
+    PAUSED: "paused",
+    COMPLETED: "completed"
+};
+
+// Failed attempts for one occurrence before it is given up; retries run intervalDays apart
+const DEFAULT_RETRY_POLICY = { maxAttempts: 3, intervalDays: 1 };
+
+function createInstructionId() {
+    return `SI-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Standing Instruction - a payment out of one account, or a transfer between two, on a schedule
+class StandingInstruction {
+    constructor(options) {
+        if (options.type !== "payment" && options.type !== "transfer") {
+            throw new Error(`Unknown instruction type: ${options.type}`);
+        }
+        if (options.type === "transfer" && (!options.to || options.to === options.from)) {
+            throw new Error("A transfer instruction needs a different destination account");
+        }
+        if (!(options.frequency in SCHEDULE_FREQUENCIES)) {
+            throw new Error(`Unknown schedule frequency: ${options.frequency}`);
+        }
+
+        this._id = options.id || createInstructionId();
+        this._type = options.type;
+        this._from = options.from;
+        this._to = options.type === "transfer" ? options.to : null;
+        this._amount = Money.from(options.amount, options.from.currency);
+        this._description = options.description;
+        this._frequency = options.frequency;
+        this._startDate = startOfDay(options.startDate);
+        this._endDate = options.endDate ? startOfDay(options.endDate) : null;
+        this._retry = { ...DEFAULT_RETRY_POLICY, ...(options.retry || {}) };
+        this._status = options.status || INSTRUCTION_STATUSES.ACTIVE;
+        this._occurrence = 0;   // Index of the next scheduled occurrence
+        this._attempts = 0;     // Failed attempts at that occurrence so far
+        this._retryAt = null;
+        this._runs = [];
+
+        if (!this._amount.isPositive()) {
+            throw new Error("Amount must be positive");
+        }
+        if (this._endDate && this._endDate < this._startDate) {
+            throw new Error("End date cannot be before the start date");
+        }
+    }
+
+    get id() { return this._id; }
+    get type() { return this._type; }
+    get from() { return this._from; }
+    get to() { return this._to; }
+    get amount() { return this._amount; }
+    get description() { return this._description; }
+    get frequency() { return this._frequency; }
+    get startDate() { return new Date(this._startDate); }
+    get endDate() { return this._endDate ? new Date(this._endDate) : null; }
+    get retryPolicy() { return { ...this._retry }; }
+    get status() { return this._status; }
+    get attempts() { return this._attempts; }
+    get runs() { return this._runs.map(run => ({ ...run })); }
+
+    // Each occurrence is counted from the start date, so the 31st stays the 31st after a short month
+    occurrenceDate(index) {
+        const step = SCHEDULE_FREQUENCIES[this._frequency];
+        let date;
+        if (!step) {
+            date = index === 0 ? new Date(this._startDate) : null;
+        } else {
+            date = step.months ? addMonths(this._startDate, step.months * index) : addDays(this._startDate, step.days * index);
+        }
+        return date && (!this._endDate || date <= this._endDate) ? date : null;
+    }
+
+    get nextDueDate() {
+        return this._status === INSTRUCTION_STATUSES.COMPLETED ? null : this.occurrenceDate(this._occurrence);
+    }
+
+    // A pending retry runs before the next scheduled occurrence
+    get nextRunDate() {
+        if (this._status !== INSTRUCTION_STATUSES.ACTIVE) return null;
+        return this._retryAt ? new Date(this._retryAt) : this.nextDueDate;
+    }
+
+    // Upcoming scheduled dates, starting with the one due next
+    preview(count = 5) {
+        const dates = [];
+        if (this._status === INSTRUCTION_STATUSES.COMPLETED) return dates;
+        for (let index = this._occurrence; dates.length < count; index++) {
+            const date = this.occurrenceDate(index);
+            if (!date) break;
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    isDue(asOf) {
+        const next = this.nextRunDate;
+        return next !== null && next <= asOf;
+    }
+
+    skipNext(reason = "Skipped") {
+        const due = this.nextDueDate;
+        if (!due) {
+            throw new Error("Instruction has no further occurrences");
+        }
+        this._recordRun(due, "skipped", reason);
+        this._advance();
+    }
+
+    pause() {
+        if (this._status !== INSTRUCTION_STATUSES.ACTIVE) {
+            throw new Error(`Cannot pause a ${this._status} instruction`);
+        }
+        this._status = INSTRUCTION_STATUSES.PAUSED;
+    }
+
+    // Occurrences that fell due while paused are skipped rather than paid late
+    resume(asOf = bankingClock.now()) {
+        if (this._status !== INSTRUCTION_STATUSES.PAUSED) {
+            throw new Error(`Cannot resume a ${this._status} instruction`);
+        }
+        this._status = INSTRUCTION_STATUSES.ACTIVE;
+        this._retryAt = null;
+        while (this.nextDueDate && this.nextDueDate < startOfDay(asOf)) {
+            this.skipNext("Skipped while paused");
+        }
+    }
+
+    buildCommand(targetJournal = journal) {
+        // The holders signed the instruction under the account's mandate when it was set up
+        if (this._type === "transfer") {
+            return new TransferCommand(this._from, this._to, this._amount, this._description, targetJournal, TRANSACTION_CHANNELS.TRANSFER)
+                .authorisedBy([SYSTEM_ACTOR]);
+        }
+        return new WithdrawCommand(this._from, this._amount, this._description, TRANSACTION_CHANNELS.PAYMENT)
+            .authorisedBy([SYSTEM_ACTOR]);
+    }
+
+    // Records the outcome of one attempt; retryable failures are tried again until the policy runs out
+    _settle(due, attemptedAt, failure = null, retryable = false) {
+        if (!failure) {
+            this._recordRun(due, "executed", null, attemptedAt);
+            this._advance();
+            return { instruction: this, due, status: "executed" };
+        }
+        this._attempts += 1;
+        if (retryable && this._attempts < this._retry.maxAttempts) {
+            this._retryAt = addDays(startOfDay(attemptedAt), this._retry.intervalDays);
+            this._recordRun(due, "retrying", failure, attemptedAt);
+            return { instruction: this, due, status: "retrying", message: failure, retryAt: new Date(this._retryAt) };
+        }
+        this._recordRun(due, "failed", failure, attemptedAt);
+        this._advance();
+        return { instruction: this, due, status: "failed", message: failure };
+    }
+
+    _advance() {
+        this._occurrence += 1;
+        this._attempts = 0;
+        this._retryAt = null;
+        if (!this.occurrenceDate(this._occurrence)) {
+            this._status = INSTRUCTION_STATUSES.COMPLETED;
+        }
+    }
+
+    _recordRun(due, status, message = null, at = bankingClock.now()) {
+        this._runs.push({ due: new Date(due), at: new Date(at), status, message });
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            type: this._type,
+            from: this._from.accountNumber,
+            to: this._to ? this._to.accountNumber : null,
+            amount: this._amount.toJSON(),
+            description: this._description,
+            frequency: this._frequency,
+            startDate: this._startDate.toISOString(),
+            endDate: this._endDate ? this._endDate.toISOString() : null,
+            retry: { ...this._retry },
+            status: this._status,
+            occurrence: this._occurrence,
+            attempts: this._attempts,
+            retryAt: this._retryAt ? this._retryAt.toISOString() : null,
+            runs: this._runs.map(run => ({ ...run, due: run.due.toISOString(), at: run.at.toISOString() }))
+        };
+    }
+
+    static fromJSON(data, resolveAccount) {
+        const instruction = new StandingInstruction({
+            id: data.id,
+            type: data.type,
+            from: resolveAccount(data.from),
+            to: data.to ? resolveAccount(data.to) : null,
+            amount: Money.fromJSON(data.amount),
+            description: data.description,
+            frequency: data.frequency,
+            startDate: new Date(data.startDate),
+            endDate: data.endDate ? new Date(data.endDate) : null,
+            retry: data.retry,
+            status: data.status
+        });
+        instruction._occurrence = data.occurrence;
+        instruction._attempts = data.attempts;
+        instruction._retryAt = data.retryAt ? new Date(data.retryAt) : null;
+        instruction._runs = data.runs.map(run => ({ ...run, due: new Date(run.due), at: new Date(run.at) }));
+        return instruction;
+    }
+}
+
+// Scheduler - executes due instructions through the command invoker, on an injectable clock
+class InstructionScheduler {
+    constructor(instructions = [], options = {}) {
+        this._instructions = [...instructions];
+        this._clock = options.clock || bankingClock;
+        this._invoker = options.invoker || commandInvoker;
+        this._journal = options.journal || journal;
+        this._observers = [];
+    }
+
+    get instructions() {
+        return [...this._instructions];
+    }
+
+    // Observer Pattern - notified whenever instructions change or run
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(change) {
+        this._observers.forEach(observer => observer.update(change));
+    }
+
+    find(id) {
+        return this._instructions.find(instruction => instruction.id === id) || null;
+    }
+
+    add(instruction) {
+        this._instructions.push(instruction);
+        this.notifyObservers({ type: "added", instruction });
+        return instruction;
+    }
+
+    remove(id) {
+        const instruction = this._require(id);
+        this._instructions = this._instructions.filter(item => item !== instruction);
+        this.notifyObservers({ type: "removed", instruction });
+    }
+
+    skipNext(id) {
+        const instruction = this._require(id);
+        instruction.skipNext();
+        this.notifyObservers({ type: "skipped", instruction });
+    }
+
+    pause(id) {
+        const instruction = this._require(id);
+        instruction.pause();
+        this.notifyObservers({ type: "paused", instruction });
+    }
+
+    resume(id) {
+        const instruction = this._require(id);
+        instruction.resume(this._clock.now());
+        this.notifyObservers({ type: "resumed", instruction });
+    }
+
+    // Runs everything due up to now, catching up on occurrences missed since the last visit.
+    // An instruction waiting on a retry holds back its later occurrences.
+    runDue() {
+        const now = this._clock.now();
+        const results = [];
+        this._instructions.forEach(instruction => {
+            while (instruction.isDue(now)) {
+                const result = this._run(instruction, now);
+                results.push(result);
+                if (result.status === "retrying") break;
+            }
+        });
+        if (results.length > 0) {
+            this.notifyObservers({ type: "ran", results });
+        }
+        return results;
+    }
+
+    _run(instruction, now) {
+        const due = instruction.nextDueDate;
+        if (!instruction.from.canDebit(instruction.amount)) {
+            return instruction._settle(due, now, "Insufficient funds", true);
+        }
+        try {
+            if (!this._invoker.executeCommand(instruction.buildCommand(this._journal))) {
+                return instruction._settle(due, now, "Execution failed");
+            }
+        } catch (error) {
+            // Limits roll over with time, so a breach is worth retrying
+            return instruction._settle(due, now, error.message, error instanceof PolicyViolationError);
+        }
+        return instruction._settle(due, now);
+    }
+
+    _require(id) {
+        const instruction = this.find(id);
+        if (!instruction) {
+            throw new Error(`Unknown instruction: ${id}`);
+        }
+        return instruction;
+    }
+
+    toJSON() {
+        return this._instructions.map(instruction => instruction.toJSON());
+    }
+}
+
+// ===========================================
+// CHARTS - SVG RENDERING
+// ===========================================
+
+const CHART_COLORS = ["#1e40af", "#059669", "#d97706", "#dc2626", "#7c3aed", "#0891b2"];
+
+// Gridline values spanning [min, max] at a 1/2/5 x 10^n step
+function chartTicks(min, max, count = 4) {
+    if (min === max) {
+        max = min + 1;
+    }
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rough);
+    const ticks = [];
+    for (let value = Math.floor(min / step) * step; value < max + step; value += step) {
+        ticks.push(value);
+    }
+    return ticks;
+}
+
+function compactAmount(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e7) return `${(value / 1e7).toFixed(1)}Cr`;
+    if (abs >= 1e5) return `${(value / 1e5).toFixed(1)}L`;
+    if (abs >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return String(Math.round(value));
+}
+
+// Shared frame: gridlines, y labels and the legend; returns the plotting helpers
+function chartFrame(width, height, values, legend) {
+    const margin = { top: 16, right: 16, bottom: 48, left: 56 };
+    const ticks = chartTicks(Math.min(0, ...values), Math.max(0, ...values));
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const y = value => margin.top + plotHeight - (value - low) / (high - low) * plotHeight;
+
+    const grid = ticks.map(tick => `
+        <line x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#e5e7eb" />
+        <text x="${margin.left - 8}" y="${y(tick) + 4}" text-anchor="end" font-size="11" fill="#6b7280">${compactAmount(tick)}</text>`).join("");
+    const legendItems = legend.map((item, index) => `
+        <rect x="${margin.left + index * 130}" y="${height - 14}" width="10" height="10" fill="${item.color}" />
+        <text x="${margin.left + index * 130 + 14}" y="${height - 5}" font-size="11" fill="#374151">${escapeHtml(item.label)}</text>`).join("");
+
+    return { margin, plotWidth, plotHeight, y, markup: grid + legendItems };
+}
+
+// series: [{ label, points: [{ date, value }] }] with Money or number values; every series shares the same dates
+function renderLineChart(series, { width = 640, height = 260, title = "Line chart" } = {}) {
+    const colored = series.map((line, index) => ({ ...line, color: line.color || CHART_COLORS[index % CHART_COLORS.length] }));
+    const values = colored.flatMap(line => line.points.map(point => Number(point.value)));
+    const dates = colored.length ? colored[0].points.map(point => point.date) : [];
+    const frame = chartFrame(width, height, values.length ? values : [0], colored);
+    const x = index => frame.margin.left + (dates.length > 1 ? index / (dates.length - 1) * frame.plotWidth : frame.plotWidth / 2);
+
+    const lines = colored.map(line => {
+        const path = line.points.map((point, index) => `${index === 0 ? "M" : "L"}${x(index).toFixed(1)},${frame.y(Number(point.value)).toFixed(1)}`).join(" ");
+        return `<path d="${path}" fill="none" stroke="${line.color}" stroke-width="2" />`;
+    }).join("");
+    const labelIndexes = dates.length ? [...new Set([0, Math.floor((dates.length - 1) / 2), dates.length - 1])] : [];
+    const xLabels = labelIndexes.map(index => `
+        <text x="${x(index)}" y="${frame.margin.top + frame.plotHeight + 18}" text-anchor="middle" font-size="11" fill="#6b7280">${escapeHtml(formatDate(dates[index]))}</text>`).join("");
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">${frame.markup}${lines}${xLabels}</svg>`;
+}
+
+// groups: [{ label, values: [{ label, value }] }]; bars in a group sit side by side
+function renderBarChart(groups, { width = 640, height = 260, title = "Bar chart" } = {}) {
+    const seriesLabels = groups.length ? groups[0].values.map(bar => bar.label) : [];
+    const legend = seriesLabels.map((label, index) => ({ label, color: CHART_COLORS[index % CHART_COLORS.length] }));
+    const values = groups.flatMap(group => group.values.map(bar => Number(bar.value)));
+    const frame = chartFrame(width, height, values.length ? values : [0], legend);
+    const groupWidth = frame.plotWidth / Math.max(groups.length, 1);
+    const barWidth = groupWidth * 0.8 / Math.max(seriesLabels.length, 1);
+    const zero = frame.y(0);
+
+    const bars = groups.map((group, groupIndex) => {
+        const left = frame.margin.left + groupIndex * groupWidth + groupWidth * 0.1;
+        const rects = group.values.map((bar, barIndex) => {
+            const top = frame.y(Number(bar.value));
+            return `<rect x="${(left + barIndex * barWidth).toFixed(1)}" y="${Math.min(top, zero).toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${Math.abs(zero - top).toFixed(1)}" fill="${legend[barIndex].color}"><title>${escapeHtml(`${group.label} ${bar.label}: ${formatAmount(bar.value)}`)}</title></rect>`;
+        }).join("");
+        return `${rects}
+        <text x="${(left + groupWidth * 0.4).toFixed(1)}" y="${frame.margin.top + frame.plotHeight + 18}" text-anchor="middle" font-size="11" fill="#6b7280">${escapeHtml(group.label)}</text>`;
+    }).join("");
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">${frame.markup}${bars}</svg>`;
+}
+
+// ===========================================
+// CUSTOMERS - REGISTRY, JOINT ACCOUNTS & MANDATES
+// ===========================================
+
+// Who may move money out of an account held by more than one customer
+const ACCOUNT_MANDATES = {
+    SOLE: "sole",
+    EITHER_OR_SURVIVOR: "either_or_survivor",   // Any one holder; survivors carry on alone
+    JOINTLY: "jointly"                          // Every holder signs each debit
+};
+
+const MANDATE_LABELS = {
+    sole: "Sole holder",
+    either_or_survivor: "Either or survivor",
+    jointly: "Jointly operated"
+};
+
+const ACCOUNT_KIND_LABELS = {
+    savings: "Savings",
+    current: "Current",
+    fd: "Fixed Deposit",
+    rd: "Recurring Deposit",
+    loan: "Loan"
+};
+
+// Actor for commands the bank runs on the holders' behalf, e.g. standing instructions
+const SYSTEM_ACTOR = "system";
+
+// The customer every ledger saved before the registry existed belongs to
+const PRIMARY_CUSTOMER = { id: "2303A52336", name: "John Doe", email: "john.doe@email.com" };
+
+function createCustomerId() {
+    return `CUS-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Customer Class - Observer
+class Customer {
+    constructor(name, email, id = createCustomerId(), phone = "") {
+        this._id = id;
+        this._name = name;
+        this._email = email;
+        this._phone = phone;
+        this._notifications = [];
+    }
+
+    get id() { return this._id; }
+    get name() { return this._name; }
+    get email() { return this._email; }
+    get phone() { return this._phone; }
+    get notifications() { return [...this._notifications]; } // Sent this page view; the inbox keeps the persisted copies
+
+    // Observer Pattern - hears about activity on the accounts the customer holds and budget
+    // alerts, and sends each on through the notification dispatcher
+    update(event, account = null) {
+        const details = customerNotificationFor(event, account);
+        if (!details || !notificationDispatcher) return;
+        const notification = notificationDispatcher.notify(this, details.template, details.values);
+        if (notification) {
+            this._notifications.push(notification);
+        }
+    }
+
+    toJSON() {
+        return { id: this._id, name: this._name, email: this._email, phone: this._phone };
+    }
+
+    static fromJSON(data) {
+        return new Customer(data.name, data.email, data.id, data.phone || "");
+    }
+}
+
+// Account Holding - links an account to its holders and the mandate they operate it under
+class AccountHolding {
+    constructor(account, holders, mandate = ACCOUNT_MANDATES.SOLE) {
+        if (!Object.values(ACCOUNT_MANDATES).includes(mandate)) {
+            throw new Error(`Unknown mandate: ${mandate}`);
+        }
+        this._account = account;
+        this._holders = [];
+        this._mandate = mandate;
+        holders.forEach(holder => this._addHolder(holder));
+        if (this._holders.length === 0) {
+            throw new Error(`Account ${account.accountNumber} needs at least one holder`);
+        }
+        this._normaliseMandate();
+    }
+
+    get account() { return this._account; }
+    get holders() { return [...this._holders]; }
+    get mandate() { return this._mandate; }
+    get isOpen() { return this._account.status !== ACCOUNT_STATUSES.CLOSED; }
+    get isJoint() { return this._holders.length > 1; }
+
+    heldBy(customerId) {
+        return this._holders.includes(customerId);
+    }
+
+    _addHolder(customerId) {
+        if (!this._holders.includes(customerId)) {
+            this._holders.push(customerId);
+        }
+    }
+
+    // Survivorship - the remaining holders keep the account under the same mandate
+    _removeHolder(customerId) {
+        if (!this.heldBy(customerId)) {
+            throw new Error(`${customerId} does not hold ${this._account.accountNumber}`);
+        }
+        if (this._holders.length === 1) {
+            throw new Error(`${this._account.accountNumber} cannot be left without a holder; close it instead`);
+        }
+        this._holders = this._holders.filter(holder => holder !== customerId);
+        this._normaliseMandate();
+    }
+
+    // A lone holder operates the account solely; a joint account defaults to either-or-survivor
+    _normaliseMandate() {
+        if (!this.isJoint) {
+            this._mandate = ACCOUNT_MANDATES.SOLE;
+        } else if (this._mandate === ACCOUNT_MANDATES.SOLE) {
+            this._mandate = ACCOUNT_MANDATES.EITHER_OR_SURVIVOR;
+        }
+    }
+
+    toJSON() {
+        return {
+            account: this._account.accountNumber,
+            holders: [...this._holders],
+            mandate: this._mandate
+        };
+    }
+
+    static fromJSON(data, resolveAccount) {
+        return new AccountHolding(resolveAccount(data.account), data.holders, data.mandate);
+    }
+}
+
+// Customer Registry - every customer, the accounts they hold, and who is operating this session
+class CustomerRegistry {
+    constructor(customers = [], holdings = []) {
+        this._customers = [...customers];
+        this._holdings = [...holdings];
+        this._selectedId = this._customers.length > 0 ? this._customers[0].id : null;
+        this._coSigners = [];
+        this._auth = null;
+        this._observers = [];
+    }
+
+    // Observer Pattern - notified when customers, accounts or holders change
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(event) {
+        this._observers.forEach(observer => observer.update(event));
+    }
+
+    get customers() {
+        return [...this._customers];
+    }
+
+    // Every account ever opened, closed ones included, so their history stays in the ledger
+    get accounts() {
+        return this._holdings.map(holding => holding.account);
+    }
+
+    get openAccounts() {
+        return this._holdings.filter(holding => holding.isOpen).map(holding => holding.account);
+    }
+
+    find(id) {
+        return this._customers.find(customer => customer.id === id) || null;
+    }
+
+    holding(account) {
+        return this._holdings.find(holding => holding.account === account) || null;
+    }
+
+    holdingsFor(customerId, includeClosed = false) {
+        return this._holdings.filter(holding => holding.heldBy(customerId) && (includeClosed || holding.isOpen));
+    }
+
+    accountsFor(customerId) {
+        return this.holdingsFor(customerId).map(holding => holding.account);
+    }
+
+    holdersOf(account) {
+        const holding = this.holding(account);
+        return holding ? holding.holders.map(id => this.find(id)).filter(Boolean) : [];
+    }
+
+    addCustomer(name, email) {
+        if (!name || !String(name).trim()) {
+            throw new Error("Customer name is required");
+        }
+        const customer = new Customer(String(name).trim(), String(email || "").trim());
+        this._customers.push(customer);
+        this.notifyObservers({ type: "customer_added", customer });
+        return customer;
+    }
+
+    // Where email and SMS notifications are sent; contact: { email, phone }
+    updateContact(id, contact) {
+        const customer = this._require(id);
+        const email = contact.email !== undefined ? String(contact.email).trim() : customer.email;
+        const phone = contact.phone !== undefined ? String(contact.phone).replace(/[\s-]/g, "") : customer.phone;
+        if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+            throw new Error("Enter a valid email address");
+        }
+        if (phone && !/^\+?\d{10,15}$/.test(phone)) {
+            throw new Error("Mobile number must be 10 to 15 digits");
+        }
+        customer._email = email;
+        customer._phone = phone;
+        this.notifyObservers({ type: "customer_updated", customer });
+        return customer;
+    }
+
+    // Joint accounts pass to the surviving holders; accounts held alone must be closed first
+    removeCustomer(id) {
+        const customer = this._require(id);
+        if (this._customers.length === 1) {
+            throw new Error("The last customer cannot be removed");
+        }
+        const soleAccounts = this.holdingsFor(id).filter(holding => !holding.isJoint);
+        if (soleAccounts.length > 0) {
+            throw new Error(`${customer.name} still holds ${soleAccounts.map(holding => holding.account.accountNumber).join(", ")}; close them first`);
+        }
+        this.holdingsFor(id).forEach(holding => holding._removeHolder(id));
+        this._customers = this._customers.filter(candidate => candidate !== customer);
+        if (this._selectedId === id) {
+            this.selectCustomer(this._customers[0].id);
+        }
+        this._coSigners = this._coSigners.filter(signer => signer !== id);
+        this.notifyObservers({ type: "customer_removed", customer });
+        return customer;
+    }
+
+    nextAccountNumber() {
+        const taken = new Set(this.accounts.map(account => account.accountNumber));
+        let number;
+        do {
+            number = `****${String(Math.floor(Math.random() * 10000)).padStart(4, "0")}`;
+        } while (taken.has(number));
+        return number;
+    }
+
+    // New accounts wait for KYC unless options.kycVerified is set. A recurring deposit opens empty and
+    // collects its first installment from options.fundingAccount through options.invoker, by default
+    // the page's command invoker.
+    // Options: { currency, mandate, initialBalance, kycVerified, overdraftLimit, tenure, payoutAccount, renewal, prematurePolicy,
+    //            installment, fundingAccount, invoker, loanType, principal, rate, repaymentAccount }
+    openAccount(kind, holderIds, options = {}) {
+        if (!ACCOUNT_KINDS[kind]) {
+            throw new Error(`Unknown account kind: ${kind}`);
+        }
+        holderIds.forEach(id => this._require(id));
+        const number = this.nextAccountNumber();
+        const initialBalance = Money.from(options.initialBalance || 0, options.currency || DEFAULT_CURRENCY);
+        if (initialBalance.isNegative()) {
+            throw new Error("Opening deposit cannot be negative");
+        }
+
+        let account;
+        if (kind === "fd") {
+            if (!initialBalance.isPositive()) {
+                throw new Error("A fixed deposit needs an opening deposit");
+            }
+            account = new FixedDepositAccount(number, initialBalance, options.tenure || 12, options);
+        } else if (kind === "rd") {
+            if (!initialBalance.isZero()) {
+                throw new Error("A recurring deposit opens with its first installment from the funding account");
+            }
+            const installment = Money.from(options.installment || 0, initialBalance.currency);
+            if (!installment.isPositive()) {
+                throw new Error("A recurring deposit needs a monthly installment");
+            }
+            const tenure = options.tenure || 12;
+            if (!Number.isInteger(tenure) || tenure < 6 || tenure > 120) {
+                throw new Error("A recurring deposit runs for 6 to 120 months");
+            }
+            if (!options.fundingAccount || !this.holding(options.fundingAccount)) {
+                throw new Error("Choose a registered account to pay the installments from");
+            }
+            if (!options.fundingAccount.operable) {
+                throw new Error(`${ACCOUNT_KIND_LABELS[options.fundingAccount.kind]} accounts cannot fund a recurring deposit`);
+            }
+            const refusal = this.refusal(options.fundingAccount, "debit", this.actors);
+            if (refusal) {
+                throw new Error(refusal.message);
+            }
+            if (!(options.invoker || commandInvoker)) {
+                throw new Error("Opening a recurring deposit needs a command invoker to collect the first installment");
+            }
+            account = new RecurringDepositAccount(number, 0, tenure, { ...options, installment });
+        } else if (kind === "loan") {
+            if (!initialBalance.isZero()) {
+                throw new Error("A loan opens empty and is paid out by disbursal");
+            }
+            const principal = Money.from(options.principal || 0, initialBalance.currency);
+            if (!principal.isPositive()) {
+                throw new Error("A loan needs a sanctioned amount");
+            }
+            const type = LOAN_TYPES[options.loanType || "personal"];
+            if (!type) {
+                throw new Error(`Unknown loan type: ${options.loanType}`);
+            }
+            const tenure = options.tenure || 12;
+            if (!Number.isInteger(tenure) || tenure < 1 || tenure > type.maxTenure) {
+                throw new Error(`A ${type.label.toLowerCase()} runs for 1 to ${type.maxTenure} months`);
+            }
+            if (!options.repaymentAccount || !this.holding(options.repaymentAccount)) {
+                throw new Error("Choose a registered account to repay the loan from");
+            }
+            if (!options.repaymentAccount.operable) {
+                throw new Error(`${ACCOUNT_KIND_LABELS[options.repaymentAccount.kind]} accounts cannot repay a loan`);
+            }
+            account = new LoanAccount(number, initialBalance, { ...options, principal, tenure });
+        } else if (kind === "current") {
+            account = new CurrentAccount(number, initialBalance,
+                options.overdraftLimit !== undefined ? options.overdraftLimit : DEFAULT_OVERDRAFT_LIMIT);
+        } else {
+            account = new SavingsAccount(number, initialBalance);
+        }
+        if (!options.kycVerified) {
+            account._status = ACCOUNT_STATUSES.PENDING_KYC;
+        }
+        this.register(account, holderIds, options.mandate);
+        if (account instanceof RecurringDepositAccount) {
+            this._collectFirstInstallment(account, options.invoker || commandInvoker);
+        }
+        return account;
+    }
+
+    // The first installment is the customer's own payment, so it runs through the invoker once the
+    // deposit is registered and the policy, mandate, session check and audit log all see it. When
+    // it fails the deposit is closed again, still empty, and the error passed on
+    _collectFirstInstallment(deposit, invoker) {
+        let failure = null;
+        try {
+            const command = new RecurringDepositInstallmentCommand(deposit, defaultService("journal"), bankingClock.now(), TRANSACTION_CHANNELS.TRANSFER);
+            if (!invoker.executeCommand(command)) {
+                failure = new Error(invoker.log[invoker.log.length - 1].error);
+            }
+        } catch (error) {
+            failure = error;
+        }
+        if (!failure) return;
+        const events = deposit.close(null, defaultService("journal"), null, "First installment could not be collected");
+        this.notifyObservers({ type: "account_closed", account: deposit, holding: this.holding(deposit), events });
+        throw failure;
+    }
+
+    // Adds an already constructed account, e.g. when seeding a fresh ledger
+    register(account, holderIds, mandate = ACCOUNT_MANDATES.SOLE) {
+        if (this.holding(account) || this.accounts.some(existing => existing.accountNumber === account.accountNumber)) {
+            throw new Error(`Account ${account.accountNumber} is already registered`);
+        }
+        const holding = new AccountHolding(account, holderIds, mandate || ACCOUNT_MANDATES.SOLE);
+        this._holdings.push(holding);
+        this.notifyObservers({ type: "account_opened", account, holding });
+        return account;
+    }
+
+    // Moves the account through its lifecycle, e.g. verifying KYC, freezing or reactivating it
+    setStatus(account, status, reason = null) {
+        const holding = this._requireHolding(account);
+        if (status === ACCOUNT_STATUSES.CLOSED) {
+            throw new Error("Use closeAccount to close an account");
+        }
+        const event = account.transitionTo(status, reason);
+        this.notifyObservers({ type: "status_changed", account, holding, event });
+        return event;
+    }
+
+    // Settles the account into `settleTo` and closes it; the history stays in the ledger.
+    // Paying the balance out is a debit, so the mandate applies
+    closeAccount(account, settleTo = null) {
+        const holding = this._requireHolding(account);
+        const refusal = this.refusal(account, "debit", this.actors);
+        if (refusal) {
+            throw new Error(refusal.message);
+        }
+        const dependants = this.openAccounts.filter(other => other.linkedAccounts.includes(account));
+        if (dependants.length > 0) {
+            throw new Error(`${dependants.map(other => other.accountNumber).join(", ")} ${dependants.length === 1 ? "depends" : "depend"} on ${account.accountNumber}`);
+        }
+        if (settleTo && !this.holding(settleTo)) {
+            throw new Error(`Account ${settleTo.accountNumber} is not registered`);
+        }
+        const events = account.close(settleTo, journal, interestEngine);
+        this.notifyObservers({ type: "account_closed", account, holding, events });
+        return events;
+    }
+
+    addHolder(account, customerId, mandate = null) {
+        const holding = this._requireHolding(account);
+        const customer = this._require(customerId);
+        holding._addHolder(customerId);
+        if (mandate) {
+            holding._mandate = mandate;
+        }
+        holding._normaliseMandate();
+        this.notifyObservers({ type: "holder_added", account, customer, holding });
+    }
+
+    removeHolder(account, customerId) {
+        const holding = this._requireHolding(account);
+        holding._removeHolder(customerId);
+        this.notifyObservers({ type: "holder_removed", account, customer: this.find(customerId), holding });
+    }
+
+    // Session - the selected customer operates, other holders can co-sign alongside them
+    get selectedCustomer() {
+        return this.find(this._selectedId);
+    }
+
+    get coSigners() {
+        return this._coSigners.map(id => this.find(id));
+    }
+
+    get actors() {
+        return this._selectedId ? [this._selectedId, ...this._coSigners] : [];
+    }
+
+    selectCustomer(id) {
+        const customer = this._require(id);
+        this._selectedId = id;
+        this._coSigners = [];
+        this.notifyObservers({ type: "customer_selected", customer });
+        return customer;
+    }
+
+    // The auth service that confirms co-signers; until one is set nobody can co-sign
+    setAuth(auth) {
+        this._auth = auth;
+    }
+
+    // A holder co-signs with their own password, and code when two-factor is on
+    async addCoSigner(id, password, code = null) {
+        const customer = this._require(id);
+        if (id === this._selectedId || this._coSigners.includes(id)) return customer;
+        if (!this._auth) {
+            throw new Error("Co-signing is not available without sign-in");
+        }
+        await this._auth.confirmIdentity(id, password, code);
+        this._coSigners.push(id);
+        return customer;
+    }
+
+    clearCoSigners() {
+        this._coSigners = [];
+    }
+
+    // Why the actors may not move money on the account in this direction, or null when they may
+    refusal(account, direction, actors) {
+        const holding = this.holding(account);
+        if (!holding || direction !== "debit" || !actors || actors.includes(SYSTEM_ACTOR)) return null;
+
+        const signed = holding.holders.filter(id => actors.includes(id));
+        if (signed.length === 0) {
+            return { rule: "mandate", message: `Only the holders of ${account.accountNumber} can debit it` };
+        }
+        if (holding.mandate === ACCOUNT_MANDATES.JOINTLY && signed.length < holding.holders.length) {
+            const missing = holding.holders.filter(id => !signed.includes(id)).map(id => (this.find(id) || { name: id }).name);
+            return { rule: "mandate", message: `${account.accountNumber} is operated jointly; ${missing.join(", ")} must also sign` };
+        }
+        return null;
+    }
+
+    _require(id) {
+        const customer = this.find(id);
+        if (!customer) {
+            throw new Error(`Unknown customer: ${id}`);
+        }
+        return customer;
+    }
+
+    _requireHolding(account) {
+        const holding = this.holding(account);
+        if (!holding) {
+            throw new Error(`Account ${account.accountNumber} is not registered`);
+        }
+        return holding;
+    }
+
+    toJSON() {
+        return {
+            customers: this._customers.map(customer => customer.toJSON()),
+            holdings: this._holdings.map(holding => holding.toJSON())
+        };
+    }
+
+    static fromJSON(data, resolveAccount) {
+        return new CustomerRegistry(
+            data.customers.map(customer => Customer.fromJSON(customer)),
+            data.holdings.map(holding => AccountHolding.fromJSON(holding, resolveAccount))
+        );
+    }
+}
+
+// ===========================================
+// BENEFICIARIES & PAYMENT RAILS - PAYEES AT OTHER BANKS
+// ===========================================
+
+// Bank codes follow the IFSC layout - four letters for the bank, a zero, six branch characters.
+// The simulated clearing network reserves the last branch character for a Luhn mod-36 check character.
+const BANK_CODE_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const BANK_CODE_ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// Account numbers at other banks are 9 to 18 digits
+const PAYEE_ACCOUNT_PATTERN = /^\d{9,18}$/;
+
+const PAYMENT_STATUSES = {
+    PENDING: "pending",
+    SETTLED: "settled",
+    FAILED: "failed"
+};
+
+function createBeneficiaryId() {
+    return `BEN-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createPaymentId() {
+    return `PAY-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Luhn mod-N check character for the first ten characters of a bank code
+function bankCodeCheckCharacter(body) {
+    const base = BANK_CODE_ALPHABET.length;
+    let sum = 0;
+    for (let index = body.length - 1, factor = 2; index >= 0; index--, factor = 3 - factor) {
+        const addend = factor * BANK_CODE_ALPHABET.indexOf(body[index]);
+        sum += Math.floor(addend / base) + (addend % base);
+    }
+    return BANK_CODE_ALPHABET[(base - (sum % base)) % base];
+}
+
+// Why the bank code is not valid, or null when it is
+function bankCodeProblem(code) {
+    if (!BANK_CODE_PATTERN.test(code)) {
+        return "Bank code must be 4 letters, a zero and 6 letters or digits";
+    }
+    if (bankCodeCheckCharacter(code.slice(0, 10)) !== code[10]) {
+        return `Bank code ${code} fails its check character; check it for typos`;
+    }
+    return null;
+}
+
+// Trims and upper-cases the details and throws on the first one that is missing or malformed
+function normaliseBeneficiaryDetails(details) {
+    const name = String(details.name || "").trim();
+    const nickname = String(details.nickname || "").trim();
+    const accountNumber = String(details.accountNumber || "").replace(/[\s-]/g, "");
+    const bankCode = String(details.bankCode || "").replace(/\s/g, "").toUpperCase();
+    if (!name) {
+        throw new Error("Beneficiary name is required");
+    }
+    if (!PAYEE_ACCOUNT_PATTERN.test(accountNumber)) {
+        throw new Error("Account number must be 9 to 18 digits");
+    }
+    const problem = bankCodeProblem(bankCode);
+    if (problem) {
+        throw new Error(problem);
+    }
+    return { name, nickname, accountNumber, bankCode };
+}
+
+// Beneficiary - a payee at another bank, saved by one customer. Changing the account number or
+// bank code makes it a different payee, so verification is cleared and the cooling-off restarts.
+class Beneficiary {
+    constructor(customerId, details, options = {}) {
+        const { name, nickname, accountNumber, bankCode } = normaliseBeneficiaryDetails(details);
+        this._id = options.id || createBeneficiaryId();
+        this._customerId = customerId;
+        this._name = name;
+        this._nickname = nickname;
         this._accountNumber = accountNumber;
-        this._balance = initialBalance;
+        this._bankCode = bankCode;
+        this._addedAt = options.addedAt ? new Date(options.addedAt) : bankingClock.now();
+        this._changedAt = options.changedAt ? new Date(options.changedAt) : new Date(this._addedAt);
+        this._verifiedAt = options.verifiedAt ? new Date(options.verifiedAt) : null;
+        this._verifiedName = options.verifiedName || null;
+    }
+
+    get id() { return this._id; }
+    get customerId() { return this._customerId; }
+    get name() { return this._name; }
+    get nickname() { return this._nickname; }
+    get accountNumber() { return this._accountNumber; }
+    get bankCode() { return this._bankCode; }
+    get addedAt() { return new Date(this._addedAt); }
+    get changedAt() { return new Date(this._changedAt); }
+    get verifiedAt() { return this._verifiedAt ? new Date(this._verifiedAt) : null; }
+    get verifiedName() { return this._verifiedName; }
+    get isVerified() { return this._verifiedAt !== null; }
+
+    get label() {
+        return this._nickname || this._name;
+    }
+
+    // Last four digits only, as account numbers at other banks are not shown in full
+    get maskedAccount() {
+        return `****${this._accountNumber.slice(-4)}`;
+    }
+
+    _update(details, now) {
+        const next = normaliseBeneficiaryDetails({ ...this.toJSON(), ...details });
+        const rerouted = next.accountNumber !== this._accountNumber || next.bankCode !== this._bankCode;
+        this._name = next.name;
+        this._nickname = next.nickname;
+        this._accountNumber = next.accountNumber;
+        this._bankCode = next.bankCode;
+        if (rerouted) {
+            this._changedAt = new Date(now);
+            this._verifiedAt = null;
+            this._verifiedName = null;
+        }
+        return rerouted;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            customerId: this._customerId,
+            name: this._name,
+            nickname: this._nickname,
+            accountNumber: this._accountNumber,
+            bankCode: this._bankCode,
+            addedAt: this._addedAt.toISOString(),
+            changedAt: this._changedAt.toISOString(),
+            verifiedAt: this._verifiedAt ? this._verifiedAt.toISOString() : null,
+            verifiedName: this._verifiedName
+        };
+    }
+
+    static fromJSON(data) {
+        return new Beneficiary(data.customerId, data, data);
+    }
+}
+
+// Beneficiary Book - every customer's saved payees
+class BeneficiaryBook {
+    constructor(beneficiaries = [], options = {}) {
+        this._beneficiaries = [...beneficiaries];
+        this._clock = options.clock || null;
+        this._observers = [];
+    }
+
+    // Observer Pattern - notified when payees are added, changed, verified or removed
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(change) {
+        this._observers.forEach(observer => observer.update(change));
+    }
+
+    get beneficiaries() {
+        return [...this._beneficiaries];
+    }
+
+    forCustomer(customerId) {
+        return this._beneficiaries.filter(beneficiary => beneficiary.customerId === customerId);
+    }
+
+    find(id) {
+        return this._beneficiaries.find(beneficiary => beneficiary.id === id) || null;
+    }
+
+    // details: { name, nickname, accountNumber, bankCode }
+    add(customerId, details) {
+        const beneficiary = new Beneficiary(customerId, details, { addedAt: this._now() });
+        const duplicate = this.forCustomer(customerId).find(existing =>
+            existing.accountNumber === beneficiary.accountNumber && existing.bankCode === beneficiary.bankCode);
+        if (duplicate) {
+            throw new Error(`${beneficiary.maskedAccount} at ${beneficiary.bankCode} is already saved as ${duplicate.label}`);
+        }
+        this._beneficiaries.push(beneficiary);
+        this.notifyObservers({ type: "added", beneficiary });
+        return beneficiary;
+    }
+
+    update(id, details) {
+        const beneficiary = this._require(id);
+        const before = beneficiary.toJSON();
+        const rerouted = beneficiary._update(details, this._now());
+        this.notifyObservers({ type: "updated", beneficiary, before, rerouted });
+        return beneficiary;
+    }
+
+    remove(id) {
+        const beneficiary = this._require(id);
+        this._beneficiaries = this._beneficiaries.filter(candidate => candidate !== beneficiary);
+        this.notifyObservers({ type: "removed", beneficiary });
+        return beneficiary;
+    }
+
+    // Confirms the account exists at the bank through the rail's name lookup
+    verify(id, rail) {
+        const beneficiary = this._require(id);
+        const result = rail.verify(beneficiary);
+        if (!result.verified) {
+            this.notifyObservers({ type: "verification_failed", beneficiary, reason: result.reason });
+            throw new Error(result.reason);
+        }
+        beneficiary._verifiedAt = this._now();
+        beneficiary._verifiedName = result.name;
+        this.notifyObservers({ type: "verified", beneficiary });
+        return beneficiary;
+    }
+
+    _now() {
+        return (this._clock || bankingClock).now();
+    }
+
+    _require(id) {
+        const beneficiary = this.find(id);
+        if (!beneficiary) {
+            throw new Error(`Unknown beneficiary: ${id}`);
+        }
+        return beneficiary;
+    }
+
+    toJSON() {
+        return this._beneficiaries.map(beneficiary => beneficiary.toJSON());
+    }
+
+    static fromJSON(data) {
+        return new BeneficiaryBook(data.map(beneficiary => Beneficiary.fromJSON(beneficiary)));
+    }
+}
+
+// Payment Rail Interface - the network a payment to another bank travels over.
+// submit(order) returns the rail's reference; status(order, now) returns { status, reason };
+// verify(beneficiary) returns { verified, name, reason }
+class PaymentRail {
+    get code() {
+        throw new Error("code getter must be implemented");
+    }
+
+    get name() {
+        throw new Error("name getter must be implemented");
+    }
+
+    // Largest single payment in major units, or null for none
+    get limit() {
+        return null;
+    }
+
+    submit(order) {
+        throw new Error("submit method must be implemented");
+    }
+
+    status(order, now) {
+        throw new Error("status method must be implemented");
+    }
+
+    verify(beneficiary) {
+        throw new Error("verify method must be implemented");
+    }
+}
+
+// Simulated Rail - a local stand-in for the clearing network, deterministic so it can be tested.
+// Payments settle at the next batch (instantly when batchMinutes is 0); accounts ending in 9999
+// do not exist, and credits to accounts ending in 0000 are returned by the receiving bank.
+class SimulatedPaymentRail extends PaymentRail {
+    constructor(code, name, options = {}) {
+        super();
+        this._code = code;
+        this._name = name;
+        this._description = options.description || name;
+        this._limit = options.limit !== undefined ? options.limit : null;
+        this._batchMinutes = options.batchMinutes || 0;
+    }
+
+    get code() { return this._code; }
+    get name() { return this._name; }
+    get description() { return this._description; }
+    get limit() { return this._limit; }
+
+    submit(order) {
+        return `${this._code}${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+    }
+
+    // When a payment submitted at `submittedAt` is cleared
+    settlementTime(submittedAt) {
+        if (this._batchMinutes === 0) return new Date(submittedAt);
+        const batchMs = this._batchMinutes * 60 * 1000;
+        return new Date(Math.floor(submittedAt.getTime() / batchMs) * batchMs + batchMs);
+    }
+
+    status(order, now) {
+        if (now < this.settlementTime(order.submittedAt)) {
+            return { status: PAYMENT_STATUSES.PENDING, reason: null };
+        }
+        if (order.beneficiary.accountNumber.endsWith("0000")) {
+            return { status: PAYMENT_STATUSES.FAILED, reason: `${order.beneficiary.bankCode} returned the credit: account closed` };
+        }
+        return { status: PAYMENT_STATUSES.SETTLED, reason: null };
+    }
+
+    verify(beneficiary) {
+        if (beneficiary.accountNumber.endsWith("9999")) {
+            return { verified: false, name: null, reason: `No account ${beneficiary.maskedAccount} at ${beneficiary.bankCode}` };
+        }
+        return { verified: true, name: beneficiary.name.toUpperCase(), reason: null };
+    }
+}
+
+// NEFT clears in half-hourly batches; IMPS and UPI are instant, UPI up to ₹1,00,000 a payment
+function createDefaultPaymentRails() {
+    return [
+        new SimulatedPaymentRail("NEFT", "NEFT", { description: "NEFT - settles in half-hourly batches", batchMinutes: 30 }),
+        new SimulatedPaymentRail("IMPS", "IMPS", { description: "IMPS - instant", limit: 500000 }),
+        new SimulatedPaymentRail("UPI", "UPI", { description: "UPI - instant, up to ₹1,00,000", limit: 100000 })
+    ];
+}
+
+// Payment Order - one payment to a beneficiary and its progress on the rail. The payee's
+// details are copied in, so the order still reads correctly after the payee is edited or removed.
+class PaymentOrder {
+    constructor(options) {
+        this._id = options.id || createPaymentId();
+        this._account = options.account;
+        this._beneficiary = {
+            id: options.beneficiary.id,
+            label: options.beneficiary.label,
+            accountNumber: options.beneficiary.accountNumber,
+            bankCode: options.beneficiary.bankCode
+        };
+        this._amount = Money.from(options.amount, options.account.currency);
+        this._description = options.description;
+        this._rail = options.rail;
+        this._reference = options.reference || null;
+        this._status = options.status || PAYMENT_STATUSES.PENDING;
+        this._reason = options.reason || null;
+        this._submittedAt = new Date(options.submittedAt);
+        this._completedAt = options.completedAt ? new Date(options.completedAt) : null;
+        this._refundError = options.refundError || null;
+    }
+
+    get id() { return this._id; }
+    get account() { return this._account; }
+    get beneficiary() { return { ...this._beneficiary }; }
+    get amount() { return this._amount; }
+    get description() { return this._description; }
+    get rail() { return this._rail; }
+    get reference() { return this._reference; }
+    get status() { return this._status; }
+    get reason() { return this._reason; }
+    get submittedAt() { return new Date(this._submittedAt); }
+    get completedAt() { return this._completedAt ? new Date(this._completedAt) : null; }
+    get refundError() { return this._refundError; }
+    get isPending() { return this._status === PAYMENT_STATUSES.PENDING; }
+
+    toJSON() {
+        return {
+            id: this._id,
+            account: this._account.accountNumber,
+            beneficiary: { ...this._beneficiary },
+            amount: this._amount.toJSON(),
+            description: this._description,
+            rail: this._rail,
+            reference: this._reference,
+            status: this._status,
+            reason: this._reason,
+            submittedAt: this._submittedAt.toISOString(),
+            completedAt: this._completedAt ? this._completedAt.toISOString() : null,
+            refundError: this._refundError
+        };
+    }
+
+    static fromJSON(data, resolveAccount) {
+        return new PaymentOrder({ ...data, account: resolveAccount(data.account), amount: Money.fromJSON(data.amount) });
+    }
+}
+
+// Payment Processor - debits the account, hands the payment to its rail and follows it to
+// settlement. A payment the rail fails is refunded to the account it came from.
+class PaymentProcessor {
+    constructor(rails = createDefaultPaymentRails(), orders = [], options = {}) {
+        this._rails = [...rails];
+        this._orders = [...orders];
+        this._clock = options.clock || null;
+        this._exchange = options.exchange || currencyExchange;
+        this._observers = [];
+    }
+
+    // Observer Pattern - notified when payments are sent, settle or fail
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(change) {
+        this._observers.forEach(observer => observer.update(change));
+    }
+
+    get rails() {
+        return [...this._rails];
+    }
+
+    get orders() {
+        return [...this._orders];
+    }
+
+    get pending() {
+        return this._orders.filter(order => order.isPending);
+    }
+
+    rail(code) {
+        return this._rails.find(rail => rail.code === code) || null;
+    }
+
+    find(id) {
+        return this._orders.find(order => order.id === id) || null;
+    }
+
+    // Newest first
+    ordersFor(accountList) {
+        return this._orders.filter(order => accountList.includes(order.account)).reverse();
+    }
+
+    // Sent to the beneficiary since it was added or last rerouted, in `currency`; failed payments do not count
+    sentTo(beneficiary, currency) {
+        return Money.sum(this._orders
+            .filter(order => order.beneficiary.id === beneficiary.id && order.status !== PAYMENT_STATUSES.FAILED)
+            .filter(order => order.submittedAt >= beneficiary.changedAt)
+            .map(order => this._exchange.valueIn(order.amount, currency)), currency);
+    }
+
+    // Why the rail cannot carry the payment, or null when it can
+    refusal(railCode, amount) {
+        const rail = this.rail(railCode);
+        if (!rail) {
+            return `Unknown payment rail: ${railCode}`;
+        }
+        if (amount.currency !== DEFAULT_CURRENCY) {
+            return `${rail.name} payments must be sent from a ${DEFAULT_CURRENCY} account`;
+        }
+        if (rail.limit !== null && amount.greaterThan(Money.of(rail.limit))) {
+            return `${rail.name} payments cannot exceed ${formatAmount(Money.of(rail.limit))}`;
+        }
+        return null;
+    }
+
+    // Debits the account and submits the payment; instant rails settle before this returns
+    send(account, beneficiary, amount, description, railCode) {
+        const refusal = this.refusal(railCode, amount);
+        if (refusal) {
+            throw new Error(refusal);
+        }
+        const rail = this.rail(railCode);
+        const now = this._now();
+        const order = new PaymentOrder({ account, beneficiary, amount, description, rail: rail.code, submittedAt: now });
+        account.withdraw(amount, `${description} - to ${beneficiary.label} via ${rail.name}`,
+            TRANSACTION_CHANNELS.PAYEE, TRANSACTION_CATEGORIES.TRANSFER);
+        try {
+            order._reference = rail.submit(order);
+        } catch (error) {
+            account.deposit(amount, `Refund: ${description} (not accepted by ${rail.name})`, TRANSACTION_CHANNELS.PAYEE);
+            throw error;
+        }
+        this._orders.push(order);
+        this.notifyObservers({ type: "submitted", order });
+        this._advance(order, now);
+        return order;
+    }
+
+    // Moves pending payments on as far as their rails have got; returns the ones that settled or failed
+    process(now = this._now()) {
+        const completed = this.pending.filter(order => this._advance(order, now));
+        if (completed.length > 0) {
+            this.notifyObservers({ type: "processed", orders: completed });
+        }
+        return completed;
+    }
+
+    // A refund that cannot be credited, e.g. to an account closed meanwhile, is kept on the order for follow-up
+    _advance(order, now) {
+        const rail = this.rail(order.rail);
+        if (!rail) return false;
+        const { status, reason } = rail.status(order, now);
+        if (status === PAYMENT_STATUSES.PENDING) return false;
+
+        order._status = status;
+        order._reason = reason || null;
+        order._completedAt = new Date(now);
+        if (status === PAYMENT_STATUSES.FAILED) {
+            try {
+                order.account.deposit(order.amount, `Refund: ${order.description} (${reason})`, TRANSACTION_CHANNELS.PAYEE);
+            } catch (error) {
+                order._refundError = error.message;
+            }
+        }
+        this.notifyObservers({ type: status, order });
+        return true;
+    }
+
+    _now() {
+        return (this._clock || bankingClock).now();
+    }
+
+    toJSON() {
+        return this._orders.map(order => order.toJSON());
+    }
+}
+
+// Pays a saved beneficiary at another bank. Once the rail has the payment it is out of the
+// bank's hands, so unlike transfers between own accounts it cannot be undone or reverted.
+class PayeeTransferCommand extends Command {
+    constructor(account, beneficiary, amount, description, rail, payments = paymentProcessor, policy = transactionPolicy) {
+        super();
+        this._account = account;
+        this._beneficiary = beneficiary;
+        this._amount = Money.from(amount, account.currency);
+        this._description = description;
+        this._rail = rail;
+        this._payments = payments;
+        this._policy = policy;
+        this._orderId = null;
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._account];
+    }
+
+    get undoable() {
+        return false;
+    }
+
+    // Id of the payment order the command created; null until executed
+    get orderId() {
+        return this._orderId;
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        if (this._policy) {
+            this._policy.assertAllowed({
+                account: this._account,
+                amount: this._amount,
+                direction: "debit",
+                channel: TRANSACTION_CHANNELS.PAYEE,
+                actors: this._actors,
+                beneficiary: this._beneficiary
+            });
+        }
+        const order = this._payments.send(this._account, this._beneficiary, this._amount, this._description, this._rail);
+        this._orderId = order.id;
+        this._executed = true;
+        return order;
+    }
+
+    undo() {
+        throw new Error("A payment sent to another bank cannot be undone");
+    }
+
+    createCompensation() {
+        throw new Error("A payment sent to another bank cannot be reverted; a failed payment is refunded automatically");
+    }
+
+    static restore(data, resolveAccount) {
+        const command = new PayeeTransferCommand(resolveAccount(data.account), Beneficiary.fromJSON(data.beneficiary),
+            Money.fromJSON(data.amount), data.description, data.rail);
+        command._orderId = data.order || null;
+        return command;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            kind: "payee",
+            account: this._account.accountNumber,
+            beneficiary: this._beneficiary.toJSON(),
+            amount: this._amount.toJSON(),
+            description: this._description,
+            rail: this._rail,
+            order: this._orderId,
+            channel: TRANSACTION_CHANNELS.PAYEE,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+COMMAND_KINDS.payee = PayeeTransferCommand;
+
+// ===========================================
+// AUTHENTICATION - PASSWORDS, TWO-FACTOR & SESSIONS
+// ===========================================
+
+const AUTH_STORAGE_KEY = "securebank.auth";
+const SESSION_TOKEN_KEY = "securebank.session";
+
+// PBKDF2 parameters for new hashes; stored hashes keep the parameters they were made with
+const PASSWORD_HASHING = {
+    algorithm: "PBKDF2-SHA-256",
+    iterations: 310000,
+    saltBytes: 16,
+    hashBits: 256
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// RFC 6238 defaults, which every authenticator app understands
+const TOTP_SETTINGS = {
+    digits: 6,
+    periodSeconds: 30,
+    secretBytes: 20,
+    window: 1               // Time steps either side of now still accepted, for clock drift
+};
+
+const TOTP_ISSUER = "SecureBank";
+
+// One-time code sent to a customer without a password so that only they can choose the first one
+const ENROLMENT_CODE = {
+    digits: 8,
+    validMinutes: 30,
+    maxAttempts: 5          // Wrong guesses before the code is void and a new one must be sent
+};
+
+// Session rules edited on settings.html; the step-up amount is in the default currency
+const DEFAULT_SECURITY_SETTINGS = {
+    autoLogoutMinutes: 30,  // Idle time before a session ends; 0 keeps sessions open
+    rememberMe: true,       // Default for the sign-in form's "Remember me"
+    stepUpAmount: 10000,    // Transfers from this amount up need a recent re-authentication
+    stepUpMinutes: 5,       // How long a sign-in or re-authentication counts as recent
+    lockoutAttempts: 5,     // Wrong passwords or codes in a row before the customer is locked out
+    lockoutMinutes: 15      // How long the lockout lasts
+};
+
+// Channels whose debits from the step-up amount need a recent re-authentication
+const STEP_UP_CHANNELS = [TRANSACTION_CHANNELS.TRANSFER, TRANSACTION_CHANNELS.PAYEE];
+
+// Why an authentication attempt was refused
+const AUTH_ERRORS = {
+    NO_PASSWORD: "no_password",
+    INVALID_CREDENTIALS: "invalid_credentials",
+    WEAK_PASSWORD: "weak_password",
+    TWO_FACTOR_REQUIRED: "two_factor_required",
+    INVALID_CODE: "invalid_code",
+    LOCKED_OUT: "locked_out",
+    SESSION_ENDED: "session_ended"
+};
+
+class AuthError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "AuthError";
+        this.code = code;
+    }
+}
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// WebCrypto needs a secure context: https, localhost or a file opened from disk
+function webCrypto() {
+    const crypto = window.crypto;
+    if (!crypto || !crypto.subtle) {
+        throw new Error("WebCrypto is unavailable; open the app over https or from localhost");
+    }
+    return crypto;
+}
+
+function randomBytes(count) {
+    return webCrypto().getRandomValues(new Uint8Array(count));
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function hexToBytes(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+}
+
+// RFC 4648 base32 without padding, the form authenticator apps take secrets in
+function bytesToBase32(bytes) {
+    let output = "";
+    let value = 0;
+    let bits = 0;
+    bytes.forEach(byte => {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    });
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// Accepts lower case, spaces and padding, as people type secrets in
+function base32ToBytes(text) {
+    const bytes = [];
+    let value = 0;
+    let bits = 0;
+    for (const char of text.replace(/[\s=]/g, "").toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// Looks at every character, so the time taken does not reveal how much of a secret matched
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let index = 0; index < a.length; index++) {
+        difference |= a.charCodeAt(index) ^ b.charCodeAt(index);
+    }
+    return difference === 0;
+}
+
+// Salted PBKDF2 hash; the returned record is stored in place of the password
+async function hashPassword(password, salt = randomBytes(PASSWORD_HASHING.saltBytes), iterations = PASSWORD_HASHING.iterations) {
+    const subtle = webCrypto().subtle;
+    const key = await subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+    const bits = await subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, PASSWORD_HASHING.hashBits);
+    return {
+        algorithm: PASSWORD_HASHING.algorithm,
+        iterations,
+        salt: bytesToHex(salt),
+        hash: bytesToHex(new Uint8Array(bits))
+    };
+}
+
+async function verifyPassword(password, record) {
+    const candidate = await hashPassword(password, hexToBytes(record.salt), record.iterations);
+    return constantTimeEqual(candidate.hash, record.hash);
+}
+
+// Reason a new password is too weak, or null
+function passwordWeakness(password) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        return "Password must contain both letters and digits";
+    }
+    return null;
+}
+
+function generateTotpSecret() {
+    return bytesToBase32(randomBytes(TOTP_SETTINGS.secretBytes));
+}
+
+// Time step a moment falls in
+function totpCounter(time = bankingClock.now()) {
+    return Math.floor(time.getTime() / 1000 / TOTP_SETTINGS.periodSeconds);
+}
+
+// RFC 4226 HOTP code for one counter value; TOTP feeds it the time step
+async function hotpCode(secret, counter, digits = TOTP_SETTINGS.digits) {
+    const subtle = webCrypto().subtle;
+    const key = await subtle.importKey("raw", base32ToBytes(secret), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+    const message = new Uint8Array(8);
+    let rest = counter;
+    for (let index = 7; index >= 0; index--) {
+        message[index] = rest % 256;
+        rest = Math.floor(rest / 256);
+    }
+    const mac = new Uint8Array(await subtle.sign("HMAC", key, message));
+    const offset = mac[mac.length - 1] & 15;
+    const binary = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+function totpCode(secret, time = bankingClock.now()) {
+    return hotpCode(secret, totpCounter(time));
+}
+
+// Time step the code belongs to within the drift window, or null; callers refuse steps already used
+async function matchTotp(secret, code, time = bankingClock.now()) {
+    const entered = String(code || "").replace(/\s/g, "");
+    if (!/^\d+$/.test(entered)) return null;
+    const now = totpCounter(time);
+    for (let step = -TOTP_SETTINGS.window; step <= TOTP_SETTINGS.window; step++) {
+        if (constantTimeEqual(await hotpCode(secret, now + step), entered)) {
+            return now + step;
+        }
+    }
+    return null;
+}
+
+// otpauth:// link an authenticator app can import, usually as a QR code
+function totpUri(secret, accountName, issuer = TOTP_ISSUER) {
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${accountName}`)}?secret=${secret}` +
+        `&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_SETTINGS.digits}&period=${TOTP_SETTINGS.periodSeconds}`;
+}
+
+function createSessionToken() {
+    return bytesToHex(randomBytes(32));
+}
+
+// Short label for the sessions list, e.g. "Chrome on Windows"
+function describeDevice(userAgent = window.navigator ? window.navigator.userAgent : "") {
+    const browsers = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]];
+    const systems = [["Windows", "Windows"], ["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iOS"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+    return `${browser ? browser[1] : "Browser"} on ${system ? system[1] : "an unknown system"}`;
+}
+
+// Auth Service - passwords, two-factor secrets and sessions for every customer, kept in one
+// storage entry. Observers hear { type, customerId, sessionId, timestamp } for each sign-in,
+// sign-out and credential change.
+class AuthService {
+    constructor(backend, key = AUTH_STORAGE_KEY, clock = null) {
+        this._backend = backend;
+        this._key = key;
+        this._clock = clock;
         this._observers = [];
-        this._transactionHistory = [];
+        this._settings = { ...DEFAULT_SECURITY_SETTINGS };
+        this._credentials = {};                 // customerId -> { password, twoFactor }
+        this._sessions = [];
+        this._refresh();
+    }
+
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(event) {
+        this._observers.forEach(observer => observer.update(event));
+    }
+
+    get settings() {
+        return { ...this._settings };
+    }
+
+    setSettings(settings) {
+        this._settings = { ...DEFAULT_SECURITY_SETTINGS, ...settings };
+    }
+
+    hasPassword(customerId) {
+        this._refresh();
+        return Boolean(this._credentials[customerId] && this._credentials[customerId].password);
+    }
+
+    twoFactorEnabled(customerId) {
+        this._refresh();
+        const twoFactor = this._credentials[customerId] && this._credentials[customerId].twoFactor;
+        return Boolean(twoFactor && twoFactor.enabled);
+    }
+
+    // Changes the password when the current one is given; the customer's other sessions end so a
+    // leaked password stops working everywhere. The first password is set with enrol()
+    async setPassword(customerId, password, currentPassword = null, keepSessionId = null) {
+        if (!this.hasPassword(customerId)) {
+            throw new AuthError(AUTH_ERRORS.NO_PASSWORD, "No password has been set for this customer; enrol first");
+        }
+        if (!(await verifyPassword(currentPassword || "", this._credentials[customerId].password))) {
+            throw new AuthError(AUTH_ERRORS.INVALID_CREDENTIALS, "Current password is incorrect");
+        }
+        const weakness = passwordWeakness(password);
+        if (weakness) {
+            throw new AuthError(AUTH_ERRORS.WEAK_PASSWORD, weakness);
+        }
+        const hashed = await hashPassword(password);
+        this._refresh();
+        this._credentials[customerId] = { ...this._credentials[customerId], password: hashed };
+        this._save();
+        this._notify("password_changed", customerId);
+        this._endSessions(session => session.customerId === customerId && session.id !== keepSessionId, "session_revoked");
+    }
+
+    // Makes a new enrolment code for a customer who has no password, replacing any earlier one.
+    // The caller sends it to the customer; only its hash is kept
+    async issueEnrolmentCode(customerId) {
+        if (this.hasPassword(customerId)) {
+            throw new Error("This customer already has a password");
+        }
+        const code = Array.from(randomBytes(ENROLMENT_CODE.digits), byte => byte % 10).join("");
+        const hashed = await hashPassword(code);
+        this._refresh();
+        this._credentials[customerId] = {
+            ...this._credentials[customerId],
+            enrolment: {
+                code: hashed,
+                expiresAt: new Date(this._now().getTime() + ENROLMENT_CODE.validMinutes * 60 * 1000).toISOString(),
+                failures: 0
+            }
+        };
+        this._save();
+        this._notify("enrolment_code_issued", customerId);
+        return code;
+    }
+
+    // Sets the first password. Needs the customer's unexpired enrolment code, or the token of a live
+    // session, i.e. a customer who is already signed in is enrolling them
+    async enrol(customerId, password, { code = null, sponsorToken = null } = {}) {
+        if (this.hasPassword(customerId)) {
+            throw new AuthError(AUTH_ERRORS.INVALID_CREDENTIALS, "A password is already set; sign in instead");
+        }
+        const sponsor = sponsorToken ? this.session(sponsorToken) : null;
+        if (!sponsor) {
+            const enrolment = this._credentials[customerId] && this._credentials[customerId].enrolment;
+            const valid = enrolment && new Date(enrolment.expiresAt) > this._now()
+                && await verifyPassword(String(code || "").replace(/\s/g, ""), enrolment.code);
+            if (!valid) {
+                this._refresh();
+                const stored = this._credentials[customerId] && this._credentials[customerId].enrolment;
+                if (stored) {
+                    stored.failures += 1;
+                    if (stored.failures >= ENROLMENT_CODE.maxAttempts) {
+                        this._credentials[customerId].enrolment = null;
+                    }
+                    this._save();
+                }
+                this._notify("enrolment_failed", customerId);
+                throw new AuthError(AUTH_ERRORS.INVALID_CODE, "That enrolment code is not valid or has expired");
+            }
+        }
+        const weakness = passwordWeakness(password);
+        if (weakness) {
+            throw new AuthError(AUTH_ERRORS.WEAK_PASSWORD, weakness);
+        }
+        const hashed = await hashPassword(password);
+        this._refresh();
+        this._credentials[customerId] = { ...this._credentials[customerId], password: hashed, enrolment: null };
+        this._save();
+        this._notify("enrolled", customerId, sponsor ? sponsor.id : null);
+    }
+
+    // Checks the password, and the authenticator code when two-factor is on, then opens a session
+    async signIn(customerId, password, code = null, options = {}) {
+        if (!this.hasPassword(customerId)) {
+            throw new AuthError(AUTH_ERRORS.NO_PASSWORD, "No password has been set for this customer");
+        }
+        await this._verify(customerId, password, code);
+        this._refresh();
+        const now = this._now();
+        const session = {
+            id: createSessionToken(),
+            customerId,
+            device: options.device || describeDevice(),
+            remember: Boolean(options.remember),
+            createdAt: now,
+            lastActiveAt: now,
+            steppedUpAt: now
+        };
+        this._sessions.push(session);
+        this._save();
+        this._notify("signed_in", customerId, session.id);
+        return { ...session };
+    }
+
+    // Checks the customer's credentials without opening a session, e.g. for a joint holder
+    // co-signing in someone else's session
+    async confirmIdentity(customerId, password, code = null) {
+        if (!this.hasPassword(customerId)) {
+            throw new AuthError(AUTH_ERRORS.NO_PASSWORD, "No password has been set for this customer");
+        }
+        await this._verify(customerId, password, code);
+        this._notify("identity_confirmed", customerId);
+    }
+
+    // The live session for a token, or null; sessions idle past the auto-logout time end here
+    session(token) {
+        this._expireIdle();
+        const session = this._sessions.find(candidate => candidate.id === token);
+        return session ? { ...session } : null;
+    }
+
+    sessionsFor(customerId) {
+        this._expireIdle();
+        return this._sessions.filter(session => session.customerId === customerId).map(session => ({ ...session }));
+    }
+
+    // Records activity; writes at most every half minute, since every click calls it
+    touch(token) {
+        const session = this.session(token) && this._sessions.find(candidate => candidate.id === token);
+        if (!session) return null;
+        const now = this._now();
+        if (now - session.lastActiveAt >= 30 * 1000) {
+            session.lastActiveAt = now;
+            this._save();
+        }
+        return { ...session };
+    }
+
+    signOut(token) {
+        return this._endSessions(session => session.id === token, "signed_out") > 0;
+    }
+
+    revoke(sessionId) {
+        return this._endSessions(session => session.id === sessionId, "session_revoked") > 0;
+    }
+
+    // Ends every session of the customer except `exceptId`; returns how many ended
+    revokeAll(customerId, exceptId = null) {
+        return this._endSessions(session => session.customerId === customerId && session.id !== exceptId, "session_revoked");
+    }
+
+    // Re-authentication inside a session, required before high-value transfers
+    async stepUp(token, password, code = null) {
+        const session = this.session(token);
+        if (!session) {
+            throw new AuthError(AUTH_ERRORS.SESSION_ENDED, "Your session has ended; sign in again");
+        }
+        await this._verify(session.customerId, password, code);
+        this._refresh();
+        const stored = this._sessions.find(candidate => candidate.id === token);
+        if (!stored) {
+            throw new AuthError(AUTH_ERRORS.SESSION_ENDED, "Your session has ended; sign in again");
+        }
+        stored.steppedUpAt = this._now();
+        stored.lastActiveAt = stored.steppedUpAt;
+        this._save();
+        this._notify("stepped_up", session.customerId, token);
+    }
+
+    // Step-up threshold in `currency`
+    stepUpThreshold(currency = DEFAULT_CURRENCY) {
+        return currencyExchange.valueIn(Money.of(this._settings.stepUpAmount), currency);
+    }
+
+    // Whether moving `amount` needs a fresh re-authentication in this session
+    needsStepUp(token, amount) {
+        const session = this.session(token);
+        if (!session) return true;
+        if (amount.lessThan(this.stepUpThreshold(amount.currency))) return false;
+        return this._now() - session.steppedUpAt > this._settings.stepUpMinutes * 60 * 1000;
+    }
+
+    // Stores a new, not yet active secret; two-factor switches on once a code from it is confirmed
+    beginTwoFactor(customerId, accountName) {
+        const secret = generateTotpSecret();
+        this._refresh();
+        const current = this._credentials[customerId] || {};
+        this._credentials[customerId] = {
+            ...current,
+            twoFactor: current.twoFactor && current.twoFactor.enabled
+                ? { ...current.twoFactor, pendingSecret: secret }
+                : { secret: null, enabled: false, lastCounter: null, pendingSecret: secret }
+        };
+        this._save();
+        return { secret, uri: totpUri(secret, accountName) };
+    }
+
+    async confirmTwoFactor(customerId, code) {
+        this._refresh();
+        const twoFactor = this._credentials[customerId] && this._credentials[customerId].twoFactor;
+        if (!twoFactor || !twoFactor.pendingSecret) {
+            throw new Error("Start two-factor setup first");
+        }
+        const counter = await matchTotp(twoFactor.pendingSecret, code, this._now());
+        if (counter === null) {
+            throw new AuthError(AUTH_ERRORS.INVALID_CODE, "That code does not match the new secret");
+        }
+        this._refresh();
+        this._credentials[customerId].twoFactor = { secret: twoFactor.pendingSecret, enabled: true, lastCounter: counter, pendingSecret: null };
+        this._save();
+        this._notify("two_factor_enabled", customerId);
+    }
+
+    async disableTwoFactor(customerId, password, code = null) {
+        await this._verify(customerId, password, code);
+        this._refresh();
+        this._credentials[customerId].twoFactor = null;
+        this._save();
+        this._notify("two_factor_disabled", customerId);
+    }
+
+    // Checks the password, and the code when two-factor is on. Wrong ones in a row lock the customer
+    // out for a while; during a lockout even the right password is refused
+    async _verify(customerId, password, code) {
+        this._refresh();
+        const credentials = this._credentials[customerId];
+        const lockedUntil = credentials && credentials.lockedUntil ? new Date(credentials.lockedUntil) : null;
+        if (lockedUntil && lockedUntil > this._now()) {
+            const minutes = Math.ceil((lockedUntil - this._now()) / (60 * 1000));
+            throw new AuthError(AUTH_ERRORS.LOCKED_OUT, `Too many failed attempts; try again in ${minutes} minute${minutes === 1 ? "" : "s"}`);
+        }
+        if (!credentials || !credentials.password || !(await verifyPassword(password || "", credentials.password))) {
+            this._recordFailure(customerId);
+            throw new AuthError(AUTH_ERRORS.INVALID_CREDENTIALS, "Incorrect password");
+        }
+        const twoFactor = credentials.twoFactor;
+        let counter = null;
+        if (twoFactor && twoFactor.enabled) {
+            if (!code) {
+                throw new AuthError(AUTH_ERRORS.TWO_FACTOR_REQUIRED, "Enter the code from your authenticator app");
+            }
+            // A code is good for one use, so a step already used is refused
+            counter = await matchTotp(twoFactor.secret, code, this._now());
+            if (counter === null || (twoFactor.lastCounter !== null && counter <= twoFactor.lastCounter)) {
+                this._recordFailure(customerId);
+                throw new AuthError(AUTH_ERRORS.INVALID_CODE, "That code is not valid");
+            }
+        }
+        if (counter === null && !credentials.failures && !credentials.lockedUntil) return;
+        this._refresh();
+        const stored = this._credentials[customerId];
+        if (counter !== null) {
+            stored.twoFactor.lastCounter = counter;
+        }
+        stored.failures = 0;
+        stored.lockedUntil = null;
+        this._save();
+    }
+
+    _recordFailure(customerId) {
+        this._refresh();
+        const credentials = this._credentials[customerId];
+        let locked = false;
+        if (credentials && credentials.password) {
+            credentials.failures = (credentials.failures || 0) + 1;
+            if (credentials.failures >= this._settings.lockoutAttempts) {
+                credentials.failures = 0;
+                credentials.lockedUntil = new Date(this._now().getTime() + this._settings.lockoutMinutes * 60 * 1000).toISOString();
+                locked = true;
+            }
+            this._save();
+        }
+        this._notify("sign_in_failed", customerId);
+        if (locked) {
+            this._notify("locked_out", customerId);
+        }
+    }
+
+    _expireIdle() {
+        this._refresh();
+        const minutes = this._settings.autoLogoutMinutes;
+        if (!minutes) return;
+        const cutoff = this._now() - minutes * 60 * 1000;
+        this._endSessions(session => session.lastActiveAt.getTime() < cutoff, "session_expired");
+    }
+
+    _endSessions(predicate, type) {
+        this._refresh();
+        const ended = this._sessions.filter(predicate);
+        if (ended.length === 0) return 0;
+        this._sessions = this._sessions.filter(session => !ended.includes(session));
+        this._save();
+        ended.forEach(session => this._notify(type, session.customerId, session.id));
+        return ended.length;
+    }
+
+    _notify(type, customerId, sessionId = null) {
+        this.notifyObservers({ type, customerId, sessionId, timestamp: this._now() });
+    }
+
+    _now() {
+        return (this._clock || bankingClock).now();
+    }
+
+    // Other tabs share the storage entry, so state is re-read before every use
+    _refresh() {
+        const data = this._read();
+        this._credentials = data.credentials;
+        this._sessions = data.sessions;
+    }
+
+    _read() {
+        const raw = this._backend.getItem(this._key);
+        if (!raw) return { credentials: {}, sessions: [] };
+        try {
+            const data = JSON.parse(raw);
+            return {
+                credentials: data.credentials || {},
+                sessions: (data.sessions || []).map(session => ({
+                    ...session,
+                    createdAt: new Date(session.createdAt),
+                    lastActiveAt: new Date(session.lastActiveAt),
+                    steppedUpAt: new Date(session.steppedUpAt)
+                }))
+            };
+        } catch (error) {
+            console.error("Ignoring unreadable auth data:", error.message);
+            return { credentials: {}, sessions: [] };
+        }
+    }
+
+    _save() {
+        this._backend.setItem(this._key, JSON.stringify({
+            credentials: this._credentials,
+            sessions: this._sessions.map(session => ({
+                ...session,
+                createdAt: session.createdAt.toISOString(),
+                lastActiveAt: session.lastActiveAt.toISOString(),
+                steppedUpAt: session.steppedUpAt.toISOString()
+            }))
+        }));
+    }
+}
+
+// Session Guard - this browser's sign-in. Keeps the session token (in persistent storage when
+// "Remember me" is ticked, otherwise only for the browser session) and answers the transaction
+// policy's authentication check.
+class SessionGuard {
+    constructor(auth, persistent, transient) {
+        this._auth = auth;
+        this._persistent = persistent;
+        this._transient = transient;
+        this._token = transient.getItem(SESSION_TOKEN_KEY) || persistent.getItem(SESSION_TOKEN_KEY);
+    }
+
+    get auth() {
+        return this._auth;
+    }
+
+    // The live session, or null once it has been signed out, revoked or timed out
+    get session() {
+        if (!this._token) return null;
+        const session = this._auth.session(this._token);
+        if (!session) {
+            this._forget();
+        }
+        return session;
+    }
+
+    async signIn(customerId, password, code = null, remember = false) {
+        const session = await this._auth.signIn(customerId, password, code, { remember });
+        this._forget();
+        this._token = session.id;
+        (remember ? this._persistent : this._transient).setItem(SESSION_TOKEN_KEY, session.id);
+        return session;
+    }
+
+    signOut() {
+        if (this._token) {
+            this._auth.signOut(this._token);
+        }
+        this._forget();
+    }
+
+    // Called on user activity; false once the session has ended
+    recordActivity() {
+        if (!this._token) return false;
+        const session = this._auth.touch(this._token);
+        if (!session) {
+            this._forget();
+        }
+        return session !== null;
+    }
+
+    stepUp(password, code = null) {
+        return this._auth.stepUp(this._token, password, code);
+    }
+
+    // Every customer debit needs a live session, and transfers and payee payments from the
+    // step-up amount a recent re-authentication; money moved by the bank itself is not checked
+    refusal(request) {
+        if (request.direction !== "debit" || !request.channel) return null;
+        if ((request.actors || []).includes(SYSTEM_ACTOR)) return null;
+        if (!this.session) {
+            return { rule: "session", message: "Your session has ended; sign in again" };
+        }
+        if (STEP_UP_CHANNELS.includes(request.channel) && this._auth.needsStepUp(this._token, request.amount)) {
+            return {
+                rule: "stepUp",
+                message: `Confirm your password to transfer ${formatAmount(this._auth.stepUpThreshold(request.amount.currency))} or more`
+            };
+        }
+        return null;
+    }
+
+    _forget() {
+        this._token = null;
+        this._persistent.removeItem(SESSION_TOKEN_KEY);
+        this._transient.removeItem(SESSION_TOKEN_KEY);
+    }
+}
+
+// ===========================================
+// AUDIT LOG - HASH-CHAINED RECORD OF STATE CHANGES
+// ===========================================
+
+const AUDIT_STORAGE_KEY = "securebank.audit";
+
+// The latest entry's { sequence, hash }, kept under its own key so entries cut off the end are noticed.
+// It also lists the sealed segments and, once old ones are dropped, the { sequence, previousHash }
+// the oldest kept entry must have
+const AUDIT_HEAD_SUFFIX = ".head";
+
+// The newest entries stay under the storage key itself; every AUDIT_SEGMENT_SIZE entries they are
+// sealed under `<key>.segment.<first sequence>`, so an append rewrites one segment, not the whole log
+const AUDIT_SEGMENT_SUFFIX = ".segment.";
+const AUDIT_SEGMENT_SIZE = 250;
+
+// Sealed segments kept; beyond this, or when storage is full, the oldest is dropped
+const AUDIT_MAX_SEGMENTS = 40;
+
+// Previous hash of the first entry
+const AUDIT_GENESIS_HASH = "0".repeat(64);
+
+// Browsers name a full storage area differently; old Firefox used NS_ERROR_DOM_QUOTA_REACHED
+function isQuotaExceeded(error) {
+    return Boolean(error) && (error.name === "QuotaExceededError" || error.name === "NS_ERROR_DOM_QUOTA_REACHED" || error.code === 22);
+}
+
+const AUDIT_CATEGORIES = {
+    COMMAND: "command",
+    SETTINGS: "settings",
+    AUTH: "auth",
+    ACCOUNT: "account",
+    PAYEE: "payee"
+};
+
+const AUDIT_CATEGORY_LABELS = {
+    command: "Transactions",
+    settings: "Settings",
+    auth: "Sign-in & Security",
+    account: "Accounts & Customers",
+    payee: "Payees & Payments"
+};
+
+const AUDIT_OUTCOMES = {
+    SUCCESS: "success",
+    FAILURE: "failure"
+};
+
+// Auth events that are refusals rather than changes
+const FAILED_AUTH_EVENTS = ["sign_in_failed", "enrolment_failed", "locked_out"];
+
+// Registry events worth auditing; selecting a customer only changes the view
+const AUDITED_REGISTRY_EVENTS = ["customer_added", "customer_updated", "customer_removed", "account_opened", "status_changed", "account_closed", "holder_added", "holder_removed"];
+
+const SHA256_ROUND_CONSTANTS = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// FIPS 180-4 SHA-256 of a string's UTF-8 bytes, as hex. Synchronous, unlike WebCrypto's digest,
+// so entries are chained in exactly the order the changes happen.
+function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const words = new Uint32Array((((bytes.length + 8) >> 6) + 1) * 16);
+    bytes.forEach((byte, index) => {
+        words[index >> 2] |= byte << (24 - (index % 4) * 8);
+    });
+    words[bytes.length >> 2] |= 0x80 << (24 - (bytes.length % 4) * 8);
+    words[words.length - 2] = Math.floor(bytes.length / 0x20000000);
+    words[words.length - 1] = bytes.length * 8;
+
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const schedule = new Uint32Array(64);
+    for (let block = 0; block < words.length; block += 16) {
+        for (let t = 0; t < 64; t++) {
+            if (t < 16) {
+                schedule[t] = words[block + t];
+            } else {
+                const early = schedule[t - 15];
+                const late = schedule[t - 2];
+                schedule[t] = schedule[t - 16] + (rotate(early, 7) ^ rotate(early, 18) ^ (early >>> 3)) +
+                    schedule[t - 7] + (rotate(late, 17) ^ rotate(late, 19) ^ (late >>> 10));
+            }
+        }
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let t = 0; t < 64; t++) {
+            const first = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_ROUND_CONSTANTS[t] + schedule[t]) | 0;
+            const second = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + first) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (first + second) | 0;
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, index) => {
+            hash[index] = (hash[index] + value) | 0;
+        });
+    }
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, "0")).join("");
+}
+
+// Audit Entry - one immutable record. Its hash covers every field and the previous entry's hash,
+// so changing, inserting or removing an entry breaks the chain from that point on.
+class AuditEntry {
+    constructor(data) {
+        this._sequence = data.sequence;
+        this._timestamp = data.timestamp;
+        this._category = data.category;
+        this._action = data.action;
+        this._outcome = data.outcome || AUDIT_OUTCOMES.SUCCESS;
+        this._actor = data.actor || SYSTEM_ACTOR;
+        this._subject = data.subject || "";
+        this._reason = data.reason || "";
+        this._before = data.before || null;
+        this._after = data.after || null;
+        this._previousHash = data.previousHash;
+        this._hash = data.hash || this.computeHash();
+        Object.freeze(this);
+    }
+
+    get sequence() { return this._sequence; }
+    get timestamp() { return this._timestamp; }
+    get category() { return this._category; }
+    get action() { return this._action; }
+    get outcome() { return this._outcome; }
+    get actor() { return this._actor; }
+    get subject() { return this._subject; }
+    get reason() { return this._reason; }
+    get before() { return this._before ? { ...this._before } : null; }
+    get after() { return this._after ? { ...this._after } : null; }
+    get previousHash() { return this._previousHash; }
+    get hash() { return this._hash; }
+
+    // Fixed field order, so the hash does not depend on how the entry was stored
+    computeHash() {
+        return sha256Hex(JSON.stringify([
+            this._sequence, this._timestamp.toISOString(), this._category, this._action, this._outcome,
+            this._actor, this._subject, this._reason, this._before, this._after, this._previousHash
+        ]));
+    }
+
+    toJSON() {
+        return {
+            sequence: this._sequence,
+            timestamp: this._timestamp.toISOString(),
+            category: this._category,
+            action: this._action,
+            outcome: this._outcome,
+            actor: this._actor,
+            subject: this._subject,
+            reason: this._reason,
+            before: this._before,
+            after: this._after,
+            previousHash: this._previousHash,
+            hash: this._hash
+        };
+    }
+
+    static fromJSON(data) {
+        return new AuditEntry({ ...data, timestamp: new Date(data.timestamp) });
+    }
+}
+
+// Audit Log - append-only, hash-chained record of commands, settings changes, sign-ins and
+// account changes. Entries are never edited or removed; verify() finds the first one that was,
+// and compares the chain with the head written alongside it to catch entries cut off the end.
+// Anyone able to rewrite storage could rebuild the whole chain, so the head hash is shown for
+// noting elsewhere.
+class AuditLog {
+    constructor(backend, key = AUDIT_STORAGE_KEY, clock = null, segmentSize = AUDIT_SEGMENT_SIZE, maxSegments = AUDIT_MAX_SEGMENTS) {
+        this._backend = backend;
+        this._key = key;
+        this._headKey = `${key}${AUDIT_HEAD_SUFFIX}`;
+        this._clock = clock;
+        this._segmentSize = segmentSize;
+        this._maxSegments = maxSegments;
+        this._actorResolver = null;
+    }
+
+    // Supplies the actor for changes that do not carry their own, e.g. the signed-in customer
+    setActor(resolver) {
+        this._actorResolver = resolver;
+    }
+
+    // Oldest first; re-read each time as other tabs append to the same chain
+    get entries() {
+        return this._read().map(data => AuditEntry.fromJSON(data));
+    }
+
+    get headHash() {
+        const stored = this._read();
+        return stored.length > 0 ? stored[stored.length - 1].hash : AUDIT_GENESIS_HASH;
+    }
+
+    // Appends { category, action, outcome, actor, subject, reason, before, after } to the chain.
+    // A full storage area drops the oldest sealed segments until the entry fits; with none left
+    // the write fails like any other
+    record(details) {
+        // Resolved before reading, as resolving may itself record (e.g. an idle session expiring)
+        const actor = details.actor || (this._actorResolver ? this._actorResolver() : null);
+        const head = this._readHead() || { sequence: 0, hash: AUDIT_GENESIS_HASH, segments: [], base: null };
+        let open = this._readSegment(this._key);
+        const previous = open[open.length - 1] || (head.sequence > 0 ? head : null);
+        const entry = new AuditEntry({
+            ...details,
+            actor,
+            sequence: previous ? previous.sequence + 1 : 1,
+            timestamp: this._now(),
+            previousHash: previous ? previous.hash : AUDIT_GENESIS_HASH
+        });
+        if (open.length >= this._segmentSize) {
+            this._write(this._segmentKey(open[0].sequence), open, head);
+            head.segments = [...head.segments, open[0].sequence];
+            open = [];
+        }
+        while (head.segments.length > this._maxSegments) {
+            this._dropOldestSegment(head);
+        }
+        open.push(entry.toJSON());
+        this._write(this._key, open, head);
+        this._write(this._headKey, { ...head, sequence: entry.sequence, hash: entry.hash }, head);
+        return entry;
+    }
+
+    // Entries matching every given criterion: category, outcome, actor, text, from, to; newest first
+    filter(criteria = {}) {
+        const text = (criteria.text || "").trim().toLowerCase();
+        return this.entries
+            .filter(entry => !criteria.category || entry.category === criteria.category)
+            .filter(entry => !criteria.outcome || entry.outcome === criteria.outcome)
+            .filter(entry => !criteria.actor || entry.actor === criteria.actor)
+            .filter(entry => !criteria.from || entry.timestamp >= criteria.from)
+            .filter(entry => !criteria.to || entry.timestamp <= criteria.to)
+            .filter(entry => !text || [entry.action, entry.subject, entry.reason, entry.actor]
+                .some(field => field.toLowerCase().includes(text)))
+            .reverse();
+    }
+
+    // Walks the chain from its oldest kept entry, then checks it ends at the recorded head;
+    // returns { valid, checked, headHash, brokenAt, problem }
+    verify() {
+        let stored;
+        let head;
+        try {
+            stored = this._read();
+            head = this._readHead();
+        } catch (error) {
+            return { valid: false, checked: 0, headHash: null, brokenAt: 1, problem: `The log cannot be read: ${error.message}` };
+        }
+        const first = head && head.base ? head.base.sequence : 1;
+        let previousHash = head && head.base ? head.base.previousHash : AUDIT_GENESIS_HASH;
+        for (let index = 0; index < stored.length; index++) {
+            const data = stored[index];
+            const broken = problem => ({ valid: false, checked: index, headHash: stored[stored.length - 1].hash, brokenAt: first + index, problem });
+            if (data.sequence !== first + index) {
+                return broken(`Entry ${first + index} is numbered ${data.sequence}; entries were removed or reordered`);
+            }
+            if (data.previousHash !== previousHash) {
+                return broken(`Entry ${data.sequence} does not follow the entry before it`);
+            }
+            let recomputed;
+            try {
+                recomputed = AuditEntry.fromJSON({ ...data, hash: null }).hash;
+            } catch (error) {
+                return broken(`Entry ${data.sequence} is unreadable: ${error.message}`);
+            }
+            if (recomputed !== data.hash) {
+                return broken(`Entry ${data.sequence} was modified after it was written`);
+            }
+            previousHash = data.hash;
+        }
+
+        const last = first + stored.length - 1;
+        const truncated = problem => ({ valid: false, checked: stored.length, headHash: previousHash, brokenAt: last + 1, problem });
+        if (!head) {
+            return stored.length > 0
+                ? truncated("The record of the latest entry is missing, so removed entries cannot be ruled out")
+                : { valid: true, checked: 0, headHash: previousHash, brokenAt: null, problem: null };
+        }
+        if (last < head.sequence) {
+            const removed = head.sequence - last;
+            return truncated(stored.length === 0
+                ? `All ${removed} entries were removed`
+                : `${removed} entries were removed from the end of the log; it should end at entry ${head.sequence}`);
+        }
+        if (last > head.sequence || head.hash !== previousHash) {
+            return truncated(`The log does not end at the recorded entry ${head.sequence}`);
+        }
+        return { valid: true, checked: stored.length, headHash: previousHash, brokenAt: null, problem: null };
+    }
+
+    // Command attempts, undos, redos and reverts, as reported by the command invoker
+    recordCommand(action, command, before, error = null) {
+        const data = command.toJSON();
+        const actors = command.actors || [];
+        this.record({
+            category: AUDIT_CATEGORIES.COMMAND,
+            action: `${data.kind}.${action}`,
+            outcome: error ? AUDIT_OUTCOMES.FAILURE : AUDIT_OUTCOMES.SUCCESS,
+            actor: actors.length > 0 ? actors.join(", ") : null,
+            subject: command.id,
+            reason: error ? `${data.description}: ${error.message}` : data.description,
+            before,
+            after: auditBalances(command.accounts)
+        });
+    }
+
+    // The command invoker's log and undo stacks were emptied
+    recordHistoryCleared(count) {
+        this.record({
+            category: AUDIT_CATEGORIES.COMMAND,
+            action: "history.cleared",
+            reason: `Cleared ${count} command records`
+        });
+    }
+
+    // Settings store changes; only the keys whose values changed are kept
+    recordSettingsChange(change) {
+        const changed = Object.keys(change.after).filter(name =>
+            JSON.stringify(change.before[name]) !== JSON.stringify(change.after[name]));
+        if (change.type === "updated" && changed.length === 0) return;
+        const pick = values => Object.fromEntries(changed.map(name => [name, JSON.stringify(values[name])]));
+        this.record({
+            category: AUDIT_CATEGORIES.SETTINGS,
+            action: `settings.${change.type}`,
+            subject: changed.join(", "),
+            reason: change.type === "reset" ? "Settings reset to defaults" : `Changed ${changed.join(", ")}`,
+            before: pick(change.before),
+            after: pick(change.after)
+        });
+    }
+
+    // Auth service events; the session token itself never reaches the log
+    recordAuthEvent(event) {
+        this.record({
+            category: AUDIT_CATEGORIES.AUTH,
+            action: `auth.${event.type}`,
+            outcome: FAILED_AUTH_EVENTS.includes(event.type) ? AUDIT_OUTCOMES.FAILURE : AUDIT_OUTCOMES.SUCCESS,
+            actor: event.customerId,
+            subject: event.sessionId ? `session ${sha256Hex(event.sessionId).slice(0, 12)}` : event.customerId,
+            reason: event.type.replace(/_/g, " ")
+        });
+    }
+
+    // Customer registry events: accounts opened, closed or changing status, and holder changes
+    recordRegistryEvent(event) {
+        if (!AUDITED_REGISTRY_EVENTS.includes(event.type)) return;
+        const account = event.account || null;
+        const status = event.type === "status_changed" ? event.event : null;
+        this.record({
+            category: AUDIT_CATEGORIES.ACCOUNT,
+            action: `registry.${event.type}`,
+            subject: account ? account.accountNumber : event.customer.id,
+            reason: status ? status.message : event.type === "holder_added" || event.type === "holder_removed"
+                ? `${event.type === "holder_added" ? "Added" : "Removed"} holder ${event.customer.name}`
+                : event.type.replace(/_/g, " "),
+            before: status ? { status: status.from } : null,
+            after: account ? { status: account.status, balance: formatAmount(account.balance) } : null
+        });
+    }
+
+    // Beneficiary book changes, and payments settling or failing on their rails. Sending a
+    // payment is audited as its command; settlement is the bank's doing, so its actor is the system
+    recordPayeeEvent(event) {
+        if (event.order) {
+            if (event.type === "submitted") return;
+            const order = event.order;
+            const failed = event.type === PAYMENT_STATUSES.FAILED;
+            this.record({
+                category: AUDIT_CATEGORIES.PAYEE,
+                action: `payment.${event.type}`,
+                outcome: failed ? AUDIT_OUTCOMES.FAILURE : AUDIT_OUTCOMES.SUCCESS,
+                actor: SYSTEM_ACTOR,
+                subject: order.reference || order.id,
+                reason: failed
+                    ? `${order.description}: ${order.reason}${order.refundError ? `; refund not credited: ${order.refundError}` : "; refunded"}`
+                    : `${order.description} to ${order.beneficiary.label} via ${order.rail}`,
+                before: { status: PAYMENT_STATUSES.PENDING },
+                after: { status: order.status, ...auditBalances([order.account]) }
+            });
+            return;
+        }
+        if (!event.beneficiary) return;
+        const beneficiary = event.beneficiary;
+        const details = data => ({
+            name: data.name,
+            nickname: data.nickname,
+            account: `****${data.accountNumber.slice(-4)}`,
+            bankCode: data.bankCode
+        });
+        this.record({
+            category: AUDIT_CATEGORIES.PAYEE,
+            action: `payee.${event.type}`,
+            outcome: event.type === "verification_failed" ? AUDIT_OUTCOMES.FAILURE : AUDIT_OUTCOMES.SUCCESS,
+            subject: beneficiary.id,
+            reason: `${beneficiary.label} (${beneficiary.maskedAccount} at ${beneficiary.bankCode})${event.reason ? `: ${event.reason}` : ""}`,
+            before: event.before ? details(event.before) : null,
+            after: event.type === "removed" ? null : details(beneficiary)
+        });
+    }
+
+    _now() {
+        return (this._clock || bankingClock).now();
+    }
+
+    // Every kept entry, oldest first: the sealed segments the head lists, then the open one
+    _read() {
+        const head = this._readHead();
+        const sealed = head ? head.segments.flatMap(first => {
+            if (this._backend.getItem(this._segmentKey(first)) === null) {
+                throw new Error(`Audit log segment starting at entry ${first} is missing`);
+            }
+            return this._readSegment(this._segmentKey(first));
+        }) : [];
+        return sealed.concat(this._readSegment(this._key));
+    }
+
+    // Unreadable storage is an error rather than an empty log, so nothing is appended over it
+    _readSegment(key) {
+        const raw = this._backend.getItem(key);
+        if (!raw) return [];
+        const stored = JSON.parse(raw);
+        if (!Array.isArray(stored)) {
+            throw new Error("Audit log storage is not a list of entries");
+        }
+        return stored;
+    }
+
+    // { sequence, hash, segments, base } for the latest entry written, or null before the first
+    _readHead() {
+        const raw = this._backend.getItem(this._headKey);
+        if (!raw) return null;
+        const head = JSON.parse(raw);
+        if (!head || !Number.isInteger(head.sequence) || typeof head.hash !== "string") {
+            throw new Error("Audit log head record is malformed");
+        }
+        return { sequence: head.sequence, hash: head.hash, segments: head.segments || [], base: head.base || null };
+    }
+
+    _segmentKey(first) {
+        return `${this._key}${AUDIT_SEGMENT_SUFFIX}${first}`;
+    }
+
+    // Removes the oldest sealed segment and moves the chain's starting point past it. The stored head
+    // is updated straight away, so the log verifies whether or not the write that follows succeeds
+    _dropOldestSegment(head) {
+        const [oldest, ...rest] = head.segments;
+        const dropped = this._readSegment(this._segmentKey(oldest));
+        const lastDropped = dropped[dropped.length - 1];
+        head.segments = rest;
+        head.base = { sequence: lastDropped.sequence + 1, previousHash: lastDropped.hash };
+        this._backend.setItem(this._headKey, JSON.stringify(head));
+        this._backend.removeItem(this._segmentKey(oldest));
+    }
+
+    // Writes one storage entry, dropping old segments while the storage area is full
+    _write(key, value, head) {
+        for (;;) {
+            try {
+                this._backend.setItem(key, JSON.stringify(value));
+                return;
+            } catch (error) {
+                if (!isQuotaExceeded(error) || head.segments.length === 0) throw error;
+                this._dropOldestSegment(head);
+            }
+        }
+    }
+}
+
+// ===========================================
+// NOTIFICATIONS - DISPATCHER, CHANNELS & PREFERENCES
+// ===========================================
+
+const NOTIFICATION_INBOX_KEY = "securebank.inbox";
+const NOTIFICATION_QUEUE_KEY = "securebank.notifications.queue";
+const EMAIL_OUTBOX_KEY = "securebank.outbox.email";
+const SMS_OUTBOX_KEY = "securebank.outbox.sms";
+
+// What a notification is about; each has its own preferences
+const NOTIFICATION_EVENTS = {
+    TRANSACTION: "transaction",
+    INTEREST: "interest",
+    ACCOUNT: "account",
+    BUDGET: "budget",
+    PAYMENT: "payment",
+    LOGIN: "login"
+};
+
+const NOTIFICATION_EVENT_LABELS = {
+    transaction: "Transactions",
+    interest: "Interest",
+    account: "Account status & overdraft",
+    budget: "Budget alerts",
+    payment: "Payments to beneficiaries",
+    login: "Sign-ins & security"
+};
+
+const NOTIFICATION_CHANNELS = {
+    TOAST: "toast",
+    INBOX: "inbox",
+    EMAIL: "email",
+    SMS: "sms"
+};
+
+const NOTIFICATION_CHANNEL_LABELS = {
+    toast: "Pop-up",
+    inbox: "Inbox",
+    email: "Email",
+    sms: "SMS"
+};
+
+// Quiet hours and digests hold back outbound channels only; times are local "HH:MM"
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    events: {
+        transaction: { enabled: true, channels: ["inbox"] },
+        interest: { enabled: true, channels: ["toast", "inbox"] },
+        account: { enabled: true, channels: ["toast", "inbox", "email"] },
+        budget: { enabled: true, channels: ["toast", "inbox"] },
+        payment: { enabled: true, channels: ["toast", "inbox"] },
+        login: { enabled: true, channels: ["inbox", "email"] }
+    },
+    quietHours: { enabled: false, start: "22:00", end: "07:00" },
+    digest: { enabled: false, intervalMinutes: 60 }
+};
+
+// Titles and bodies fill {{name}} placeholders from plain-text values; channels that write
+// HTML escape the result. Urgent ones skip quiet hours and digests.
+const NOTIFICATION_TEMPLATES = {
+    credit: { event: "transaction", level: "success", title: "Money received", body: "{{amount}} credited to {{account}}: {{description}}. Balance {{balance}}" },
+    debit: { event: "transaction", level: "info", title: "Money sent", body: "{{amount}} debited from {{account}}: {{description}}. Balance {{balance}}" },
+    interest: { event: "interest", level: "success", title: "Interest credited", body: "{{amount}} interest credited to {{account}}. Balance {{balance}}" },
+    account: { event: "account", level: "warning", title: "Account update", body: "{{message}}" },
+    loan_overdue: { event: "account", level: "error", title: "EMI overdue", body: "{{message}}", urgent: true },
+    loan_repaid: { event: "account", level: "success", title: "Loan repaid", body: "{{message}}" },
+    budget: { event: "budget", level: "warning", title: "Budget alert", body: "{{message}}" },
+    payment_settled: { event: "payment", level: "success", title: "Payment settled", body: "{{amount}} to {{payee}} settled via {{rail}} (ref {{reference}})" },
+    payment_failed: { event: "payment", level: "error", title: "Payment failed", body: "{{amount}} to {{payee}} failed: {{reason}}. {{refund}}", urgent: true },
+    signed_in: { event: "login", level: "info", title: "New sign-in", body: "{{name}} signed in on {{time}}" },
+    sign_in_failed: { event: "login", level: "error", title: "Failed sign-in", body: "A sign-in as {{name}} failed on {{time}}. If this was not you, change your password", urgent: true },
+    password_changed: { event: "login", level: "warning", title: "Password changed", body: "The password for {{name}} was changed on {{time}} and other devices were signed out", urgent: true },
+    two_factor_enabled: { event: "login", level: "success", title: "Two-factor on", body: "Two-factor authentication was turned on for {{name}} on {{time}}", urgent: true },
+    two_factor_disabled: { event: "login", level: "warning", title: "Two-factor off", body: "Two-factor authentication was turned off for {{name}} on {{time}}", urgent: true },
+    locked_out: { event: "login", level: "error", title: "Sign-in locked", body: "Sign-in as {{name}} was locked on {{time}} after repeated failed attempts", urgent: true },
+    digest: { event: null, level: "info", title: "{{count}} updates from SecureBank", body: "{{items}}" }
+};
+
+// Auth service events customers are told about
+const NOTIFIED_AUTH_EVENTS = ["signed_in", "sign_in_failed", "password_changed", "two_factor_enabled", "two_factor_disabled", "locked_out"];
+
+// Most notifications kept per customer in the inbox, and messages kept in each local outbox
+const INBOX_LIMIT = 200;
+const OUTBOX_LIMIT = 50;
+
+const SMS_MAX_LENGTH = 160;
+
+function createNotificationId() {
+    return `NTF-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Fills {{name}} placeholders; missing values leave an empty string
+function fillTemplate(text, values) {
+    return text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+        values[name] === undefined || values[name] === null ? "" : String(values[name]));
+}
+
+// Minutes past midnight for a local "HH:MM", or null when it is not a time of day
+function parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Whether `date` falls inside quiet hours; a start after the end spans midnight
+function inQuietHours(quietHours, date) {
+    if (!quietHours.enabled) return false;
+    const start = parseClockTime(quietHours.start);
+    const end = parseClockTime(quietHours.end);
+    if (start === null || end === null) return false;
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// Template and values for an event a customer hears about as an observer, or null for events not notified
+function customerNotificationFor(event, account = null) {
+    if (event instanceof BudgetAlert) {
+        return { template: "budget", values: { message: event.message, level: event.level } };
+    }
+    if (event instanceof OverdraftEvent || event instanceof AccountStatusEvent) {
+        return { template: "account", values: { message: event.message, level: event.type === "overdraft_cleared" ? "success" : "warning" } };
+    }
+    if (event instanceof LoanEvent) {
+        return { template: event.type === "loan_repaid" ? "loan_repaid" : "loan_overdue", values: { message: event.message } };
+    }
+    if (event instanceof Transaction) {
+        const values = {
+            amount: formatAmount(event.amount),
+            account: account ? account.accountNumber : "your account",
+            description: event.description,
+            balance: formatAmount(event.balance)
+        };
+        if (event.type === "interest") return { template: "interest", values };
+        return { template: event.direction === "credit" ? "credit" : "debit", values };
+    }
+    return null;
+}
+
+// Customer Notification - one rendered message for one customer
+class CustomerNotification {
+    constructor(options) {
+        this._id = options.id || createNotificationId();
+        this._customerId = options.customerId;
+        this._event = options.event;
+        this._template = options.template;
+        this._level = options.level;
+        this._title = options.title;
+        this._message = options.message;
+        this._urgent = Boolean(options.urgent);
+        this._timestamp = new Date(options.timestamp);
+        this._read = Boolean(options.read);
     }
 
-    // Encapsulation - Private properties with getters/setters
-    get balance() {
-        return this._balance;
+    get id() { return this._id; }
+    get customerId() { return this._customerId; }
+    get event() { return this._event; }
+    get template() { return this._template; }
+    get level() { return this._level; }
+    get title() { return this._title; }
+    get message() { return this._message; }
+    get urgent() { return this._urgent; }
+    get timestamp() { return new Date(this._timestamp); }
+    get read() { return this._read; }
+
+    toJSON() {
+        return {
+            id: this._id,
+            customerId: this._customerId,
+            event: this._event,
+            template: this._template,
+            level: this._level,
+            title: this._title,
+            message: this._message,
+            urgent: this._urgent,
+            timestamp: this._timestamp.toISOString(),
+            read: this._read
+        };
     }
 
-    get accountNumber() {
-        return this._accountNumber;
+    static fromJSON(data) {
+        return new CustomerNotification(data);
     }
+}
 
-    get transactionHistory() {
-        return [...this._transactionHistory]; // Return copy for encapsulation
+// Notification Inbox - every customer's in-app messages with read/unread state.
+// Re-read from storage on each use, as other tabs add to it too.
+class NotificationInbox {
+    constructor(backend, key = NOTIFICATION_INBOX_KEY, limit = INBOX_LIMIT) {
+        this._backend = backend;
+        this._key = key;
+        this._limit = limit;
+        this._observers = [];
     }
 
-    // Observer Pattern - Subject methods
+    // Observer Pattern - notified whenever messages arrive or are read or removed
     addObserver(observer) {
         this._observers.push(observer);
     }
@@ -33,355 +3087,1091 @@ class BaseAccount {
         this._observers = this._observers.filter(obs => obs !== observer);
     }
 
-    notifyObservers(transaction) {
-        this._observers.forEach(observer => observer.update(transaction));
+    notifyObservers(change) {
+        this._observers.forEach(observer => observer.update(change));
     }
 
-    // Abstract method - to be implemented by subclasses
-    calculateInterest() {
-        throw new Error("calculateInterest must be implemented by subclass");
+    // Newest first
+    forCustomer(customerId) {
+        return this._read()
+            .filter(data => data.customerId === customerId)
+            .map(data => CustomerNotification.fromJSON(data))
+            .reverse();
     }
 
-    // Deposit method
-    deposit(amount, description = "Deposit") {
-        if (amount <= 0) {
-            throw new Error("Amount must be positive");
-        }
-        this._balance += amount;
-        const transaction = new Transaction("deposit", amount, description, this._balance);
-        this._transactionHistory.push(transaction);
-        this.notifyObservers(transaction);
-        return transaction;
+    unreadCount(customerId) {
+        return this._read().filter(data => data.customerId === customerId && !data.read).length;
     }
 
-    // Withdraw method
-    withdraw(amount, description = "Withdrawal") {
-        if (amount <= 0) {
-            throw new Error("Amount must be positive");
+    // The oldest messages of the customer beyond the limit are dropped
+    add(notification) {
+        const stored = this._read();
+        stored.push(notification.toJSON());
+        const own = stored.filter(data => data.customerId === notification.customerId);
+        const dropped = new Set(own.slice(0, Math.max(0, own.length - this._limit)));
+        this._write(stored.filter(data => !dropped.has(data)));
+        this.notifyObservers({ type: "added", notification });
+    }
+
+    markRead(id) {
+        this._change(data => data.id === id, data => ({ ...data, read: true }), "read");
+    }
+
+    markAllRead(customerId) {
+        this._change(data => data.customerId === customerId, data => ({ ...data, read: true }), "read");
+    }
+
+    remove(id) {
+        const stored = this._read();
+        this._write(stored.filter(data => data.id !== id));
+        this.notifyObservers({ type: "removed", id });
+    }
+
+    _change(predicate, change, type) {
+        this._write(this._read().map(data => predicate(data) ? change(data) : data));
+        this.notifyObservers({ type });
+    }
+
+    _read() {
+        try {
+            const stored = JSON.parse(this._backend.getItem(this._key) || "[]");
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error("Notification inbox unreadable, starting empty:", error.message);
+            return [];
         }
-        if (amount > this._balance) {
-            throw new Error("Insufficient balance");
+    }
+
+    _write(stored) {
+        this._backend.setItem(this._key, JSON.stringify(stored));
+    }
+}
+
+// Message Transport Interface - send({ to, subject, body }) hands a message to an email or SMS gateway
+class MessageTransport {
+    send(message) {
+        throw new Error("send method must be implemented");
+    }
+}
+
+// Local Outbox Transport - a stub gateway that keeps sent messages in storage so they can be inspected
+class LocalOutboxTransport extends MessageTransport {
+    constructor(backend, key, limit = OUTBOX_LIMIT, clock = null) {
+        super();
+        this._backend = backend;
+        this._key = key;
+        this._limit = limit;
+        this._clock = clock;
+    }
+
+    // Newest first
+    get messages() {
+        return this._read().reverse().map(message => ({ ...message, sentAt: new Date(message.sentAt) }));
+    }
+
+    send(message) {
+        const sent = { ...message, id: createNotificationId(), sentAt: (this._clock || bankingClock).now().toISOString() };
+        this._backend.setItem(this._key, JSON.stringify(this._read().concat(sent).slice(-this._limit)));
+        return sent;
+    }
+
+    _read() {
+        try {
+            const stored = JSON.parse(this._backend.getItem(this._key) || "[]");
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
         }
-        this._balance -= amount;
-        const transaction = new Transaction("withdraw", amount, description, this._balance);
-        this._transactionHistory.push(transaction);
-        this.notifyObservers(transaction);
-        return transaction;
     }
 }
 
-// Savings Account - Inheritance
-class SavingsAccount extends BaseAccount {
-    constructor(accountNumber, initialBalance = 0) {
-        super(accountNumber, initialBalance);
-        this._interestRate = 4.5; // 4.5% annual interest
+// Notification Channel Interface - deliver(notification, recipient) returns true once delivered
+class NotificationChannel {
+    get name() {
+        throw new Error("name getter must be implemented");
+    }
+
+    // Outbound channels honour quiet hours and digests; in-app ones deliver at once
+    get deferrable() {
+        return false;
+    }
+
+    deliver(notification, recipient) {
+        throw new Error("deliver method must be implemented");
+    }
+}
+
+// Pop-up on the open page, shown only to the customer using it
+class ToastChannel extends NotificationChannel {
+    constructor(isPresent = () => true, show = (level, message, title) => showNotification(level, message, title)) {
+        super();
+        this._isPresent = isPresent;
+        this._show = show;
     }
 
-    // Polymorphism - Override calculateInterest
-    calculateInterest() {
-        return (this._balance * this._interestRate) / 100;
+    get name() {
+        return NOTIFICATION_CHANNELS.TOAST;
     }
 
-    get interestRate() {
-        return this._interestRate;
+    deliver(notification) {
+        if (!this._isPresent(notification.customerId)) return false;
+        this._show(notification.level, notification.message, notification.title);
+        return true;
     }
 }
 
-// Current Account - Inheritance
-class CurrentAccount extends BaseAccount {
-    constructor(accountNumber, initialBalance = 0) {
-        super(accountNumber, initialBalance);
-        this._interestRate = 2.0; // 2% annual interest
+class InboxChannel extends NotificationChannel {
+    constructor(inbox) {
+        super();
+        this._inbox = inbox;
     }
 
-    // Polymorphism - Override calculateInterest
-    calculateInterest() {
-        return (this._balance * this._interestRate) / 100;
+    get name() {
+        return NOTIFICATION_CHANNELS.INBOX;
     }
 
-    get interestRate() {
-        return this._interestRate;
+    deliver(notification) {
+        this._inbox.add(notification);
+        return true;
     }
 }
 
-// Fixed Deposit Account - Inheritance
-class FixedDepositAccount extends BaseAccount {
-    constructor(accountNumber, initialBalance = 0, tenure = 12) {
-        super(accountNumber, initialBalance);
-        this._tenure = tenure; // months
-        this._interestRate = 7.5; // 7.5% annual interest
+class EmailChannel extends NotificationChannel {
+    constructor(transport) {
+        super();
+        this._transport = transport;
     }
 
-    // Polymorphism - Override calculateInterest
-    calculateInterest() {
-        return (this._balance * this._interestRate * this._tenure) / (12 * 100);
+    get name() {
+        return NOTIFICATION_CHANNELS.EMAIL;
     }
 
-    get interestRate() {
-        return this._interestRate;
+    get deferrable() {
+        return true;
     }
 
-    get tenure() {
-        return this._tenure;
+    deliver(notification, recipient) {
+        if (!recipient.email) return false;
+        this._transport.send({
+            to: recipient.email,
+            subject: `SecureBank: ${notification.title}`,
+            body: `Dear ${recipient.name},\n\n${notification.message}\n\nSecureBank`
+        });
+        return true;
     }
 }
 
-// Transaction Class - Encapsulation
-class Transaction {
-    constructor(type, amount, description, balance, timestamp = new Date()) {
-        this._type = type;
-        this._amount = amount;
-        this._description = description;
-        this._balance = balance;
-        this._timestamp = timestamp;
-        this._id = Date.now() + Math.random();
+class SmsChannel extends NotificationChannel {
+    constructor(transport) {
+        super();
+        this._transport = transport;
     }
 
-    get type() { return this._type; }
-    get amount() { return this._amount; }
-    get description() { return this._description; }
-    get balance() { return this._balance; }
-    get timestamp() { return this._timestamp; }
-    get id() { return this._id; }
+    get name() {
+        return NOTIFICATION_CHANNELS.SMS;
+    }
+
+    get deferrable() {
+        return true;
+    }
+
+    // Cut to a single SMS
+    deliver(notification, recipient) {
+        if (!recipient.phone) return false;
+        const text = `SecureBank: ${notification.message}`;
+        this._transport.send({
+            to: recipient.phone,
+            subject: null,
+            body: text.length > SMS_MAX_LENGTH ? `${text.slice(0, SMS_MAX_LENGTH - 1)}…` : text
+        });
+        return true;
+    }
 }
 
-// Customer Class - Observer
-class Customer {
-    constructor(name, email) {
-        this._name = name;
-        this._email = email;
-        this._notifications = [];
+// Notification Dispatcher - renders a template for a customer and sends it over the channels
+// their preferences choose. Outbound messages held for quiet hours or a digest are queued in
+// storage and sent by flush(), several at once as a single digest.
+class NotificationDispatcher {
+    constructor(channels = [], options = {}) {
+        this._channels = [...channels];
+        this._backend = options.backend || null;
+        this._key = options.key || NOTIFICATION_QUEUE_KEY;
+        this._clock = options.clock || null;
+        this._memoryQueue = { items: [], lastSent: {} };
+        this.setPreferences(options.preferences || DEFAULT_NOTIFICATION_SETTINGS);
     }
 
-    get name() { return this._name; }
-    get email() { return this._email; }
-    get notifications() { return [...this._notifications]; }
-
-    // Observer Pattern - Update method
-    update(transaction) {
-        const notification = {
-            id: Date.now(),
-            message: `Transaction on account ${transaction.balance}: ${transaction.type.toUpperCase()} of ₹${transaction.amount}`,
-            timestamp: new Date(),
-            transaction: transaction
+    get channels() {
+        return [...this._channels];
+    }
+
+    get preferences() {
+        return JSON.parse(JSON.stringify(this._preferences));
+    }
+
+    // Merges over the defaults per event, so a partial configuration keeps the rest
+    setPreferences(preferences) {
+        const events = {};
+        Object.keys(DEFAULT_NOTIFICATION_SETTINGS.events).forEach(event => {
+            events[event] = { ...DEFAULT_NOTIFICATION_SETTINGS.events[event], ...((preferences.events || {})[event] || {}) };
+        });
+        this._preferences = {
+            events,
+            quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(preferences.quietHours || {}) },
+            digest: { ...DEFAULT_NOTIFICATION_SETTINGS.digest, ...(preferences.digest || {}) }
+        };
+    }
+
+    // Messages waiting for quiet hours to end or for the next digest
+    get queued() {
+        return this._readQueue().items.map(item => ({ ...item, notification: CustomerNotification.fromJSON(item.notification) }));
+    }
+
+    // Sends templateName to recipient ({ id, name, email, phone }); values may override the level.
+    // Returns the notification, or null when the customer has switched the event off
+    notify(recipient, templateName, values = {}) {
+        const template = NOTIFICATION_TEMPLATES[templateName];
+        if (!template) {
+            throw new Error(`Unknown notification template: ${templateName}`);
+        }
+        const preference = this._preferences.events[template.event];
+        if (!preference || !preference.enabled) return null;
+
+        const now = this._now();
+        const notification = new CustomerNotification({
+            customerId: recipient.id,
+            event: template.event,
+            template: templateName,
+            level: values.level || template.level,
+            title: fillTemplate(template.title, values),
+            message: fillTemplate(template.body, values),
+            urgent: template.urgent,
+            timestamp: now
+        });
+        const held = !notification.urgent && (this._preferences.digest.enabled || inQuietHours(this._preferences.quietHours, now));
+        this._channels
+            .filter(channel => preference.channels.includes(channel.name))
+            .forEach(channel => {
+                if (channel.deferrable && held) {
+                    this._enqueue(channel, notification, recipient);
+                } else {
+                    this._deliver(channel, notification, recipient);
+                }
+            });
+        return notification;
+    }
+
+    // Sends what is queued once quiet hours are over and, for digests, the interval has passed
+    // since the recipient's last one on that channel. Returns the number of messages sent.
+    flush(now = this._now()) {
+        if (inQuietHours(this._preferences.quietHours, now)) return 0;
+        const queue = this._readQueue();
+        const intervalMs = this._preferences.digest.enabled ? this._preferences.digest.intervalMinutes * 60 * 1000 : 0;
+        const groups = new Map();
+        queue.items.forEach(item => {
+            const key = `${item.channel}|${item.recipient.id}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+
+        let sent = 0;
+        const remaining = [];
+        groups.forEach((items, key) => {
+            const channel = this._channels.find(candidate => candidate.name === items[0].channel);
+            const lastSent = queue.lastSent[key] ? new Date(queue.lastSent[key]).getTime() : 0;
+            if (!channel || now.getTime() - lastSent < intervalMs) {
+                if (channel) remaining.push(...items);
+                return;
+            }
+            const notifications = items.map(item => CustomerNotification.fromJSON(item.notification));
+            this._deliver(channel, notifications.length === 1 ? notifications[0] : this._digest(notifications, now), items[0].recipient);
+            queue.lastSent[key] = now.toISOString();
+            sent += notifications.length;
+        });
+        this._writeQueue({ items: remaining, lastSent: queue.lastSent });
+        return sent;
+    }
+
+    _digest(notifications, now) {
+        const values = {
+            count: notifications.length,
+            items: notifications.map(notification => `- ${notification.title}: ${notification.message}`).join("\n")
         };
-        this._notifications.push(notification);
-        this.displayNotification(notification);
+        return new CustomerNotification({
+            customerId: notifications[0].customerId,
+            event: null,
+            template: "digest",
+            level: NOTIFICATION_TEMPLATES.digest.level,
+            title: fillTemplate(NOTIFICATION_TEMPLATES.digest.title, values),
+            message: fillTemplate(NOTIFICATION_TEMPLATES.digest.body, values),
+            timestamp: now
+        });
+    }
+
+    // A failing channel must not stop the others or the change that caused the notification
+    _deliver(channel, notification, recipient) {
+        try {
+            return channel.deliver(notification, recipient);
+        } catch (error) {
+            console.error(`Failed to deliver ${channel.name} notification:`, error.message);
+            return false;
+        }
+    }
+
+    _enqueue(channel, notification, recipient) {
+        const queue = this._readQueue();
+        queue.items.push({
+            channel: channel.name,
+            recipient: { id: recipient.id, name: recipient.name, email: recipient.email || "", phone: recipient.phone || "" },
+            notification: notification.toJSON()
+        });
+        this._writeQueue(queue);
+    }
+
+    _readQueue() {
+        if (!this._backend) return this._memoryQueue;
+        try {
+            const stored = JSON.parse(this._backend.getItem(this._key) || "null");
+            return stored && Array.isArray(stored.items) ? stored : { items: [], lastSent: {} };
+        } catch (error) {
+            console.error("Notification queue unreadable, starting empty:", error.message);
+            return { items: [], lastSent: {} };
+        }
+    }
+
+    _writeQueue(queue) {
+        if (!this._backend) {
+            this._memoryQueue = queue;
+            return;
+        }
+        this._backend.setItem(this._key, JSON.stringify(queue));
     }
 
-    displayNotification(notification) {
-        // This will be implemented to show UI notifications
-        console.log(`Notification for ${this._name}: ${notification.message}`);
+    _now() {
+        return (this._clock || bankingClock).now();
     }
 }
 
 // ===========================================
-// STRATEGY PATTERN - INTEREST CALCULATION
+// PERSISTENCE - STORAGE BACKENDS & LEDGER STORE
 // ===========================================
 
-// Interest Strategy Interface
-class InterestStrategy {
-    calculate(account) {
-        throw new Error("calculate method must be implemented");
+const LEDGER_STORAGE_KEY = "securebank.ledger";
+const LEDGER_SCHEMA_VERSION = 12;
+
+// Schema migrations - each entry upgrades a snapshot from version N to N + 1
+const LEDGER_MIGRATIONS = {
+    // v2 adds the double-entry journal; earlier transfers stay as plain withdraw/deposit pairs
+    1: snapshot => ({ ...snapshot, journal: [] }),
+    // v3 stores every amount as integer minor units with a currency code
+    2: snapshot => {
+        const toMoney = value => Money.of(value).toJSON();
+        return {
+            ...snapshot,
+            accounts: snapshot.accounts.map(account => ({
+                ...account,
+                balance: toMoney(account.balance),
+                transactions: account.transactions.map(transaction => ({
+                    ...transaction,
+                    amount: toMoney(transaction.amount),
+                    balance: toMoney(transaction.balance)
+                }))
+            })),
+            journal: snapshot.journal.map(entry => ({
+                ...entry,
+                legs: entry.legs.map(leg => ({ ...leg, amount: toMoney(leg.amount) }))
+            })),
+            history: snapshot.history.map(command => ({ ...command, amount: toMoney(command.amount) }))
+        };
+    },
+    // v4 tracks when each account opened and how far its interest has been posted
+    3: snapshot => ({
+        ...snapshot,
+        accounts: snapshot.accounts.map(account => {
+            const firstTransaction = account.transactions[0];
+            return {
+                ...account,
+                openedAt: firstTransaction ? firstTransaction.timestamp : snapshot.savedAt,
+                interestPostedThrough: snapshot.savedAt
+            };
+        })
+    }),
+    // v5 adds the fixed deposit term, maturity instructions and premature withdrawal policy
+    4: snapshot => ({
+        ...snapshot,
+        accounts: snapshot.accounts.map(account => account.kind !== "fd" ? account : {
+            ...account,
+            termStart: account.openedAt,
+            payoutAccount: null,
+            renewal: "none",
+            prematurePolicy: "penalty",
+            penaltyRate: 1.0,
+            settledAt: null
+        })
+    }),
+    // v6 gives current accounts a sanctioned overdraft line
+    5: snapshot => ({
+        ...snapshot,
+        accounts: snapshot.accounts.map(account => account.kind !== "current" ? account : {
+            ...account,
+            overdraftLimit: Money.of(DEFAULT_OVERDRAFT_LIMIT).toJSON()
+        })
+    }),
+    // v7 adds standing instructions
+    6: snapshot => ({ ...snapshot, instructions: [] }),
+    // v8 replaces the bare undo history with the invoker's log and undo/redo stacks
+    7: snapshot => {
+        const { history, ...rest } = snapshot;
+        const commands = history.map((command, index) => ({ ...command, id: command.id || `CMD-v7-${index}` }));
+        return {
+            ...rest,
+            invoker: {
+                log: commands.map(command => ({
+                    command,
+                    status: "executed",
+                    timestamp: snapshot.savedAt,
+                    error: null,
+                    revertOf: null,
+                    revertedBy: null
+                })),
+                history: commands.map(command => command.id),
+                redo: []
+            }
+        };
+    },
+    // v9 adds categorisation rules; transactions without a category are categorised on load
+    8: snapshot => ({ ...snapshot, categoryRules: DEFAULT_CATEGORY_RULES.map(rule => ({ ...rule })) }),
+    // v10 adds the customer registry; accounts are keyed by number and held solely by the original customer
+    9: snapshot => {
+        const accounts = snapshot.accounts.map(account => ({ ...account, key: account.accountNumber }));
+        return {
+            ...snapshot,
+            accounts,
+            customers: {
+                customers: [{ id: PRIMARY_CUSTOMER.id, name: PRIMARY_CUSTOMER.name, email: PRIMARY_CUSTOMER.email }],
+                holdings: accounts.map(account => ({
+                    account: account.accountNumber,
+                    holders: [PRIMARY_CUSTOMER.id],
+                    mandate: ACCOUNT_MANDATES.SOLE,
+                    closedAt: null
+                }))
+            }
+        };
+    },
+    // v11 gives every account a lifecycle status; accounts closed in the registry become closed accounts
+    10: snapshot => {
+        const closedAt = new Map(snapshot.customers.holdings
+            .filter(holding => holding.closedAt)
+            .map(holding => [holding.account, holding.closedAt]));
+        return {
+            ...snapshot,
+            accounts: snapshot.accounts.map(account => ({
+                ...account,
+                status: closedAt.has(account.accountNumber) ? "closed" : "active",
+                statusHistory: closedAt.has(account.accountNumber)
+                    ? [{ from: "active", to: "closed", at: closedAt.get(account.accountNumber), reason: null }]
+                    : []
+            })),
+            customers: {
+                ...snapshot.customers,
+                holdings: snapshot.customers.holdings.map(({ closedAt: closed, ...holding }) => holding)
+            }
+        };
+    },
+    // v12 adds the beneficiary book and payments sent to beneficiaries at other banks
+    11: snapshot => ({ ...snapshot, beneficiaries: [], payments: [] })
+};
+
+// Storage Backend Interface
+class StorageBackend {
+    getItem(key) {
+        throw new Error("getItem method must be implemented");
     }
-}
 
-// Concrete Strategies
-class SavingsInterestStrategy extends InterestStrategy {
-    calculate(account) {
-        return (account.balance * 4.5) / 100;
+    setItem(key, value) {
+        throw new Error("setItem method must be implemented");
     }
-}
 
-class CurrentInterestStrategy extends InterestStrategy {
-    calculate(account) {
-        return (account.balance * 2.0) / 100;
+    removeItem(key) {
+        throw new Error("removeItem method must be implemented");
     }
 }
 
-class FixedDepositInterestStrategy extends InterestStrategy {
-    calculate(account) {
-        return (account.balance * 7.5 * 12) / (12 * 100);
+// Concrete Backends
+class LocalStorageBackend extends StorageBackend {
+    constructor(storage = window.localStorage) {
+        super();
+        this._storage = storage;
+    }
+
+    getItem(key) {
+        return this._storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this._storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this._storage.removeItem(key);
     }
 }
 
-// Interest Calculator Context
-class InterestCalculator {
+class MemoryStorageBackend extends StorageBackend {
     constructor() {
-        this._strategy = null;
+        super();
+        this._items = new Map();
+    }
+
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this._items.delete(key);
+    }
+}
+
+// Ledger Store - serializes accounts and undo history through a backend
+class LedgerStore {
+    constructor(backend, key = LEDGER_STORAGE_KEY) {
+        this._backend = backend;
+        this._key = key;
+    }
+
+    save(accounts, invoker, ledgerJournal, scheduler = null, categories = null, customers = null, beneficiaries = null, payments = null) {
+        const snapshot = {
+            version: LEDGER_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            accounts: Object.entries(accounts).map(([key, account]) => ({ key, ...account.toJSON() })),
+            journal: ledgerJournal.toJSON(),
+            invoker: invoker.toJSON(),
+            instructions: scheduler ? scheduler.toJSON() : [],
+            categoryRules: categories ? categories.toJSON() : DEFAULT_CATEGORY_RULES,
+            customers: customers ? customers.toJSON() : null,
+            beneficiaries: beneficiaries ? beneficiaries.toJSON() : [],
+            payments: payments ? payments.toJSON() : []
+        };
+        this._backend.setItem(this._key, JSON.stringify(snapshot));
+    }
+
+    // Returns { accounts, journal, invoker, instructions, categories, customers, beneficiaries, payments }
+    // or null when nothing has been saved yet
+    load() {
+        const raw = this._backend.getItem(this._key);
+        if (!raw) return null;
+
+        const snapshot = this._migrate(JSON.parse(raw));
+        const accounts = {};
+        snapshot.accounts.forEach(data => {
+            accounts[data.key] = BaseAccount.fromJSON(data);
+        });
+
+        const byNumber = {};
+        Object.values(accounts).forEach(account => {
+            byNumber[account.accountNumber] = account;
+        });
+        const resolveAccount = accountNumber => {
+            if (!byNumber[accountNumber]) {
+                throw new Error(`Unknown account in ledger: ${accountNumber}`);
+            }
+            return byNumber[accountNumber];
+        };
+        Object.values(accounts).forEach(account => account._resolveLinks(resolveAccount));
+        const restoredJournal = Journal.fromJSON(snapshot.journal, resolveAccount);
+        const invoker = CommandInvoker.fromJSON(snapshot.invoker, resolveAccount, restoredJournal);
+        const instructions = snapshot.instructions.map(data => StandingInstruction.fromJSON(data, resolveAccount));
+
+        const categories = CategoryRulesEngine.fromJSON(snapshot.categoryRules);
+        // A ledger saved without its registry is treated like a pre-registry one
+        const customers = CustomerRegistry.fromJSON(snapshot.customers || LEDGER_MIGRATIONS[9](snapshot).customers, resolveAccount);
+
+        const beneficiaries = BeneficiaryBook.fromJSON(snapshot.beneficiaries);
+        const payments = snapshot.payments.map(data => PaymentOrder.fromJSON(data, resolveAccount));
+
+        return { accounts, journal: restoredJournal, invoker, instructions, categories, customers, beneficiaries, payments };
     }
 
-    setStrategy(strategy) {
-        this._strategy = strategy;
+    clear() {
+        this._backend.removeItem(this._key);
     }
 
-    calculateInterest(account) {
-        if (!this._strategy) {
-            throw new Error("Strategy not set");
+    _migrate(snapshot) {
+        let version = snapshot.version || 0;
+        if (version > LEDGER_SCHEMA_VERSION) {
+            throw new Error(`Ledger schema version ${version} is newer than supported version ${LEDGER_SCHEMA_VERSION}`);
+        }
+        while (version < LEDGER_SCHEMA_VERSION) {
+            const migrate = LEDGER_MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(`No migration from ledger schema version ${version}`);
+            }
+            snapshot = migrate(snapshot);
+            version += 1;
+            snapshot.version = version;
         }
-        return this._strategy.calculate(account);
+        return snapshot;
     }
 }
 
-// ===========================================
-// COMMAND PATTERN - TRANSACTIONS WITH UNDO
-// ===========================================
+const SETTINGS_STORAGE_KEY = "securebank.settings";
 
-// Command Interface
-class Command {
-    execute() {
-        throw new Error("execute method must be implemented");
+// User preferences from settings.html; unknown keys fall back to these defaults
+const DEFAULT_SETTINGS = {
+    compoundInterest: false,
+    compoundingFrequency: "quarterly",
+    limits: DEFAULT_LIMITS,
+    budgets: [],
+    savedFilters: [],
+    selectedCustomer: null,
+    dormancyDays: DEFAULT_DORMANCY_DAYS,
+    baseCurrency: DEFAULT_CURRENCY,
+    security: DEFAULT_SECURITY_SETTINGS,
+    notifications: DEFAULT_NOTIFICATION_SETTINGS
+};
+
+// Settings Store - persisted user preferences merged over the defaults
+class SettingsStore {
+    constructor(backend, key = SETTINGS_STORAGE_KEY, defaults = DEFAULT_SETTINGS) {
+        this._backend = backend;
+        this._key = key;
+        this._defaults = { ...defaults };
+        this._values = this._read();
+        this._observers = [];
     }
 
-    undo() {
-        throw new Error("undo method must be implemented");
+    // Observer Pattern - told { type: "updated" | "reset", before, after } on every change
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(change) {
+        this._observers.forEach(observer => observer.update(change));
+    }
+
+    get(name) {
+        return this._values[name];
+    }
+
+    all() {
+        return { ...this._values };
+    }
+
+    update(changes) {
+        const before = this.all();
+        this._values = { ...this._values, ...changes };
+        this._backend.setItem(this._key, JSON.stringify(this._values));
+        this.notifyObservers({ type: "updated", before, after: this.all() });
+        return this.all();
+    }
+
+    reset() {
+        const before = this.all();
+        this._backend.removeItem(this._key);
+        this._values = { ...this._defaults };
+        this.notifyObservers({ type: "reset", before, after: this.all() });
+    }
+
+    _read() {
+        const raw = this._backend.getItem(this._key);
+        if (!raw) return { ...this._defaults };
+        try {
+            return { ...this._defaults, ...JSON.parse(raw) };
+        } catch (error) {
+            console.error("Ignoring unreadable settings:", error.message);
+            return { ...this._defaults };
+        }
     }
 }
 
-// Concrete Commands
-class DepositCommand extends Command {
-    constructor(account, amount, description) {
-        super();
-        this._account = account;
-        this._amount = amount;
-        this._description = description;
-        this._executed = false;
+// Observer that saves the ledger whenever the invoker, scheduler, category rules, customer registry,
+// beneficiary book or payment processor record a change
+class LedgerAutoSave {
+    constructor(store, accounts, invoker, ledgerJournal, scheduler = null, categories = null, customers = null, beneficiaries = null, payments = null) {
+        this._store = store;
+        this._accounts = accounts;
+        this._invoker = invoker;
+        this._journal = ledgerJournal;
+        this._scheduler = scheduler;
+        this._categories = categories;
+        this._customers = customers;
+        this._beneficiaries = beneficiaries;
+        this._payments = payments;
     }
 
-    execute() {
-        if (this._executed) {
-            throw new Error("Command already executed");
+    update() {
+        try {
+            this._store.save(this._accounts, this._invoker, this._journal, this._scheduler, this._categories, this._customers,
+                this._beneficiaries, this._payments);
+        } catch (error) {
+            console.error("Failed to save ledger:", error.message);
         }
-        const transaction = this._account.deposit(this._amount, this._description);
-        this._executed = true;
-        return transaction;
     }
+}
+
+// Falls back to memory when the Web Storage area is unavailable (private mode, file:// restrictions)
+function createDefaultStorageBackend(area = "localStorage") {
+    try {
+        const storage = window[area];
+        const probeKey = `${LEDGER_STORAGE_KEY}.probe`;
+        storage.setItem(probeKey, "1");
+        storage.removeItem(probeKey);
+        return new LocalStorageBackend(storage);
+    } catch (error) {
+        console.error(`${area} unavailable, using in-memory storage:`, error.message);
+        return new MemoryStorageBackend();
+    }
+}
+
+// ===========================================
+// GLOBAL STATE & UTILITY FUNCTIONS
+// ===========================================
+
+// Global state - `accounts` holds the selected customer's open accounts, `bankAccounts` every account by number
+let accounts = {};
+let bankAccounts = {};
+let customerRegistry = null;
+let customer = null;
+let commandInvoker = null;
+let interestCalculator = null;
+let journal = null;
+let ledgerStore = null;
+let interestEngine = null;
+let bankSettings = null;
+let transactionPolicy = null;
+let instructionScheduler = null;
+let categoryEngine = null;
+let budgetTracker = null;
+let authService = null;
+let sessionGuard = null;
+let auditLog = null;
+let beneficiaryBook = null;
+let paymentProcessor = null;
+let notificationInbox = null;
+let notificationDispatcher = null;
+let emailOutbox = null;
+let smsOutbox = null;
+let currentFilter = 'all';
+let currentSort = DEFAULT_QUERY_SORT;
+let currentPage = 1;
+
+// Commands and accounts built without an explicit journal, policy or accrual engine use these
+setDefaultServices({
+    journal: () => journal,
+    policy: () => transactionPolicy,
+    accrualEngine: () => interestEngine
+});
+
+// Utility functions
+// The selected customer's open accounts of one kind
+function accountsOfKind(kind) {
+    return Object.values(accounts).filter(account => account.kind === kind);
+}
+
+// Currency the dashboard consolidates balances into
+function baseCurrency() {
+    return bankSettings ? bankSettings.get("baseCurrency") : DEFAULT_CURRENCY;
+}
+
+// Amounts in any mix of currencies, totalled in the base currency at mid rates
+function consolidate(amounts, currency = baseCurrency()) {
+    return currencyExchange.total(amounts, currency);
+}
+
+function balanceOfKind(kind) {
+    return consolidate(accountsOfKind(kind).map(account => account.balance));
+}
+
+function interestOfKind(kind) {
+    return consolidate(accountsOfKind(kind).map(account => account.calculateInterest()));
+}
+
+function accountLabel(account) {
+    const holding = customerRegistry ? customerRegistry.holding(account) : null;
+    const notes = [];
+    if (account.currency !== DEFAULT_CURRENCY) notes.push(account.currency);
+    if (holding && holding.isJoint) notes.push("joint");
+    if (account.status !== ACCOUNT_STATUSES.ACTIVE) notes.push(describeStatus(account.status));
+    return `${ACCOUNT_KIND_LABELS[account.kind]} ${account.accountNumber}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`;
+}
+
+// Each account card totals the customer's accounts of its kind and is hidden when they hold none
+function updateBalances() {
+    Object.keys(ACCOUNT_KINDS).forEach(kind => {
+        const balance = document.getElementById(`${kind}Balance`);
+        if (balance) balance.textContent = formatAmount(balanceOfKind(kind));
+        const card = document.querySelector(`.account-card[data-account="${kind}"]`);
+        if (!card) return;
+        card.hidden = accountsOfKind(kind).length === 0;
+        const number = card.querySelector(".account-number");
+        if (number) number.textContent = accountsOfKind(kind).map(account => account.accountNumber).join(", ");
+    });
+}
+
+// Re-points `accounts` at the selected customer's open accounts. The first account of each
+// kind keeps the kind as its key, so pages can still ask for accounts.savings; any further
+// ones are keyed by account number.
+function scopeAccounts() {
+    Object.keys(accounts).forEach(key => delete accounts[key]);
+    customerRegistry.accountsFor(customerRegistry.selectedCustomer.id).forEach(account => {
+        accounts[accounts[account.kind] ? account.accountNumber : account.kind] = account;
+    });
+    customer = customerRegistry.selectedCustomer;
+}
+
+// Fills every <select data-accounts> with the selected customer's accounts; "operable"
+// leaves out fixed and recurring deposits and loans, which take no direct deposits or withdrawals. Selects that also
+// carry data-payees list the customer's beneficiaries after them, as PAYEE_OPTION_PREFIX + id
+function populateAccountSelects() {
+    document.querySelectorAll("select[data-accounts]").forEach(select => {
+        const previous = select.value;
+        const entries = Object.entries(accounts).filter(([, account]) =>
+            select.dataset.accounts !== "operable" || account.operable);
+        const payees = "payees" in select.dataset && beneficiaryBook ? beneficiaryBook.forCustomer(customer.id) : [];
+        const values = entries.map(([key]) => key).concat(payees.map(beneficiary => PAYEE_OPTION_PREFIX + beneficiary.id));
+        select.innerHTML = entries.map(([key, account]) =>
+            `<option value="${escapeHtml(key)}">${escapeHtml(accountLabel(account))}</option>`).join("") + (payees.length > 0
+            ? `<optgroup label="Beneficiaries">${payees.map(beneficiary =>
+                `<option value="${escapeHtml(PAYEE_OPTION_PREFIX + beneficiary.id)}">${escapeHtml(`${beneficiary.label} (${beneficiary.maskedAccount})`)}</option>`).join("")}</optgroup>`
+            : "");
+        if (values.includes(previous)) select.value = previous;
+    });
+}
+
+// Fills a schedule table's <tbody> with one row per installment. Rows from a loan's schedule also
+// get a status cell: paid with the day it was collected, overdue, or due
+function renderScheduleTable(tbody, rows, asOf = bankingClock.now()) {
+    tbody.innerHTML = rows.map(row => {
+        let status = "";
+        if (row.status) {
+            const [badge, label] = row.paidAt
+                ? ["status-completed", `Paid ${formatDate(row.paidAt)}`]
+                : row.dueDate <= asOf ? ["status-failed", "Overdue"] : ["status-pending", "Due"];
+            status = `<td><span class="transaction-status ${badge}">${label}</span></td>`;
+        }
+        return `
+            <tr>
+                <td>${row.number}</td>
+                <td>${formatDate(row.dueDate)}</td>
+                <td>${formatAmount(row.payment)}</td>
+                <td>${formatAmount(row.interest)}</td>
+                <td>${formatAmount(row.principal)}</td>
+                <td>${formatAmount(row.closing)}</td>
+                ${status}
+            </tr>
+        `;
+    }).join("");
+}
+
+// Header switcher; the choice is remembered and the page reloads scoped to that customer
+function renderCustomerSwitcher() {
+    const selected = customerRegistry.selectedCustomer;
+    const name = document.querySelector(".user-details h4");
+    if (name) name.textContent = selected.name;
+    const avatar = document.querySelector(".user-avatar");
+    if (avatar) avatar.textContent = selected.name.split(/\s+/).map(part => part[0]).join("").slice(0, 2).toUpperCase();
+
+    const headerActions = document.querySelector(".header-actions");
+    if (!headerActions) return;
+    const switcher = document.createElement("select");
+    switcher.className = "form-select customer-switcher";
+    switcher.title = "Switch customer";
+    switcher.innerHTML = customerRegistry.customers.map(candidate =>
+        `<option value="${escapeHtml(candidate.id)}" ${candidate === selected ? "selected" : ""}>${escapeHtml(candidate.name)}</option>`).join("");
+    // Switching customer ends this session; the other customer signs in on reload
+    switcher.addEventListener("change", () => {
+        sessionGuard.signOut();
+        bankSettings.update({ selectedCustomer: switcher.value });
+        window.location.reload();
+    });
+    headerActions.insertBefore(switcher, headerActions.firstChild);
+}
+
+// Returns { valid, message } and, when valid, the parsed Money as `amount`. Plain numbers are read
+// in `currency`, which defaults to the currency of a Money `max`, e.g. an account's available balance
+function validateAmount(amount, min = 0, max = null, currency = max instanceof Money ? max.currency : DEFAULT_CURRENCY) {
+    if (!(amount instanceof Money) && (amount === null || amount === "" || !Number.isFinite(Number(amount)))) {
+        return { valid: false, message: `Amount must be greater than ${min}` };
+    }
+    const money = Money.from(amount, currency);
+    if (!(amount instanceof Money)) {
+        // Reject amounts finer than the currency's minor unit instead of silently rounding them
+        const { numerator, denominator } = toDecimalFraction(amount);
+        if (BigInt(money.minor) * denominator !== numerator * 10n ** BigInt(currencyExponent(money.currency))) {
+            return { valid: false, message: `Amount cannot have more than ${currencyExponent(money.currency)} decimal places` };
+        }
+    }
+    if (!money.greaterThan(Money.from(min, money.currency))) {
+        return { valid: false, message: `Amount must be greater than ${min}` };
+    }
+    if (max !== null && money.greaterThan(Money.from(max, money.currency))) {
+        return { valid: false, message: `Amount cannot exceed ${formatAmount(max, money.currency)}` };
+    }
+    return { valid: true, amount: money };
+}
 
-    undo() {
-        if (!this._executed) {
-            throw new Error("Command not executed yet");
-        }
-        this._account.withdraw(this._amount, `Undo: ${this._description}`);
-        this._executed = false;
+function saveLedger() {
+    if (!ledgerStore) return;
+    try {
+        ledgerStore.save(bankAccounts, commandInvoker, journal, instructionScheduler, categoryEngine, customerRegistry,
+            beneficiaryBook, paymentProcessor);
+    } catch (error) {
+        console.error("Failed to save ledger:", error.message);
     }
 }
 
-class WithdrawCommand extends Command {
-    constructor(account, amount, description) {
-        super();
-        this._account = account;
-        this._amount = amount;
-        this._description = description;
-        this._executed = false;
+// Rebuilds the limits every command is checked against from the settings page
+function applyLimitSettings() {
+    if (transactionPolicy) {
+        transactionPolicy.setLimits(bankSettings.get("limits"));
+    } else {
+        transactionPolicy = new TransactionPolicy(bankSettings.get("limits"));
     }
+}
 
-    execute() {
-        if (this._executed) {
-            throw new Error("Command already executed");
-        }
-        const transaction = this._account.withdraw(this._amount, this._description);
-        this._executed = true;
-        return transaction;
-    }
+// Loads the monthly budgets saved from analytics.html into the tracker
+function applyBudgetSettings() {
+    budgetTracker.setBudgets(bankSettings.get("budgets").map(data => Budget.fromJSON(data)));
+}
 
-    undo() {
-        if (!this._executed) {
-            throw new Error("Command not executed yet");
-        }
-        this._account.deposit(this._amount, `Undo: ${this._description}`);
-        this._executed = false;
-    }
+// Gives the account the interest strategy selected on the settings page; loans keep their reducing
+// balance and recurring deposits their quarterly compounding
+function applyInterestStrategy(account) {
+    if (account instanceof LoanAccount || account instanceof RecurringDepositAccount) return;
+    account.setInterestStrategy(createInterestStrategy(account.kind, bankSettings.all()));
 }
 
-class TransferCommand extends Command {
-    constructor(fromAccount, toAccount, amount, description) {
-        super();
-        this._fromAccount = fromAccount;
-        this._toAccount = toAccount;
-        this._amount = amount;
-        this._description = description;
-        this._executed = false;
-    }
+// Assigns every account the interest strategy selected on the settings page
+function applyInterestSettings() {
+    Object.values(bankAccounts).forEach(applyInterestStrategy);
+}
 
-    execute() {
-        if (this._executed) {
-            throw new Error("Command already executed");
-        }
-        this._fromAccount.withdraw(this._amount, `Transfer to ${this._toAccount.accountNumber}`);
-        this._toAccount.deposit(this._amount, `Transfer from ${this._fromAccount.accountNumber}`);
-        this._executed = true;
-    }
+// Credits any interest periods that completed since the last visit
+function postDueInterest() {
+    const posted = interestEngine.postDueAll(customerRegistry.openAccounts);
+    saveLedger();
+    return posted;
+}
 
-    undo() {
-        if (!this._executed) {
-            throw new Error("Command not executed yet");
-        }
-        this._toAccount.withdraw(this._amount, `Undo: Transfer from ${this._fromAccount.accountNumber}`);
-        this._fromAccount.deposit(this._amount, `Undo: Transfer to ${this._toAccount.accountNumber}`);
-        this._executed = false;
-    }
+// Executes standing instructions that fell due since the last visit
+function runDueInstructions() {
+    return instructionScheduler.runDue();
 }
 
-// Command Invoker
-class CommandInvoker {
-    constructor() {
-        this._history = [];
-    }
+// How often open pages move pending payments on; NEFT batches clear every half hour
+const PAYMENT_CHECK_INTERVAL_MS = 60 * 1000;
 
-    executeCommand(command) {
-        try {
-            command.execute();
-            this._history.push(command);
-            return true;
-        } catch (error) {
-            console.error("Command execution failed:", error.message);
-            return false;
-        }
-    }
+// Settles or fails payments to beneficiaries that their rails have cleared since the last check
+function settlePayments() {
+    return paymentProcessor.process();
+}
 
-    undoLastCommand() {
-        if (this._history.length === 0) {
-            throw new Error("No commands to undo");
-        }
-        const lastCommand = this._history.pop();
-        lastCommand.undo();
-    }
+// Beneficiaries offered in a transfer form's destination select have values of this prefix and their id
+const PAYEE_OPTION_PREFIX = "payee:";
+
+// Rail used for beneficiaries paid from a transfer form, which offers no choice of rail
+const DEFAULT_PAYMENT_RAIL = "IMPS";
+
+// The beneficiary a destination select's value names, or null for one of the customer's own accounts
+function payeeFromOption(value) {
+    return String(value).startsWith(PAYEE_OPTION_PREFIX) ? beneficiaryBook.find(value.slice(PAYEE_OPTION_PREFIX.length)) : null;
+}
 
-    get history() {
-        return [...this._history];
+// Confirms a payee payment still waiting on its rail; settling and failing are reported by reportPayment
+function notifyPayeePayment(command) {
+    const order = paymentProcessor.find(command.orderId);
+    if (order && order.isPending) {
+        showNotification("success", `${formatAmount(order.amount)} to ${order.beneficiary.label} submitted via ${order.rail}; it settles with the next batch`);
     }
 }
 
-// ===========================================
-// GLOBAL STATE & UTILITY FUNCTIONS
-// ===========================================
+// Tells the holders of the paying account when a payment settles or fails
+function reportPayment(change) {
+    if (change.type !== PAYMENT_STATUSES.SETTLED && change.type !== PAYMENT_STATUSES.FAILED) return;
+    const order = change.order;
+    const values = {
+        amount: formatAmount(order.amount),
+        payee: order.beneficiary.label,
+        rail: order.rail,
+        reference: order.reference,
+        reason: order.reason,
+        refund: order.refundError ? `The refund could not be credited: ${order.refundError}` : "It has been refunded"
+    };
+    customerRegistry.holdersOf(order.account).forEach(holder => notificationDispatcher.notify(holder, `payment_${change.type}`, values));
+    if (change.type === PAYMENT_STATUSES.FAILED) {
+        updateBalances();
+    }
+}
 
-// Global state
-let accounts = {};
-let customer = null;
-let commandInvoker = null;
-let interestCalculator = null;
-let currentFilter = 'all';
+// Pays out or renews fixed deposits, and pays out recurring deposits, whose term has ended
+function processMaturities() {
+    const events = customerRegistry.openAccounts
+        .filter(account => account instanceof FixedDepositAccount || account instanceof RecurringDepositAccount)
+        .reduce((all, account) => all.concat(account.processMaturity(journal)), []);
+    saveLedger();
+    return events;
+}
 
-// Utility functions
-function formatAmount(amount) {
-    return "₹" + amount.toLocaleString("en-IN", {minimumFractionDigits: 2});
+// Auto-debits every recurring deposit installment that has fallen due, oldest first, while the funding
+// account can pay it. One the account could already cover on its due date counts as paid then; the
+// rest carry the penalty for paying late
+function collectRecurringDeposits() {
+    const now = bankingClock.now();
+    const events = [];
+    customerRegistry.openAccounts
+        .filter(account => account instanceof RecurringDepositAccount)
+        .forEach(deposit => {
+            const from = deposit.fundingAccount;
+            while (deposit.missedInstallments(now).length > 0) {
+                if (!from || !from.allows("debit") || !from.canDebit(deposit.installment)) break;
+                const { dueDate } = deposit.nextInstallment;
+                const coveredOnDue = deposit.installment.lessThanOrEqual(from.balanceAt(dueDate).add(from.overdraftLimit));
+                const command = new RecurringDepositInstallmentCommand(deposit, journal, coveredOnDue ? dueDate : now).authorisedBy([SYSTEM_ACTOR]);
+                if (!commandInvoker.executeCommand(command)) break;
+                events.push(command);
+            }
+        });
+    saveLedger();
+    return events;
 }
 
-function updateBalances() {
-    document.getElementById("savingsBalance").textContent = formatAmount(accounts.savings.balance);
-    document.getElementById("currentBalance").textContent = formatAmount(accounts.current.balance);
-    document.getElementById("fdBalance").textContent = formatAmount(accounts.fd.balance);
+// Auto-debits every EMI that has fallen due, oldest first, while the repayment account can pay it;
+// installments it cannot cover are charged their late fee once the grace period ends
+function collectLoanInstallments() {
+    const now = bankingClock.now();
+    const events = [];
+    customerRegistry.openAccounts
+        .filter(account => account instanceof LoanAccount && account.isDisbursed && !account.isRepaid)
+        .forEach(loan => {
+            const from = loan.repaymentAccount;
+            while (loan.overdueInstallments(now).length > 0) {
+                const due = loan.nextInstallment.payment.add(loan.feesDue);
+                if (!from || !from.allows("debit") || !from.canDebit(due)) break;
+                const command = new EmiPaymentCommand(loan, journal).authorisedBy([SYSTEM_ACTOR]);
+                if (!commandInvoker.executeCommand(command)) break;
+                events.push(command);
+            }
+            events.push(...loan.applyLateFees(now));
+        });
+    saveLedger();
+    return events;
 }
 
-function validateAmount(amount, min = 0, max = null) {
-    if (isNaN(amount) || amount <= min) {
-        return { valid: false, message: `Amount must be greater than ${min}` };
-    }
-    if (max && amount > max) {
-        return { valid: false, message: `Amount cannot exceed ${formatAmount(max)}` };
-    }
-    return { valid: true };
+// Marks accounts dormant once they have gone the configured period without customer activity
+function markDormantAccounts() {
+    const events = customerRegistry.openAccounts
+        .map(account => account.checkDormancy(bankSettings.get("dormancyDays")))
+        .filter(Boolean);
+    saveLedger();
+    return events;
 }
 
 function clearFormInputs() {
@@ -392,26 +4182,34 @@ function clearFormInputs() {
     });
 }
 
+// Journal-linked legs are listed once, as their journal entry; entries touching none of
+// the selected customer's accounts are left out
 function getAllTransactions() {
     let allTransactions = [];
-    Object.values(accounts).forEach(account => {
-        allTransactions = allTransactions.concat(account.transactionHistory);
+    const scoped = Object.values(accounts);
+    scoped.forEach(account => {
+        allTransactions = allTransactions.concat(account.transactionHistory.filter(tx => !tx.journalId));
     });
+    if (journal) {
+        allTransactions = allTransactions.concat(journal.entries.filter(entry =>
+            entry.legs.some(leg => scoped.includes(leg.account))));
+    }
     return allTransactions.sort((a, b) => b.timestamp - a.timestamp);
 }
 
-function showNotification(type, message) {
+// Messages are plain text and escaped here, so amounts, names and descriptions cannot inject markup
+function showNotification(type, message, title = type.toUpperCase()) {
     const notifications = document.getElementById("notifications");
     if (!notifications) return;
     
     const note = document.createElement("div");
-    note.className = `notification ${type} fade-in`;
+    note.className = `notification ${escapeHtml(type)} fade-in`;
     note.innerHTML = `
         <div class="notification-header">
-            <div class="notification-title">${type.toUpperCase()}</div>
+            <div class="notification-title">${escapeHtml(title)}</div>
             <button class="notification-close">×</button>
         </div>
-        <div class="notification-message">${message}</div>
+        <div class="notification-message">${escapeHtml(message)}</div>
     `;
     notifications.appendChild(note);
 
@@ -422,6 +4220,13 @@ function showNotification(type, message) {
     setTimeout(() => note.remove(), 5000);
 }
 
+// Page-specific panels redrawn after the shared analytics
+const analyticsPanels = [];
+
+function addAnalyticsPanel(render) {
+    analyticsPanels.push(render);
+}
+
 function updateAnalytics() {
     updateTotalBalance();
     updateAccountDistribution();
@@ -429,36 +4234,39 @@ function updateAnalytics() {
     updateMonthlySpending();
     updateMonthlyGrowth();
     updateInterestCalculations();
+    analyticsPanels.forEach(render => render());
 }
 
+// Consolidated in the base currency; the title lists what is held in each currency
 function updateTotalBalance() {
-    const total = Object.values(accounts).reduce((sum, account) => sum + account.balance, 0);
+    const balances = Object.values(accounts).map(account => account.balance);
     const element = document.getElementById("totalBalance");
-    if (element) element.textContent = formatAmount(total);
+    if (!element) return;
+    element.textContent = formatAmount(consolidate(balances));
+    const currencies = [...new Set(balances.map(balance => balance.currency))];
+    element.title = currencies.map(currency =>
+        formatAmount(Money.sum(balances.filter(balance => balance.currency === currency), currency))).join(" + ");
 }
 
+// Shares are of the money held; an overdrawn account holds none and is labelled instead
 function updateAccountDistribution() {
-    const total = Object.values(accounts).reduce((sum, account) => sum + account.balance, 0);
-    
-    const savingsPercent = Math.round((accounts.savings.balance / total) * 100);
-    const currentPercent = Math.round((accounts.current.balance / total) * 100);
-    const fdPercent = Math.round((accounts.fd.balance / total) * 100);
-    
-    const savingsElement = document.getElementById("savingsPercent");
-    const currentElement = document.getElementById("currentPercent");
-    const fdElement = document.getElementById("fdPercent");
-    
-    if (savingsElement) savingsElement.textContent = `${savingsPercent}%`;
-    if (currentElement) currentElement.textContent = `${currentPercent}%`;
-    if (fdElement) fdElement.textContent = `${fdPercent}%`;
-    
-    const savingsBar = document.querySelector('[data-account="savings"]');
-    const currentBar = document.querySelector('[data-account="current"]');
-    const fdBar = document.querySelector('[data-account="fd"]');
-    
-    if (savingsBar) savingsBar.style.width = `${savingsPercent}%`;
-    if (currentBar) currentBar.style.width = `${currentPercent}%`;
-    if (fdBar) fdBar.style.width = `${fdPercent}%`;
+    const held = consolidate(Object.values(accounts).map(account =>
+        account.balance.isPositive() ? account.balance : Money.zero(account.currency)));
+
+    Object.keys(ACCOUNT_KINDS).forEach(type => {
+        const balance = balanceOfKind(type);
+        const percent = balance.isPositive() && held.isPositive()
+            ? Math.round((balance.minor / held.minor) * 100)
+            : 0;
+
+        const element = document.getElementById(`${type}Percent`);
+        if (element) {
+            element.textContent = balance.isNegative() ? `Overdrawn ${formatAmount(balance.abs())}` : `${percent}%`;
+        }
+
+        const bar = document.querySelector(`.distribution-fill[data-account="${type}"]`);
+        if (bar) bar.style.width = `${percent}%`;
+    });
 }
 
 function updateTransactionCount() {
@@ -477,62 +4285,47 @@ function updateMonthlySpending() {
             const txDate = new Date(tx.timestamp);
             return txDate.getMonth() === currentMonth && 
                    txDate.getFullYear() === currentYear && 
-                   (tx.type === 'withdraw' || tx.type === 'payment');
+                   tx.direction === 'debit' && SPENDING_CATEGORIES.includes(tx.category);
         })
-        .reduce((sum, tx) => sum + tx.amount, 0);
+        .map(tx => tx.amount);
     
     const element = document.getElementById("monthlySpending");
-    if (element) element.textContent = formatAmount(monthlySpending);
+    if (element) element.textContent = formatAmount(consolidate(monthlySpending));
 }
 
 function updateMonthlyGrowth() {
-    const currentMonth = new Date().getMonth();
-    const currentYear = new Date().getFullYear();
-    const allTransactions = getAllTransactions();
-    
-    const currentMonthDeposits = allTransactions
-        .filter(tx => {
-            const txDate = new Date(tx.timestamp);
-            return txDate.getMonth() === currentMonth && 
-                   txDate.getFullYear() === currentYear && 
-                   tx.type === 'deposit';
-        })
-        .reduce((sum, tx) => sum + tx.amount, 0);
-    
-    const currentMonthWithdrawals = allTransactions
-        .filter(tx => {
-            const txDate = new Date(tx.timestamp);
-            return txDate.getMonth() === currentMonth && 
-                   txDate.getFullYear() === currentYear && 
-                   (tx.type === 'withdraw' || tx.type === 'payment');
-        })
-        .reduce((sum, tx) => sum + tx.amount, 0);
-    
-    const netGrowth = currentMonthDeposits - currentMonthWithdrawals;
-    const growthPercent = netGrowth > 0 ? 
-        `+${Math.round((netGrowth / (currentMonthDeposits || 1)) * 100)}%` : 
-        `${Math.round((netGrowth / (currentMonthWithdrawals || 1)) * 100)}%`;
+    const now = bankingClock.now();
+    const month = new AnalyticsEngine(Object.values(accounts), bankingClock, baseCurrency()).summarise(startOfMonth(now), now);
+    const currentMonthDeposits = month.income;
+    const currentMonthWithdrawals = month.spending;
+    const netGrowth = month.net;
+    const growthPercent = netGrowth.isPositive() ? 
+        `+${Math.round((netGrowth.minor / (currentMonthDeposits.minor || 1)) * 100)}%` : 
+        `${Math.round((netGrowth.minor / (currentMonthWithdrawals.minor || 1)) * 100)}%`;
     
     const element = document.getElementById("monthlyGrowth");
     if (element) {
         element.textContent = growthPercent;
-        element.style.color = netGrowth >= 0 ? 'var(--accent)' : 'var(--danger)';
+        element.style.color = netGrowth.isNegative() ? 'var(--danger)' : 'var(--accent)';
     }
 }
 
 function updateInterestCalculations() {
-    // Calculate and display simple interest for each account
-    const savingsInterest = accounts.savings.calculateInterest();
-    const currentInterest = accounts.current.calculateInterest();
-    const fdInterest = accounts.fd.calculateInterest();
+    // Calculate and display simple interest for each kind of account
+    const savingsInterest = interestOfKind('savings');
+    const currentInterest = interestOfKind('current');
+    const fdInterest = interestOfKind('fd');
+    const rdInterest = interestOfKind('rd');
     
     // Update account cards with interest information
     updateAccountCardInterest('savings', savingsInterest);
     updateAccountCardInterest('current', currentInterest);
     updateAccountCardInterest('fd', fdInterest);
+    // A recurring deposit's interest is over its whole term, paid at maturity
+    updateAccountCardInterest('rd', rdInterest, 'at maturity');
 }
 
-function updateAccountCardInterest(accountType, interest) {
+function updateAccountCardInterest(accountType, interest, period = '/year') {
     const accountCard = document.querySelector(`[data-account="${accountType}"]`);
     if (accountCard) {
         let interestElement = accountCard.querySelector('.account-interest');
@@ -547,105 +4340,798 @@ function updateAccountCardInterest(accountType, interest) {
         interestElement.innerHTML = `
             <div style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem; font-weight: 600; opacity: 0.9;">
                 <span>💰</span>
-                <span>Interest: ${formatAmount(interest)}/year</span>
+                <span>Interest: ${formatAmount(interest)}${period.startsWith('/') ? period : ` ${period}`}</span>
             </div>
         `;
     }
 }
 
+// Row markup for the transactions list; descriptions come from users and imported bank files, so they are escaped.
+// `accountList` is the accounts the transaction touches, from transactionAccountResolver
+function transactionRowHtml(transaction, accountList = []) {
+    return `
+        <div class="transaction-icon ${transaction.type}">
+            ${transaction.type === "deposit" ? "⬆️" : 
+              transaction.type === "withdraw" ? "⬇️" : 
+              transaction.type === "transfer" ? "🔄" : 
+              transaction.type === "payment" ? "💳" : "📊"}
+        </div>
+        <div class="transaction-details">
+            <div class="transaction-title">${escapeHtml(transaction.description)}</div>
+            <div class="transaction-subtitle">Account: ${escapeHtml(accountList.map(account => account.accountNumber).join(" → ") || "—")}</div>
+            <div class="transaction-meta">
+                <span>${transaction.timestamp.toLocaleString()}</span>
+                <span>•</span>
+                <span>Balance: ${formatAmount(transaction.balance)}</span>
+                <span>•</span>
+                <select class="category-select" title="Category">
+                    ${Object.entries(CATEGORY_LABELS).map(([value, label]) =>
+                        `<option value="${value}" ${value === transaction.category ? "selected" : ""}>${label}</option>`).join("")}
+                </select>
+            </div>
+        </div>
+        <div class="transaction-amount">
+            <div class="transaction-value ${transaction.direction === "debit" ? "negative" : "positive"}">
+                ${transaction.direction === "debit" ? "-" : "+"}${formatAmount(transaction.amount)}
+            </div>
+            <div class="transaction-status status-completed">completed</div>
+        </div>
+    `;
+}
+
+// Row markup for the payments list on payments.html, escaped like transactionRowHtml
+function paymentRowHtml(transaction) {
+    return `
+        <div class="transaction-icon payment">
+            💳
+        </div>
+        <div class="transaction-details">
+            <div class="transaction-title">${escapeHtml(transaction.description)}</div>
+            <div class="transaction-subtitle">${CATEGORY_LABELS[transaction.category] || "Payment"}</div>
+            <div class="transaction-meta">
+                <span>${transaction.timestamp.toLocaleString()}</span>
+                <span>•</span>
+                <span>Balance: ${formatAmount(transaction.balance)}</span>
+            </div>
+        </div>
+        <div class="transaction-amount">
+            <div class="transaction-value negative">
+                -${formatAmount(transaction.amount)}
+            </div>
+            <div class="transaction-status status-completed">completed</div>
+        </div>
+    `;
+}
+
 function renderTransactions() {
     const transactionsList = document.getElementById("transactionsList");
     if (!transactionsList) return;
     
-    let allTransactions = getAllTransactions();
-    let filteredTransactions = allTransactions;
-    
-    // Apply search filter
-    const searchInput = document.querySelector(".search-input");
-    if (searchInput && searchInput.value.trim()) {
-        const searchTerm = searchInput.value.toLowerCase();
-        filteredTransactions = allTransactions.filter(t => 
-            t.description.toLowerCase().includes(searchTerm) ||
-            t.type.toLowerCase().includes(searchTerm)
-        );
-    }
+    let filteredTransactions = getAllTransactions();
     
-    // Apply type filter
-    if (currentFilter !== 'all') {
+    // Apply type filter; payments are withdrawals, so they are picked out by channel and category
+    if (currentFilter === 'payment') {
+        filteredTransactions = filteredTransactions.filter(isPayment);
+    } else if (currentFilter !== 'all') {
         filteredTransactions = filteredTransactions.filter(t => t.type === currentFilter);
     }
 
+    // Apply the search box's query, sort and page
+    const result = searchTransactions(filteredTransactions);
+    renderPager(transactionsList, result, renderTransactions);
+
     transactionsList.innerHTML = "";
     
-    if (filteredTransactions.length === 0) {
+    if (result.items.length === 0) {
         transactionsList.innerHTML = `
             <div style="text-align: center; padding: 2rem; color: var(--gray-500);">
                 <div style="font-size: 3rem; margin-bottom: 1rem;">📋</div>
-                <div>No transactions found</div>
+                <div>${result.error ? `Invalid search: ${escapeHtml(result.error.message)}` : "No transactions found"}</div>
             </div>
         `;
         return;
     }
 
-    filteredTransactions.forEach(transaction => {
+    const accountsOf = transactionAccountResolver();
+    result.items.forEach(transaction => {
         const transactionElement = document.createElement("div");
         transactionElement.className = "transaction fade-in";
-        transactionElement.innerHTML = `
-            <div class="transaction-icon ${transaction.type}">
-                ${transaction.type === "deposit" ? "⬆️" : 
-                  transaction.type === "withdraw" ? "⬇️" : 
-                  transaction.type === "transfer" ? "🔄" : 
-                  transaction.type === "payment" ? "💳" : "📊"}
-            </div>
-            <div class="transaction-details">
-                <div class="transaction-title">${transaction.description}</div>
-                <div class="transaction-subtitle">Account: ${transaction.balance}</div>
-                <div class="transaction-meta">
-                    <span>${transaction.timestamp.toLocaleString()}</span>
-                    <span>•</span>
-                    <span>Balance: ${formatAmount(transaction.balance)}</span>
+        transactionElement.innerHTML = transactionRowHtml(transaction, accountsOf(transaction));
+        // Manual override; a journal entry is recategorised through its debit leg
+        transactionElement.querySelector(".category-select").addEventListener("change", event => {
+            const target = transaction instanceof JournalEntry
+                ? transaction.transactions.find(leg => leg.direction === "debit")
+                : transaction;
+            if (!target || !categoryEngine) return;
+            categoryEngine.override(target, event.target.value);
+            renderTransactions();
+            updateAnalytics();
+        });
+        transactionsList.appendChild(transactionElement);
+    });
+}
+
+// Orders offered next to the search box; a sort: term in the query overrides the choice
+const SORT_LABELS = {
+    "-date": "Newest first",
+    date: "Oldest first",
+    "-amount": "Largest first",
+    amount: "Smallest first"
+};
+
+// Resolves a listed transaction to the selected customer's accounts it touches: an account row to its
+// account, a journal entry to each of its legs' accounts the customer holds
+function transactionAccountResolver() {
+    const scoped = Object.values(accounts);
+    const owners = new Map();
+    scoped.forEach(account => account.transactionHistory.forEach(transaction => owners.set(transaction, [account])));
+    return transaction => transaction instanceof JournalEntry
+        ? transaction.legs.map(leg => leg.account).filter(account => scoped.includes(account))
+        : owners.get(transaction) || [];
+}
+
+// Runs the header search box's query over `transactions`, with the chosen sort and page. A query that
+// does not parse lists nothing; the result carries the error and the search box is marked invalid
+function searchTransactions(transactions) {
+    const searchInput = document.querySelector(".search-input");
+    let result;
+    try {
+        result = TransactionQuery.parse(searchInput ? searchInput.value : "").run(transactions, {
+            accountsOf: transactionAccountResolver(),
+            sort: currentSort,
+            page: currentPage,
+            pageSize: DEFAULT_PAGE_SIZE
+        });
+        currentPage = result.page;
+    } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        result = { ...paginate([]), sort: currentSort, error };
+    }
+    if (searchInput) {
+        searchInput.classList.toggle("invalid", Boolean(result.error));
+        searchInput.title = result.error ? result.error.message : "";
+    }
+    return result;
+}
+
+// Page controls after `list`, created on first use; hidden while everything fits on one page
+function renderPager(list, result, render) {
+    let pager = document.getElementById(`${list.id}Pager`);
+    if (!pager) {
+        if (!list.parentNode) return;
+        pager = document.createElement("div");
+        pager.id = `${list.id}Pager`;
+        pager.className = "transactions-pager";
+        list.parentNode.insertBefore(pager, list.nextSibling);
+    }
+    pager.hidden = result.pageCount <= 1;
+    const first = (result.page - 1) * result.pageSize + 1;
+    pager.innerHTML = `
+        <button class="btn btn-outline" data-page="${result.page - 1}" ${result.page <= 1 ? "disabled" : ""}>‹ Previous</button>
+        <span>${first}–${first + result.items.length - 1} of ${result.total}</span>
+        <button class="btn btn-outline" data-page="${result.page + 1}" ${result.page >= result.pageCount ? "disabled" : ""}>Next ›</button>
+    `;
+    pager.querySelectorAll("button").forEach(button => {
+        button.addEventListener("click", () => {
+            currentPage = Number(button.dataset.page);
+            render();
+        });
+    });
+}
+
+// Named searches from the settings, shared by every page with a transaction list
+function savedFilters() {
+    return SavedFilters.fromJSON(bankSettings.get("savedFilters"));
+}
+
+// Wires the header search box to `render` and adds the sort and saved-filter controls, with the type
+// chips unless options.chips is false, to the header of the list's section
+function initTransactionSearch(render = renderTransactions, options = {}) {
+    const { chips = true, header = ".recent-activity .section-header" } = options;
+    const searchInput = document.querySelector(".search-input");
+    const restart = () => {
+        currentPage = 1;
+        render();
+    };
+    if (searchInput) {
+        searchInput.placeholder = 'Search, e.g. amount>5000 category:bills -"ATM"';
+        searchInput.addEventListener("input", restart);
+    }
+
+    const section = document.querySelector(header);
+    if (!section) return;
+    const toolbar = document.createElement("div");
+    toolbar.className = "activity-filters";
+    toolbar.innerHTML = `
+        ${chips ? Object.entries({ all: "All", deposit: "Deposits", withdraw: "Withdrawals", transfer: "Transfers", payment: "Payments" })
+            .map(([filter, label]) => `<div class="filter-chip ${currentFilter === filter ? "active" : ""}" data-filter="${filter}">${label}</div>`).join("") : ""}
+        <div class="search-toolbar">
+            <select class="form-select search-sort" title="Sort">
+                ${Object.entries(SORT_LABELS).map(([sort, label]) => `<option value="${sort}">${label}</option>`).join("")}
+            </select>
+            <select class="form-select saved-filter-select" title="Saved filters"></select>
+            <button class="btn btn-outline save-filter-btn">Save filter</button>
+            <button class="btn btn-outline delete-filter-btn">Delete</button>
+        </div>
+    `;
+    section.appendChild(toolbar);
+
+    toolbar.querySelectorAll(".filter-chip").forEach(chip => {
+        chip.addEventListener("click", () => {
+            currentFilter = chip.dataset.filter;
+            toolbar.querySelectorAll(".filter-chip").forEach(c => c.classList.remove("active"));
+            chip.classList.add("active");
+            restart();
+        });
+    });
+
+    const sortSelect = toolbar.querySelector(".search-sort");
+    sortSelect.value = currentSort;
+    sortSelect.addEventListener("change", () => {
+        currentSort = sortSelect.value;
+        restart();
+    });
+
+    const savedSelect = toolbar.querySelector(".saved-filter-select");
+    const listSaved = (selected = "") => {
+        savedSelect.innerHTML = `<option value="">Saved filters</option>` + savedFilters().filters
+            .map(filter => `<option value="${escapeHtml(filter.name)}">${escapeHtml(filter.name)}</option>`).join("");
+        savedSelect.value = selected;
+    };
+    listSaved();
+    savedSelect.addEventListener("change", () => {
+        const filter = savedSelect.value ? savedFilters().find(savedSelect.value) : null;
+        if (!filter) return;
+        if (searchInput) searchInput.value = filter.query;
+        currentSort = filter.sort;
+        sortSelect.value = filter.sort;
+        restart();
+    });
+
+    toolbar.querySelector(".save-filter-btn").addEventListener("click", () => {
+        const name = prompt("Name this filter", savedSelect.value);
+        if (name === null) return;
+        try {
+            const filters = savedFilters();
+            const filter = filters.save(name, searchInput ? searchInput.value : "", currentSort);
+            bankSettings.update({ savedFilters: filters.toJSON() });
+            listSaved(filter.name);
+            showNotification("success", `Filter "${filter.name}" saved`);
+        } catch (error) {
+            showNotification("error", error.message);
+        }
+    });
+
+    toolbar.querySelector(".delete-filter-btn").addEventListener("click", () => {
+        if (!savedSelect.value) {
+            showNotification("error", "Choose a saved filter to delete");
+            return;
+        }
+        try {
+            const filters = savedFilters();
+            const removed = filters.remove(savedSelect.value);
+            bankSettings.update({ savedFilters: filters.toJSON() });
+            listSaved();
+            showNotification("success", `Filter "${removed.name}" deleted`);
+        } catch (error) {
+            showNotification("error", error.message);
+        }
+    });
+}
+
+// How often open pages check that their session is still live
+const SESSION_CHECK_INTERVAL_MS = 15 * 1000;
+
+// Page events that count as activity for the idle timeout
+const SESSION_ACTIVITY_EVENTS = ["click", "keydown", "mousemove", "scroll", "touchstart"];
+
+// Observer feeding one kind of change into the audit log; a failed write is reported, never thrown
+function auditObserver(record) {
+    return {
+        update: change => {
+            try {
+                record(change);
+            } catch (error) {
+                console.error("Failed to write audit entry:", error.message);
+            }
+        }
+    };
+}
+
+// How often open pages send held email and SMS and pick up inbox messages from other tabs
+const NOTIFICATION_FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Most messages listed in the header inbox panel
+const INBOX_PANEL_LIMIT = 20;
+
+// Loads the notification preferences saved on the settings page
+function applyNotificationSettings() {
+    notificationDispatcher.setPreferences(bankSettings.get("notifications"));
+}
+
+// Tells a customer about sign-ins and security changes on their profile
+function notifyAuthEvent(event) {
+    if (!NOTIFIED_AUTH_EVENTS.includes(event.type)) return;
+    const recipient = customerRegistry.find(event.customerId);
+    if (!recipient) return;
+    notificationDispatcher.notify(recipient, event.type, {
+        name: recipient.name,
+        time: event.timestamp.toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })
+    });
+}
+
+// Sends held email and SMS whose quiet hours or digest interval are over
+function flushNotifications() {
+    const sent = notificationDispatcher.flush();
+    renderInbox();
+    return sent;
+}
+
+// Header bell - the unread badge, and the selected customer's inbox while the panel is open
+function renderInbox() {
+    const unread = customer ? notificationInbox.unreadCount(customer.id) : 0;
+    const badge = document.querySelector(".notification-badge");
+    if (badge) {
+        badge.hidden = unread === 0;
+    }
+    const panel = document.getElementById("inboxPanel");
+    if (!panel || panel.hidden || !customer) return;
+
+    const items = notificationInbox.forCustomer(customer.id).slice(0, INBOX_PANEL_LIMIT);
+    panel.innerHTML = `
+        <div class="inbox-header">
+            <span>Notifications${unread > 0 ? ` (${unread} unread)` : ""}</span>
+            <button class="inbox-mark-all" ${unread > 0 ? "" : "disabled"}>Mark all read</button>
+        </div>
+        <div class="inbox-list">
+            ${items.length === 0 ? `<div class="inbox-empty">No notifications</div>` : items.map(item => `
+                <div class="inbox-item ${escapeHtml(item.level)}${item.read ? "" : " unread"}" data-id="${escapeHtml(item.id)}">
+                    <div class="inbox-title">${escapeHtml(item.title)}</div>
+                    <div class="inbox-message">${escapeHtml(item.message)}</div>
+                    <div class="inbox-time">${escapeHtml(item.timestamp.toLocaleString())}</div>
                 </div>
+            `).join("")}
+        </div>
+    `;
+    panel.querySelector(".inbox-mark-all").addEventListener("click", () => notificationInbox.markAllRead(customer.id));
+    panel.querySelectorAll(".inbox-item.unread").forEach(item => {
+        item.addEventListener("click", () => notificationInbox.markRead(item.dataset.id));
+    });
+}
+
+// Opens and closes the inbox panel from the header bell, and keeps it current
+function watchInbox() {
+    const button = document.querySelector(".notifications-btn");
+    if (!button) return;
+    const panel = document.createElement("div");
+    panel.id = "inboxPanel";
+    panel.className = "inbox-panel";
+    panel.hidden = true;
+    document.body.appendChild(panel);
+    button.addEventListener("click", () => {
+        panel.hidden = !panel.hidden;
+        renderInbox();
+    });
+    notificationInbox.addObserver({ update: renderInbox });
+    renderInbox();
+}
+
+// Loads the session rules saved on the settings page
+function applySecuritySettings() {
+    authService.setSettings(bankSettings.get("security"));
+}
+
+// Locks the page until a customer signs in, then keeps the session alive while the page is used
+// and locks it again once the session times out or is revoked from another device
+function watchSession() {
+    if (!sessionGuard.session) {
+        showSignIn();
+    }
+    let lastActivity = 0;
+    SESSION_ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, () => {
+        if (Date.now() - lastActivity < 5000) return;
+        lastActivity = Date.now();
+        if (!document.body.classList.contains("auth-locked") && !sessionGuard.recordActivity()) {
+            showSignIn("Your session has ended. Sign in again to continue.");
+        }
+    }, { passive: true }));
+    setInterval(() => {
+        if (!document.body.classList.contains("auth-locked") && !sessionGuard.session) {
+            const minutes = authService.settings.autoLogoutMinutes;
+            showSignIn(minutes ? `Signed out after ${minutes} minutes without activity, or from another device.` : "Your session has ended.");
+        }
+    }, SESSION_CHECK_INTERVAL_MS);
+}
+
+// Modal shared by sign-in and step-up; `onSubmit` gets the form and throws to keep the dialog open
+// with its message. The code field appears once two-factor is asked for.
+function openAuthDialog({ title, message, fields, submitLabel, onSubmit, onCancel = null, askCode = false }) {
+    closeAuthDialog();
+    const overlay = document.createElement("div");
+    overlay.className = "auth-overlay";
+    overlay.innerHTML = `
+        <form class="auth-dialog">
+            <div class="logo">
+                <div class="logo-icon">SB</div>
+                <div class="logo-text">SecureBank</div>
             </div>
-            <div class="transaction-amount">
-                <div class="transaction-value ${transaction.type === "withdraw" ? "negative" : "positive"}">
-                    ${transaction.type === "withdraw" ? "-" : "+"}${formatAmount(transaction.amount)}
-                </div>
-                <div class="transaction-status status-completed">completed</div>
+            <h3 class="auth-title">${escapeHtml(title)}</h3>
+            <p class="auth-message">${escapeHtml(message)}</p>
+            ${fields}
+            <div class="form-group auth-code" ${askCode ? "" : "hidden"}>
+                <label class="form-label">Authenticator Code</label>
+                <input type="text" class="form-input" name="code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456">
             </div>
-        `;
-        transactionsList.appendChild(transactionElement);
+            <p class="auth-error"></p>
+            <div class="auth-actions">
+                ${onCancel ? '<button type="button" class="btn btn-outline" data-action="cancel">Cancel</button>' : ""}
+                <button type="submit" class="btn btn-primary">${escapeHtml(submitLabel)}</button>
+            </div>
+        </form>
+    `;
+    const form = overlay.querySelector("form");
+    const error = form.querySelector(".auth-error");
+    form.addEventListener("submit", async event => {
+        event.preventDefault();
+        error.textContent = "";
+        try {
+            await onSubmit(form);
+        } catch (failure) {
+            if (failure.code === AUTH_ERRORS.TWO_FACTOR_REQUIRED) {
+                form.querySelector(".auth-code").hidden = false;
+                form.querySelector('[name="code"]').focus();
+            }
+            error.textContent = failure.message;
+        }
+    });
+    if (onCancel) {
+        form.querySelector('[data-action="cancel"]').addEventListener("click", () => {
+            closeAuthDialog();
+            onCancel();
+        });
+    }
+    document.body.appendChild(overlay);
+    return form;
+}
+
+function closeAuthDialog() {
+    document.querySelectorAll(".auth-overlay").forEach(overlay => overlay.remove());
+}
+
+// Sends a new enrolment code to the customer's email, and phone when they have one. It goes straight
+// to the outbound transports so it never lands in the inbox or a pop-up on this screen
+async function sendEnrolmentCode(recipient) {
+    if (!recipient.email && !recipient.phone) {
+        throw new Error(`${recipient.name} has no email or phone to send a code to`);
+    }
+    const code = await authService.issueEnrolmentCode(recipient.id);
+    const text = `Your SecureBank enrolment code is ${code}. It expires in ${ENROLMENT_CODE.validMinutes} minutes.`;
+    if (recipient.email) {
+        emailOutbox.send({ to: recipient.email, subject: "SecureBank: Your enrolment code", body: `Dear ${recipient.name},\n\n${text}\n\nSecureBank` });
+    }
+    if (recipient.phone) {
+        smsOutbox.send({ to: recipient.phone, body: text });
+    }
+    return [recipient.email, recipient.phone].filter(Boolean);
+}
+
+// Hides the page behind the sign-in form. A customer without a password chooses one first, with
+// the enrolment code sent to them or, when someone is still signed in here, on their say-so.
+// Signing in as someone other than the customer the page was built for reloads it for them.
+function showSignIn(message = "", customerId = customer.id) {
+    document.body.classList.add("auth-locked");
+    const selected = customerRegistry.find(customerId);
+    const settingUp = !authService.hasPassword(selected.id);
+    const sponsor = settingUp ? sessionGuard.session : null;
+    const password = (name, label, autocomplete) => `
+        <div class="form-group">
+            <label class="form-label">${label}</label>
+            <input type="password" class="form-input" name="${name}" autocomplete="${autocomplete}" required>
+        </div>`;
+    const form = openAuthDialog({
+        title: settingUp ? "Create Your Password" : "Sign In",
+        message: message || (settingUp
+            ? `No password has been set for ${selected.name} yet. ${sponsor ? "Choose" : "Enter the enrolment code sent to them and choose"} one of at least ${MIN_PASSWORD_LENGTH} characters with letters and digits.`
+            : `Welcome back, ${selected.name}.`),
+        fields: `
+            <div class="form-group">
+                <label class="form-label">Customer</label>
+                <select class="form-select" name="customer">
+                    ${customerRegistry.customers.map(candidate =>
+                        `<option value="${escapeHtml(candidate.id)}" ${candidate === selected ? "selected" : ""}>${escapeHtml(candidate.name)}</option>`).join("")}
+                </select>
+            </div>
+            ${settingUp && !sponsor ? `
+                <div class="form-group">
+                    <label class="form-label">Enrolment Code</label>
+                    <input type="text" class="form-input" name="enrolment" inputmode="numeric" autocomplete="one-time-code" maxlength="${ENROLMENT_CODE.digits}" required>
+                    <button type="button" class="btn btn-outline" data-action="send-code">Send a code</button>
+                </div>` : ""}
+            ${password("password", "Password", settingUp ? "new-password" : "current-password")}
+            ${settingUp ? password("confirm", "Confirm Password", "new-password") : ""}
+            <label class="auth-remember">
+                <input type="checkbox" name="remember" ${authService.settings.rememberMe ? "checked" : ""}>
+                Remember me on this device
+            </label>`,
+        submitLabel: settingUp ? "Set Password & Sign In" : "Sign In",
+        onSubmit: async form => {
+            const field = name => form.querySelector(`[name="${name}"]`);
+            if (settingUp) {
+                if (field("password").value !== field("confirm").value) {
+                    throw new Error("Passwords do not match");
+                }
+                await authService.enrol(selected.id, field("password").value, {
+                    code: sponsor ? null : field("enrolment").value,
+                    sponsorToken: sponsor ? sponsor.id : null
+                });
+            }
+            const session = await sessionGuard.signIn(selected.id, field("password").value, field("code").value || null, field("remember").checked);
+            if (session.customerId !== customer.id) {
+                bankSettings.update({ selectedCustomer: session.customerId });
+                window.location.reload();
+                return;
+            }
+            closeAuthDialog();
+            document.body.classList.remove("auth-locked");
+            showNotification("success", `Signed in as ${selected.name}`);
+        }
+    });
+    form.querySelector('[name="customer"]').addEventListener("change", event => showSignIn(message, event.target.value));
+    const sendCode = form.querySelector('[data-action="send-code"]');
+    if (sendCode) {
+        sendCode.addEventListener("click", async () => {
+            const error = form.querySelector(".auth-error");
+            try {
+                const sentTo = await sendEnrolmentCode(selected);
+                error.textContent = "";
+                showNotification("info", `Enrolment code sent to ${sentTo.join(" and ")}`);
+            } catch (failure) {
+                error.textContent = failure.message;
+            }
+        });
+    }
+}
+
+// Asks the signed-in customer for their password (and code) again; rejects if they cancel
+function promptStepUp(message) {
+    return new Promise((resolve, reject) => {
+        openAuthDialog({
+            title: "Confirm It's You",
+            message,
+            fields: `
+                <div class="form-group">
+                    <label class="form-label">Password</label>
+                    <input type="password" class="form-input" name="password" autocomplete="current-password" required>
+                </div>`,
+            submitLabel: "Confirm",
+            askCode: authService.twoFactorEnabled(customer.id),
+            onSubmit: async form => {
+                await sessionGuard.stepUp(form.querySelector('[name="password"]').value, form.querySelector('[name="code"]').value || null);
+                closeAuthDialog();
+                resolve();
+            },
+            onCancel: () => reject(new Error("Cancelled: the transfer needs you to confirm your password"))
+        });
+    });
+}
+
+// The signed-in customer sets a first password for another customer, e.g. a new joint holder;
+// resolves once it is set, or rejects if the dialog is cancelled
+function promptEnrolment(recipient) {
+    return new Promise((resolve, reject) => {
+        openAuthDialog({
+            title: `Set a Password for ${recipient.name}`,
+            message: `Choose a password of at least ${MIN_PASSWORD_LENGTH} characters with letters and digits for ${recipient.name} to sign in with.`,
+            fields: `
+                <div class="form-group">
+                    <label class="form-label">Password</label>
+                    <input type="password" class="form-input" name="password" autocomplete="new-password" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Confirm Password</label>
+                    <input type="password" class="form-input" name="confirm" autocomplete="new-password" required>
+                </div>`,
+            submitLabel: "Set Password",
+            onSubmit: async form => {
+                const password = form.querySelector('[name="password"]').value;
+                if (password !== form.querySelector('[name="confirm"]').value) {
+                    throw new Error("Passwords do not match");
+                }
+                const session = sessionGuard.session;
+                await authService.enrol(recipient.id, password, { sponsorToken: session ? session.id : null });
+                closeAuthDialog();
+                resolve(recipient);
+            },
+            onCancel: () => reject(new Error(`Cancelled: no password was set for ${recipient.name}`))
+        });
+    });
+}
+
+// Asks another holder for their password (and code) so they co-sign this session; resolves with
+// them, or rejects if the dialog is cancelled
+function promptCoSigner(holder) {
+    return new Promise((resolve, reject) => {
+        openAuthDialog({
+            title: `Co-sign as ${holder.name}`,
+            message: `${holder.name} confirms with their own password to sign alongside ${customer.name}.`,
+            fields: `
+                <div class="form-group">
+                    <label class="form-label">Password</label>
+                    <input type="password" class="form-input" name="password" autocomplete="off" required>
+                </div>`,
+            submitLabel: "Co-sign",
+            askCode: authService.twoFactorEnabled(holder.id),
+            onSubmit: async form => {
+                const signer = await customerRegistry.addCoSigner(holder.id, form.querySelector('[name="password"]').value,
+                    form.querySelector('[name="code"]').value || null);
+                closeAuthDialog();
+                resolve(signer);
+            },
+            onCancel: () => reject(new Error("Cancelled: co-signing needs the holder's password"))
+        });
     });
 }
 
-// Initialize accounts
+// Executes a customer command; when the policy asks for step-up re-authentication the customer
+// confirms their password and the command is tried once more
+async function executeWithStepUp(command) {
+    try {
+        return commandInvoker.executeCommand(command);
+    } catch (error) {
+        const stepUp = error instanceof PolicyViolationError && error.violations.find(violation => violation.rule === "stepUp");
+        if (!stepUp) throw error;
+        await promptStepUp(stepUp.message);
+        return commandInvoker.executeCommand(command);
+    }
+}
+
+// Initialize accounts - restores the saved ledger, or seeds a fresh one
 function initializeAccounts() {
-    // Create account instances
-    accounts.savings = new SavingsAccount("****4589", 245750);
-    accounts.current = new CurrentAccount("****9210", 85420);
-    accounts.fd = new FixedDepositAccount("****3344", 400000, 12);
-
-    // Create customer and add as observer
-    customer = new Customer("2303A52336", "john.doe@email.com");
-    Object.values(accounts).forEach(account => {
-        account.addObserver(customer);
+    const backend = createDefaultStorageBackend();
+    ledgerStore = new LedgerStore(backend);
+    bankSettings = new SettingsStore(backend);
+    notificationInbox = new NotificationInbox(backend);
+    emailOutbox = new LocalOutboxTransport(backend, EMAIL_OUTBOX_KEY);
+    smsOutbox = new LocalOutboxTransport(backend, SMS_OUTBOX_KEY);
+    notificationDispatcher = new NotificationDispatcher([
+        new ToastChannel(customerId => customer !== null && customer.id === customerId),
+        new InboxChannel(notificationInbox),
+        new EmailChannel(emailOutbox),
+        new SmsChannel(smsOutbox)
+    ], { backend });
+    applyNotificationSettings();
+    authService = new AuthService(backend);
+    applySecuritySettings();
+    sessionGuard = new SessionGuard(authService, backend, createDefaultStorageBackend("sessionStorage"));
+    auditLog = new AuditLog(backend);
+    auditLog.setActor(() => {
+        const session = sessionGuard.session;
+        return session ? session.customerId : SYSTEM_ACTOR;
+    });
+    bankSettings.addObserver(auditObserver(change => auditLog.recordSettingsChange(change)));
+    authService.addObserver(auditObserver(event => auditLog.recordAuthEvent(event)));
+
+    let snapshot = null;
+    try {
+        snapshot = ledgerStore.load();
+    } catch (error) {
+        console.error("Failed to load saved ledger, starting fresh:", error.message);
+    }
+
+    if (snapshot) {
+        Object.assign(bankAccounts, snapshot.accounts);
+        journal = snapshot.journal;
+        customerRegistry = snapshot.customers;
+    } else {
+        journal = new Journal();
+        // Create the customers and their account instances
+        const primary = Customer.fromJSON(PRIMARY_CUSTOMER);
+        const partner = new Customer("Priya Sharma", "priya.sharma@email.com");
+        customerRegistry = new CustomerRegistry([primary, partner]);
+
+        const savings = customerRegistry.register(new SavingsAccount("****4589", 245750), [primary.id]);
+        customerRegistry.register(new CurrentAccount("****9210", 85420), [primary.id]);
+        customerRegistry.register(new FixedDepositAccount("****3344", 400000, 12, {
+            payoutAccount: savings,
+            renewal: FD_RENEWAL_OPTIONS.NONE
+        }), [primary.id]);
+        customerRegistry.register(new SavingsAccount("****7702", 120000), [partner.id]);
+        customerRegistry.register(new SavingsAccount("****5816", 60000), [primary.id, partner.id], ACCOUNT_MANDATES.EITHER_OR_SURVIVOR);
+        customerRegistry.register(new SavingsAccount("****6120", Money.of(1500, "USD")), [primary.id]);
+        customerRegistry.register(new SavingsAccount("****8453", Money.of(900, "EUR")), [partner.id]);
+        customerRegistry.accounts.forEach(account => {
+            bankAccounts[account.accountNumber] = account;
+        });
+    }
+
+    // A signed-in session decides whose accounts the page shows
+    const signedIn = sessionGuard.session;
+    const remembered = signedIn ? signedIn.customerId : bankSettings.get("selectedCustomer");
+    if (remembered && customerRegistry.find(remembered)) {
+        customerRegistry.selectCustomer(remembered);
+    }
+    customerRegistry.setAuth(authService);
+    scopeAccounts();
+    authService.addObserver({ update: notifyAuthEvent });
+
+    // Categorise before any other observer sees a transaction
+    categoryEngine = snapshot ? snapshot.categories : new CategoryRulesEngine();
+    Object.values(bankAccounts).forEach(account => categoryEngine.attach(account));
+
+    // Every holder observes their accounts, so joint holders all hear about activity
+    Object.values(bankAccounts).forEach(account => {
+        customerRegistry.holdersOf(account).forEach(holder => account.addObserver(holder));
     });
 
-    // Initialize command invoker and interest calculator
-    commandInvoker = new CommandInvoker();
+    // Budget alerts reach the selected customer through their notification preferences
+    budgetTracker = new BudgetTracker();
+    Object.values(accounts).forEach(account => budgetTracker.attach(account));
+    budgetTracker.addObserver(customer);
+
+    // Initialize command invoker, scheduler and interest calculator
+    commandInvoker = snapshot ? snapshot.invoker : new CommandInvoker();
+    commandInvoker.setAuthoriser(() => customerRegistry.actors);
+    commandInvoker.setAuditLog(auditLog);
+    instructionScheduler = new InstructionScheduler(snapshot ? snapshot.instructions : [], { invoker: commandInvoker, journal });
+    beneficiaryBook = snapshot ? snapshot.beneficiaries : new BeneficiaryBook();
+    paymentProcessor = new PaymentProcessor(createDefaultPaymentRails(), snapshot ? snapshot.payments : []);
+    const autoSave = new LedgerAutoSave(ledgerStore, bankAccounts, commandInvoker, journal, instructionScheduler, categoryEngine, customerRegistry,
+        beneficiaryBook, paymentProcessor);
+    commandInvoker.addObserver(autoSave);
+    instructionScheduler.addObserver(autoSave);
+    categoryEngine.addObserver(autoSave);
+    beneficiaryBook.addObserver(autoSave);
+    paymentProcessor.addObserver(autoSave);
+    beneficiaryBook.addObserver(auditObserver(event => auditLog.recordPayeeEvent(event)));
+    paymentProcessor.addObserver(auditObserver(event => auditLog.recordPayeeEvent(event)));
+    paymentProcessor.addObserver({ update: reportPayment });
     interestCalculator = new InterestCalculator();
+    interestEngine = new InterestAccrualEngine({ frequency: "quarterly" });
+    applyInterestSettings();
+    applyLimitSettings();
+    transactionPolicy.setMandates(customerRegistry);
+    transactionPolicy.setAuthentication(sessionGuard);
+    transactionPolicy.setPayments(paymentProcessor);
+    applyBudgetSettings();
+
+    // Accounts opened later are wired up the same way, then the page scope is rebuilt
+    customerRegistry.addObserver({
+        update: event => {
+            if (event.type === "account_opened") {
+                bankAccounts[event.account.accountNumber] = event.account;
+                categoryEngine.attach(event.account);
+                event.holding.holders.forEach(id => event.account.addObserver(customerRegistry.find(id)));
+                applyInterestStrategy(event.account);
+            } else if (event.type === "holder_added") {
+                event.account.addObserver(event.customer);
+            }
+            const before = Object.values(accounts);
+            scopeAccounts();
+            Object.values(accounts)
+                .filter(account => !before.includes(account))
+                .forEach(account => budgetTracker.attach(account));
+        }
+    });
+    customerRegistry.addObserver(autoSave);
+    customerRegistry.addObserver(auditObserver(event => auditLog.recordRegistryEvent(event)));
+
+    return snapshot !== null;
 }
 
-// Add sample transactions using Command Pattern
+// Add sample transactions using Command Pattern; they are seeded by the bank, not a customer
 function addSampleTransactions() {
     const sampleTransactions = [
-        { type: "deposit", account: "savings", amount: 5000, description: "Salary Credit" },
-        { type: "withdraw", account: "current", amount: 2500, description: "ATM Withdrawal" },
-        { type: "transfer", account: "savings", amount: 10000, description: "Transfer to Current" },
-        { type: "payment", account: "current", amount: 1500, description: "Electricity Bill Payment" },
-        { type: "deposit", account: "savings", amount: 2000, description: "Interest Credit" },
-        { type: "withdraw", account: "savings", amount: 3000, description: "Shopping" },
-        { type: "payment", account: "current", amount: 800, description: "Internet Bill" },
-        { type: "deposit", account: "current", amount: 15000, description: "Freelance Payment" }
+        { type: "deposit", account: "****4589", amount: 5000, description: "Salary Credit" },
+        { type: "withdraw", account: "****9210", amount: 2500, description: "ATM Withdrawal" },
+        { type: "transfer", account: "****4589", to: "****9210", amount: 10000, description: "Transfer to Current" },
+        { type: "payment", account: "****9210", amount: 1500, description: "Electricity Bill Payment", category: TRANSACTION_CATEGORIES.BILLS },
+        { type: "deposit", account: "****4589", amount: 2000, description: "Interest Credit" },
+        { type: "withdraw", account: "****4589", amount: 3000, description: "Shopping" },
+        { type: "payment", account: "****9210", amount: 800, description: "Internet Bill", category: TRANSACTION_CATEGORIES.BILLS },
+        { type: "deposit", account: "****9210", amount: 15000, description: "Freelance Payment" },
+        { type: "deposit", account: "****5816", amount: 4000, description: "Household Contribution" },
+        { type: "payment", account: "****7702", amount: 1200, description: "Mobile Recharge", category: TRANSACTION_CATEGORIES.BILLS },
+        { type: "transfer", account: "****4589", to: "****6120", amount: 8325, description: "Transfer to USD wallet" }
     ];
     
     sampleTransactions.forEach((tx, index) => {
@@ -653,15 +5139,16 @@ function addSampleTransactions() {
             try {
                 let command;
                 if (tx.type === "deposit") {
-                    command = new DepositCommand(accounts[tx.account], tx.amount, tx.description);
+                    command = new DepositCommand(bankAccounts[tx.account], tx.amount, tx.description);
                 } else if (tx.type === "withdraw" || tx.type === "payment") {
-                    command = new WithdrawCommand(accounts[tx.account], tx.amount, tx.description);
+                    const channel = tx.type === "payment" ? TRANSACTION_CHANNELS.PAYMENT : TRANSACTION_CHANNELS.BRANCH;
+                    command = new WithdrawCommand(bankAccounts[tx.account], tx.amount, tx.description, channel, transactionPolicy, tx.category || null);
                 } else if (tx.type === "transfer") {
-                    command = new TransferCommand(accounts[tx.account], accounts.current, tx.amount, tx.description);
+                    command = new TransferCommand(bankAccounts[tx.account], bankAccounts[tx.to], tx.amount, tx.description);
                 }
                 
                 if (command) {
-                    commandInvoker.executeCommand(command);
+                    commandInvoker.executeCommand(command.authorisedBy([SYSTEM_ACTOR]));
                 }
             } catch (error) {
                 console.error("Sample transaction failed:", error.message);
@@ -672,10 +5159,26 @@ function addSampleTransactions() {
 
 // Initialize the banking system
 function initBanking() {
-    initializeAccounts();
+    const restored = initializeAccounts();
+    renderCustomerSwitcher();
+    watchSession();
+    watchInbox();
+    populateAccountSelects();
+    postDueInterest();
+    collectRecurringDeposits();
+    processMaturities();
+    collectLoanInstallments();
+    runDueInstructions();
+    settlePayments();
+    setInterval(settlePayments, PAYMENT_CHECK_INTERVAL_MS);
+    flushNotifications();
+    setInterval(flushNotifications, NOTIFICATION_FLUSH_INTERVAL_MS);
+    markDormantAccounts();
     updateBalances();
     updateAnalytics();
-    addSampleTransactions();
+    if (!restored) {
+        addSampleTransactions();
+    }
     
     // Add some initial transactions
     setTimeout(() => {
@@ -688,31 +5191,248 @@ window.BankingSystem = {
     BaseAccount,
     SavingsAccount,
     CurrentAccount,
+    OverdraftEvent,
+    DEFAULT_OVERDRAFT_LIMIT,
     FixedDepositAccount,
+    DEFAULT_RD_PENALTY,
+    RecurringDepositAccount,
+    FD_RENEWAL_OPTIONS,
+    FD_PREMATURE_POLICIES,
+    LOAN_TYPES,
+    PREPAYMENT_MODES,
+    DEFAULT_LATE_FEE,
+    emiFor,
+    tenureFor,
+    amortisationSchedule,
+    scheduleTotals,
+    LoanEvent,
+    ReducingBalanceInterestStrategy,
+    LoanAccount,
+    LoanDisbursementCommand,
+    EmiPaymentCommand,
+    LoanPrepaymentCommand,
+    QUERY_OPERATORS,
+    DEFAULT_QUERY_SORT,
+    DEFAULT_PAGE_SIZE,
+    QuerySyntaxError,
+    QUERY_FIELDS,
+    QUERY_SORTS,
+    TransactionQuery,
+    sortTransactions,
+    paginate,
+    SavedFilters,
     Transaction,
     Customer,
+    ACCOUNT_MANDATES,
+    MANDATE_LABELS,
+    ACCOUNT_KIND_LABELS,
+    SYSTEM_ACTOR,
+    AccountHolding,
+    CustomerRegistry,
+    ACCOUNT_STATUSES,
+    ACCOUNT_STATUS_LABELS,
+    ACCOUNT_STATUS_TRANSITIONS,
+    ACCOUNT_STATUS_RULES,
+    DEFAULT_DORMANCY_DAYS,
+    describeStatus,
+    AccountStatusError,
+    AccountStatusEvent,
+    RateTable,
+    interestRates,
     InterestStrategy,
+    SimpleInterestStrategy,
     SavingsInterestStrategy,
     CurrentInterestStrategy,
     FixedDepositInterestStrategy,
+    CompoundInterestStrategy,
+    quarterlyCompoundedInterest,
+    RecurringDepositInterestStrategy,
+    TieredInterestStrategy,
+    OverdraftInterestStrategy,
     InterestCalculator,
+    createInterestStrategy,
+    Clock,
+    SystemClock,
+    ManualClock,
+    setBankingClock,
+    DAY_COUNT_CONVENTIONS,
+    InterestAccrualEngine,
     Command,
     DepositCommand,
     WithdrawCommand,
     TransferCommand,
+    RecurringDepositInstallmentCommand,
     CommandInvoker,
+    COMMAND_STATUSES,
+    TRANSACTION_CHANNELS,
+    DEFAULT_LIMITS,
+    PolicyViolationError,
+    TransactionPolicy,
+    SCHEDULE_FREQUENCIES,
+    INSTRUCTION_STATUSES,
+    DEFAULT_RETRY_POLICY,
+    StandingInstruction,
+    InstructionScheduler,
+    TRANSACTION_CATEGORIES,
+    CATEGORY_LABELS,
+    SPENDING_CATEGORIES,
+    PAYMENT_CATEGORIES,
+    CATEGORY_SOURCES,
+    DEFAULT_CATEGORY_RULES,
+    CategoryRule,
+    CategoryRulesEngine,
+    isPayment,
+    spendingByCategory,
+    ANALYTICS_GROUPINGS,
+    AnalyticsEngine,
+    percentChange,
+    renderLineChart,
+    renderBarChart,
+    BUDGET_ROLLOVER_MODES,
+    BUDGET_ALERT_THRESHOLDS,
+    Budget,
+    BudgetAlert,
+    BudgetTracker,
+    Statement,
+    StatementFormatter,
+    CsvStatementFormatter,
+    OfxStatementFormatter,
+    HtmlStatementFormatter,
+    STATEMENT_FORMATS,
+    exportStatement,
+    formatScheduleCsv,
+    exportSchedule,
+    CsvStatementParser,
+    OfxStatementParser,
+    StatementImporter,
+    JournalEntry,
+    Journal,
+    Money,
+    ROUNDING_MODES,
+    CURRENCY_LOCALES,
+    DEFAULT_FX_RATES,
+    DEFAULT_FX_SPREAD,
+    FxRateProvider,
+    StaticFxRateProvider,
+    FxQuote,
+    CurrencyExchange,
+    currencyExchange,
+    PAYMENT_STATUSES,
+    bankCodeCheckCharacter,
+    bankCodeProblem,
+    Beneficiary,
+    BeneficiaryBook,
+    PaymentRail,
+    SimulatedPaymentRail,
+    createDefaultPaymentRails,
+    PaymentOrder,
+    PaymentProcessor,
+    PayeeTransferCommand,
+    PASSWORD_HASHING,
+    TOTP_SETTINGS,
+    DEFAULT_SECURITY_SETTINGS,
+    AUTH_ERRORS,
+    AuthError,
+    hashPassword,
+    verifyPassword,
+    passwordWeakness,
+    bytesToBase32,
+    base32ToBytes,
+    totpCode,
+    matchTotp,
+    totpUri,
+    describeDevice,
+    AuthService,
+    SessionGuard,
+    executeWithStepUp,
+    promptEnrolment,
+    promptCoSigner,
+    AUDIT_CATEGORIES,
+    AUDIT_CATEGORY_LABELS,
+    AUDIT_OUTCOMES,
+    sha256Hex,
+    AuditEntry,
+    AuditLog,
+    auditObserver,
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_EVENT_LABELS,
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_CHANNEL_LABELS,
+    DEFAULT_NOTIFICATION_SETTINGS,
+    NOTIFICATION_TEMPLATES,
+    CustomerNotification,
+    NotificationInbox,
+    MessageTransport,
+    LocalOutboxTransport,
+    NotificationChannel,
+    ToastChannel,
+    InboxChannel,
+    EmailChannel,
+    SmsChannel,
+    NotificationDispatcher,
+    StorageBackend,
+    LocalStorageBackend,
+    MemoryStorageBackend,
+    LEDGER_STORAGE_KEY,
+    LEDGER_SCHEMA_VERSION,
+    LEDGER_MIGRATIONS,
+    LedgerStore,
+    LedgerAutoSave,
+    SettingsStore,
     accounts,
+    bankAccounts,
+    customerRegistry,
     customer,
     commandInvoker,
     interestCalculator,
+    journal,
+    ledgerStore,
+    interestEngine,
     currentFilter,
+    currentSort,
+    currentPage,
     formatAmount,
+    currencySymbol,
     updateBalances,
+    accountsOfKind,
+    baseCurrency,
+    consolidate,
+    balanceOfKind,
+    interestOfKind,
+    accountLabel,
+    scopeAccounts,
+    populateAccountSelects,
+    renderScheduleTable,
     validateAmount,
     clearFormInputs,
     getAllTransactions,
+    saveLedger,
+    applyInterestSettings,
+    applyLimitSettings,
+    postDueInterest,
+    collectRecurringDeposits,
+    processMaturities,
+    collectLoanInstallments,
+    runDueInstructions,
+    settlePayments,
+    flushNotifications,
+    applyNotificationSettings,
+    payeeFromOption,
+    notifyPayeePayment,
+    markDormantAccounts,
+    formatDate,
+    escapeHtml,
     showNotification,
     updateAnalytics,
+    addAnalyticsPanel,
+    transactionRowHtml,
+    paymentRowHtml,
     renderTransactions,
+    SORT_LABELS,
+    transactionAccountResolver,
+    searchTransactions,
+    renderPager,
+    savedFilters,
+    initTransactionSearch,
     initBanking
 };
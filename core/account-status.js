@@ -0,0 +1,92 @@
+// ===========================================
+// ACCOUNT STATUS - LIFECYCLE & RULES
+// ===========================================
+
+import { Money } from "./money.js";
+
+// Account lifecycle - every account is in exactly one status at a time
+const ACCOUNT_STATUSES = {
+    PENDING_KYC: "pending_kyc",
+    ACTIVE: "active",
+    FROZEN: "frozen",
+    DORMANT: "dormant",
+    CLOSED: "closed"
+};
+
+const ACCOUNT_STATUS_LABELS = {
+    pending_kyc: "Pending KYC",
+    active: "Active",
+    frozen: "Frozen",
+    dormant: "Dormant",
+    closed: "Closed"
+};
+
+// Statuses each status may move to; closed is final
+const ACCOUNT_STATUS_TRANSITIONS = {
+    pending_kyc: ["active", "closed"],
+    active: ["frozen", "dormant", "closed"],
+    frozen: ["active", "closed"],
+    dormant: ["active", "frozen", "closed"],
+    closed: []
+};
+
+// Money movements each status allows
+const ACCOUNT_STATUS_RULES = {
+    pending_kyc: { credit: true, debit: false },    // Opening deposit only until KYC is verified
+    active: { credit: true, debit: true },
+    frozen: { credit: true, debit: false },
+    dormant: { credit: true, debit: false },        // Reactivate before withdrawing
+    closed: { credit: false, debit: false }
+};
+
+const DEFAULT_DORMANCY_DAYS = 730;
+
+// Status label for use mid-sentence, e.g. "frozen" or "pending KYC"
+function describeStatus(status) {
+    const label = ACCOUNT_STATUS_LABELS[status];
+    return label.charAt(0).toLowerCase() + label.slice(1);
+}
+
+class AccountStatusError extends Error {
+    constructor(account, message) {
+        super(message);
+        this.name = "AccountStatusError";
+        this.accountNumber = account.accountNumber;
+        this.status = account.status;
+    }
+}
+
+// Event sent to account observers when the account changes status
+class AccountStatusEvent {
+    constructor(account, change) {
+        this._type = "status_changed";
+        this._account = account.accountNumber;
+        this._from = change.from;
+        this._to = change.to;
+        this._reason = change.reason;
+        this._balance = account.balance;
+        this._timestamp = change.at;
+        this._message = `Account ${account.accountNumber} is now ${describeStatus(change.to)}${change.reason ? ` (${change.reason})` : ""}`;
+    }
+
+    get type() { return this._type; }
+    get account() { return this._account; }
+    get from() { return this._from; }
+    get to() { return this._to; }
+    get reason() { return this._reason; }
+    get amount() { return Money.zero(this._balance.currency); }
+    get balance() { return this._balance; }
+    get timestamp() { return this._timestamp; }
+    get message() { return this._message; }
+}
+
+export {
+    ACCOUNT_STATUSES,
+    ACCOUNT_STATUS_LABELS,
+    ACCOUNT_STATUS_TRANSITIONS,
+    ACCOUNT_STATUS_RULES,
+    DEFAULT_DORMANCY_DAYS,
+    describeStatus,
+    AccountStatusError,
+    AccountStatusEvent
+};
@@ -0,0 +1,989 @@
+// ===========================================
+// OOP STRUCTURE - ENCAPSULATION & INHERITANCE
+// ===========================================
+
+import { Money, formatAmount } from "./money.js";
+import { bankingClock, startOfDay, addDays, addMonths, calendarDaysBetween, formatDate } from "./clock.js";
+import {
+    ACCOUNT_STATUSES,
+    ACCOUNT_STATUS_LABELS,
+    ACCOUNT_STATUS_TRANSITIONS,
+    ACCOUNT_STATUS_RULES,
+    DEFAULT_DORMANCY_DAYS,
+    describeStatus,
+    AccountStatusError,
+    AccountStatusEvent
+} from "./account-status.js";
+import { CATEGORY_SOURCES, Transaction } from "./transactions.js";
+import { JournalEntry } from "./journal.js";
+import {
+    interestRates,
+    InterestCalculator,
+    SavingsInterestStrategy,
+    CurrentInterestStrategy,
+    FixedDepositInterestStrategy,
+    OverdraftInterestStrategy,
+    RecurringDepositInterestStrategy,
+    quarterlyCompoundedInterest
+} from "./interest.js";
+import { defaultService } from "./defaults.js";
+
+// Base Account Class (Abstraction)
+class BaseAccount {
+    constructor(accountNumber, initialBalance = 0) {
+        this._accountNumber = accountNumber;
+        this._balance = Money.from(initialBalance);
+        this._observers = [];
+        this._transactionHistory = [];
+        this._openedAt = bankingClock.now();
+        this._interestPostedThrough = this._openedAt;
+        this._interestCalculator = new InterestCalculator();
+        this._status = ACCOUNT_STATUSES.ACTIVE;
+        this._statusHistory = [];
+    }
+
+    // Encapsulation - Private properties with getters/setters
+    get balance() {
+        return this._balance;
+    }
+
+    get accountNumber() {
+        return this._accountNumber;
+    }
+
+    get currency() {
+        return this._balance.currency;
+    }
+
+    get transactionHistory() {
+        return [...this._transactionHistory]; // Return copy for encapsulation
+    }
+
+    get openedAt() {
+        return new Date(this._openedAt);
+    }
+
+    get interestPostedThrough() {
+        return new Date(this._interestPostedThrough);
+    }
+
+    get status() {
+        return this._status;
+    }
+
+    // Every status change: { from, to, at, reason }
+    get statusHistory() {
+        return this._statusHistory.map(change => ({ ...change, at: new Date(change.at) }));
+    }
+
+    get closedAt() {
+        const closing = this._statusHistory.find(change => change.to === ACCOUNT_STATUSES.CLOSED);
+        return closing ? new Date(closing.at) : null;
+    }
+
+    // Latest customer-initiated transaction or reactivation; dormancy counts from here
+    get lastActivityAt() {
+        let latest = this._openedAt;
+        this._transactionHistory.forEach(transaction => {
+            if (transaction.channel && transaction.timestamp > latest) latest = transaction.timestamp;
+        });
+        this._statusHistory.forEach(change => {
+            if (change.to === ACCOUNT_STATUSES.ACTIVE && change.at > latest) latest = change.at;
+        });
+        return new Date(latest);
+    }
+
+    // Whether a long spell without activity makes the account dormant
+    get dormancyApplies() {
+        return true;
+    }
+
+    // Whether customers pay in and draw out directly; deposits and loans move money only through their own operations
+    get operable() {
+        return true;
+    }
+
+    // Accounts this one pays into or collects from; they cannot close while this one is open
+    get linkedAccounts() {
+        return [];
+    }
+
+    allows(direction) {
+        return ACCOUNT_STATUS_RULES[this._status][direction];
+    }
+
+    // Why the status forbids moving money in this direction, or null when it allows it
+    statusRefusal(direction) {
+        if (this.allows(direction)) return null;
+        return this._status === ACCOUNT_STATUSES.CLOSED
+            ? `Account ${this._accountNumber} is closed`
+            : `Account ${this._accountNumber} is ${describeStatus(this._status)}; only credits are allowed`;
+    }
+
+    assertAllows(direction) {
+        const refusal = this.statusRefusal(direction);
+        if (refusal) {
+            throw new AccountStatusError(this, refusal);
+        }
+    }
+
+    transitionTo(status, reason = null) {
+        if (!ACCOUNT_STATUS_TRANSITIONS[status]) {
+            throw new Error(`Unknown account status: ${status}`);
+        }
+        if (!ACCOUNT_STATUS_TRANSITIONS[this._status].includes(status)) {
+            throw new AccountStatusError(this,
+                `Account ${this._accountNumber} cannot go from ${ACCOUNT_STATUS_LABELS[this._status]} to ${ACCOUNT_STATUS_LABELS[status]}`);
+        }
+        const change = { from: this._status, to: status, at: bankingClock.now(), reason };
+        this._status = status;
+        this._statusHistory.push(change);
+        const event = new AccountStatusEvent(this, change);
+        this.notifyObservers(event);
+        return event;
+    }
+
+    // Marks the account dormant after `days` without customer activity; returns the event, or null
+    checkDormancy(days = DEFAULT_DORMANCY_DAYS, asOf = bankingClock.now()) {
+        if (this._status !== ACCOUNT_STATUSES.ACTIVE || !this.dormancyApplies) return null;
+        if (calendarDaysBetween(this.lastActivityAt, asOf) < days) return null;
+        return this.transitionTo(ACCOUNT_STATUSES.DORMANT, `No customer activity for ${days} days`);
+    }
+
+    // Settles accrued interest, moves whatever is left to (or, when overdrawn, from) `settleTo`
+    // and closes the account. A dormant account is reactivated for the settlement; frozen or
+    // unverified accounts can only close once they are empty.
+    close(settleTo = null, targetJournal = defaultService("journal"), accrualEngine = defaultService("accrualEngine"), reason = "Closed at customer request") {
+        if (!ACCOUNT_STATUS_TRANSITIONS[this._status].includes(ACCOUNT_STATUSES.CLOSED)) {
+            throw new AccountStatusError(this, `Account ${this._accountNumber} is already closed`);
+        }
+        if (settleTo === this) {
+            throw new Error("An account cannot settle into itself");
+        }
+        if (settleTo && settleTo.currency !== this.currency) {
+            throw new Error(`Account ${this._accountNumber} holds ${this.currency}; settle it into another ${this.currency} account`);
+        }
+        const accrued = accrualEngine && this.accruesInterest ? accrualEngine.accruedToDate(this) : Money.zero(this.currency);
+        const restricted = this._status === ACCOUNT_STATUSES.FROZEN || this._status === ACCOUNT_STATUSES.PENDING_KYC;
+        if (restricted && (!this._balance.isZero() || accrued.isPositive())) {
+            throw new AccountStatusError(this,
+                `Account ${this._accountNumber} is ${describeStatus(this._status)}; its funds cannot be moved to close it`);
+        }
+        if (!settleTo && (!this._balance.isZero() || accrued.isPositive())) {
+            throw new Error(`Account ${this._accountNumber} holds ${formatAmount(this._balance.add(accrued))}; choose an account to receive it`);
+        }
+
+        const events = [];
+        if (this._status === ACCOUNT_STATUSES.DORMANT) {
+            events.push(this.transitionTo(ACCOUNT_STATUSES.ACTIVE, "Reactivated to settle the closure"));
+        }
+        if (accrualEngine && this.accruesInterest) {
+            events.push(...accrualEngine.settle(this));
+        }
+        if (!this._balance.isZero()) {
+            const amount = this._balance.abs();
+            const [from, to] = this._balance.isPositive() ? [this, settleTo] : [settleTo, this];
+            events.push(targetJournal.post(new JournalEntry("Closing balance", [
+                { account: from, direction: "debit", amount, memo: `Closing balance to ${to.accountNumber}` },
+                { account: to, direction: "credit", amount, memo: `Closing balance from ${from.accountNumber}` }
+            ], { type: "closure" })));
+        }
+        events.push(this.transitionTo(ACCOUNT_STATUSES.CLOSED, reason));
+        return events;
+    }
+
+    // Whether the accrual engine posts periodic interest to this account
+    get accruesInterest() {
+        return true;
+    }
+
+    // Running balance at a point in time, rebuilt from the transaction history
+    balanceAt(date) {
+        let latest = null;
+        for (const transaction of this._transactionHistory) {
+            if (transaction.timestamp > date) break;
+            latest = transaction;
+        }
+        if (latest) return latest.balance;
+
+        const first = this._transactionHistory[0];
+        if (!first) return this._balance;
+        return first.direction === "credit" ? first.balance.subtract(first.amount) : first.balance.add(first.amount);
+    }
+
+    // Observer Pattern - Subject methods
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    // Observers are also told which account the event happened on
+    notifyObservers(transaction) {
+        this._observers.forEach(observer => observer.update(transaction, this));
+    }
+
+    get interestRate() {
+        return interestRates.rateFor(this.kind);
+    }
+
+    // Months covered by calculateInterest() when no period is given
+    get interestTermMonths() {
+        return 12;
+    }
+
+    get interestStrategy() {
+        return this._interestCalculator.strategy;
+    }
+
+    // Strategy Pattern - each subclass assigns its default strategy in its constructor
+    setInterestStrategy(strategy) {
+        this._interestCalculator.setStrategy(strategy);
+    }
+
+    calculateInterest(months = this.interestTermMonths) {
+        return this._interestCalculator.calculateInterest(this, months);
+    }
+
+    // Deposit method; reversalOf is the id of the debit an undo or revert gives back
+    deposit(amount, description = "Deposit", channel = null, reversalOf = null) {
+        amount = Money.from(amount, this.currency);
+        if (!amount.isPositive()) {
+            throw new Error("Amount must be positive");
+        }
+        this.assertAllows("credit");
+        this._balance = this._balance.add(amount);
+        const transaction = new Transaction("deposit", amount, description, this._balance, bankingClock.now(), { channel, reversalOf });
+        this._transactionHistory.push(transaction);
+        this.notifyObservers(transaction);
+        return transaction;
+    }
+
+    // Withdraw method; a payment passes the category of its payment type
+    withdraw(amount, description = "Withdrawal", channel = null, category = null) {
+        amount = Money.from(amount, this.currency);
+        if (!amount.isPositive()) {
+            throw new Error("Amount must be positive");
+        }
+        this.assertAllows("debit");
+        if (!this.canDebit(amount)) {
+            throw new Error("Insufficient balance");
+        }
+        this._balance = this._balance.subtract(amount);
+        const transaction = new Transaction("withdraw", amount, description, this._balance, bankingClock.now(), {
+            channel,
+            category,
+            categorySource: CATEGORY_SOURCES.PAYMENT
+        });
+        this._transactionHistory.push(transaction);
+        this.notifyObservers(transaction);
+        return transaction;
+    }
+
+    // Interest credit posted by the accrual engine
+    creditInterest(amount, description = "Interest Credit") {
+        amount = Money.from(amount, this.currency);
+        if (!amount.isPositive()) {
+            throw new Error("Amount must be positive");
+        }
+        this.assertAllows("credit");
+        this._balance = this._balance.add(amount);
+        const transaction = new Transaction("interest", amount, description, this._balance);
+        this._transactionHistory.push(transaction);
+        this.notifyObservers(transaction);
+        return transaction;
+    }
+
+    // Merges dated rows from a bank file into the history in date order and re-runs the balances
+    // after them. Rejected as a whole if any balance would fall below the overdraft line.
+    // Interest already posted for earlier periods is not recalculated.
+    importTransactions(entries) {
+        const imported = entries.map(entry => ({
+            timestamp: entry.date,
+            transaction: null,
+            entry
+        }));
+        const merged = [
+            ...this._transactionHistory.map(transaction => ({ timestamp: transaction.timestamp, transaction })),
+            ...imported
+        ].sort((a, b) => a.timestamp - b.timestamp); // Stable, so same-time rows keep their order
+
+        const floor = this.overdraftLimit.negate();
+        let running = this.balanceAt(new Date(-8.64e15)); // Opening balance before any history
+        const balances = merged.map(item => {
+            const amount = item.transaction ? item.transaction.amount : Money.from(item.entry.amount, this.currency);
+            const direction = item.transaction ? item.transaction.direction : item.entry.direction;
+            running = direction === "credit" ? running.add(amount) : running.subtract(amount);
+            if (running.lessThan(floor)) {
+                throw new Error(`Import would take ${this._accountNumber} to ${formatAmount(running)} on ${formatDate(item.timestamp)}`);
+            }
+            return running;
+        });
+
+        merged.forEach((item, index) => {
+            if (item.transaction) {
+                item.transaction._balance = balances[index];
+            } else {
+                const { entry } = item;
+                item.transaction = new Transaction(entry.direction === "credit" ? "deposit" : "withdraw",
+                    Money.from(entry.amount, this.currency), entry.description, balances[index], entry.date,
+                    { direction: entry.direction, reference: entry.reference });
+            }
+        });
+        this._transactionHistory = merged.map(item => item.transaction);
+        this._balance = running;
+
+        const transactions = imported.map(item => item.transaction);
+        transactions.forEach(transaction => this.notifyObservers(transaction));
+        return transactions;
+    }
+
+    // Interest owed by the customer, e.g. on an overdraft; may take the balance below any limit.
+    // Bank charges still apply to frozen and dormant accounts, but not to closed ones
+    chargeInterest(amount, description = "Interest Charge") {
+        amount = Money.from(amount, this.currency);
+        if (!amount.isPositive()) {
+            throw new Error("Amount must be positive");
+        }
+        if (this._status === ACCOUNT_STATUSES.CLOSED) {
+            this.assertAllows("debit");
+        }
+        this._balance = this._balance.subtract(amount);
+        const transaction = new Transaction("charge", amount, description, this._balance, bankingClock.now(), { direction: "debit" });
+        this._transactionHistory.push(transaction);
+        this.notifyObservers(transaction);
+        return transaction;
+    }
+
+    markInterestPosted(date) {
+        this._interestPostedThrough = new Date(date);
+    }
+
+    canDebit(amount) {
+        return Money.from(amount, this.currency).lessThanOrEqual(this.availableBalance);
+    }
+
+    // Sanctioned borrowing below zero; only current accounts have one
+    get overdraftLimit() {
+        return Money.zero(this.currency);
+    }
+
+    // Annual overdraft rate, or null when the account cannot be overdrawn
+    get overdraftRate() {
+        return null;
+    }
+
+    get availableBalance() {
+        return this._balance.add(this.overdraftLimit);
+    }
+
+    // Called by Journal.post before any leg is applied; subclasses add their own restrictions
+    assertCanDebit(amount) {
+        if (!this.canDebit(amount)) {
+            throw new Error(`Insufficient balance in account ${this._accountNumber}`);
+        }
+    }
+
+    // Journal legs - applied by Journal.post, which validates and notifies. A leg of a reversing
+    // entry points at the opposite leg it cancels on this account
+    _recordLeg(leg, journalEntry) {
+        this._balance = leg.direction === "credit" ? this._balance.add(leg.amount) : this._balance.subtract(leg.amount);
+        const reversed = journalEntry.reversalOf ? this._transactionHistory.find(transaction =>
+            transaction.journalId === journalEntry.reversalOf && transaction.direction !== leg.direction) : null;
+        const transaction = new Transaction(journalEntry.type, leg.amount, leg.memo || journalEntry.description, this._balance, journalEntry.timestamp, {
+            journalId: journalEntry.id,
+            direction: leg.direction,
+            channel: journalEntry.channel,
+            reversalOf: reversed ? reversed.id : null
+        });
+        this._transactionHistory.push(transaction);
+        return transaction;
+    }
+
+    _snapshotState() {
+        return { balance: this._balance, historyLength: this._transactionHistory.length };
+    }
+
+    _restoreSnapshot(snapshot) {
+        this._balance = snapshot.balance;
+        this._transactionHistory.length = snapshot.historyLength;
+    }
+
+    // Serialization - plain snapshot used by the ledger store
+    toJSON() {
+        return {
+            kind: this.kind,
+            accountNumber: this._accountNumber,
+            balance: this._balance.toJSON(),
+            openedAt: this._openedAt.toISOString(),
+            interestPostedThrough: this._interestPostedThrough.toISOString(),
+            status: this._status,
+            statusHistory: this._statusHistory.map(change => ({ ...change, at: change.at.toISOString() })),
+            transactions: this._transactionHistory.map(transaction => transaction.toJSON())
+        };
+    }
+
+    // Re-links references to other accounts once every account has been restored
+    _resolveLinks(resolveAccount) {}
+
+    // Restores persisted state without notifying observers
+    _restoreState(data) {
+        this._transactionHistory = (data.transactions || []).map(Transaction.fromJSON);
+        this._openedAt = new Date(data.openedAt);
+        this._interestPostedThrough = new Date(data.interestPostedThrough);
+        this._status = data.status || ACCOUNT_STATUSES.ACTIVE;
+        this._statusHistory = (data.statusHistory || []).map(change => ({ ...change, at: new Date(change.at) }));
+    }
+
+    static fromJSON(data) {
+        const AccountClass = ACCOUNT_KINDS[data.kind];
+        if (!AccountClass) {
+            throw new Error(`Unknown account kind: ${data.kind}`);
+        }
+        const account = new AccountClass(data.accountNumber, Money.fromJSON(data.balance));
+        account._restoreState(data);
+        return account;
+    }
+}
+
+// Savings Account - Inheritance
+class SavingsAccount extends BaseAccount {
+    constructor(accountNumber, initialBalance = 0) {
+        super(accountNumber, initialBalance);
+        this.setInterestStrategy(new SavingsInterestStrategy());
+    }
+
+    get kind() {
+        return "savings";
+    }
+}
+
+// Current Account - Inheritance
+const DEFAULT_OVERDRAFT_LIMIT = 50000;
+
+// Raised when a current account crosses zero in either direction
+class OverdraftEvent {
+    constructor(account, entered) {
+        this._type = entered ? "overdraft_entered" : "overdraft_cleared";
+        this._account = account.accountNumber;
+        this._amount = entered ? account.balance.abs() : Money.zero(account.currency);
+        this._balance = account.balance;
+        this._timestamp = bankingClock.now();
+        this._message = entered
+            ? `Account ${account.accountNumber} is overdrawn by ${formatAmount(this._amount)} (limit ${formatAmount(account.overdraftLimit)})`
+            : `Account ${account.accountNumber} is back in credit at ${formatAmount(account.balance)}`;
+    }
+
+    get type() { return this._type; }
+    get account() { return this._account; }
+    get amount() { return this._amount; }
+    get balance() { return this._balance; }
+    get timestamp() { return this._timestamp; }
+    get message() { return this._message; }
+}
+
+class CurrentAccount extends BaseAccount {
+    constructor(accountNumber, initialBalance = 0, overdraftLimit = DEFAULT_OVERDRAFT_LIMIT) {
+        super(accountNumber, initialBalance);
+        this._overdraftLimit = Money.from(overdraftLimit, this.currency);
+        this._overdrawn = this._balance.isNegative();
+        this._overdraftCalculator = new InterestCalculator(new OverdraftInterestStrategy());
+        this.setInterestStrategy(new CurrentInterestStrategy());
+    }
+
+    get kind() {
+        return "current";
+    }
+
+    get overdraftLimit() {
+        return this._overdraftLimit;
+    }
+
+    get overdraftRate() {
+        return interestRates.rateFor("overdraft");
+    }
+
+    get isOverdrawn() {
+        return this._balance.isNegative();
+    }
+
+    setOverdraftLimit(limit) {
+        limit = Money.from(limit, this.currency);
+        if (limit.isNegative()) {
+            throw new Error("Overdraft limit cannot be negative");
+        }
+        this._overdraftLimit = limit;
+    }
+
+    // Charge the current overdrawn balance would attract over `months`
+    calculateOverdraftInterest(months = 1) {
+        return this._overdraftCalculator.calculateInterest(this, months);
+    }
+
+    // Observers hear about the transaction first, then about any overdraft transition it caused
+    notifyObservers(transaction) {
+        super.notifyObservers(transaction);
+        if (this.isOverdrawn !== this._overdrawn) {
+            this._overdrawn = this.isOverdrawn;
+            super.notifyObservers(new OverdraftEvent(this, this._overdrawn));
+        }
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), overdraftLimit: this._overdraftLimit.toJSON() };
+    }
+
+    _restoreState(data) {
+        super._restoreState(data);
+        this._overdraftLimit = Money.fromJSON(data.overdraftLimit);
+        this._overdrawn = this._balance.isNegative();
+    }
+}
+
+// Fixed deposit options - what happens at maturity and to early withdrawals
+const FD_RENEWAL_OPTIONS = {
+    NONE: "none",                           // Pay principal and interest out
+    PRINCIPAL: "principal",                 // Renew principal, pay interest out
+    PRINCIPAL_AND_INTEREST: "principal_interest"
+};
+
+const FD_PREMATURE_POLICIES = {
+    BLOCK: "block",
+    PENALTY: "penalty"
+};
+
+// Fixed Deposit Account - Inheritance
+class FixedDepositAccount extends BaseAccount {
+    constructor(accountNumber, initialBalance = 0, tenure = 12, options = {}) {
+        super(accountNumber, initialBalance);
+        this._tenure = tenure; // months
+        this._termStart = this._openedAt;
+        this._payoutAccount = options.payoutAccount || null;
+        if (this._payoutAccount && this._payoutAccount.currency !== this.currency) {
+            throw new Error(`Payout account ${this._payoutAccount.accountNumber} holds ${this._payoutAccount.currency}, not ${this.currency}`);
+        }
+        this._renewal = options.renewal || FD_RENEWAL_OPTIONS.NONE;
+        this._prematurePolicy = options.prematurePolicy || FD_PREMATURE_POLICIES.PENALTY;
+        this._penaltyRate = options.penaltyRate !== undefined ? options.penaltyRate : 1.0; // % p.a. deducted
+        this._settledAt = null;
+        this.setInterestStrategy(new FixedDepositInterestStrategy());
+    }
+
+    get kind() {
+        return "fd";
+    }
+
+    get tenure() {
+        return this._tenure;
+    }
+
+    // Interest is quoted over the deposit's tenure rather than a year
+    get interestTermMonths() {
+        return this._tenure;
+    }
+
+    // Fixed deposits are paid their interest at maturity, not periodically
+    get accruesInterest() {
+        return false;
+    }
+
+    // A deposit left to run its term is not inactive
+    get dormancyApplies() {
+        return false;
+    }
+
+    get operable() {
+        return false;
+    }
+
+    get linkedAccounts() {
+        return this._payoutAccount ? [this._payoutAccount] : [];
+    }
+
+    get termStart() { return new Date(this._termStart); }
+    get maturityDate() { return addMonths(this._termStart, this._tenure); }
+    get maturityAmount() { return this._balance.add(this.calculateInterest()); }
+    get payoutAccount() { return this._payoutAccount; }
+    get renewal() { return this._renewal; }
+    get prematurePolicy() { return this._prematurePolicy; }
+    get penaltyRate() { return this._penaltyRate; }
+    get settledAt() { return this._settledAt ? new Date(this._settledAt) : null; }
+
+    isMatured(asOf = bankingClock.now()) {
+        return asOf >= this.maturityDate;
+    }
+
+    // Interest on `principal` for the days held, at the contracted rate less the penalty
+    prematureInterest(principal, asOf = bankingClock.now()) {
+        const days = Math.max(calendarDaysBetween(this._termStart, asOf), 0);
+        const rate = Math.max(this.interestRate - this._penaltyRate, 0);
+        return Money.from(principal, this.currency).scale(rate * days, 365 * 100);
+    }
+
+    // Transfers out are only allowed once matured; early exits go through withdraw()
+    assertCanDebit(amount) {
+        if (!this.isMatured()) {
+            throw new Error(`Fixed deposit ${this._accountNumber} matures on ${formatDate(this.maturityDate)}; use a premature withdrawal instead`);
+        }
+        super.assertCanDebit(amount);
+    }
+
+    withdraw(amount, description = "Withdrawal", channel = null) {
+        if (this.isMatured()) {
+            return super.withdraw(amount, description, channel);
+        }
+        if (this._prematurePolicy === FD_PREMATURE_POLICIES.BLOCK) {
+            throw new Error(`Fixed deposit matures on ${formatDate(this.maturityDate)}; premature withdrawal is not allowed`);
+        }
+        const principal = Money.from(amount, this.currency);
+        const transaction = super.withdraw(principal, `${description} (premature)`, channel);
+        const interest = this.prematureInterest(principal);
+        if (interest.isPositive()) {
+            const rate = Math.max(this.interestRate - this._penaltyRate, 0);
+            this.creditInterest(interest, `Premature withdrawal interest at ${rate}% p.a.`);
+        }
+        return transaction;
+    }
+
+    // Settles every term that has ended: credits interest, then pays out or renews.
+    // Waits while the deposit is not active, e.g. frozen
+    processMaturity(targetJournal = defaultService("journal"), asOf = bankingClock.now()) {
+        const events = [];
+        while (this._status === ACCOUNT_STATUSES.ACTIVE && !this._settledAt && this._balance.isPositive() && this.isMatured(asOf)) {
+            const maturity = this.maturityDate;
+            const interest = this.calculateInterest();
+            if (interest.isPositive()) {
+                events.push(this.creditInterest(interest, `Maturity interest (${this._tenure} months)`));
+            }
+
+            if (this._renewal === FD_RENEWAL_OPTIONS.NONE) {
+                if (this._payoutAccount) {
+                    events.push(this._payOut(this._balance, "Maturity payout", targetJournal));
+                }
+                this._settledAt = maturity;
+                break;
+            }
+            if (this._renewal === FD_RENEWAL_OPTIONS.PRINCIPAL && interest.isPositive() && this._payoutAccount) {
+                events.push(this._payOut(interest, "Maturity interest payout", targetJournal));
+            }
+            this._termStart = maturity;
+        }
+        return events;
+    }
+
+    _payOut(amount, description, targetJournal) {
+        return targetJournal.post(new JournalEntry(description, [
+            { account: this, direction: "debit", amount, memo: `${description} to ${this._payoutAccount.accountNumber}` },
+            { account: this._payoutAccount, direction: "credit", amount, memo: `${description} from ${this._accountNumber}` }
+        ], { type: "maturity" }));
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            tenure: this._tenure,
+            termStart: this._termStart.toISOString(),
+            payoutAccount: this._payoutAccount ? this._payoutAccount.accountNumber : null,
+            renewal: this._renewal,
+            prematurePolicy: this._prematurePolicy,
+            penaltyRate: this._penaltyRate,
+            settledAt: this._settledAt ? this._settledAt.toISOString() : null
+        };
+    }
+
+    _restoreState(data) {
+        super._restoreState(data);
+        if (data.tenure) this._tenure = data.tenure;
+        this._termStart = new Date(data.termStart);
+        this._renewal = data.renewal;
+        this._prematurePolicy = data.prematurePolicy;
+        this._penaltyRate = data.penaltyRate;
+        this._settledAt = data.settledAt ? new Date(data.settledAt) : null;
+        this._payoutAccountNumber = data.payoutAccount;
+    }
+
+    _resolveLinks(resolveAccount) {
+        if (this._payoutAccountNumber) {
+            this._payoutAccount = resolveAccount(this._payoutAccountNumber);
+        }
+        delete this._payoutAccountNumber;
+    }
+}
+
+// Late recurring deposit installments are charged `penaltyRate`% of the installment for each month
+// or part month they are late, once the grace days after the due date have passed
+const DEFAULT_RD_PENALTY = { penaltyRate: 1.5, graceDays: 5 };
+
+// Whole calendar months from `from` to `to`
+function wholeMonthsBetween(from, to) {
+    let months = 0;
+    while (addMonths(from, months + 1) <= to) months++;
+    return months;
+}
+
+// Recurring Deposit Account - Inheritance. A fixed installment each month for the tenure: the
+// opening deposit is the first, the rest are collected from the funding account on their due
+// dates. Late installments are charged a penalty, deducted from the deposit. At maturity the
+// interest on every installment paid is credited and the deposit paid out; one closed early
+// returns what was paid in, less penalties, without interest.
+// Options: { installment, fundingAccount, payoutAccount, penaltyRate, graceDays }
+class RecurringDepositAccount extends BaseAccount {
+    constructor(accountNumber, initialBalance = 0, tenure = 12, options = {}) {
+        super(accountNumber, initialBalance);
+        this._tenure = tenure; // months
+        this._termStart = this._openedAt;
+        this._installment = Money.from(options.installment || this._balance, this.currency);
+        this._fundingAccount = options.fundingAccount || null;
+        this._payoutAccount = options.payoutAccount || this._fundingAccount;
+        [this._fundingAccount, this._payoutAccount].forEach(linked => {
+            if (linked && linked.currency !== this.currency) {
+                throw new Error(`Account ${linked.accountNumber} holds ${linked.currency}, not ${this.currency}`);
+            }
+        });
+        this._penaltyRate = options.penaltyRate !== undefined ? options.penaltyRate : DEFAULT_RD_PENALTY.penaltyRate;
+        this._graceDays = options.graceDays !== undefined ? options.graceDays : DEFAULT_RD_PENALTY.graceDays;
+        // Installments paid: { number, dueDate, paidAt, penalty }; the opening deposit is the first
+        this._paid = this._balance.isPositive()
+            ? [{ number: 1, dueDate: this._termStart, paidAt: this._termStart, penalty: Money.zero(this.currency) }]
+            : [];
+        this._settledAt = null;
+        this.setInterestStrategy(new RecurringDepositInterestStrategy());
+    }
+
+    get kind() {
+        return "rd";
+    }
+
+    get tenure() { return this._tenure; }
+    get installment() { return this._installment; }
+    get termStart() { return new Date(this._termStart); }
+    get maturityDate() { return addMonths(this._termStart, this._tenure); }
+    get fundingAccount() { return this._fundingAccount; }
+    get payoutAccount() { return this._payoutAccount; }
+    get penaltyRate() { return this._penaltyRate; }
+    get graceDays() { return this._graceDays; }
+    get settledAt() { return this._settledAt ? new Date(this._settledAt) : null; }
+    get paidInstallments() { return this._paid.map(record => ({ ...record })); }
+
+    get penaltiesCharged() {
+        return Money.sum(this._paid.map(record => record.penalty), this.currency);
+    }
+
+    // Interest is quoted over the deposit's tenure rather than a year
+    get interestTermMonths() {
+        return this._tenure;
+    }
+
+    // Recurring deposits are paid their interest at maturity, not periodically
+    get accruesInterest() {
+        return false;
+    }
+
+    get dormancyApplies() {
+        return false;
+    }
+
+    get operable() {
+        return false;
+    }
+
+    get linkedAccounts() {
+        return [...new Set([this._fundingAccount, this._payoutAccount].filter(Boolean))];
+    }
+
+    isMatured(asOf = bankingClock.now()) {
+        return asOf >= this.maturityDate;
+    }
+
+    // Installment `number` (1 to tenure) falls due on the same day of each month as the term started
+    dueDate(number) {
+        return addMonths(startOfDay(this._termStart), number - 1);
+    }
+
+    // The earliest installment not yet paid, or null once all of them are
+    get nextInstallment() {
+        const number = this._paid.length + 1;
+        return number <= this._tenure && !this._settledAt ? { number, dueDate: this.dueDate(number) } : null;
+    }
+
+    // Unpaid installments whose due date has passed; they can still be paid, with a penalty, until maturity
+    missedInstallments(asOf = bankingClock.now()) {
+        const missed = [];
+        for (let number = this._paid.length + 1; number <= this._tenure && !this._settledAt; number++) {
+            const dueDate = this.dueDate(number);
+            if (dueDate > asOf || asOf >= this.maturityDate) break;
+            missed.push({ number, dueDate, penalty: this.penaltyFor(number, asOf) });
+        }
+        return missed;
+    }
+
+    // Penalty for paying installment `number` at `asOf`: zero within the grace days after it fell due
+    penaltyFor(number, asOf = bankingClock.now()) {
+        const dueDate = this.dueDate(number);
+        if (asOf < addDays(dueDate, this._graceDays + 1)) {
+            return Money.zero(this.currency);
+        }
+        const monthsLate = wholeMonthsBetween(dueDate, asOf) + 1;
+        return this._installment.scale(this._penaltyRate * monthsLate, 100);
+    }
+
+    // Collects the next installment from the funding account; a late one's penalty is then deducted
+    // from the deposit. `asOf` is the day it counts as paid, which decides the penalty; auto-debits
+    // caught up later may date it back to the due date. Installments cannot be paid ahead of their
+    // due date or after maturity. A `channel` marks one the customer paid themselves, so it counts
+    // towards their limits.
+    payInstallment(targetJournal = defaultService("journal"), asOf = bankingClock.now(), channel = null) {
+        const next = this.nextInstallment;
+        if (!next) {
+            throw new Error(`Recurring deposit ${this._accountNumber} has no installment left to pay`);
+        }
+        if (next.dueDate > asOf) {
+            throw new Error(`Installment ${next.number} is not due until ${formatDate(next.dueDate)}`);
+        }
+        if (this.isMatured(asOf)) {
+            throw new Error(`Recurring deposit ${this._accountNumber} has matured; installment ${next.number} was missed`);
+        }
+        if (!this._fundingAccount) {
+            throw new Error(`Recurring deposit ${this._accountNumber} has no funding account`);
+        }
+        const penalty = this.penaltyFor(next.number, asOf);
+        const snapshot = this._snapshotState();
+        let entry;
+        try {
+            entry = targetJournal.post(new JournalEntry(`RD installment ${next.number} of ${this._tenure}`, [
+                { account: this._fundingAccount, direction: "debit", amount: this._installment, memo: `RD installment ${next.number} of ${this._tenure} to ${this._accountNumber}` },
+                { account: this, direction: "credit", amount: this._installment, memo: `Installment ${next.number} of ${this._tenure} from ${this._fundingAccount.accountNumber}` }
+            ], { type: "installment", channel }));
+            if (penalty.isPositive()) {
+                this.chargeInterest(penalty, `Late payment penalty on installment ${next.number}`);
+            }
+        } catch (error) {
+            this._restoreSnapshot(snapshot);
+            throw error;
+        }
+        this._paid.push({ number: next.number, dueDate: next.dueDate, paidAt: new Date(asOf), penalty });
+        return entry;
+    }
+
+    // Interest at maturity on the installments paid: each is held from its due date, or from the day
+    // it was paid when that was after the grace days
+    get earnedInterest() {
+        const heldMonths = this._paid.map(record => {
+            const late = this.penaltyFor(record.number, record.paidAt).isPositive();
+            return wholeMonthsBetween(late ? startOfDay(record.paidAt) : record.dueDate, this.maturityDate);
+        });
+        return quarterlyCompoundedInterest(this._installment, this.interestRate, heldMonths);
+    }
+
+    // Interest at maturity if every remaining installment is paid on its due date
+    get maturityInterest() {
+        const remaining = [];
+        for (let number = this._paid.length + 1; number <= this._tenure; number++) {
+            remaining.push(wholeMonthsBetween(this.dueDate(number), this.maturityDate));
+        }
+        return this.earnedInterest.add(quarterlyCompoundedInterest(this._installment, this.interestRate, remaining));
+    }
+
+    get maturityAmount() {
+        const unpaid = this._settledAt ? 0 : this._tenure - this._paid.length;
+        return this._balance.add(this._installment.scale(unpaid)).add(this.maturityInterest);
+    }
+
+    deposit() {
+        throw new Error(`Recurring deposit ${this._accountNumber} takes only its monthly installments`);
+    }
+
+    withdraw() {
+        throw new Error(`Recurring deposit ${this._accountNumber} pays out at maturity; close it to take the money out early`);
+    }
+
+    // Credits the interest earned and pays the deposit out once the term has ended
+    processMaturity(targetJournal = defaultService("journal"), asOf = bankingClock.now()) {
+        const events = [];
+        if (this._status !== ACCOUNT_STATUSES.ACTIVE || this._settledAt || !this.isMatured(asOf)) {
+            return events;
+        }
+        const interest = this.earnedInterest;
+        if (interest.isPositive()) {
+            events.push(this.creditInterest(interest, `Maturity interest (${this._paid.length} of ${this._tenure} installments)`));
+        }
+        if (this._payoutAccount && this._balance.isPositive()) {
+            const amount = this._balance;
+            events.push(targetJournal.post(new JournalEntry("Maturity payout", [
+                { account: this, direction: "debit", amount, memo: `Maturity payout to ${this._payoutAccount.accountNumber}` },
+                { account: this._payoutAccount, direction: "credit", amount, memo: `Maturity payout from ${this._accountNumber}` }
+            ], { type: "maturity" })));
+        }
+        this._settledAt = this.maturityDate;
+        return events;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            tenure: this._tenure,
+            termStart: this._termStart.toISOString(),
+            installment: this._installment.toJSON(),
+            fundingAccount: this._fundingAccount ? this._fundingAccount.accountNumber : null,
+            payoutAccount: this._payoutAccount ? this._payoutAccount.accountNumber : null,
+            penaltyRate: this._penaltyRate,
+            graceDays: this._graceDays,
+            paid: this._paid.map(record => ({
+                ...record,
+                dueDate: record.dueDate.toISOString(),
+                paidAt: record.paidAt.toISOString(),
+                penalty: record.penalty.toJSON()
+            })),
+            settledAt: this._settledAt ? this._settledAt.toISOString() : null
+        };
+    }
+
+    _restoreState(data) {
+        super._restoreState(data);
+        this._tenure = data.tenure;
+        this._termStart = new Date(data.termStart);
+        this._installment = Money.fromJSON(data.installment);
+        this._penaltyRate = data.penaltyRate;
+        this._graceDays = data.graceDays;
+        this._paid = data.paid.map(record => ({
+            ...record,
+            dueDate: new Date(record.dueDate),
+            paidAt: new Date(record.paidAt),
+            penalty: Money.fromJSON(record.penalty)
+        }));
+        this._settledAt = data.settledAt ? new Date(data.settledAt) : null;
+        this._fundingAccountNumber = data.fundingAccount;
+        this._payoutAccountNumber = data.payoutAccount;
+    }
+
+    _resolveLinks(resolveAccount) {
+        this._fundingAccount = this._fundingAccountNumber ? resolveAccount(this._fundingAccountNumber) : null;
+        this._payoutAccount = this._payoutAccountNumber ? resolveAccount(this._payoutAccountNumber) : null;
+        delete this._fundingAccountNumber;
+        delete this._payoutAccountNumber;
+    }
+}
+
+// Account registry - maps persisted kinds back to their classes
+const ACCOUNT_KINDS = {
+    savings: SavingsAccount,
+    current: CurrentAccount,
+    fd: FixedDepositAccount,
+    rd: RecurringDepositAccount
+};
+
+export {
+    BaseAccount,
+    SavingsAccount,
+    DEFAULT_OVERDRAFT_LIMIT,
+    OverdraftEvent,
+    CurrentAccount,
+    FD_RENEWAL_OPTIONS,
+    FD_PREMATURE_POLICIES,
+    FixedDepositAccount,
+    DEFAULT_RD_PENALTY,
+    RecurringDepositAccount,
+    ACCOUNT_KINDS
+};
@@ -0,0 +1,167 @@
+// ===========================================
+// INTEREST ACCRUAL - DAY COUNTS & POSTING ENGINE
+// ===========================================
+
+import { ROUNDING_MODES, Money, toDecimalFraction, divideRounded } from "./money.js";
+import { bankingClock, startOfDay, addDays, calendarDaysBetween } from "./clock.js";
+import { ACCOUNT_STATUSES } from "./account-status.js";
+
+// 30/360 (US bond basis): every month counts as 30 days
+function days360(start, end) {
+    let startDay = start.getDate();
+    let endDay = end.getDate();
+    if (startDay === 31) startDay = 30;
+    if (endDay === 31 && startDay === 30) endDay = 30;
+    return (end.getFullYear() - start.getFullYear()) * 360 +
+        (end.getMonth() - start.getMonth()) * 30 +
+        (endDay - startDay);
+}
+
+// Day-count conventions - days(start, end) over a year of `basis` days
+const DAY_COUNT_CONVENTIONS = {
+    ACTUAL_365: { name: "Actual/365", basis: 365, days: calendarDaysBetween },
+    ACTUAL_360: { name: "Actual/360", basis: 360, days: calendarDaysBetween },
+    THIRTY_360: { name: "30/360", basis: 360, days: days360 }
+};
+
+const POSTING_FREQUENCIES = {
+    monthly: 1,
+    quarterly: 3,
+    annual: 12
+};
+
+// First day of the posting period after `date` (calendar months, quarters or years)
+function nextPostingDate(date, frequency) {
+    const months = POSTING_FREQUENCIES[frequency];
+    if (!months) {
+        throw new Error(`Unknown posting frequency: ${frequency}`);
+    }
+    const periodIndex = Math.floor(date.getMonth() / months);
+    return new Date(date.getFullYear(), (periodIndex + 1) * months, 1);
+}
+
+// Accrual Engine - accrues daily on the end-of-day running balance and posts per period
+class InterestAccrualEngine {
+    constructor(options = {}) {
+        this._clock = options.clock || bankingClock;
+        this._convention = options.convention || DAY_COUNT_CONVENTIONS.ACTUAL_365;
+        this._frequency = options.frequency || "monthly";
+        this._rounding = options.rounding || ROUNDING_MODES.HALF_EVEN;
+        nextPostingDate(new Date(), this._frequency); // Fail fast on an unknown frequency
+    }
+
+    get convention() { return this._convention; }
+    get frequency() { return this._frequency; }
+
+    // Interest over [from, to); days with equal balances are grouped before counting.
+    // "credit" accrues on positive balances, "debit" on the overdrawn part of negative ones.
+    // Without an explicit rate, the account's interest strategy supplies it, slab by slab if tiered
+    accrue(account, from, to, rate = null, side = "credit") {
+        const start = startOfDay(from);
+        const end = startOfDay(to);
+        const slicesOf = balance => {
+            if (rate !== null) return [{ balance, rate }];
+            return account.interestStrategy
+                ? account.interestStrategy.accrualSlices(account, balance)
+                : [{ balance, rate: account.interestRate }];
+        };
+
+        // Slab rates can have different decimal places; every term is kept over the largest denominator
+        let accrued = 0n;
+        let rateDenominator = 1n;
+        let segmentStart = start;
+        let segmentBalance = null;
+        const closeSegment = segmentEnd => {
+            const applies = segmentBalance && (side === "credit" ? segmentBalance.isPositive() : segmentBalance.isNegative());
+            if (!applies) return;
+            const days = BigInt(this._convention.days(segmentStart, segmentEnd));
+            for (const slice of slicesOf(segmentBalance.abs())) {
+                const { numerator, denominator } = toDecimalFraction(slice.rate);
+                if (denominator > rateDenominator) {
+                    accrued *= denominator / rateDenominator;
+                    rateDenominator = denominator;
+                }
+                accrued += BigInt(slice.balance.minor) * numerator * days * (rateDenominator / denominator);
+            }
+        };
+
+        for (let day = start; day < end; day = addDays(day, 1)) {
+            const endOfDay = new Date(addDays(day, 1).getTime() - 1);
+            const balance = account.balanceAt(endOfDay);
+            if (segmentBalance === null) {
+                segmentBalance = balance;
+            } else if (!balance.equals(segmentBalance)) {
+                closeSegment(day);
+                segmentStart = day;
+                segmentBalance = balance;
+            }
+        }
+        closeSegment(end);
+
+        const denominator = rateDenominator * 100n * BigInt(this._convention.basis);
+        return new Money(Number(divideRounded(accrued, denominator, this._rounding)), account.currency);
+    }
+
+    // Accrued but not yet posted, up to the clock's current time
+    accruedToDate(account) {
+        return this.accrue(account, account.interestPostedThrough, this._clock.now());
+    }
+
+    // Posting frequency for an account: its strategy's compounding period, else the engine's
+    frequencyFor(account) {
+        const strategy = account.interestStrategy;
+        return (strategy && strategy.postingFrequency) || this._frequency;
+    }
+
+    // Posts one interest credit (and overdraft charge, if any) per completed period since the last posting
+    postDue(account) {
+        const now = this._clock.now();
+        const frequency = this.frequencyFor(account);
+        const posted = [];
+        let periodStart = account.interestPostedThrough;
+        let periodEnd = nextPostingDate(periodStart, frequency);
+
+        while (periodEnd <= now) {
+            const label = periodStart.toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+            posted.push(...this._post(account, periodStart, periodEnd, `${frequency}, from ${label}`));
+            periodStart = periodEnd;
+            periodEnd = nextPostingDate(periodStart, frequency);
+        }
+        return posted;
+    }
+
+    // Posts the part period accrued since the last posting, e.g. when the account closes
+    settle(account) {
+        return this._post(account, account.interestPostedThrough, this._clock.now(), "closing settlement");
+    }
+
+    postDueAll(accountList) {
+        return accountList
+            .filter(account => account.accruesInterest && account.status !== ACCOUNT_STATUSES.CLOSED)
+            .reduce((posted, account) => posted.concat(this.postDue(account)), []);
+    }
+
+    _post(account, from, to, label) {
+        const posted = [];
+        const interest = this.accrue(account, from, to);
+        if (interest.isPositive()) {
+            posted.push(account.creditInterest(interest, `Interest Credit (${label})`));
+        }
+        if (account.overdraftRate !== null) {
+            const charge = this.accrue(account, from, to, account.overdraftRate, "debit");
+            if (charge.isPositive()) {
+                posted.push(account.chargeInterest(charge, `Overdraft Interest (${label})`));
+            }
+        }
+        account.markInterestPosted(to);
+        return posted;
+    }
+}
+
+export {
+    days360,
+    DAY_COUNT_CONVENTIONS,
+    POSTING_FREQUENCIES,
+    nextPostingDate,
+    InterestAccrualEngine
+};
@@ -0,0 +1,154 @@
+// ===========================================
+// ANALYTICS ENGINE - TIME SERIES & COMPARISONS
+// ===========================================
+
+import { DEFAULT_CURRENCY } from "./money.js";
+import { bankingClock, startOfDay, addDays, startOfMonth, addMonths } from "./clock.js";
+import { currencyExchange } from "./fx.js";
+import { TRANSACTION_CATEGORIES } from "./transactions.js";
+import { SPENDING_CATEGORIES, spendingByCategory } from "./categories.js";
+
+const ANALYTICS_GROUPINGS = {
+    DAY: "day",
+    MONTH: "month"
+};
+
+// Percent change from `previous` to `current`; null when there is nothing to compare against
+function percentChange(current, previous) {
+    if (previous.isZero()) return null;
+    return (current.minor - previous.minor) / Math.abs(previous.minor) * 100;
+}
+
+// Analytics Engine - rebuilds history from account transactions; no DOM access, so it runs anywhere.
+// Dates are whole local days; `to` is inclusive. Totals are reported in `currency` at mid rates.
+class AnalyticsEngine {
+    constructor(accountList, clock = bankingClock, currency = DEFAULT_CURRENCY, exchange = currencyExchange) {
+        this._accounts = [...accountList];
+        this._clock = clock;
+        this._currency = currency;
+        this._exchange = exchange;
+    }
+
+    get accounts() { return [...this._accounts]; }
+    get currency() { return this._currency; }
+
+    // `money` in the reporting currency
+    value(money) {
+        return this._exchange.valueIn(money, this._currency);
+    }
+
+    // End-of-day balance for every day from `from` to `to`, in one pass over the history; in the account's currency
+    dailyBalances(account, from, to) {
+        const history = account.transactionHistory;
+        const first = startOfDay(from);
+        const last = startOfDay(to);
+        let balance = account.balanceAt(new Date(first.getTime() - 1));
+        let index = history.findIndex(transaction => transaction.timestamp >= first);
+        if (index < 0) index = history.length;
+
+        const series = [];
+        for (let day = first; day <= last; day = addDays(day, 1)) {
+            const next = addDays(day, 1);
+            while (index < history.length && history[index].timestamp < next) {
+                balance = history[index].balance;
+                index += 1;
+            }
+            series.push({ date: day, balance });
+        }
+        return series;
+    }
+
+    // Sum of dailyBalances() over every account
+    totalDailyBalances(from, to) {
+        const perAccount = this._accounts.map(account => this.dailyBalances(account, from, to));
+        if (perAccount.length === 0) return [];
+        return perAccount[0].map((point, index) => ({
+            date: point.date,
+            balance: this._total(perAccount.map(series => series[index].balance))
+        }));
+    }
+
+    transactionsBetween(from, to) {
+        const start = startOfDay(from);
+        const end = addDays(startOfDay(to), 1);
+        return this._accounts
+            .flatMap(account => account.transactionHistory)
+            .filter(transaction => transaction.timestamp >= start && transaction.timestamp < end);
+    }
+
+    // Income is every credit except own-account transfers; spending is debits in a spending category
+    summarise(from, to) {
+        const transactions = this.transactionsBetween(from, to);
+        const income = this._total(transactions
+            .filter(transaction => transaction.direction === "credit" && transaction.category !== TRANSACTION_CATEGORIES.TRANSFER)
+            .map(transaction => transaction.amount));
+        const spending = this._total(transactions
+            .filter(transaction => transaction.direction === "debit" && SPENDING_CATEGORIES.includes(transaction.category))
+            .map(transaction => transaction.amount));
+        const balanceAt = date => this._total(this._accounts.map(account => account.balanceAt(date)));
+        return {
+            from: startOfDay(from),
+            to: startOfDay(to),
+            count: transactions.length,
+            income,
+            spending,
+            net: income.subtract(spending),
+            byCategory: spendingByCategory(transactions, this._currency, this._exchange),
+            openingBalance: balanceAt(new Date(startOfDay(from).getTime() - 1)),
+            closingBalance: balanceAt(new Date(addDays(startOfDay(to), 1).getTime() - 1))
+        };
+    }
+
+    // summarise() for each day or calendar month in the range; the first and last buckets may be partial
+    flows(from, to, grouping = ANALYTICS_GROUPINGS.MONTH) {
+        if (!Object.values(ANALYTICS_GROUPINGS).includes(grouping)) {
+            throw new Error(`Unknown grouping: ${grouping}`);
+        }
+        const last = startOfDay(to);
+        const buckets = [];
+        for (let start = startOfDay(from); start <= last;) {
+            const next = grouping === ANALYTICS_GROUPINGS.DAY ? addDays(start, 1) : addMonths(startOfMonth(start), 1);
+            const end = addDays(next, -1) < last ? addDays(next, -1) : last;
+            buckets.push(this.summarise(start, end));
+            start = next;
+        }
+        return buckets;
+    }
+
+    // Month to date against the same days of the previous month ("month") or of the same month last year ("year")
+    compare(mode = "month", asOf = this._clock.now()) {
+        const months = { month: 1, year: 12 }[mode];
+        if (!months) {
+            throw new Error(`Unknown comparison: ${mode}`);
+        }
+        const current = this.summarise(startOfMonth(asOf), asOf);
+        const previousEnd = addMonths(asOf, -months);
+        const previous = this.summarise(startOfMonth(previousEnd), previousEnd);
+        return {
+            mode,
+            current,
+            previous,
+            changes: {
+                income: percentChange(current.income, previous.income),
+                spending: percentChange(current.spending, previous.spending),
+                net: percentChange(current.net, previous.net),
+                closingBalance: percentChange(current.closingBalance, previous.closingBalance)
+            }
+        };
+    }
+
+    // Interest the accrual engine would credit over the next `months` at today's balances and rates
+    projectedInterest(accrualEngine, months, asOf = this._clock.now()) {
+        return this._total(this._accounts.map(account => accrualEngine.accrue(account, asOf, addMonths(asOf, months))));
+    }
+
+    _total(amounts) {
+        return this._exchange.total(amounts, this._currency);
+    }
+}
+
+export {
+    ANALYTICS_GROUPINGS,
+    percentChange,
+    AnalyticsEngine
+};
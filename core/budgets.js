@@ -0,0 +1,237 @@
+// ===========================================
+// BUDGETS & ALERTS
+// ===========================================
+
+import { Money, formatAmount } from "./money.js";
+import { bankingClock, startOfMonth, addMonths, calendarDaysBetween } from "./clock.js";
+import { currencyExchange } from "./fx.js";
+import { Transaction } from "./transactions.js";
+import { CATEGORY_LABELS, SPENDING_CATEGORIES } from "./categories.js";
+
+// What happens to a month's leftover budget: dropped, carried forward when unspent,
+// or carried either way so overspending shrinks the next month
+const BUDGET_ROLLOVER_MODES = {
+    NONE: "none",
+    UNSPENT: "unspent",
+    NET: "net"
+};
+
+// Percent of a month's budget at which an alert fires, once each per month
+const BUDGET_ALERT_THRESHOLDS = [50, 80, 100];
+
+function createBudgetId() {
+    return `BUD-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Monthly budget for one spending category, or for all spending when category is null
+class Budget {
+    constructor({ id = createBudgetId(), category = null, amount, rollover = BUDGET_ROLLOVER_MODES.NONE, startDate = bankingClock.now() }) {
+        if (category !== null && !SPENDING_CATEGORIES.includes(category)) {
+            throw new Error(`Budgets can only be set for spending categories, not ${category}`);
+        }
+        if (!Object.values(BUDGET_ROLLOVER_MODES).includes(rollover)) {
+            throw new Error(`Unknown rollover mode: ${rollover}`);
+        }
+        this._amount = Money.from(amount);
+        if (!this._amount.isPositive()) {
+            throw new Error("Budget amount must be positive");
+        }
+        this._id = id;
+        this._category = category;
+        this._rollover = rollover;
+        this._startDate = startOfMonth(new Date(startDate)); // Rollover is counted from here
+    }
+
+    get id() { return this._id; }
+    get category() { return this._category; }
+    get amount() { return this._amount; }
+    get rollover() { return this._rollover; }
+    get startDate() { return new Date(this._startDate); }
+
+    get label() {
+        return this._category ? CATEGORY_LABELS[this._category] : "Overall";
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            category: this._category,
+            amount: this._amount.toJSON(),
+            rollover: this._rollover,
+            startDate: this._startDate.toISOString()
+        };
+    }
+
+    static fromJSON(data) {
+        return new Budget({ ...data, amount: Money.fromJSON(data.amount), startDate: new Date(data.startDate) });
+    }
+}
+
+// Budget Alert - delivered to the tracker's observers, e.g. Customer.update
+class BudgetAlert {
+    constructor(budget, threshold, status) {
+        this._budget = budget;
+        this._threshold = threshold;
+        this._status = status;
+        this._timestamp = bankingClock.now();
+    }
+
+    get type() { return "budget_alert"; }
+    get budget() { return this._budget; }
+    get threshold() { return this._threshold; }
+    get status() { return this._status; }
+    get timestamp() { return this._timestamp; }
+
+    // showNotification() type
+    get level() {
+        if (this._threshold >= 100) return "error";
+        return this._threshold >= 80 ? "warning" : "info";
+    }
+
+    get message() {
+        const { spent, limit, month } = this._status;
+        const monthName = month.toLocaleDateString("en-US", { month: "short", year: "numeric" });
+        const reached = this._threshold >= 100 ? "exceeded" : `${this._threshold}% used`;
+        return `${this._budget.label} budget ${reached}: ${formatAmount(spent)} of ${formatAmount(limit)} spent in ${monthName}`;
+    }
+}
+
+// Budget Tracker - observes accounts and measures each month's spending against the budgets
+class BudgetTracker {
+    constructor(budgets = [], exchange = currencyExchange) {
+        this._budgets = [...budgets];
+        this._exchange = exchange;
+        this._accounts = [];
+        this._observers = [];
+        this._alerted = new Map(); // "budgetId|month" -> highest threshold already alerted
+    }
+
+    get budgets() { return [...this._budgets]; }
+
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(alert) {
+        this._observers.forEach(observer => observer.update(alert));
+    }
+
+    attach(account) {
+        this._accounts.push(account);
+        account.addObserver(this);
+        this._budgets.forEach(budget => this._prime(budget));
+    }
+
+    // Replaces the budget list; thresholds already passed this month are not alerted again
+    setBudgets(budgets) {
+        this._budgets = [...budgets];
+        this._budgets.forEach(budget => this._prime(budget));
+    }
+
+    add(definition) {
+        const budget = definition instanceof Budget ? definition : new Budget(definition);
+        this._budgets.push(budget);
+        this._prime(budget);
+        return budget;
+    }
+
+    remove(id) {
+        const budget = this._budgets.find(candidate => candidate.id === id);
+        if (!budget) {
+            throw new Error(`Unknown budget: ${id}`);
+        }
+        this._budgets = this._budgets.filter(candidate => candidate !== budget);
+        return budget;
+    }
+
+    // Categorised spending debits of every tracked account within the month starting at `month`,
+    // valued in the budget's currency
+    spentIn(budget, month) {
+        const end = addMonths(month, 1);
+        return Money.sum(this._accounts.flatMap(account => account.transactionHistory).filter(transaction =>
+            transaction.direction === "debit" &&
+            SPENDING_CATEGORIES.includes(transaction.category) &&
+            (!budget.category || transaction.category === budget.category) &&
+            transaction.timestamp >= month && transaction.timestamp < end
+        ).map(transaction => this._exchange.valueIn(transaction.amount, budget.amount.currency)), budget.amount.currency);
+    }
+
+    // The month's amount plus whatever the rollover mode carries in from earlier months
+    limitFor(budget, month) {
+        let limit = budget.amount;
+        if (budget.rollover === BUDGET_ROLLOVER_MODES.NONE) return limit;
+        for (let current = budget.startDate; current < month; current = addMonths(current, 1)) {
+            const carry = limit.subtract(this.spentIn(budget, current));
+            const carried = budget.rollover === BUDGET_ROLLOVER_MODES.UNSPENT && carry.isNegative() ? Money.zero(carry.currency) : carry;
+            limit = budget.amount.add(carried);
+        }
+        return limit;
+    }
+
+    // Budget against actual for the month containing `asOf`, with a straight-line month-end forecast
+    status(budget, asOf = bankingClock.now()) {
+        const month = startOfMonth(asOf);
+        const limit = this.limitFor(budget, month);
+        const spent = this.spentIn(budget, month);
+        const daysInMonth = calendarDaysBetween(month, addMonths(month, 1));
+        const forecast = spent.scale(daysInMonth, asOf.getDate());
+        const percentOf = amount => limit.isPositive()
+            ? amount.minor / limit.minor * 100
+            : (amount.isPositive() ? Infinity : 0);
+        return {
+            budget,
+            month,
+            limit,
+            spent,
+            remaining: limit.subtract(spent),
+            percent: percentOf(spent),
+            forecast,
+            forecastPercent: percentOf(forecast)
+        };
+    }
+
+    statuses(asOf = bankingClock.now()) {
+        return this._budgets.map(budget => this.status(budget, asOf));
+    }
+
+    // Observer Pattern - a new spending transaction may push this month's budgets over a threshold
+    update(transaction) {
+        if (!(transaction instanceof Transaction)) return;
+        if (transaction.direction !== "debit" || !SPENDING_CATEGORIES.includes(transaction.category)) return;
+        const now = bankingClock.now();
+        if (startOfMonth(transaction.timestamp).getTime() !== startOfMonth(now).getTime()) return;
+
+        this._budgets
+            .filter(budget => !budget.category || budget.category === transaction.category)
+            .forEach(budget => {
+                const status = this.status(budget, now);
+                const key = `${budget.id}|${status.month.getTime()}`;
+                const alerted = this._alerted.get(key) || 0;
+                const crossed = BUDGET_ALERT_THRESHOLDS.filter(threshold => threshold > alerted && status.percent >= threshold);
+                if (crossed.length === 0) return;
+                const threshold = crossed[crossed.length - 1]; // Only the highest one crossed by this transaction
+                this._alerted.set(key, threshold);
+                this.notifyObservers(new BudgetAlert(budget, threshold, status));
+            });
+    }
+
+    // Marks thresholds already passed this month as alerted, so loading a page does not repeat them
+    _prime(budget) {
+        const status = this.status(budget);
+        const passed = BUDGET_ALERT_THRESHOLDS.filter(threshold => status.percent >= threshold);
+        const key = `${budget.id}|${status.month.getTime()}`;
+        this._alerted.set(key, Math.max(this._alerted.get(key) || 0, passed[passed.length - 1] || 0));
+    }
+}
+
+export {
+    BUDGET_ROLLOVER_MODES,
+    BUDGET_ALERT_THRESHOLDS,
+    Budget,
+    BudgetAlert,
+    BudgetTracker
+};
@@ -0,0 +1,264 @@
+// ===========================================
+// TRANSACTION CATEGORIES & RULES ENGINE
+// ===========================================
+
+import { DEFAULT_CURRENCY, Money } from "./money.js";
+import { currencyExchange } from "./fx.js";
+import { TRANSACTION_CATEGORIES, CATEGORY_SOURCES, Transaction } from "./transactions.js";
+import { TRANSACTION_CHANNELS } from "./policy.js";
+
+const CATEGORY_LABELS = {
+    bills: "Bills & Utilities",
+    shopping: "Shopping",
+    food: "Food & Dining",
+    fuel: "Fuel",
+    other: "Other",
+    income: "Income",
+    interest: "Interest",
+    fees: "Fees & Charges",
+    transfer: "Transfers"
+};
+
+// Debit categories that count as spending; transfers only move money between own accounts
+const SPENDING_CATEGORIES = ["bills", "shopping", "food", "fuel", "fees", "other"];
+
+// Categories of the payment types offered on the payments pages
+const PAYMENT_CATEGORIES = ["bills", "shopping", "food", "fuel"];
+
+// Starting rule set; editable like any other rule once saved
+const DEFAULT_CATEGORY_RULES = [
+    { id: "default-bills", category: "bills", pattern: "\\b(bill|electricity|water|internet|mobile|recharge|broadband)\\b", direction: "debit" },
+    { id: "default-shopping", category: "shopping", pattern: "\\b(shopping|amazon|flipkart|myntra)\\b", direction: "debit" },
+    { id: "default-food", category: "food", pattern: "\\b(food|restaurant|dining|swiggy|zomato|cafe)\\b", direction: "debit" },
+    { id: "default-fuel", category: "fuel", pattern: "\\b(fuel|petrol|diesel)\\b", direction: "debit" },
+    { id: "default-income", category: "income", pattern: "\\b(salary|freelance|refund)\\b", direction: "credit" }
+];
+
+// Description with digits and punctuation removed, e.g. "Fuel Payment - HP (petrol)" -> "fuel payment hp petrol"
+function merchantKey(description) {
+    return String(description || "").toLowerCase().replace(/[^\p{L}\s]+/gu, " ").replace(/\s+/g, " ").trim();
+}
+
+function createRuleId() {
+    return `RULE-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Category Rule - every criterion that is set must match
+class CategoryRule {
+    constructor({ id = createRuleId(), category, pattern = null, merchant = null, minAmount = null, maxAmount = null,
+        account = null, direction = null, learned = false }) {
+        if (!Object.values(TRANSACTION_CATEGORIES).includes(category)) {
+            throw new Error(`Unknown category: ${category}`);
+        }
+        if (!pattern && !merchant && minAmount === null && maxAmount === null && !account) {
+            throw new Error("A rule needs a pattern, an amount range or an account");
+        }
+        try {
+            this._regex = pattern ? new RegExp(pattern, "i") : null;
+        } catch (error) {
+            throw new Error(`Invalid pattern: ${error.message}`);
+        }
+        this._id = id;
+        this._category = category;
+        this._pattern = pattern;
+        this._merchant = merchant;
+        this._minAmount = minAmount === null ? null : Money.from(minAmount);
+        this._maxAmount = maxAmount === null ? null : Money.from(maxAmount);
+        if (this._minAmount && this._maxAmount && this._maxAmount.lessThan(this._minAmount)) {
+            throw new Error("Maximum amount is below the minimum amount");
+        }
+        this._account = account;
+        this._direction = direction;
+        this._learned = learned;
+    }
+
+    get id() { return this._id; }
+    get category() { return this._category; }
+    get pattern() { return this._pattern; }
+    get merchant() { return this._merchant; }
+    get minAmount() { return this._minAmount; }
+    get maxAmount() { return this._maxAmount; }
+    get account() { return this._account; }
+    get direction() { return this._direction; }
+    get learned() { return this._learned; } // Created from a manual override
+
+    matches(transaction, account) {
+        if (this._account && account.accountNumber !== this._account) return false;
+        if (this._direction && transaction.direction !== this._direction) return false;
+        if (this._minAmount && currencyExchange.valueIn(transaction.amount, this._minAmount.currency).lessThan(this._minAmount)) return false;
+        if (this._maxAmount && this._maxAmount.lessThan(currencyExchange.valueIn(transaction.amount, this._maxAmount.currency))) return false;
+        if (this._merchant && merchantKey(transaction.description) !== this._merchant) return false;
+        if (this._regex && !this._regex.test(transaction.description)) return false;
+        return true;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            category: this._category,
+            pattern: this._pattern,
+            merchant: this._merchant,
+            minAmount: this._minAmount ? this._minAmount.toJSON() : null,
+            maxAmount: this._maxAmount ? this._maxAmount.toJSON() : null,
+            account: this._account,
+            direction: this._direction,
+            learned: this._learned
+        };
+    }
+
+    static fromJSON(data) {
+        return new CategoryRule({
+            ...data,
+            minAmount: data.minAmount ? Money.fromJSON(data.minAmount) : null,
+            maxAmount: data.maxAmount ? Money.fromJSON(data.maxAmount) : null
+        });
+    }
+}
+
+// Categories Engine - the first matching rule wins; learned rules are kept ahead of the rest.
+// Attached accounts are watched so every new, imported or posted transaction is categorised.
+class CategoryRulesEngine {
+    constructor(rules = DEFAULT_CATEGORY_RULES.map(definition => new CategoryRule(definition))) {
+        this._rules = [...rules];
+        this._accounts = [];
+        this._observers = [];
+    }
+
+    get rules() { return [...this._rules]; }
+
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(change) {
+        this._observers.forEach(observer => observer.update(change));
+    }
+
+    // Categorises the account's uncategorised history, then every transaction it records
+    attach(account) {
+        this._accounts.push(account);
+        account.transactionHistory.filter(transaction => !transaction.category).forEach(transaction => this.apply(transaction, account));
+        account.addObserver({
+            update: event => {
+                if (event instanceof Transaction) this.apply(event, account);
+            }
+        });
+    }
+
+    // Category the rules give a transaction, falling back to one based on its type and direction
+    categorise(transaction, account) {
+        const rule = this._rules.find(candidate => candidate.matches(transaction, account));
+        if (rule) {
+            return { category: rule.category, source: CATEGORY_SOURCES.RULE, rule };
+        }
+        const byType = {
+            transfer: "transfer",
+            maturity: "transfer",
+            closure: "transfer",
+            installment: "transfer",
+            disbursal: "transfer",
+            emi: "transfer",
+            prepayment: "transfer",
+            interest: "interest",
+            charge: "fees"
+        };
+        const category = byType[transaction.type] || (transaction.direction === "credit" ? "income" : "other");
+        return { category, source: CATEGORY_SOURCES.DEFAULT, rule: null };
+    }
+
+    apply(transaction, account) {
+        if (transaction.categorySource === CATEGORY_SOURCES.PAYMENT || transaction.categorySource === CATEGORY_SOURCES.MANUAL) {
+            return transaction.category;
+        }
+        const { category, source } = this.categorise(transaction, account);
+        transaction.setCategory(category, source);
+        return category;
+    }
+
+    // Manual correction; remembered as a rule for the same merchant and applied to its other transactions
+    override(transaction, category) {
+        transaction.setCategory(category, CATEGORY_SOURCES.MANUAL);
+        const merchant = merchantKey(transaction.description);
+        let rule = null;
+        if (merchant) {
+            const existing = this._rules.find(candidate =>
+                candidate.learned && candidate.merchant === merchant && candidate.direction === transaction.direction);
+            rule = new CategoryRule({ id: existing ? existing.id : createRuleId(), category, merchant, direction: transaction.direction, learned: true });
+            this._rules = [rule, ...this._rules.filter(candidate => candidate !== existing)];
+        }
+        this.recategorise();
+        this.notifyObservers({ type: "override", transaction, rule });
+        return rule;
+    }
+
+    addRule(definition) {
+        const rule = definition instanceof CategoryRule ? definition : new CategoryRule(definition);
+        const firstUnlearned = this._rules.findIndex(candidate => !candidate.learned);
+        this._rules.splice(firstUnlearned < 0 ? this._rules.length : firstUnlearned, 0, rule);
+        this.recategorise();
+        this.notifyObservers({ type: "added", rule });
+        return rule;
+    }
+
+    removeRule(id) {
+        const rule = this._rules.find(candidate => candidate.id === id);
+        if (!rule) {
+            throw new Error(`Unknown rule: ${id}`);
+        }
+        this._rules = this._rules.filter(candidate => candidate !== rule);
+        this.recategorise();
+        this.notifyObservers({ type: "removed", rule });
+        return rule;
+    }
+
+    // Re-runs the rules over every attached transaction not categorised by hand or at payment
+    recategorise() {
+        this._accounts.forEach(account => {
+            account.transactionHistory.forEach(transaction => this.apply(transaction, account));
+        });
+    }
+
+    toJSON() {
+        return this._rules.map(rule => rule.toJSON());
+    }
+
+    static fromJSON(data) {
+        return new CategoryRulesEngine(data.map(ruleData => CategoryRule.fromJSON(ruleData)));
+    }
+}
+
+// Payments made from a payment form, or debits the rules put in a payment category
+function isPayment(transaction) {
+    return transaction.channel === TRANSACTION_CHANNELS.PAYMENT ||
+        (transaction.direction !== "credit" && PAYMENT_CATEGORIES.includes(transaction.category));
+}
+
+// Debit totals per spending category, e.g. { bills: Money, food: Money }, valued in `currency`
+function spendingByCategory(transactions, currency = DEFAULT_CURRENCY, exchange = currencyExchange) {
+    const totals = {};
+    SPENDING_CATEGORIES.forEach(category => {
+        totals[category] = Money.zero(currency);
+    });
+    transactions
+        .filter(transaction => transaction.direction === "debit" && SPENDING_CATEGORIES.includes(transaction.category))
+        .forEach(transaction => {
+            totals[transaction.category] = totals[transaction.category].add(exchange.valueIn(transaction.amount, currency));
+        });
+    return totals;
+}
+
+export {
+    CATEGORY_LABELS,
+    SPENDING_CATEGORIES,
+    PAYMENT_CATEGORIES,
+    DEFAULT_CATEGORY_RULES,
+    merchantKey,
+    CategoryRule,
+    CategoryRulesEngine,
+    isPayment,
+    spendingByCategory
+};
@@ -0,0 +1,121 @@
+// ===========================================
+// CLOCK - INJECTABLE TIME SOURCE
+// ===========================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Clock Interface
+class Clock {
+    now() {
+        throw new Error("now method must be implemented");
+    }
+}
+
+class SystemClock extends Clock {
+    now() {
+        return new Date();
+    }
+}
+
+// Manual Clock - only moves when told to, for deterministic tests
+class ManualClock extends Clock {
+    constructor(start = new Date()) {
+        super();
+        this._now = new Date(start);
+    }
+
+    now() {
+        return new Date(this._now);
+    }
+
+    set(date) {
+        this._now = new Date(date);
+    }
+
+    advanceDays(days) {
+        const next = new Date(this._now);
+        next.setDate(next.getDate() + days);
+        this._now = next;
+    }
+
+    advanceMonths(months) {
+        const next = new Date(this._now);
+        next.setMonth(next.getMonth() + months);
+        this._now = next;
+    }
+}
+
+// Shared Clock - passes through to another clock that can be swapped at any time
+class SharedClock extends Clock {
+    constructor(source) {
+        super();
+        this._source = source;
+    }
+
+    get source() {
+        return this._source;
+    }
+
+    setSource(clock) {
+        this._source = clock;
+    }
+
+    now() {
+        return this._source.now();
+    }
+}
+
+// Shared time source for new transactions; swap it with setBankingClock() in tests.
+// Engines that keep a reference to it follow the swap.
+const bankingClock = new SharedClock(new SystemClock());
+
+function setBankingClock(clock) {
+    bankingClock.setSource(clock);
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function startOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+// Same day-of-month `months` later, clamped to the month's last day (Jan 31 + 1 → Feb 28/29)
+function addMonths(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1, date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+}
+
+// Whole calendar days between two dates, immune to DST shifts
+function calendarDaysBetween(start, end) {
+    const from = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+    const to = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+    return Math.round((to - from) / MS_PER_DAY);
+}
+
+function formatDate(date) {
+    return date.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+}
+
+export {
+    MS_PER_DAY,
+    Clock,
+    SystemClock,
+    ManualClock,
+    SharedClock,
+    bankingClock,
+    setBankingClock,
+    startOfDay,
+    addDays,
+    startOfMonth,
+    addMonths,
+    calendarDaysBetween,
+    formatDate
+};
@@ -0,0 +1,669 @@
+// ===========================================
+// COMMAND PATTERN - TRANSACTIONS WITH UNDO
+// ===========================================
+
+import { Money, formatAmount } from "./money.js";
+import { bankingClock } from "./clock.js";
+import { FxQuote, currencyExchange } from "./fx.js";
+import { JournalEntry } from "./journal.js";
+import { TRANSACTION_CHANNELS, PolicyViolationError } from "./policy.js";
+import { defaultService } from "./defaults.js";
+
+function createCommandId() {
+    return `CMD-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Command Interface
+class Command {
+    constructor() {
+        this._id = createCommandId();
+        this._actors = null;
+    }
+
+    get id() {
+        return this._id;
+    }
+
+    // Customer ids the command is performed for; null when it has not been authorised
+    get actors() {
+        return this._actors ? [...this._actors] : null;
+    }
+
+    authorisedBy(actors) {
+        this._actors = actors ? [...actors] : null;
+        return this;
+    }
+
+    // Accounts whose balances the command changes
+    get accounts() {
+        return [];
+    }
+
+    // Irreversible commands are never put on the undo stack
+    get undoable() {
+        return true;
+    }
+
+    execute() {
+        throw new Error("execute method must be implemented");
+    }
+
+    undo() {
+        throw new Error("undo method must be implemented");
+    }
+
+    // A new command that cancels this one's effect; used to revert commands no longer on the undo stack
+    createCompensation() {
+        throw new Error("createCompensation method must be implemented");
+    }
+
+    toJSON() {
+        throw new Error("toJSON method must be implemented");
+    }
+
+    // Rebuilds the kind-specific part of a persisted command for fromJSON
+    static restore(data, resolveAccount, targetJournal) {
+        throw new Error("restore method must be implemented");
+    }
+
+    // Rebuilds a persisted command; resolveAccount maps an account number to its instance.
+    // The class registered for its kind rebuilds the kind-specific part with restore()
+    static fromJSON(data, resolveAccount, targetJournal) {
+        const CommandClass = COMMAND_KINDS[data.kind];
+        if (!CommandClass) {
+            throw new Error(`Unknown command kind: ${data.kind}`);
+        }
+        const command = CommandClass.restore(data, resolveAccount, targetJournal);
+        command._id = data.id || command._id;
+        command._actors = data.actors || null;
+        command._executed = data.executed;
+        return command;
+    }
+}
+
+// Concrete Commands
+class DepositCommand extends Command {
+    constructor(account, amount, description, channel = TRANSACTION_CHANNELS.BRANCH, policy = defaultService("policy")) {
+        super();
+        this._account = account;
+        this._amount = Money.from(amount, account.currency);
+        this._description = description;
+        this._channel = channel || TRANSACTION_CHANNELS.BRANCH;
+        this._policy = policy;
+        this._reversalOf = null; // Id of the debit a compensating deposit gives back
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._account];
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        if (this._policy) {
+            this._policy.assertAllowed({ account: this._account, amount: this._amount, direction: "credit", channel: this._channel, actors: this._actors });
+        }
+        const transaction = this._account.deposit(this._amount, this._description, this._channel, this._reversalOf);
+        this._executed = true;
+        return transaction;
+    }
+
+    undo() {
+        if (!this._executed) {
+            throw new Error("Command not executed yet");
+        }
+        this._account.withdraw(this._amount, `Undo: ${this._description}`);
+        this._executed = false;
+    }
+
+    // Compensations are corrections, so they are not held to the transaction limits
+    createCompensation() {
+        return new WithdrawCommand(this._account, this._amount, `Revert: ${this._description}`, this._channel, null);
+    }
+
+    static restore(data, resolveAccount) {
+        const command = new DepositCommand(resolveAccount(data.account), Money.fromJSON(data.amount), data.description, data.channel);
+        command._reversalOf = data.reversalOf || null;
+        return command;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            kind: "deposit",
+            account: this._account.accountNumber,
+            amount: this._amount.toJSON(),
+            description: this._description,
+            channel: this._channel,
+            reversalOf: this._reversalOf,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+class WithdrawCommand extends Command {
+    constructor(account, amount, description, channel = TRANSACTION_CHANNELS.BRANCH, policy = defaultService("policy"), category = null) {
+        super();
+        this._account = account;
+        this._amount = Money.from(amount, account.currency);
+        this._description = description;
+        this._channel = channel || TRANSACTION_CHANNELS.BRANCH;
+        this._policy = policy;
+        this._category = category;
+        this._transactionId = null;
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._account];
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        if (this._policy) {
+            this._policy.assertAllowed({ account: this._account, amount: this._amount, direction: "debit", channel: this._channel, actors: this._actors });
+        }
+        const transaction = this._account.withdraw(this._amount, this._description, this._channel, this._category);
+        this._transactionId = transaction.id;
+        this._executed = true;
+        return transaction;
+    }
+
+    // The refund points at the debit, so the debit no longer counts towards the limits
+    undo() {
+        if (!this._executed) {
+            throw new Error("Command not executed yet");
+        }
+        this._account.deposit(this._amount, `Undo: ${this._description}`, null, this._transactionId);
+        this._executed = false;
+    }
+
+    createCompensation() {
+        const compensation = new DepositCommand(this._account, this._amount, `Revert: ${this._description}`, this._channel, null);
+        compensation._reversalOf = this._transactionId;
+        return compensation;
+    }
+
+    static restore(data, resolveAccount) {
+        const command = new WithdrawCommand(resolveAccount(data.account), Money.fromJSON(data.amount), data.description, data.channel,
+            defaultService("policy"), data.category || null);
+        command._transactionId = data.transactionId || null;
+        return command;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            kind: "withdraw",
+            account: this._account.accountNumber,
+            amount: this._amount.toJSON(),
+            description: this._description,
+            channel: this._channel,
+            category: this._category,
+            transactionId: this._transactionId,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+// Transfers between accounts in different currencies convert at the exchange's customer rate;
+// the quote is recorded on the journal entry and reused by undo and redo
+class TransferCommand extends Command {
+    constructor(fromAccount, toAccount, amount, description, targetJournal = defaultService("journal"), channel = TRANSACTION_CHANNELS.TRANSFER, policy = defaultService("policy"), exchange = currencyExchange) {
+        super();
+        this._fromAccount = fromAccount;
+        this._toAccount = toAccount;
+        this._amount = Money.from(amount, fromAccount.currency);
+        this._description = description;
+        this._journal = targetJournal;
+        this._channel = channel || TRANSACTION_CHANNELS.TRANSFER;
+        this._policy = policy;
+        this._exchange = exchange;
+        this._credited = null;
+        this._quote = null;
+        this._pinned = null;
+        this._entryId = null;
+        this._reversalOf = null; // Entry a compensating transfer hands back
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._fromAccount, this._toAccount];
+    }
+
+    // Amount the receiving account got; null until executed
+    get creditedAmount() {
+        return this._credited;
+    }
+
+    // FX quote used for a cross-currency transfer; null for same-currency ones
+    get quote() {
+        return this._quote;
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        if (this._policy) {
+            this._policy.assertAllowed({ account: this._fromAccount, amount: this._amount, direction: "debit", channel: this._channel, actors: this._actors });
+        }
+        const { amount: credited, quote } = this._convert();
+        const rate = quote ? ` at ${quote.description}` : "";
+        const entry = this._journal.post(new JournalEntry(this._description, [
+            { account: this._fromAccount, direction: "debit", amount: this._amount, memo: `Transfer to ${this._toAccount.accountNumber}${rate}` },
+            { account: this._toAccount, direction: "credit", amount: credited, memo: `Transfer from ${this._fromAccount.accountNumber}${rate}` }
+        ], { channel: this._channel, fx: quote, reversalOf: this._reversalOf }));
+        this._credited = credited;
+        this._quote = quote;
+        this._entryId = entry.id;
+        this._executed = true;
+        return entry;
+    }
+
+    undo() {
+        if (!this._executed) {
+            throw new Error("Command not executed yet");
+        }
+        this._journal.post(new JournalEntry(`Undo: ${this._description}`, [
+            { account: this._toAccount, direction: "debit", amount: this._credited, memo: `Undo: Transfer from ${this._fromAccount.accountNumber}` },
+            { account: this._fromAccount, direction: "credit", amount: this._amount, memo: `Undo: Transfer to ${this._toAccount.accountNumber}` }
+        ], { reversalOf: this._entryId, fx: this._quote }));
+        this._executed = false;
+    }
+
+    // Hands back exactly what was received, at the original rate rather than today's
+    createCompensation() {
+        const compensation = new TransferCommand(this._toAccount, this._fromAccount, this._credited || this._amount,
+            `Revert: ${this._description}`, this._journal, this._channel, null, this._exchange);
+        if (this._quote) {
+            compensation._pinned = { amount: this._amount, quote: this._quote };
+        }
+        compensation._reversalOf = this._entryId;
+        return compensation;
+    }
+
+    static restore(data, resolveAccount, targetJournal) {
+        const command = new TransferCommand(resolveAccount(data.from), resolveAccount(data.to), Money.fromJSON(data.amount), data.description, targetJournal, data.channel);
+        command._entryId = data.entryId || null;
+        command._reversalOf = data.reversalOf || null;
+        command._credited = data.credited ? Money.fromJSON(data.credited) : (data.executed ? command._amount : null);
+        command._quote = data.fx ? FxQuote.fromJSON(data.fx) : null;
+        return command;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            kind: "transfer",
+            from: this._fromAccount.accountNumber,
+            to: this._toAccount.accountNumber,
+            amount: this._amount.toJSON(),
+            credited: this._credited ? this._credited.toJSON() : null,
+            fx: this._quote ? this._quote.toJSON() : null,
+            description: this._description,
+            channel: this._channel,
+            entryId: this._entryId,
+            reversalOf: this._reversalOf,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+
+    // Amount to credit and the quote behind it; same-currency transfers credit what was debited.
+    // A redo credits what the first execution did rather than converting at today's rate
+    _convert() {
+        if (this._pinned) return this._pinned;
+        if (this._quote) return { amount: this._credited, quote: this._quote };
+        if (this._fromAccount.currency === this._toAccount.currency) {
+            return { amount: this._amount, quote: null };
+        }
+        return this._exchange.convert(this._amount, this._toAccount.currency);
+    }
+}
+
+// Collects a recurring deposit's next installment from its funding account, with the penalty for
+// paying it at `asOf`; like the installment itself, it cannot be undone. An installment the customer
+// pays themselves has a channel and passes the policy like any other debit; the bank's own
+// collections have none
+class RecurringDepositInstallmentCommand extends Command {
+    constructor(deposit, targetJournal = defaultService("journal"), asOf = bankingClock.now(), channel = null, policy = defaultService("policy")) {
+        super();
+        this._deposit = deposit;
+        this._journal = targetJournal;
+        this._asOf = asOf;
+        this._channel = channel;
+        this._policy = policy;
+        const next = deposit.nextInstallment;
+        this._installment = next ? next.number : null;
+        this._amount = next ? deposit.installment.add(deposit.penaltyFor(next.number, asOf)) : Money.zero(deposit.currency);
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._deposit.fundingAccount, this._deposit].filter(Boolean);
+    }
+
+    get undoable() {
+        return false;
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        const from = this._deposit.fundingAccount;
+        if (this._channel && this._policy && from) {
+            this._policy.assertAllowed({ account: from, amount: this._amount, direction: "debit", channel: this._channel, actors: this._actors });
+        }
+        const entry = this._deposit.payInstallment(this._journal, this._asOf, this._channel);
+        this._executed = true;
+        return entry;
+    }
+
+    undo() {
+        throw new Error("A collected installment cannot be undone");
+    }
+
+    createCompensation() {
+        throw new Error("A collected installment cannot be reverted");
+    }
+
+    static restore(data, resolveAccount, targetJournal) {
+        const command = new RecurringDepositInstallmentCommand(resolveAccount(data.deposit), targetJournal, bankingClock.now(), data.channel || null);
+        command._installment = data.installment;
+        command._amount = Money.fromJSON(data.amount);
+        return command;
+    }
+
+    toJSON() {
+        const from = this._deposit.fundingAccount;
+        return {
+            id: this._id,
+            kind: "installment",
+            deposit: this._deposit.accountNumber,
+            from: from ? from.accountNumber : null,
+            to: this._deposit.accountNumber,
+            installment: this._installment,
+            amount: this._amount.toJSON(),
+            channel: this._channel,
+            description: `RD installment ${this._installment || "-"} of ${this._deposit.tenure} - ${this._deposit.accountNumber}`,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+// Command registry - maps persisted kinds back to their classes; apps register their own kinds here
+const COMMAND_KINDS = {
+    deposit: DepositCommand,
+    withdraw: WithdrawCommand,
+    transfer: TransferCommand,
+    installment: RecurringDepositInstallmentCommand
+};
+
+// Formatted balances of the accounts a change touches, keyed by account number
+function auditBalances(accountList) {
+    const balances = {};
+    accountList.forEach(account => {
+        balances[account.accountNumber] = formatAmount(account.balance);
+    });
+    return balances;
+}
+
+// Outcomes recorded in the invoker's log
+const COMMAND_STATUSES = {
+    EXECUTED: "executed",
+    FAILED: "failed",
+    UNDONE: "undone",
+    REVERTED: "reverted"
+};
+
+// Command Invoker - undo/redo stacks plus a log of every attempt and its outcome
+class CommandInvoker {
+    constructor(history = [], options = {}) {
+        this._history = [...history];                       // Undo stack
+        this._redoStack = [...(options.redo || [])];
+        this._log = options.log
+            ? options.log.map(record => ({ ...record }))
+            : history.map(command => this._record(command, COMMAND_STATUSES.EXECUTED));
+        this._authoriser = null;
+        this._auditLog = null;
+        this._observers = [];
+    }
+
+    // Supplies the acting customers for commands that arrive without their own authorisation
+    setAuthoriser(authoriser) {
+        this._authoriser = authoriser;
+    }
+
+    // Audit log told about every attempt, undo, redo and revert, with balances either side, through
+    // recordCommand(action, command, before, error), and about clear() through recordHistoryCleared(count);
+    // null records nothing
+    setAuditLog(auditLog) {
+        this._auditLog = auditLog;
+    }
+
+    // Observer Pattern - notified after every change to the command history
+    addObserver(observer) {
+        this._observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this._observers = this._observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(command) {
+        this._observers.forEach(observer => observer.update(command));
+    }
+
+    executeCommand(command) {
+        if (command.actors === null && this._authoriser) {
+            command.authorisedBy(this._authoriser());
+        }
+        const before = auditBalances(command.accounts);
+        try {
+            command.execute();
+        } catch (error) {
+            console.error("Command execution failed:", error.message);
+            this._log.push(this._record(command, COMMAND_STATUSES.FAILED, error.message));
+            this._audit("execute", command, before, error);
+            this.notifyObservers(command);
+            // Limit breaches carry structured details the caller needs to show
+            if (error instanceof PolicyViolationError) {
+                throw error;
+            }
+            return false;
+        }
+        if (command.undoable) {
+            this._history.push(command);
+        }
+        this._redoStack = [];
+        this._log.push(this._record(command, COMMAND_STATUSES.EXECUTED));
+        this._audit("execute", command, before);
+        this.notifyObservers(command);
+        return true;
+    }
+
+    undoLastCommand() {
+        if (this._history.length === 0) {
+            throw new Error("No commands to undo");
+        }
+        const lastCommand = this._history[this._history.length - 1];
+        this._audited("undo", lastCommand, () => lastCommand.undo());
+        this._history.pop();
+        this._redoStack.push(lastCommand);
+        this._setStatus(lastCommand, COMMAND_STATUSES.UNDONE);
+        this.notifyObservers(lastCommand);
+    }
+
+    // Re-executes the most recently undone command; it stays on the redo stack if that fails
+    redoLastCommand() {
+        if (this._redoStack.length === 0) {
+            throw new Error("No commands to redo");
+        }
+        const command = this._redoStack[this._redoStack.length - 1];
+        this._audited("redo", command, () => command.execute());
+        this._redoStack.pop();
+        this._history.push(command);
+        this._setStatus(command, COMMAND_STATUSES.EXECUTED);
+        this.notifyObservers(command);
+    }
+
+    // Cancels an older executed command with a compensating one. The account and journal
+    // rules still apply, so a revert that would overdraw an account is rejected unchanged.
+    revertCommand(id) {
+        const record = this._latestRecord(entry => entry.command.id === id);
+        if (!record) {
+            throw new Error(`Unknown command: ${id}`);
+        }
+        if (record.status !== COMMAND_STATUSES.EXECUTED) {
+            throw new Error(`Only executed commands can be reverted (this one is ${record.status})`);
+        }
+        if (record.revertOf) {
+            throw new Error("A compensating command cannot itself be reverted");
+        }
+
+        const compensation = record.command.createCompensation();
+        this._audited("revert", record.command, () => compensation.execute());
+        this._history = this._history.filter(command => command !== record.command);
+        this._redoStack = this._redoStack.filter(command => command !== record.command);
+        record.status = COMMAND_STATUSES.REVERTED;
+        record.revertedBy = compensation.id;
+        this._log.push({ ...this._record(compensation, COMMAND_STATUSES.EXECUTED), revertOf: id });
+        this.notifyObservers(compensation);
+        return compensation;
+    }
+
+    clear() {
+        const cleared = this._log.length;
+        this._history = [];
+        this._redoStack = [];
+        this._log = [];
+        this._writeAudit(auditLog => auditLog.recordHistoryCleared(cleared));
+        this.notifyObservers(null);
+    }
+
+    get history() {
+        return [...this._history];
+    }
+
+    get redoHistory() {
+        return [...this._redoStack];
+    }
+
+    get canUndo() {
+        return this._history.length > 0;
+    }
+
+    get canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    // Every attempt in execution order: { command, status, timestamp, error, revertOf, revertedBy }
+    get log() {
+        return this._log.map(record => ({ ...record }));
+    }
+
+    // Counts each logged command by its current status; successful ones are still in effect
+    get stats() {
+        const count = status => this._log.filter(record => record.status === status).length;
+        return {
+            total: this._log.length,
+            successful: count(COMMAND_STATUSES.EXECUTED),
+            failed: count(COMMAND_STATUSES.FAILED),
+            undone: count(COMMAND_STATUSES.UNDONE),
+            reverted: count(COMMAND_STATUSES.REVERTED),
+            undoable: this._history.length,
+            redoable: this._redoStack.length
+        };
+    }
+
+    _record(command, status, error = null) {
+        return { command, status, timestamp: bankingClock.now(), error, revertOf: null, revertedBy: null };
+    }
+
+    // Runs `perform`, auditing it as `action` on `command` whether it succeeds or throws
+    _audited(action, command, perform) {
+        const before = auditBalances(command.accounts);
+        try {
+            perform();
+        } catch (error) {
+            this._audit(action, command, before, error);
+            throw error;
+        }
+        this._audit(action, command, before);
+    }
+
+    _audit(action, command, before, error = null) {
+        this._writeAudit(auditLog => auditLog.recordCommand(action, command, before, error));
+    }
+
+    // A broken audit log must not stop banking, so failures to record are only reported
+    _writeAudit(write) {
+        if (!this._auditLog) return;
+        try {
+            write(this._auditLog);
+        } catch (failure) {
+            console.error("Failed to write audit entry:", failure.message);
+        }
+    }
+
+    _setStatus(command, status) {
+        const record = this._latestRecord(entry => entry.command === command);
+        if (record) record.status = status;
+    }
+
+    // A command refused and then retried (e.g. after step-up re-authentication) has a record
+    // per attempt; the latest one holds its current status
+    _latestRecord(predicate) {
+        for (let index = this._log.length - 1; index >= 0; index--) {
+            if (predicate(this._log[index])) return this._log[index];
+        }
+        return null;
+    }
+
+    toJSON() {
+        return {
+            log: this._log.map(record => ({
+                ...record,
+                command: record.command.toJSON(),
+                timestamp: record.timestamp.toISOString()
+            })),
+            history: this._history.map(command => command.id),
+            redo: this._redoStack.map(command => command.id)
+        };
+    }
+
+    static fromJSON(data, resolveAccount, targetJournal) {
+        const byId = new Map();
+        const log = data.log.map(record => {
+            const command = Command.fromJSON(record.command, resolveAccount, targetJournal);
+            byId.set(command.id, command);
+            return { ...record, command, timestamp: new Date(record.timestamp) };
+        });
+        return new CommandInvoker(data.history.map(id => byId.get(id)), {
+            log,
+            redo: data.redo.map(id => byId.get(id))
+        });
+    }
+}
+
+export {
+    createCommandId,
+    Command,
+    DepositCommand,
+    WithdrawCommand,
+    TransferCommand,
+    RecurringDepositInstallmentCommand,
+    COMMAND_KINDS,
+    auditBalances,
+    COMMAND_STATUSES,
+    CommandInvoker
+};
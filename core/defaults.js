@@ -0,0 +1,36 @@
+// ===========================================
+// DEFAULT SERVICES - SHARED INSTANCES THE DOMAIN FALLS BACK ON
+// ===========================================
+
+// Getters for the journal, transaction policy and accrual engine that commands and accounts use
+// when a caller passes none. They are looked up on every use, so an app that replaces one of
+// them (e.g. after reloading its ledger) registers its getter once. All return null until set.
+const DEFAULT_SERVICE_NAMES = ["journal", "policy", "accrualEngine"];
+
+const serviceGetters = {};
+DEFAULT_SERVICE_NAMES.forEach(name => {
+    serviceGetters[name] = () => null;
+});
+
+// e.g. setDefaultServices({ journal: () => journal, policy: () => transactionPolicy })
+function setDefaultServices(getters) {
+    Object.entries(getters).forEach(([name, getter]) => {
+        if (!DEFAULT_SERVICE_NAMES.includes(name)) {
+            throw new Error(`Unknown default service: ${name}`);
+        }
+        serviceGetters[name] = getter || (() => null);
+    });
+}
+
+function defaultService(name) {
+    if (!DEFAULT_SERVICE_NAMES.includes(name)) {
+        throw new Error(`Unknown default service: ${name}`);
+    }
+    return serviceGetters[name]();
+}
+
+export {
+    DEFAULT_SERVICE_NAMES,
+    setDefaultServices,
+    defaultService
+};
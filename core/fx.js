@@ -0,0 +1,199 @@
+// ===========================================
+// FOREIGN EXCHANGE - RATES & CONVERSION
+// ===========================================
+
+import { DEFAULT_CURRENCY, ROUNDING_MODES, Money, toDecimalFraction, divideRounded } from "./money.js";
+import { bankingClock } from "./clock.js";
+
+// Decimal places kept on quoted rates
+const FX_RATE_PLACES = 6;
+
+// Margin taken off the mid-market rate on customer conversions, in percent
+const DEFAULT_FX_SPREAD = 0.5;
+
+// Units of INR per unit of each currency
+const DEFAULT_FX_RATES = {
+    INR: "1",
+    USD: "83.25",
+    EUR: "90.40",
+    GBP: "105.70",
+    JPY: "0.56"
+};
+
+// Exact product of `factors` divided by `divisor`, as a decimal string rounded half-even to `places`
+function decimalQuotient(factors, divisor, places = FX_RATE_PLACES) {
+    const parts = factors.map(toDecimalFraction);
+    const split = toDecimalFraction(divisor);
+    const numerator = parts.reduce((product, part) => product * part.numerator, split.denominator);
+    const denominator = parts.reduce((product, part) => product * part.denominator, split.numerator);
+    const scaled = divideRounded(numerator * 10n ** BigInt(places), denominator, ROUNDING_MODES.HALF_EVEN);
+    const digits = String(scaled < 0n ? -scaled : scaled).padStart(places + 1, "0");
+    const fraction = places > 0 ? `.${digits.slice(digits.length - places)}` : "";
+    return `${scaled < 0n ? "-" : ""}${digits.slice(0, digits.length - places)}${fraction}`;
+}
+
+// FX Rate Provider Interface - rate(from, to) returns units of `to` per unit of `from` as a decimal string
+class FxRateProvider {
+    get name() {
+        throw new Error("name getter must be implemented");
+    }
+
+    get currencies() {
+        throw new Error("currencies getter must be implemented");
+    }
+
+    rate(from, to) {
+        throw new Error("rate method must be implemented");
+    }
+}
+
+// Static Rate Provider - a local table of rates against one currency; cross rates go through it
+class StaticFxRateProvider extends FxRateProvider {
+    constructor(rates = DEFAULT_FX_RATES, name = "Static rate table") {
+        super();
+        this._rates = {};
+        this._name = name;
+        Object.entries(rates).forEach(([currency, rate]) => this.setRate(currency, rate));
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get currencies() {
+        return Object.keys(this._rates);
+    }
+
+    get rates() {
+        return { ...this._rates };
+    }
+
+    setRate(currency, rate) {
+        if (toDecimalFraction(rate).numerator <= 0n) {
+            throw new Error(`Exchange rate for ${currency} must be positive`);
+        }
+        this._rates[currency] = String(rate);
+    }
+
+    rate(from, to) {
+        if (from === to) return "1";
+        return decimalQuotient([this._require(from)], this._require(to));
+    }
+
+    _require(currency) {
+        if (this._rates[currency] === undefined) {
+            throw new Error(`No exchange rate for ${currency}`);
+        }
+        return this._rates[currency];
+    }
+}
+
+// The rates a conversion was made at; journal entries keep it so the conversion can be audited and undone exactly
+class FxQuote {
+    constructor({ from, to, midRate, spread, rate, source, quotedAt = bankingClock.now() }) {
+        this._from = from;
+        this._to = to;
+        this._midRate = midRate;
+        this._spread = spread;
+        this._rate = rate;
+        this._source = source;
+        this._quotedAt = new Date(quotedAt);
+    }
+
+    get from() { return this._from; }
+    get to() { return this._to; }
+    get midRate() { return this._midRate; }      // Units of `to` per unit of `from` before the spread
+    get spread() { return this._spread; }        // Percent taken off the mid rate
+    get rate() { return this._rate; }            // Rate the customer was given
+    get source() { return this._source; }
+    get quotedAt() { return new Date(this._quotedAt); }
+
+    // e.g. "1 USD = 82.833750 INR (mid 83.250000, spread 0.5%)"
+    get description() {
+        return `1 ${this._from} = ${this._rate} ${this._to} (mid ${this._midRate}, spread ${this._spread}%)`;
+    }
+
+    toJSON() {
+        return {
+            from: this._from,
+            to: this._to,
+            midRate: this._midRate,
+            spread: this._spread,
+            rate: this._rate,
+            source: this._source,
+            quotedAt: this._quotedAt.toISOString()
+        };
+    }
+
+    static fromJSON(data) {
+        return new FxQuote({ ...data, quotedAt: new Date(data.quotedAt) });
+    }
+}
+
+// Currency Exchange - customer conversions are made at the provider's mid rate less the spread;
+// valuations (totals, reports) use the mid rate itself
+class CurrencyExchange {
+    constructor(provider = new StaticFxRateProvider(), spread = DEFAULT_FX_SPREAD) {
+        this._provider = provider;
+        this.setSpread(spread);
+    }
+
+    get provider() { return this._provider; }
+    get spread() { return this._spread; }
+    get currencies() { return this._provider.currencies; }
+
+    setProvider(provider) {
+        this._provider = provider;
+    }
+
+    setSpread(spread) {
+        if (!Number.isFinite(spread) || spread < 0 || spread >= 100) {
+            throw new Error("FX spread must be a percentage from 0 up to 100");
+        }
+        this._spread = spread;
+    }
+
+    quote(from, to) {
+        const midRate = this._provider.rate(from, to);
+        const spread = from === to ? 0 : this._spread;
+        return new FxQuote({
+            from,
+            to,
+            midRate,
+            spread,
+            rate: decimalQuotient([midRate, 100 - spread], 100),
+            source: this._provider.name
+        });
+    }
+
+    // Returns { amount, quote } for `money` converted into `currency` at the customer rate
+    convert(money, currency) {
+        const quote = this.quote(money.currency, currency);
+        return { amount: money.convert(currency, quote.rate), quote };
+    }
+
+    // `money` valued in `currency` at the mid rate
+    valueIn(money, currency) {
+        if (money.currency === currency) return money;
+        return money.convert(currency, this._provider.rate(money.currency, currency));
+    }
+
+    // Amounts in any mix of currencies, totalled in `currency`
+    total(amounts, currency = DEFAULT_CURRENCY) {
+        return Money.sum(amounts.map(amount => this.valueIn(amount, currency)), currency);
+    }
+}
+
+const currencyExchange = new CurrencyExchange();
+
+export {
+    FX_RATE_PLACES,
+    DEFAULT_FX_SPREAD,
+    DEFAULT_FX_RATES,
+    decimalQuotient,
+    FxRateProvider,
+    StaticFxRateProvider,
+    FxQuote,
+    CurrencyExchange,
+    currencyExchange
+};
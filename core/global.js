@@ -0,0 +1,6 @@
+// Publishes the core package as globalThis.SecureBankCore for classic scripts that cannot import
+// modules, such as banking.js. Load it with <script type="module"> before a deferred banking.js.
+
+import * as SecureBankCore from "./index.js";
+
+globalThis.SecureBankCore = SecureBankCore;
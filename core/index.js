@@ -0,0 +1,23 @@
+// SecureBank core - the headless domain layer: money, clocks, FX, accounts, transactions, the
+// double-entry journal, interest strategies and accrual, limits, commands with their invoker, loans,
+// transaction search, statements, categories, budgets and analytics.
+// Nothing here touches the DOM or browser storage, so it runs the same in Node and in the pages.
+
+export * from "./money.js";
+export * from "./clock.js";
+export * from "./fx.js";
+export * from "./defaults.js";
+export * from "./account-status.js";
+export * from "./transactions.js";
+export * from "./accounts.js";
+export * from "./journal.js";
+export * from "./interest.js";
+export * from "./accrual.js";
+export * from "./policy.js";
+export * from "./commands.js";
+export * from "./loans.js";
+export * from "./query.js";
+export * from "./statements.js";
+export * from "./categories.js";
+export * from "./budgets.js";
+export * from "./analytics.js";
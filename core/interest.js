@@ -0,0 +1,325 @@
+// ===========================================
+// STRATEGY PATTERN - INTEREST CALCULATION
+// ===========================================
+
+import { Money, toDecimalFraction } from "./money.js";
+
+// Rate Table - the single source of annual rates (% p.a.) and slabs per account kind
+class RateTable {
+    constructor(rates = {}, slabs = {}) {
+        this._rates = { ...rates };
+        this._slabs = { ...slabs };
+    }
+
+    rateFor(kind) {
+        if (this._rates[kind] === undefined) {
+            throw new Error(`No interest rate configured for ${kind}`);
+        }
+        return this._rates[kind];
+    }
+
+    setRate(kind, rate) {
+        if (!Number.isFinite(rate) || rate < 0) {
+            throw new Error("Interest rate must be a non-negative number");
+        }
+        this._rates[kind] = rate;
+    }
+
+    // Slabs are [{ upTo, rate }] in ascending order; the last slab has upTo: null
+    slabsFor(kind) {
+        if (!this._slabs[kind]) {
+            throw new Error(`No interest slabs configured for ${kind}`);
+        }
+        return this._slabs[kind].map(slab => ({ ...slab }));
+    }
+
+    setSlabs(kind, slabs) {
+        this._slabs[kind] = slabs.map(slab => ({ ...slab }));
+    }
+
+    get rates() {
+        return { ...this._rates };
+    }
+}
+
+const DEFAULT_INTEREST_RATES = {
+    savings: 4.5,
+    current: 2.0,
+    fd: 7.5,
+    rd: 7.0,
+    overdraft: 12.0,
+    personal_loan: 10.5,
+    home_loan: 8.5,
+    vehicle_loan: 9.25
+};
+const DEFAULT_INTEREST_SLABS = {
+    savings: [
+        { upTo: 100000, rate: 3.5 },
+        { upTo: 500000, rate: 4.5 },
+        { upTo: null, rate: 5.0 }
+    ]
+};
+
+const interestRates = new RateTable(DEFAULT_INTEREST_RATES, DEFAULT_INTEREST_SLABS);
+
+// Compounding periods in months
+const COMPOUNDING_FREQUENCIES = {
+    monthly: 1,
+    quarterly: 3,
+    annual: 12
+};
+
+// Interest Strategy Interface - calculate(account, months) returns Money
+class InterestStrategy {
+    calculate(account, months) {
+        throw new Error("calculate method must be implemented");
+    }
+
+    get label() {
+        return "Interest";
+    }
+
+    // Posting frequency the accrual engine should use instead of its own, if any
+    get postingFrequency() {
+        return null;
+    }
+
+    // Parts of `balance` and the annual rate each accrues at day by day; one part at the
+    // strategy's rate unless the strategy splits the balance into slabs
+    accrualSlices(account, balance) {
+        return [{ balance, rate: this._rateFor(account) }];
+    }
+
+    // Strategies built for a kind read its rate; otherwise they use the account's own
+    _rateFor(account) {
+        return this._rateKind ? interestRates.rateFor(this._rateKind) : account.interestRate;
+    }
+}
+
+// Concrete Strategies
+class SimpleInterestStrategy extends InterestStrategy {
+    constructor(rateKind = null) {
+        super();
+        this._rateKind = rateKind;
+    }
+
+    calculate(account, months = account.interestTermMonths) {
+        if (!account.balance.isPositive()) {
+            return Money.zero(account.currency);
+        }
+        return account.balance.scale(this._rateFor(account) * months, 12 * 100);
+    }
+
+    get label() {
+        return "Simple";
+    }
+}
+
+class SavingsInterestStrategy extends SimpleInterestStrategy {
+    constructor() {
+        super("savings");
+    }
+}
+
+class CurrentInterestStrategy extends SimpleInterestStrategy {
+    constructor() {
+        super("current");
+    }
+}
+
+class FixedDepositInterestStrategy extends SimpleInterestStrategy {
+    constructor() {
+        super("fd");
+    }
+}
+
+// Compound interest; whole periods compound, a trailing part-period earns simple interest
+class CompoundInterestStrategy extends InterestStrategy {
+    constructor(frequency = "quarterly", rateKind = null) {
+        super();
+        if (!COMPOUNDING_FREQUENCIES[frequency]) {
+            throw new Error(`Unknown compounding frequency: ${frequency}`);
+        }
+        this._frequency = frequency;
+        this._rateKind = rateKind;
+    }
+
+    get frequency() {
+        return this._frequency;
+    }
+
+    // Interest is posted once per compounding period, so credited interest earns interest in turn
+    get postingFrequency() {
+        return this._frequency;
+    }
+
+    get label() {
+        return `Compound (${this._frequency})`;
+    }
+
+    calculate(account, months = account.interestTermMonths) {
+        if (!account.balance.isPositive()) {
+            return Money.zero(account.currency);
+        }
+        const periodMonths = COMPOUNDING_FREQUENCIES[this._frequency];
+        const periods = BigInt(Math.floor(months / periodMonths));
+        const stubMonths = BigInt(months % periodMonths);
+        const rate = toDecimalFraction(this._rateFor(account));
+
+        // Growth factors as exact fractions over (rate denominator × 1200)
+        const base = rate.denominator * 1200n;
+        const perPeriod = base + rate.numerator * BigInt(periodMonths);
+        const stub = base + rate.numerator * stubMonths;
+        const numerator = perPeriod ** periods * stub;
+        const denominator = base ** periods * base;
+
+        return account.balance.scale(numerator, denominator).subtract(account.balance);
+    }
+}
+
+// Interest on equal deposits each held for its own number of months (`heldMonths`), compounded
+// quarterly with a trailing part-quarter earning simple interest, summed exactly and rounded once
+function quarterlyCompoundedInterest(amount, rate, heldMonths) {
+    if (heldMonths.length === 0) {
+        return Money.zero(amount.currency);
+    }
+    const fraction = toDecimalFraction(rate);
+    const base = fraction.denominator * 1200n;
+    const perQuarter = base + fraction.numerator * 3n;
+    const quarters = Math.floor(Math.max(...heldMonths) / 3);
+    // Every deposit's growth factor over the common denominator base^(quarters + 1)
+    const numerator = heldMonths.reduce((total, months) => {
+        const held = Math.floor(months / 3);
+        const stub = base + fraction.numerator * BigInt(months % 3);
+        return total + perQuarter ** BigInt(held) * base ** BigInt(quarters - held) * stub;
+    }, 0n);
+    const denominator = base ** BigInt(quarters + 1);
+    const principal = amount.scale(heldMonths.length);
+    return amount.scale(numerator, denominator).subtract(principal);
+}
+
+// Recurring deposits: one installment at the start of each month, every one compounding
+// quarterly until the end of the term; calculate() is the interest over a `months`-month term
+class RecurringDepositInterestStrategy extends InterestStrategy {
+    constructor(rateKind = "rd") {
+        super();
+        this._rateKind = rateKind;
+    }
+
+    get label() {
+        return "Compound (quarterly)";
+    }
+
+    calculate(account, months = account.interestTermMonths) {
+        const heldMonths = Array.from({ length: months }, (_, index) => months - index);
+        return quarterlyCompoundedInterest(account.installment, this._rateFor(account), heldMonths);
+    }
+}
+
+// Charge on an overdrawn balance at the overdraft rate; zero while the account is in credit
+class OverdraftInterestStrategy extends InterestStrategy {
+    constructor(rateKind = "overdraft") {
+        super();
+        this._rateKind = rateKind;
+    }
+
+    get label() {
+        return "Overdraft";
+    }
+
+    calculate(account, months = 1) {
+        if (!account.balance.isNegative()) {
+            return Money.zero(account.currency);
+        }
+        return account.balance.abs().scale(this._rateFor(account) * months, 12 * 100);
+    }
+}
+
+// Slab rates: each slice of the balance earns its own slab's rate (simple interest)
+class TieredInterestStrategy extends InterestStrategy {
+    constructor(slabs = null, slabKind = "savings") {
+        super();
+        this._slabs = slabs;
+        this._slabKind = slabKind;
+    }
+
+    get label() {
+        return "Tiered";
+    }
+
+    calculate(account, months = account.interestTermMonths) {
+        return this.accrualSlices(account, account.balance).reduce(
+            (interest, slice) => interest.add(slice.balance.scale(slice.rate * months, 12 * 100)),
+            Money.zero(account.currency));
+    }
+
+    accrualSlices(account, balance) {
+        const slabs = this._slabs || interestRates.slabsFor(this._slabKind);
+        const slices = [];
+        let remaining = balance;
+        let floor = Money.zero(balance.currency);
+
+        for (const slab of slabs) {
+            if (!remaining.isPositive()) break;
+            let portion = remaining;
+            if (slab.upTo !== null) {
+                const width = Money.from(slab.upTo, balance.currency).subtract(floor);
+                if (portion.greaterThan(width)) portion = width;
+                floor = Money.from(slab.upTo, balance.currency);
+            }
+            slices.push({ balance: portion, rate: slab.rate });
+            remaining = remaining.subtract(portion);
+        }
+        return slices;
+    }
+}
+
+// Interest Calculator Context
+class InterestCalculator {
+    constructor(strategy = null) {
+        this._strategy = strategy;
+    }
+
+    setStrategy(strategy) {
+        this._strategy = strategy;
+    }
+
+    get strategy() {
+        return this._strategy;
+    }
+
+    calculateInterest(account, months) {
+        if (!this._strategy) {
+            throw new Error("Strategy not set");
+        }
+        return this._strategy.calculate(account, months);
+    }
+}
+
+// Strategy for an account kind under the current interest settings
+function createInterestStrategy(kind, settings) {
+    if (settings && settings.compoundInterest) {
+        return new CompoundInterestStrategy(settings.compoundingFrequency, kind);
+    }
+    return new SimpleInterestStrategy(kind);
+}
+
+export {
+    RateTable,
+    DEFAULT_INTEREST_RATES,
+    DEFAULT_INTEREST_SLABS,
+    interestRates,
+    COMPOUNDING_FREQUENCIES,
+    InterestStrategy,
+    SimpleInterestStrategy,
+    SavingsInterestStrategy,
+    CurrentInterestStrategy,
+    FixedDepositInterestStrategy,
+    CompoundInterestStrategy,
+    quarterlyCompoundedInterest,
+    RecurringDepositInterestStrategy,
+    OverdraftInterestStrategy,
+    TieredInterestStrategy,
+    InterestCalculator,
+    createInterestStrategy
+};
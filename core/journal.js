@@ -0,0 +1,217 @@
+// ===========================================
+// DOUBLE-ENTRY JOURNAL - ATOMIC MULTI-LEG POSTINGS
+// ===========================================
+
+import { Money } from "./money.js";
+import { bankingClock } from "./clock.js";
+import { FxQuote } from "./fx.js";
+import { TRANSACTION_CATEGORIES } from "./transactions.js";
+
+function createJournalId() {
+    return `JE-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Journal Entry - a balanced set of debit and credit legs sharing one ID.
+// Exposes the same getters as Transaction so it can be listed alongside them.
+// A cross-currency entry carries the FX quote it balances at: its legs in one
+// currency, converted at the quoted rate, equal its legs in the other.
+class JournalEntry {
+    constructor(description, legs, options = {}) {
+        this._id = options.id || createJournalId();
+        this._type = options.type || "transfer";
+        this._description = description;
+        this._legs = legs.map(leg => ({
+            account: leg.account,
+            direction: leg.direction,
+            amount: Money.from(leg.amount, leg.account.currency),
+            memo: leg.memo || null
+        }));
+        this._timestamp = options.timestamp || bankingClock.now();
+        this._reversalOf = options.reversalOf || null;
+        this._channel = options.channel || null;
+        this._fx = options.fx || null;
+        this._transactions = [];
+    }
+
+    get id() { return this._id; }
+    get type() { return this._type; }
+    get description() { return this._description; }
+    get timestamp() { return this._timestamp; }
+    get reversalOf() { return this._reversalOf; }
+    get channel() { return this._channel; }
+    get fx() { return this._fx; }
+    get legs() { return this._legs.map(leg => ({ ...leg })); }
+    get transactions() { return [...this._transactions]; }
+
+    get amount() {
+        return this._sum("debit");
+    }
+
+    // Category of the debit leg, so a categorised transfer lists under its category
+    get category() {
+        const debit = this._transactions.find(transaction => transaction.direction === "debit");
+        return debit && debit.category ? debit.category : TRANSACTION_CATEGORIES.TRANSFER;
+    }
+
+    // Balance of the first debited account right after this entry was posted
+    get balance() {
+        const debit = this._transactions.find(transaction => transaction.direction === "debit");
+        return debit ? debit.balance : Money.zero(this._legs[0].amount.currency);
+    }
+
+    validate() {
+        if (this._legs.length < 2) {
+            throw new Error("Journal entry needs at least two legs");
+        }
+        this._legs.forEach(leg => {
+            if (leg.direction !== "debit" && leg.direction !== "credit") {
+                throw new Error(`Invalid leg direction: ${leg.direction}`);
+            }
+            if (!leg.amount.isPositive()) {
+                throw new Error("Leg amount must be positive");
+            }
+        });
+        const currencies = [...new Set(this._legs.map(leg => leg.amount.currency))];
+        if (currencies.length === 1) {
+            if (!this._sum("debit").equals(this._sum("credit"))) {
+                throw new Error("Journal entry is not balanced");
+            }
+            return;
+        }
+        this._validateConversion(currencies);
+    }
+
+    // Each currency's legs must all sit on one side, with the quoted rate carrying one side to the other
+    _validateConversion(currencies) {
+        const fx = this._fx;
+        if (!fx || currencies.length !== 2 || !currencies.includes(fx.from) || !currencies.includes(fx.to)) {
+            throw new Error(`Journal entry mixes ${currencies.join(" and ")} without a matching FX quote`);
+        }
+        const sides = currency => new Set(this._legs.filter(leg => leg.amount.currency === currency).map(leg => leg.direction));
+        const fromSides = sides(fx.from);
+        const toSides = sides(fx.to);
+        if (fromSides.size !== 1 || toSides.size !== 1 || [...fromSides][0] === [...toSides][0]) {
+            throw new Error("Journal entry is not balanced");
+        }
+        const total = currency => Money.sum(this._legs.filter(leg => leg.amount.currency === currency).map(leg => leg.amount), currency);
+        if (!total(fx.from).convert(fx.to, fx.rate).equals(total(fx.to))) {
+            throw new Error(`Journal entry is not balanced at ${fx.description}`);
+        }
+    }
+
+    // Builds the mirror entry that cancels this one
+    reverse(description) {
+        const legs = this._legs.map(leg => ({
+            ...leg,
+            direction: leg.direction === "debit" ? "credit" : "debit",
+            memo: leg.memo ? `Undo: ${leg.memo}` : null
+        }));
+        return new JournalEntry(description, legs, { type: this._type, reversalOf: this._id, fx: this._fx });
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            type: this._type,
+            description: this._description,
+            timestamp: this._timestamp.toISOString(),
+            reversalOf: this._reversalOf,
+            channel: this._channel,
+            fx: this._fx ? this._fx.toJSON() : null,
+            legs: this._legs.map(leg => ({
+                account: leg.account.accountNumber,
+                direction: leg.direction,
+                amount: leg.amount.toJSON(),
+                memo: leg.memo
+            }))
+        };
+    }
+
+    static fromJSON(data, resolveAccount) {
+        const legs = data.legs.map(leg => ({ ...leg, account: resolveAccount(leg.account), amount: Money.fromJSON(leg.amount) }));
+        const entry = new JournalEntry(data.description, legs, {
+            id: data.id,
+            type: data.type,
+            timestamp: new Date(data.timestamp),
+            reversalOf: data.reversalOf,
+            channel: data.channel,
+            fx: data.fx ? FxQuote.fromJSON(data.fx) : null
+        });
+        // Relink the per-account transactions written when the entry was posted
+        entry._transactions = entry._legs.map(leg =>
+            leg.account.transactionHistory.find(transaction =>
+                transaction.journalId === entry.id && transaction.direction === leg.direction)
+        ).filter(Boolean);
+        return entry;
+    }
+
+    // Legs on one side share a currency, even in a cross-currency entry
+    _sum(direction) {
+        const legs = this._legs.filter(leg => leg.direction === direction);
+        return Money.sum(legs.map(leg => leg.amount), (legs[0] || this._legs[0]).amount.currency);
+    }
+}
+
+// Journal - posts entries all-or-nothing across every account they touch
+class Journal {
+    constructor(entries = []) {
+        this._entries = [...entries];
+    }
+
+    get entries() {
+        return [...this._entries];
+    }
+
+    findEntry(id) {
+        return this._entries.find(entry => entry.id === id) || null;
+    }
+
+    post(entry) {
+        entry.validate();
+        entry._legs.forEach(leg => leg.account.assertAllows(leg.direction));
+
+        // Net debit per account, so several legs on one account are checked together
+        const netDebits = new Map();
+        entry._legs.forEach(leg => {
+            const delta = leg.direction === "debit" ? leg.amount : leg.amount.negate();
+            netDebits.set(leg.account, (netDebits.get(leg.account) || Money.zero(delta.currency)).add(delta));
+        });
+        netDebits.forEach((amount, account) => {
+            if (amount.isPositive()) {
+                account.assertCanDebit(amount);
+            }
+        });
+
+        const snapshots = new Map();
+        netDebits.forEach((amount, account) => snapshots.set(account, account._snapshotState()));
+
+        const transactions = [];
+        try {
+            entry._legs.forEach(leg => {
+                transactions.push(leg.account._recordLeg(leg, entry));
+            });
+        } catch (error) {
+            snapshots.forEach((snapshot, account) => account._restoreSnapshot(snapshot));
+            throw error;
+        }
+
+        entry._transactions = transactions;
+        this._entries.push(entry);
+        entry._legs.forEach((leg, index) => leg.account.notifyObservers(transactions[index]));
+        return entry;
+    }
+
+    toJSON() {
+        return this._entries.map(entry => entry.toJSON());
+    }
+
+    static fromJSON(data, resolveAccount) {
+        return new Journal(data.map(entryData => JournalEntry.fromJSON(entryData, resolveAccount)));
+    }
+}
+
+export {
+    createJournalId,
+    JournalEntry,
+    Journal
+};
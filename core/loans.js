@@ -0,0 +1,744 @@
+// ===========================================
+// LOANS - EMI AMORTISATION, REPAYMENT & PREPAYMENT
+// ===========================================
+
+import { Money, toDecimalFraction, formatAmount } from "./money.js";
+import { bankingClock, startOfDay, addDays, addMonths, formatDate } from "./clock.js";
+import { AccountStatusError } from "./account-status.js";
+import { BaseAccount, ACCOUNT_KINDS } from "./accounts.js";
+import { JournalEntry } from "./journal.js";
+import { interestRates, InterestStrategy } from "./interest.js";
+import { TRANSACTION_CHANNELS } from "./policy.js";
+import { Command, COMMAND_KINDS } from "./commands.js";
+import { defaultService } from "./defaults.js";
+
+// Credit products; each reads its rate from the rate table when the loan is sanctioned
+const LOAN_TYPES = {
+    personal: { label: "Personal Loan", rateKind: "personal_loan", maxTenure: 60 },
+    home: { label: "Home Loan", rateKind: "home_loan", maxTenure: 360 },
+    vehicle: { label: "Vehicle Loan", rateKind: "vehicle_loan", maxTenure: 84 }
+};
+
+// What a prepayment shortens: the number of installments, or the size of each one
+const PREPAYMENT_MODES = {
+    REDUCE_TENURE: "tenure",
+    REDUCE_EMI: "emi"
+};
+
+// An installment still unpaid once the `graceDays` after its due date have passed is charged `lateFeeRate`% of it, once
+const DEFAULT_LATE_FEE = { graceDays: 5, lateFeeRate: 2 };
+
+// Longest schedule generated when the tenure follows from the EMI
+const MAX_LOAN_INSTALLMENTS = 1200;
+
+// Equated monthly installment on the reducing balance: P × r × (1 + r)^n / ((1 + r)^n − 1),
+// with r the monthly rate, worked as one exact fraction and rounded once
+function emiFor(principal, annualRate, months) {
+    principal = Money.from(principal);
+    if (!Number.isInteger(months) || months < 1) {
+        throw new Error("Tenure must be a whole number of months");
+    }
+    if (!Number.isFinite(annualRate) || annualRate < 0) {
+        throw new Error("Interest rate must be a non-negative number");
+    }
+    if (annualRate === 0) {
+        return principal.scale(1, months);
+    }
+    // r = rate / (denominator × 1200), so 1 + r = growth / base
+    const rate = toDecimalFraction(annualRate);
+    const base = rate.denominator * 1200n;
+    const growth = base + rate.numerator;
+    const compounded = growth ** BigInt(months);
+    const discounted = base ** BigInt(months);
+    return principal.scale(rate.numerator * compounded, base * (compounded - discounted));
+}
+
+// One month's interest on `balance` at the annual rate
+function monthlyInterest(balance, annualRate) {
+    return balance.scale(annualRate, 12 * 100);
+}
+
+// Installments needed to repay `principal` at a fixed `emi`
+function tenureFor(principal, annualRate, emi) {
+    principal = Money.from(principal);
+    emi = Money.from(emi, principal.currency);
+    let balance = principal;
+    let months = 0;
+    while (balance.isPositive()) {
+        const interest = monthlyInterest(balance, annualRate);
+        if (!emi.greaterThan(interest)) {
+            throw new Error(`An EMI of ${formatAmount(emi)} does not cover the interest on ${formatAmount(balance)}`);
+        }
+        balance = balance.subtract(emi.subtract(interest));
+        months += 1;
+        if (months > MAX_LOAN_INSTALLMENTS) {
+            throw new Error(`The loan would take more than ${MAX_LOAN_INSTALLMENTS} installments to repay`);
+        }
+    }
+    return months;
+}
+
+// Rows { number, dueDate, opening, payment, interest, principal, closing } repaying `principal`
+// over `months`. Options: { emi, firstNumber, firstDueDate }; the EMI defaults to emiFor() and
+// the last installment is whatever clears the balance, so rounding never leaves a remainder.
+function amortisationSchedule(principal, annualRate, months, options = {}) {
+    principal = Money.from(principal);
+    const emi = options.emi ? Money.from(options.emi, principal.currency) : emiFor(principal, annualRate, months);
+    const firstNumber = options.firstNumber || 1;
+    const firstDueDate = options.firstDueDate || addMonths(startOfDay(bankingClock.now()), 1);
+    const rows = [];
+    let balance = principal;
+    for (let index = 0; index < months && balance.isPositive(); index++) {
+        const interest = monthlyInterest(balance, annualRate);
+        const last = index === months - 1;
+        let repaid = last ? balance : emi.subtract(interest);
+        if (repaid.greaterThan(balance)) repaid = balance;
+        if (!repaid.isPositive()) {
+            throw new Error(`An EMI of ${formatAmount(emi)} does not cover the interest on ${formatAmount(balance)}`);
+        }
+        rows.push({
+            number: firstNumber + index,
+            dueDate: addMonths(firstDueDate, index),
+            opening: balance,
+            payment: repaid.add(interest),
+            interest,
+            principal: repaid,
+            closing: balance.subtract(repaid)
+        });
+        balance = balance.subtract(repaid);
+    }
+    return rows;
+}
+
+// Totals over a schedule: { payment, interest, principal }
+function scheduleTotals(rows, currency = rows.length > 0 ? rows[0].payment.currency : undefined) {
+    return {
+        payment: Money.sum(rows.map(row => row.payment), currency),
+        interest: Money.sum(rows.map(row => row.interest), currency),
+        principal: Money.sum(rows.map(row => row.principal), currency)
+    };
+}
+
+// Raised when an installment goes overdue and is charged a late fee, and when a loan is repaid
+class LoanEvent {
+    constructor(loan, type, message, amount = Money.zero(loan.currency)) {
+        this._type = type;
+        this._account = loan.accountNumber;
+        this._amount = amount;
+        this._timestamp = bankingClock.now();
+        this._message = message;
+    }
+
+    get type() { return this._type; }
+    get account() { return this._account; }
+    get amount() { return this._amount; }
+    get timestamp() { return this._timestamp; }
+    get message() { return this._message; }
+}
+
+// Interest payable over the next installments, as a negative amount so totals stay net of borrowing
+class ReducingBalanceInterestStrategy extends InterestStrategy {
+    get label() {
+        return "Reducing balance";
+    }
+
+    calculate(account, months = account.interestTermMonths) {
+        const rows = account.remainingSchedule.slice(0, months);
+        return Money.sum(rows.map(row => row.interest), account.currency).negate();
+    }
+}
+
+// Loan Account - Inheritance. The balance is what the customer owes, as a negative amount:
+// disbursal debits the loan, each EMI charges the month's interest to it and then credits the
+// installment, so after every payment the balance is minus the principal still outstanding.
+// Options: { loanType, principal, tenure, rate, repaymentAccount, graceDays, lateFeeRate }
+class LoanAccount extends BaseAccount {
+    constructor(accountNumber, initialBalance = 0, options = {}) {
+        super(accountNumber, initialBalance);
+        this._loanType = options.loanType || "personal";
+        if (!LOAN_TYPES[this._loanType]) {
+            throw new Error(`Unknown loan type: ${this._loanType}`);
+        }
+        this._principal = Money.from(options.principal || 0, this.currency);
+        this._tenure = options.tenure || 12; // months
+        this._rate = options.rate !== undefined ? options.rate : interestRates.rateFor(LOAN_TYPES[this._loanType].rateKind);
+        this._repaymentAccount = options.repaymentAccount || null;
+        if (this._repaymentAccount && this._repaymentAccount.currency !== this.currency) {
+            throw new Error(`Repayment account ${this._repaymentAccount.accountNumber} holds ${this._repaymentAccount.currency}, not ${this.currency}`);
+        }
+        this._graceDays = options.graceDays !== undefined ? options.graceDays : DEFAULT_LATE_FEE.graceDays;
+        this._lateFeeRate = options.lateFeeRate !== undefined ? options.lateFeeRate : DEFAULT_LATE_FEE.lateFeeRate;
+        this._disbursedAt = null;
+        this._repaidAt = null;
+        this._plan = null;          // Current terms: { principal, emi, months, start }; set on disbursal
+        this._paid = [];            // Installments collected: { number, dueDate, paidAt, payment, interest, principal, fee }
+        this._feesDue = Money.zero(this.currency);
+        this._penalised = [];       // Installment numbers already charged a late fee
+        this._prepayments = [];     // { at, amount, mode, emiBefore, emiAfter, monthsBefore, monthsAfter }
+        this.setInterestStrategy(new ReducingBalanceInterestStrategy());
+    }
+
+    get kind() {
+        return "loan";
+    }
+
+    get loanType() { return this._loanType; }
+    get loanLabel() { return LOAN_TYPES[this._loanType].label; }
+    get principal() { return this._principal; }
+    get tenure() { return this._tenure; }
+    get repaymentAccount() { return this._repaymentAccount; }
+    get graceDays() { return this._graceDays; }
+    get lateFeeRate() { return this._lateFeeRate; }
+    get disbursedAt() { return this._disbursedAt ? new Date(this._disbursedAt) : null; }
+    get repaidAt() { return this._repaidAt ? new Date(this._repaidAt) : null; }
+    get isDisbursed() { return this._disbursedAt !== null; }
+    get isRepaid() { return this._repaidAt !== null; }
+    get feesDue() { return this._feesDue; }
+    get paidInstallments() { return this._paid.map(record => ({ ...record })); }
+    get prepayments() { return this._prepayments.map(record => ({ ...record })); }
+
+    // The contracted rate, fixed when the loan is sanctioned
+    get interestRate() {
+        return this._rate;
+    }
+
+    // EMI under the current terms; before disbursal, the EMI the sanctioned terms give
+    get emi() {
+        return this._plan ? this._plan.emi : emiFor(this._principal, this._rate, this._tenure);
+    }
+
+    // Principal still to be repaid; before disbursal, the amount sanctioned
+    get outstandingPrincipal() {
+        if (!this._plan) return this._principal;
+        const rows = this.remainingSchedule;
+        return rows.length > 0 ? rows[0].opening : Money.zero(this.currency);
+    }
+
+    get firstDueDate() {
+        return addMonths(startOfDay(this._disbursedAt || bankingClock.now()), 1);
+    }
+
+    // Unpaid installments under the current terms; before disbursal, as if disbursed today
+    get remainingSchedule() {
+        if (this.isRepaid) return [];
+        if (!this._plan) {
+            return amortisationSchedule(this._principal, this._rate, this._tenure, { firstDueDate: this.firstDueDate });
+        }
+        const rows = amortisationSchedule(this._plan.principal, this._rate, this._plan.months, {
+            emi: this._plan.emi,
+            firstNumber: this._plan.start + 1,
+            firstDueDate: addMonths(this.firstDueDate, this._plan.start)
+        });
+        return rows.filter(row => row.number > this._paid.length);
+    }
+
+    // The whole schedule: collected installments with when they were paid, then those still to come
+    get schedule() {
+        return [
+            ...this._paid.map(record => ({
+                ...record,
+                opening: record.closing.add(record.principal),
+                status: "paid"
+            })),
+            ...this.remainingSchedule.map(row => ({ ...row, status: "due" }))
+        ];
+    }
+
+    get nextInstallment() {
+        return this.remainingSchedule[0] || null;
+    }
+
+    get nextDueDate() {
+        const next = this.nextInstallment;
+        return next && this._plan ? next.dueDate : null;
+    }
+
+    // Installments past their due date and not yet collected
+    overdueInstallments(asOf = bankingClock.now()) {
+        if (!this._plan) return [];
+        return this.remainingSchedule.filter(row => row.dueDate <= asOf);
+    }
+
+    // Interest is charged with each installment, not accrued and posted
+    get accruesInterest() {
+        return false;
+    }
+
+    get dormancyApplies() {
+        return false;
+    }
+
+    get operable() {
+        return false;
+    }
+
+    get linkedAccounts() {
+        return this._repaymentAccount ? [this._repaymentAccount] : [];
+    }
+
+    // Money leaves a loan once, as the disbursal of the amount sanctioned
+    canDebit(amount) {
+        return !this.isDisbursed && Money.from(amount, this.currency).equals(this._principal);
+    }
+
+    assertCanDebit(amount) {
+        if (this.isDisbursed) {
+            throw new Error(`Loan ${this._accountNumber} has been disbursed; it only takes repayments`);
+        }
+        if (!Money.from(amount, this.currency).equals(this._principal)) {
+            throw new Error(`Loan ${this._accountNumber} disburses the ${formatAmount(this._principal)} sanctioned, in full`);
+        }
+    }
+
+    deposit() {
+        throw new Error(`Repay loan ${this._accountNumber} through its EMIs or a prepayment`);
+    }
+
+    withdraw() {
+        throw new Error(`Money cannot be withdrawn from loan ${this._accountNumber}`);
+    }
+
+    // Credits the amount sanctioned to `toAccount` and starts the EMI schedule from today
+    disburse(toAccount, targetJournal = defaultService("journal")) {
+        if (this.isDisbursed) {
+            throw new Error(`Loan ${this._accountNumber} has already been disbursed`);
+        }
+        if (!toAccount || toAccount === this) {
+            throw new Error("Choose an account to receive the loan");
+        }
+        if (toAccount.currency !== this.currency) {
+            throw new Error(`Account ${toAccount.accountNumber} holds ${toAccount.currency}; the loan is in ${this.currency}`);
+        }
+        if (!this._principal.isPositive()) {
+            throw new Error(`Loan ${this._accountNumber} has no sanctioned amount`);
+        }
+        const emi = emiFor(this._principal, this._rate, this._tenure);
+        const entry = targetJournal.post(new JournalEntry(`${this.loanLabel} disbursal`, [
+            { account: this, direction: "debit", amount: this._principal, memo: `Disbursed to ${toAccount.accountNumber}` },
+            { account: toAccount, direction: "credit", amount: this._principal, memo: `${this.loanLabel} ${this._accountNumber} disbursal` }
+        ], { type: "disbursal" }));
+        this._disbursedAt = entry.timestamp;
+        this._plan = { principal: this._principal, emi, months: this._tenure, start: 0 };
+        return entry;
+    }
+
+    // Collects the next installment from the repayment account: the month's interest is charged to
+    // the loan, then the installment and any late fees are paid into it. Nothing is charged when the
+    // repayment account cannot cover the payment.
+    payInstallment(targetJournal = defaultService("journal")) {
+        const row = this.isDisbursed ? this.nextInstallment : null;
+        if (!row) {
+            throw new Error(`Loan ${this._accountNumber} has no installment to collect`);
+        }
+        const from = this._repaymentAccount;
+        if (!from) {
+            throw new Error(`Loan ${this._accountNumber} has no repayment account`);
+        }
+        const fee = this._feesDue;
+        const amount = row.payment.add(fee);
+        from.assertAllows("debit");
+        from.assertCanDebit(amount);
+        this.assertAllows("credit");
+
+        const total = this._paid.length + this.remainingSchedule.length;
+        const snapshot = this._snapshotState();
+        let entry;
+        try {
+            if (row.interest.isPositive()) {
+                this.chargeInterest(row.interest, `Interest for installment ${row.number} of ${total}`);
+            }
+            entry = targetJournal.post(new JournalEntry(`EMI ${row.number} of ${total} - ${this.loanLabel}`, [
+                { account: from, direction: "debit", amount, memo: `EMI ${row.number} of ${total} to ${this._accountNumber}` },
+                { account: this, direction: "credit", amount, memo: `EMI ${row.number} of ${total} from ${from.accountNumber}` }
+            ], { type: "emi" }));
+        } catch (error) {
+            this._restoreSnapshot(snapshot);
+            throw error;
+        }
+        this._paid.push({
+            number: row.number,
+            dueDate: row.dueDate,
+            paidAt: entry.timestamp,
+            payment: row.payment,
+            interest: row.interest,
+            principal: row.principal,
+            closing: row.closing,
+            fee
+        });
+        this._feesDue = Money.zero(this.currency);
+        if (row.closing.isZero()) {
+            this._markRepaid();
+        }
+        return entry;
+    }
+
+    // Charges the late fee on every installment still unpaid once its grace days have passed
+    applyLateFees(asOf = bankingClock.now()) {
+        const events = [];
+        this.overdueInstallments(asOf)
+            .filter(row => !this._penalised.includes(row.number) && addDays(row.dueDate, this._graceDays + 1) <= asOf)
+            .forEach(row => {
+                const fee = row.payment.percentage(this._lateFeeRate);
+                if (fee.isPositive()) {
+                    this.chargeInterest(fee, `Late payment fee for installment ${row.number}`);
+                    this._feesDue = this._feesDue.add(fee);
+                }
+                this._penalised.push(row.number);
+                const event = new LoanEvent(this, "installment_overdue",
+                    `EMI ${row.number} of ${formatAmount(row.payment)} on loan ${this._accountNumber} was due ${formatDate(row.dueDate)} and is unpaid; a late fee of ${formatAmount(fee)} has been charged`,
+                    fee);
+                events.push(event);
+                this.notifyObservers(event);
+            });
+        return events;
+    }
+
+    // Pays `amount` off the principal from `fromAccount` and recalculates the rest of the schedule,
+    // keeping the EMI and shortening the tenure, or keeping the tenure and lowering the EMI.
+    // Overdue installments and late fees are collected first.
+    prepay(fromAccount, amount, mode = PREPAYMENT_MODES.REDUCE_TENURE, targetJournal = defaultService("journal"), asOf = bankingClock.now()) {
+        if (!this.isDisbursed || this.isRepaid) {
+            throw new Error(`Loan ${this._accountNumber} has nothing outstanding to prepay`);
+        }
+        if (!Object.values(PREPAYMENT_MODES).includes(mode)) {
+            throw new Error(`Unknown prepayment mode: ${mode}`);
+        }
+        if (this.overdueInstallments(asOf).length > 0 || this._feesDue.isPositive()) {
+            throw new Error(`Loan ${this._accountNumber} has an overdue installment; it must be paid before a prepayment`);
+        }
+        amount = Money.from(amount, this.currency);
+        const outstanding = this.outstandingPrincipal;
+        if (!amount.isPositive()) {
+            throw new Error("Amount must be positive");
+        }
+        if (amount.greaterThan(outstanding)) {
+            throw new Error(`Prepayment exceeds the ${formatAmount(outstanding)} outstanding`);
+        }
+
+        const remaining = this.remainingSchedule.length;
+        const rest = outstanding.subtract(amount);
+        let emi = this._plan.emi;
+        let months = remaining;
+        if (rest.isPositive()) {
+            if (mode === PREPAYMENT_MODES.REDUCE_EMI) {
+                emi = emiFor(rest, this._rate, remaining);
+            } else {
+                months = tenureFor(rest, this._rate, emi);
+            }
+        }
+        const entry = targetJournal.post(new JournalEntry(`${this.loanLabel} prepayment`, [
+            { account: fromAccount, direction: "debit", amount, memo: `Prepayment of loan ${this._accountNumber}` },
+            { account: this, direction: "credit", amount, memo: `Prepayment from ${fromAccount.accountNumber}` }
+        ], { type: "prepayment", channel: TRANSACTION_CHANNELS.TRANSFER }));
+
+        this._prepayments.push({
+            at: entry.timestamp,
+            amount,
+            mode,
+            emiBefore: this._plan.emi,
+            emiAfter: rest.isPositive() ? emi : Money.zero(this.currency),
+            monthsBefore: remaining,
+            monthsAfter: rest.isPositive() ? months : 0
+        });
+        this._plan = { principal: rest, emi, months: rest.isPositive() ? months : 0, start: this._paid.length };
+        if (!rest.isPositive()) {
+            this._markRepaid();
+        }
+        return entry;
+    }
+
+    // A loan closes once it is repaid, or if it was never disbursed
+    close(settleTo = null, targetJournal = defaultService("journal"), accrualEngine = null, reason = "Closed at customer request") {
+        if (this.isDisbursed && !this.isRepaid) {
+            throw new AccountStatusError(this,
+                `Loan ${this._accountNumber} still has ${formatAmount(this._balance.negate())} outstanding; prepay it in full first`);
+        }
+        return super.close(settleTo, targetJournal, accrualEngine, this.isRepaid ? "Loan repaid in full" : reason);
+    }
+
+    _markRepaid() {
+        this._repaidAt = bankingClock.now();
+        this.notifyObservers(new LoanEvent(this, "loan_repaid", `${this.loanLabel} ${this._accountNumber} is repaid in full`));
+    }
+
+    toJSON() {
+        const plan = this._plan;
+        return {
+            ...super.toJSON(),
+            loanType: this._loanType,
+            principal: this._principal.toJSON(),
+            tenure: this._tenure,
+            rate: this._rate,
+            repaymentAccount: this._repaymentAccount ? this._repaymentAccount.accountNumber : null,
+            graceDays: this._graceDays,
+            lateFeeRate: this._lateFeeRate,
+            disbursedAt: this._disbursedAt ? this._disbursedAt.toISOString() : null,
+            repaidAt: this._repaidAt ? this._repaidAt.toISOString() : null,
+            plan: plan ? { ...plan, principal: plan.principal.toJSON(), emi: plan.emi.toJSON() } : null,
+            paid: this._paid.map(record => ({
+                ...record,
+                dueDate: record.dueDate.toISOString(),
+                paidAt: record.paidAt.toISOString(),
+                payment: record.payment.toJSON(),
+                interest: record.interest.toJSON(),
+                principal: record.principal.toJSON(),
+                closing: record.closing.toJSON(),
+                fee: record.fee.toJSON()
+            })),
+            feesDue: this._feesDue.toJSON(),
+            penalised: [...this._penalised],
+            prepayments: this._prepayments.map(record => ({
+                ...record,
+                at: record.at.toISOString(),
+                amount: record.amount.toJSON(),
+                emiBefore: record.emiBefore.toJSON(),
+                emiAfter: record.emiAfter.toJSON()
+            }))
+        };
+    }
+
+    _restoreState(data) {
+        super._restoreState(data);
+        this._loanType = data.loanType;
+        this._principal = Money.fromJSON(data.principal);
+        this._tenure = data.tenure;
+        this._rate = data.rate;
+        this._graceDays = data.graceDays;
+        this._lateFeeRate = data.lateFeeRate;
+        this._disbursedAt = data.disbursedAt ? new Date(data.disbursedAt) : null;
+        this._repaidAt = data.repaidAt ? new Date(data.repaidAt) : null;
+        this._plan = data.plan
+            ? { ...data.plan, principal: Money.fromJSON(data.plan.principal), emi: Money.fromJSON(data.plan.emi) }
+            : null;
+        this._paid = data.paid.map(record => ({
+            ...record,
+            dueDate: new Date(record.dueDate),
+            paidAt: new Date(record.paidAt),
+            payment: Money.fromJSON(record.payment),
+            interest: Money.fromJSON(record.interest),
+            principal: Money.fromJSON(record.principal),
+            closing: Money.fromJSON(record.closing),
+            fee: Money.fromJSON(record.fee)
+        }));
+        this._feesDue = Money.fromJSON(data.feesDue);
+        this._penalised = [...data.penalised];
+        this._prepayments = data.prepayments.map(record => ({
+            ...record,
+            at: new Date(record.at),
+            amount: Money.fromJSON(record.amount),
+            emiBefore: Money.fromJSON(record.emiBefore),
+            emiAfter: Money.fromJSON(record.emiAfter)
+        }));
+        this._repaymentAccountNumber = data.repaymentAccount;
+    }
+
+    _resolveLinks(resolveAccount) {
+        if (this._repaymentAccountNumber) {
+            this._repaymentAccount = resolveAccount(this._repaymentAccountNumber);
+        }
+        delete this._repaymentAccountNumber;
+    }
+}
+
+ACCOUNT_KINDS.loan = LoanAccount;
+
+// Loan commands - the bank disburses and collects EMIs on the holders' behalf, and neither
+// can be taken back once the money has moved; a repaid installment stays repaid.
+class LoanDisbursementCommand extends Command {
+    constructor(loan, toAccount, targetJournal = defaultService("journal")) {
+        super();
+        this._loan = loan;
+        this._toAccount = toAccount;
+        this._journal = targetJournal;
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._loan, this._toAccount];
+    }
+
+    get undoable() {
+        return false;
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        const entry = this._loan.disburse(this._toAccount, this._journal);
+        this._executed = true;
+        return entry;
+    }
+
+    undo() {
+        throw new Error("A disbursed loan cannot be undone; prepay it in full instead");
+    }
+
+    createCompensation() {
+        throw new Error("A disbursed loan cannot be reverted; prepay it in full instead");
+    }
+
+    static restore(data, resolveAccount, targetJournal) {
+        return new LoanDisbursementCommand(resolveAccount(data.loan), resolveAccount(data.to), targetJournal);
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            kind: "disbursal",
+            loan: this._loan.accountNumber,
+            from: this._loan.accountNumber,
+            to: this._toAccount.accountNumber,
+            amount: this._loan.principal.toJSON(),
+            description: `${this._loan.loanLabel} disbursal`,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+// Auto-debit of the installment next due, with any late fees. Collected under the mandate the
+// holders signed when the loan was sanctioned, so the customer's own transaction limits do not apply.
+class EmiPaymentCommand extends Command {
+    constructor(loan, targetJournal = defaultService("journal")) {
+        super();
+        this._loan = loan;
+        this._journal = targetJournal;
+        const next = loan.isDisbursed ? loan.nextInstallment : null;
+        this._installment = next ? next.number : null;
+        this._amount = next ? next.payment.add(loan.feesDue) : Money.zero(loan.currency);
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._loan.repaymentAccount, this._loan].filter(Boolean);
+    }
+
+    get undoable() {
+        return false;
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        const entry = this._loan.payInstallment(this._journal);
+        this._executed = true;
+        return entry;
+    }
+
+    undo() {
+        throw new Error("A collected EMI cannot be undone");
+    }
+
+    createCompensation() {
+        throw new Error("A collected EMI cannot be reverted");
+    }
+
+    static restore(data, resolveAccount, targetJournal) {
+        const command = new EmiPaymentCommand(resolveAccount(data.loan), targetJournal);
+        command._installment = data.installment;
+        command._amount = Money.fromJSON(data.amount);
+        return command;
+    }
+
+    toJSON() {
+        const from = this._loan.repaymentAccount;
+        return {
+            id: this._id,
+            kind: "emi",
+            loan: this._loan.accountNumber,
+            from: from ? from.accountNumber : null,
+            to: this._loan.accountNumber,
+            installment: this._installment,
+            amount: this._amount.toJSON(),
+            description: `EMI ${this._installment || "-"} - ${this._loan.loanLabel} ${this._loan.accountNumber}`,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+// A customer's part or full prepayment; the transfer limits apply to the paying account
+class LoanPrepaymentCommand extends Command {
+    constructor(loan, fromAccount, amount, mode = PREPAYMENT_MODES.REDUCE_TENURE, targetJournal = defaultService("journal"), policy = defaultService("policy")) {
+        super();
+        this._loan = loan;
+        this._fromAccount = fromAccount;
+        this._amount = Money.from(amount, fromAccount.currency);
+        this._mode = mode;
+        this._journal = targetJournal;
+        this._policy = policy;
+        this._executed = false;
+    }
+
+    get accounts() {
+        return [this._fromAccount, this._loan];
+    }
+
+    get undoable() {
+        return false;
+    }
+
+    execute() {
+        if (this._executed) {
+            throw new Error("Command already executed");
+        }
+        if (this._policy) {
+            this._policy.assertAllowed({ account: this._fromAccount, amount: this._amount, direction: "debit", channel: TRANSACTION_CHANNELS.TRANSFER, actors: this._actors });
+        }
+        const entry = this._loan.prepay(this._fromAccount, this._amount, this._mode, this._journal);
+        this._executed = true;
+        return entry;
+    }
+
+    undo() {
+        throw new Error("A prepayment cannot be undone; the schedule has been recalculated");
+    }
+
+    createCompensation() {
+        throw new Error("A prepayment cannot be reverted; the schedule has been recalculated");
+    }
+
+    static restore(data, resolveAccount, targetJournal) {
+        return new LoanPrepaymentCommand(resolveAccount(data.loan), resolveAccount(data.from), Money.fromJSON(data.amount), data.mode, targetJournal);
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            kind: "prepayment",
+            loan: this._loan.accountNumber,
+            from: this._fromAccount.accountNumber,
+            to: this._loan.accountNumber,
+            amount: this._amount.toJSON(),
+            mode: this._mode,
+            description: `Prepayment of ${this._loan.loanLabel} ${this._loan.accountNumber}`,
+            channel: TRANSACTION_CHANNELS.TRANSFER,
+            actors: this._actors,
+            executed: this._executed
+        };
+    }
+}
+
+COMMAND_KINDS.disbursal = LoanDisbursementCommand;
+COMMAND_KINDS.emi = EmiPaymentCommand;
+COMMAND_KINDS.prepayment = LoanPrepaymentCommand;
+
+export {
+    LOAN_TYPES,
+    PREPAYMENT_MODES,
+    DEFAULT_LATE_FEE,
+    MAX_LOAN_INSTALLMENTS,
+    emiFor,
+    monthlyInterest,
+    tenureFor,
+    amortisationSchedule,
+    scheduleTotals,
+    LoanEvent,
+    ReducingBalanceInterestStrategy,
+    LoanAccount,
+    LoanDisbursementCommand,
+    EmiPaymentCommand,
+    LoanPrepaymentCommand
+};
@@ -0,0 +1,278 @@
+// ===========================================
+// VALUE TYPES - EXACT DECIMAL MONEY
+// ===========================================
+
+const DEFAULT_CURRENCY = "INR";
+
+// Rounding modes - HALF_EVEN is banker's rounding, HALF_UP rounds ties away from zero
+const ROUNDING_MODES = {
+    HALF_EVEN: "HALF_EVEN",
+    HALF_UP: "HALF_UP"
+};
+
+// ISO 4217 minor-unit exponents; anything unlisted uses 2
+const CURRENCY_MINOR_UNITS = {
+    INR: 2,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    JPY: 0
+};
+
+// Locale each currency is written in; unlisted currencies use en-US
+const CURRENCY_LOCALES = {
+    INR: "en-IN",
+    USD: "en-US",
+    EUR: "de-DE",
+    GBP: "en-GB",
+    JPY: "ja-JP"
+};
+
+function currencyExponent(currency) {
+    return CURRENCY_MINOR_UNITS[currency] !== undefined ? CURRENCY_MINOR_UNITS[currency] : 2;
+}
+
+// Parses a number or decimal string into an exact BigInt fraction
+function toDecimalFraction(value) {
+    const text = typeof value === "string" ? value.trim() : String(value);
+    const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid decimal value: ${value}`);
+    }
+    const [, sign, whole = "", fraction = "", exponent = "0"] = match;
+    let numerator = BigInt((whole || "0") + fraction);
+    let denominator = 1n;
+    const scale = fraction.length - Number(exponent);
+    if (scale > 0) {
+        denominator = 10n ** BigInt(scale);
+    } else {
+        numerator *= 10n ** BigInt(-scale);
+    }
+    return { numerator: sign === "-" ? -numerator : numerator, denominator };
+}
+
+// Integer division of two BigInts using the given rounding mode
+function divideRounded(numerator, denominator, rounding) {
+    if (denominator === 0n) {
+        throw new Error("Division by zero");
+    }
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+
+    const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+    const awayFromZero = numerator < 0n ? quotient - 1n : quotient + 1n;
+    if (twiceRemainder > denominator) return awayFromZero;
+    if (twiceRemainder < denominator) return quotient;
+    if (rounding === ROUNDING_MODES.HALF_UP) return awayFromZero;
+    if (rounding === ROUNDING_MODES.HALF_EVEN) {
+        return quotient % 2n === 0n ? quotient : awayFromZero;
+    }
+    throw new Error(`Unknown rounding mode: ${rounding}`);
+}
+
+// Money - immutable amount stored as integer minor units (paise for INR)
+class Money {
+    constructor(minor, currency = DEFAULT_CURRENCY) {
+        if (!Number.isSafeInteger(minor)) {
+            throw new Error(`Money requires an integer number of minor units, got ${minor}`);
+        }
+        this._minor = minor;
+        this._currency = currency;
+        Object.freeze(this);
+    }
+
+    // Builds Money from a major-unit number or decimal string, e.g. Money.of("1250.50")
+    static of(value, currency = DEFAULT_CURRENCY, rounding = ROUNDING_MODES.HALF_EVEN) {
+        const { numerator, denominator } = toDecimalFraction(value);
+        const scaled = numerator * 10n ** BigInt(currencyExponent(currency));
+        return new Money(Number(divideRounded(scaled, denominator, rounding)), currency);
+    }
+
+    static zero(currency = DEFAULT_CURRENCY) {
+        return new Money(0, currency);
+    }
+
+    // Accepts Money or a major-unit value; existing Money must match the requested currency
+    static from(value, currency) {
+        if (value instanceof Money) {
+            if (currency && value.currency !== currency) {
+                throw new Error(`Currency mismatch: ${value.currency} vs ${currency}`);
+            }
+            return value;
+        }
+        return Money.of(value, currency || DEFAULT_CURRENCY);
+    }
+
+    static sum(values, currency = DEFAULT_CURRENCY) {
+        return values.reduce((total, value) => total.add(value), Money.zero(currency));
+    }
+
+    get minor() { return this._minor; }
+    get currency() { return this._currency; }
+
+    add(other) {
+        const money = this._coerce(other);
+        return new Money(this._minor + money.minor, this._currency);
+    }
+
+    subtract(other) {
+        const money = this._coerce(other);
+        return new Money(this._minor - money.minor, this._currency);
+    }
+
+    negate() {
+        return new Money(-this._minor, this._currency);
+    }
+
+    abs() {
+        return this._minor < 0 ? this.negate() : this;
+    }
+
+    // Exact (multiplier / divisor) scaling with a single rounding step
+    scale(multiplier, divisor = 1, rounding = ROUNDING_MODES.HALF_EVEN) {
+        const factor = toDecimalFraction(multiplier);
+        const split = toDecimalFraction(divisor);
+        const numerator = BigInt(this._minor) * factor.numerator * split.denominator;
+        const denominator = factor.denominator * split.numerator;
+        return new Money(Number(divideRounded(numerator, denominator, rounding)), this._currency);
+    }
+
+    multiply(factor, rounding = ROUNDING_MODES.HALF_EVEN) {
+        return this.scale(factor, 1, rounding);
+    }
+
+    // rate is a percentage, e.g. 4.5 for 4.5%
+    percentage(rate, rounding = ROUNDING_MODES.HALF_EVEN) {
+        return this.scale(rate, 100, rounding);
+    }
+
+    // Amount in `currency` at `rate` units of it per unit of this currency, with a single rounding step
+    convert(currency, rate, rounding = ROUNDING_MODES.HALF_EVEN) {
+        const factor = toDecimalFraction(rate);
+        const numerator = BigInt(this._minor) * factor.numerator * 10n ** BigInt(currencyExponent(currency));
+        const denominator = factor.denominator * 10n ** BigInt(currencyExponent(this._currency));
+        return new Money(Number(divideRounded(numerator, denominator, rounding)), currency);
+    }
+
+    // Splits into parts proportional to ratios; leftover minor units go to the first parts
+    allocate(ratios) {
+        if (!ratios.length) {
+            throw new Error("Allocation needs at least one ratio");
+        }
+        const fractions = ratios.map(toDecimalFraction);
+        if (fractions.some(fraction => fraction.numerator < 0n)) {
+            throw new Error("Allocation ratios cannot be negative");
+        }
+        // Denominators are powers of ten, so the largest is a common multiple
+        const common = fractions.reduce((max, fraction) => fraction.denominator > max ? fraction.denominator : max, 1n);
+        const weights = fractions.map(fraction => fraction.numerator * (common / fraction.denominator));
+        const total = weights.reduce((sum, weight) => sum + weight, 0n);
+        if (total === 0n) {
+            throw new Error("Allocation ratios cannot all be zero");
+        }
+
+        const minor = BigInt(this._minor);
+        const shares = weights.map(weight => minor * weight / total);
+        let remainder = minor - shares.reduce((sum, share) => sum + share, 0n);
+        const step = remainder < 0n ? -1n : 1n;
+        for (let index = 0; remainder !== 0n; index = (index + 1) % shares.length) {
+            if (weights[index] > 0n) {
+                shares[index] += step;
+                remainder -= step;
+            }
+        }
+        return shares.map(share => new Money(Number(share), this._currency));
+    }
+
+    split(parts) {
+        return this.allocate(new Array(parts).fill(1));
+    }
+
+    compare(other) {
+        const money = this._coerce(other);
+        return Math.sign(this._minor - money.minor);
+    }
+
+    equals(other) { return this.compare(other) === 0; }
+    greaterThan(other) { return this.compare(other) > 0; }
+    greaterThanOrEqual(other) { return this.compare(other) >= 0; }
+    lessThan(other) { return this.compare(other) < 0; }
+    lessThanOrEqual(other) { return this.compare(other) <= 0; }
+
+    isZero() { return this._minor === 0; }
+    isPositive() { return this._minor > 0; }
+    isNegative() { return this._minor < 0; }
+
+    // Major units as a plain number - for display maths only, never for ledger arithmetic
+    toNumber() {
+        return this._minor / 10 ** currencyExponent(this._currency);
+    }
+
+    valueOf() {
+        return this.toNumber();
+    }
+
+    // Exact decimal string such as "2500.50"
+    toString() {
+        const exponent = currencyExponent(this._currency);
+        const digits = String(Math.abs(this._minor)).padStart(exponent + 1, "0");
+        const whole = digits.slice(0, digits.length - exponent);
+        const fraction = exponent > 0 ? `.${digits.slice(digits.length - exponent)}` : "";
+        return `${this._minor < 0 ? "-" : ""}${whole}${fraction}`;
+    }
+
+    toJSON() {
+        return { minor: this._minor, currency: this._currency };
+    }
+
+    static fromJSON(data) {
+        return new Money(data.minor, data.currency);
+    }
+
+    _coerce(other) {
+        const money = Money.from(other, this._currency);
+        if (money.currency !== this._currency) {
+            throw new Error(`Currency mismatch: ${this._currency} vs ${money.currency}`);
+        }
+        return money;
+    }
+}
+
+
+// Accepts Money or a major-unit number in `currency` (INR when omitted) and formats it in the
+// currency's own locale; the exact decimal string is formatted so no float error leaks in
+function formatAmount(amount, currency) {
+    const money = Money.from(amount, currency);
+    const exponent = currencyExponent(money.currency);
+    return new Intl.NumberFormat(CURRENCY_LOCALES[money.currency] || "en-US", {
+        style: "currency",
+        currency: money.currency,
+        minimumFractionDigits: exponent,
+        maximumFractionDigits: exponent
+    }).format(money.toString());
+}
+
+// Symbol written before or after amounts, e.g. "₹" or "€"
+function currencySymbol(currency) {
+    return new Intl.NumberFormat(CURRENCY_LOCALES[currency] || "en-US", { style: "currency", currency })
+        .formatToParts(0)
+        .find(part => part.type === "currency").value;
+}
+
+export {
+    DEFAULT_CURRENCY,
+    ROUNDING_MODES,
+    CURRENCY_MINOR_UNITS,
+    CURRENCY_LOCALES,
+    currencyExponent,
+    toDecimalFraction,
+    divideRounded,
+    Money,
+    formatAmount,
+    currencySymbol
+};
@@ -0,0 +1,252 @@
+// ===========================================
+// LIMITS & POLICY ENGINE
+// ===========================================
+
+import { Money, formatAmount } from "./money.js";
+import { MS_PER_DAY, bankingClock } from "./clock.js";
+import { currencyExchange } from "./fx.js";
+
+// Where a customer-initiated transaction came from; limits can differ per channel
+const TRANSACTION_CHANNELS = {
+    BRANCH: "branch",       // Deposits and withdrawals
+    TRANSFER: "transfer",   // Transfers between accounts
+    PAYMENT: "payment",     // Bill, shopping, fuel and food payments
+    PAYEE: "payee"          // Payments to beneficiaries at other banks
+};
+
+const LIMIT_WINDOWS = {
+    daily: MS_PER_DAY,
+    monthly: 30 * MS_PER_DAY
+};
+
+// Major-unit amounts in the default currency, converted for accounts held in others; null switches a limit off
+const DEFAULT_LIMITS = {
+    perTransaction: 25000,      // Any single debit
+    maxDeposit: 1000000,        // Any single credit
+    daily: 50000,               // Rolling 24 hours of debits, per account
+    monthly: 500000,            // Rolling 30 days of debits, per account
+    channels: {                 // Rolling caps per account and channel
+        branch: { daily: null, monthly: null },
+        transfer: { daily: null, monthly: null },
+        payment: { daily: 25000, monthly: 200000 },
+        payee: { daily: 100000, monthly: 500000 }
+    },
+    minimumBalance: {           // Balance a debit must leave behind, per account kind
+        savings: 1000
+    },
+    newPayee: {                 // Beneficiaries added, or given a new account, recently
+        coolingOffMinutes: 30,  // Nothing can be sent to them at first
+        periodHours: 24,        // Then `limit` applies until this long after they were added
+        limit: 25000
+    }
+};
+
+// Structured error - one entry per limit the request would break
+class PolicyViolationError extends Error {
+    constructor(violations) {
+        super(violations.map(violation => violation.message).join("; "));
+        this.name = "PolicyViolationError";
+        this.violations = violations;
+    }
+}
+
+// Transaction Policy - checks a request against the configured limits before it executes
+class TransactionPolicy {
+    constructor(limits = DEFAULT_LIMITS, clock = null, exchange = currencyExchange) {
+        this._clock = clock;
+        this._exchange = exchange;
+        this._mandates = null;
+        this._authentication = null;
+        this._payments = null;
+        this.setLimits(limits);
+    }
+
+    // Registry consulted for joint-account mandates; null skips the check
+    setMandates(mandates) {
+        this._mandates = mandates;
+    }
+
+    // Session guard consulted for sign-in and step-up re-authentication; null skips the check
+    setAuthentication(authentication) {
+        this._authentication = authentication;
+    }
+
+    // Payment processor consulted for what new payees have already been sent; null skips the new-payee limit
+    setPayments(payments) {
+        this._payments = payments;
+    }
+
+    get limits() {
+        return JSON.parse(JSON.stringify(this._limits));
+    }
+
+    // Merges over the defaults so a partial configuration keeps the other limits
+    setLimits(limits) {
+        const channels = {};
+        Object.keys({ ...DEFAULT_LIMITS.channels, ...(limits.channels || {}) }).forEach(channel => {
+            channels[channel] = { ...DEFAULT_LIMITS.channels[channel], ...((limits.channels || {})[channel] || {}) };
+        });
+        this._limits = {
+            ...DEFAULT_LIMITS,
+            ...limits,
+            channels,
+            minimumBalance: { ...DEFAULT_LIMITS.minimumBalance, ...(limits.minimumBalance || {}) },
+            newPayee: { ...DEFAULT_LIMITS.newPayee, ...(limits.newPayee || {}) }
+        };
+    }
+
+    // Total of channel-tagged debits on the account inside the rolling window; a debit that was
+    // undone or reverted stops counting once the credit that reverses it is posted
+    usage(account, windowMs, channel = null) {
+        const since = this._now().getTime() - windowMs;
+        const history = account.transactionHistory;
+        const reversed = new Set(history.map(transaction => transaction.reversalOf).filter(Boolean));
+        return Money.sum(history
+            .filter(transaction => transaction.direction === "debit" && transaction.channel)
+            .filter(transaction => !reversed.has(transaction.id))
+            .filter(transaction => !channel || transaction.channel === channel)
+            .filter(transaction => transaction.timestamp.getTime() > since)
+            .map(transaction => transaction.amount), account.currency);
+    }
+
+    // Returns every violation for { account, amount, direction, channel, actors, beneficiary }; empty when allowed
+    evaluate(request) {
+        const { account, direction, channel } = request;
+        const amount = Money.from(request.amount, account.currency);
+        const limitMoney = value => this._exchange.valueIn(Money.of(value), account.currency);
+        const violations = [];
+        const violation = (rule, limit, used, message, remaining = limit.subtract(used)) => violations.push({
+            rule,
+            account: account.accountNumber,
+            channel,
+            limit,
+            attempted: amount,
+            used,
+            remaining: remaining.isNegative() ? Money.zero(account.currency) : remaining,
+            message
+        });
+
+        // The account's status comes first; no limit matters on an account that cannot move money
+        const statusRefusal = account.statusRefusal(direction);
+        if (statusRefusal) {
+            violations.push({
+                rule: "status",
+                account: account.accountNumber,
+                channel,
+                limit: null,
+                attempted: amount,
+                used: null,
+                remaining: null,
+                message: statusRefusal
+            });
+            return violations;
+        }
+
+        const refusals = [
+            this._mandates ? this._mandates.refusal(account, direction, request.actors) : null,
+            this._authentication ? this._authentication.refusal({ account, amount, direction, channel, actors: request.actors }) : null,
+            request.beneficiary ? this._payeeRefusal(request.beneficiary) : null
+        ];
+        refusals.filter(Boolean).forEach(refusal => violations.push({
+            rule: refusal.rule,
+            account: account.accountNumber,
+            channel,
+            limit: null,
+            attempted: amount,
+            used: null,
+            remaining: null,
+            message: refusal.message
+        }));
+
+        if (direction === "credit") {
+            if (this._limits.maxDeposit !== null && amount.greaterThan(limitMoney(this._limits.maxDeposit))) {
+                violation("maxDeposit", limitMoney(this._limits.maxDeposit), Money.zero(account.currency),
+                    `Deposits cannot exceed ${formatAmount(limitMoney(this._limits.maxDeposit))} per transaction`);
+            }
+            return violations;
+        }
+
+        if (this._limits.perTransaction !== null && amount.greaterThan(limitMoney(this._limits.perTransaction))) {
+            violation("perTransaction", limitMoney(this._limits.perTransaction), Money.zero(account.currency),
+                `Amount exceeds the per-transaction limit of ${formatAmount(limitMoney(this._limits.perTransaction))}`);
+        }
+
+        Object.keys(LIMIT_WINDOWS).forEach(window => {
+            if (this._limits[window] !== null) {
+                const limit = limitMoney(this._limits[window]);
+                const used = this.usage(account, LIMIT_WINDOWS[window]);
+                if (used.add(amount).greaterThan(limit)) {
+                    violation(window, limit, used,
+                        `Amount exceeds the ${window} limit of ${formatAmount(limit)} for ${account.accountNumber} (${formatAmount(used)} already used)`);
+                }
+            }
+            const channelLimits = this._limits.channels[channel];
+            if (channelLimits && channelLimits[window] !== null && channelLimits[window] !== undefined) {
+                const limit = limitMoney(channelLimits[window]);
+                const used = this.usage(account, LIMIT_WINDOWS[window], channel);
+                if (used.add(amount).greaterThan(limit)) {
+                    violation(`${channel}.${window}`, limit, used,
+                        `Amount exceeds the ${window} ${channel} limit of ${formatAmount(limit)} for ${account.accountNumber} (${formatAmount(used)} already used)`);
+                }
+            }
+        });
+
+        const newPayee = this._limits.newPayee;
+        if (request.beneficiary && this._payments && newPayee.limit !== null && this._isNewPayee(request.beneficiary)) {
+            const limit = limitMoney(newPayee.limit);
+            const used = this._payments.sentTo(request.beneficiary, account.currency);
+            if (used.add(amount).greaterThan(limit)) {
+                violation("newPayee", limit, used,
+                    `${request.beneficiary.label} is a new payee; up to ${formatAmount(limit)} can be sent in their first ${newPayee.periodHours} hours (${formatAmount(used)} already sent)`);
+            }
+        }
+
+        const minimum = this._limits.minimumBalance[account.kind];
+        if (minimum !== undefined && minimum !== null) {
+            const floor = limitMoney(minimum);
+            if (account.balance.subtract(amount).lessThan(floor)) {
+                violation("minimumBalance", floor, Money.zero(account.currency),
+                    `${account.accountNumber} must keep a minimum balance of ${formatAmount(floor)}`,
+                    account.balance.subtract(floor));
+            }
+        }
+
+        return violations;
+    }
+
+    assertAllowed(request) {
+        const violations = this.evaluate(request);
+        if (violations.length > 0) {
+            throw new PolicyViolationError(violations);
+        }
+    }
+
+    // Payees are paid only once verified and out of their cooling-off period
+    _payeeRefusal(beneficiary) {
+        if (!beneficiary.isVerified) {
+            return { rule: "payeeUnverified", message: `Verify ${beneficiary.label} before sending them money` };
+        }
+        const ready = new Date(beneficiary.changedAt.getTime() + (this._limits.newPayee.coolingOffMinutes || 0) * 60 * 1000);
+        if (this._now() < ready) {
+            const when = ready.toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+            return { rule: "payeeCoolingOff", message: `${beneficiary.label} was added recently; payments can be sent from ${when}` };
+        }
+        return null;
+    }
+
+    _isNewPayee(beneficiary) {
+        return this._now().getTime() - beneficiary.changedAt.getTime() < (this._limits.newPayee.periodHours || 0) * 60 * 60 * 1000;
+    }
+
+    _now() {
+        return (this._clock || bankingClock).now();
+    }
+}
+
+export {
+    TRANSACTION_CHANNELS,
+    LIMIT_WINDOWS,
+    DEFAULT_LIMITS,
+    PolicyViolationError,
+    TransactionPolicy
+};
@@ -0,0 +1,407 @@
+// ===========================================
+// TRANSACTION QUERIES - SEARCH, SORT AND PAGINATE
+// ===========================================
+
+import { DEFAULT_CURRENCY, CURRENCY_MINOR_UNITS, currencyExponent, toDecimalFraction } from "./money.js";
+import { addDays, addMonths } from "./clock.js";
+import { currencyExchange } from "./fx.js";
+import { TRANSACTION_CATEGORIES } from "./transactions.js";
+import { JournalEntry } from "./journal.js";
+
+// A query is whitespace-separated terms, all of which must match:
+//   rent                      description or type contains "rent"
+//   "electricity bill"        quoted phrase
+//   amount>5000               field, operator and value; ":" is "=", and ranges are "a..b"
+//   http://x  ref:42          a word that is not a field before ":" is plain text
+//   date:2026-09..2026-10     a day, month or year, or a range of them; either end may be left open
+//   -"ATM"  -category:fees    a leading "-" excludes whatever the term matches
+//   sort:-amount              order by date, amount or description; "-" for descending; once per query
+
+const QUERY_OPERATORS = [">=", "<=", ":", "=", ">", "<"];
+
+const DEFAULT_QUERY_SORT = "-date";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Decimal places an amount bound may have: the minor units of the most precise currency
+const QUERY_AMOUNT_PLACES = Math.max(currencyExponent(DEFAULT_CURRENCY), ...Object.values(CURRENCY_MINOR_UNITS));
+
+class QuerySyntaxError extends Error {
+    constructor(message, term = null) {
+        super(term ? `${message} in "${term}"` : message);
+        this.name = "QuerySyntaxError";
+        this.term = term;
+    }
+}
+
+// Splits "a..b" into its ends; a value without ".." is both ends. One end may be left open, not both
+function splitRange(value) {
+    const parts = value.split("..");
+    if (parts.length > 2) {
+        throw new QuerySyntaxError("A range has two ends");
+    }
+    if (parts.length === 2 && !parts[0] && !parts[1]) {
+        throw new QuerySyntaxError("A range needs at least one end");
+    }
+    return parts.length === 2 ? { from: parts[0] || null, to: parts[1] || null, range: true } : { from: value, to: value, range: false };
+}
+
+// The period a YYYY, YYYY-MM or YYYY-MM-DD value names, as [start, end)
+function parsePeriod(value) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!match) {
+        throw new QuerySyntaxError(`"${value}" is not a date; use YYYY, YYYY-MM or YYYY-MM-DD`);
+    }
+    const [, year, month, day] = match.map(part => part === undefined ? undefined : Number(part));
+    if (month !== undefined && (month < 1 || month > 12)) {
+        throw new QuerySyntaxError(`"${value}" has no month ${month}`);
+    }
+    if (day === undefined) {
+        const start = new Date(year, month === undefined ? 0 : month - 1, 1);
+        return { start, end: addMonths(start, month === undefined ? 12 : 1) };
+    }
+    const start = new Date(year, month - 1, day);
+    if (start.getMonth() !== month - 1) {
+        throw new QuerySyntaxError(`"${value}" is not a day of the month`);
+    }
+    return { start, end: addDays(start, 1) };
+}
+
+// An amount bound as an exact fraction; more decimals than any currency has is a mistake, not something to round
+function parseAmount(value) {
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+        throw new QuerySyntaxError(`"${value}" is not an amount`);
+    }
+    if ((value.split(".")[1] || "").length > QUERY_AMOUNT_PLACES) {
+        throw new QuerySyntaxError(`"${value}" has more than ${QUERY_AMOUNT_PLACES} decimal places`);
+    }
+    return toDecimalFraction(value);
+}
+
+// Compares a transaction's amount in its own currency, so amount>5000 means 5,000 of whatever it moved.
+// The comparison is exact: amount>0.5 matches ¥1 rather than rounding the bound to the yen
+function amountPredicate(operator, value) {
+    const { numerator, denominator } = parseAmount(value);
+    const tests = {
+        "=": difference => difference === 0n,
+        ">": difference => difference > 0n,
+        ">=": difference => difference >= 0n,
+        "<": difference => difference < 0n,
+        "<=": difference => difference <= 0n
+    };
+    return transaction => {
+        const amount = transaction.amount;
+        const scale = 10n ** BigInt(currencyExponent(amount.currency));
+        return tests[operator](BigInt(amount.minor) * denominator - numerator * scale);
+    };
+}
+
+// Field registry - each field turns an operator and value into a predicate over a transaction and
+// the query context, { accountsOf(transaction) }; apps register their own fields here
+const QUERY_FIELDS = {
+    amount: {
+        operators: ["=", ">", ">=", "<", "<="],
+        compile(operator, value) {
+            const { from, to, range } = splitRange(value);
+            if (!range) return amountPredicate(operator, value);
+            if (operator !== "=") {
+                throw new QuerySyntaxError("Ranges only go with \":\"");
+            }
+            const checks = [from && amountPredicate(">=", from), to && amountPredicate("<=", to)].filter(Boolean);
+            return transaction => checks.every(check => check(transaction));
+        }
+    },
+    date: {
+        operators: ["=", ">", ">=", "<", "<="],
+        compile(operator, value) {
+            const { from, to, range } = splitRange(value);
+            if (range && operator !== "=") {
+                throw new QuerySyntaxError("Ranges only go with \":\"");
+            }
+            // Each operator compares against the whole period, so date>2026-09 starts in October
+            const first = from && parsePeriod(from);
+            const last = to && parsePeriod(to);
+            const start = first && { "=": first.start, ">": first.end, ">=": first.start }[operator];
+            const end = last && { "=": last.end, "<": last.start, "<=": last.end }[operator];
+            return transaction => (!start || transaction.timestamp >= start) && (!end || transaction.timestamp < end);
+        }
+    },
+    account: {
+        operators: ["="],
+        // Matches the kind (account:savings) or the end of the number (account:4589)
+        compile(operator, value) {
+            const wanted = value.toLowerCase();
+            const digits = wanted.replace(/\*/g, "");
+            return (transaction, context) => context.accountsOf(transaction).some(account =>
+                account.kind === wanted || (digits !== "" && account.accountNumber.replace(/\*/g, "").endsWith(digits)));
+        }
+    },
+    category: {
+        operators: ["="],
+        compile(operator, value) {
+            const wanted = value.toLowerCase();
+            if (!Object.values(TRANSACTION_CATEGORIES).includes(wanted)) {
+                throw new QuerySyntaxError(`Unknown category "${value}"`);
+            }
+            return transaction => transaction.category === wanted;
+        }
+    },
+    type: {
+        operators: ["="],
+        compile(operator, value) {
+            const wanted = value.toLowerCase();
+            return transaction => transaction.type === wanted;
+        }
+    },
+    direction: {
+        operators: ["="],
+        // A journal entry goes the way its legs on the listed accounts go, so a transfer between
+        // two of them is both a debit and a credit
+        compile(operator, value) {
+            const wanted = value.toLowerCase();
+            if (wanted !== "credit" && wanted !== "debit") {
+                throw new QuerySyntaxError("Direction is credit or debit");
+            }
+            return (transaction, context) => {
+                if (!(transaction instanceof JournalEntry)) return transaction.direction === wanted;
+                const listed = context.accountsOf(transaction);
+                return transaction.legs.some(leg => leg.direction === wanted && listed.includes(leg.account));
+            };
+        }
+    },
+    channel: {
+        operators: ["="],
+        compile(operator, value) {
+            const wanted = value.toLowerCase();
+            return transaction => transaction.channel === wanted;
+        }
+    }
+};
+
+// Sort keys - each compares two transactions ascending. Amounts in different currencies are compared
+// at mid rates in the default currency, as the analytics totals are
+const QUERY_SORTS = {
+    date: (a, b) => a.timestamp - b.timestamp,
+    amount: (a, b) => currencyExchange.valueIn(a.amount, DEFAULT_CURRENCY).minor - currencyExchange.valueIn(b.amount, DEFAULT_CURRENCY).minor,
+    description: (a, b) => String(a.description).localeCompare(String(b.description))
+};
+
+// Splits a query into raw terms: { negated, field, operator, value, text }, where text is the term as typed
+function tokenize(input) {
+    const terms = [];
+    let index = 0;
+    const readValue = () => {
+        if (input[index] === "\"") {
+            const close = input.indexOf("\"", index + 1);
+            if (close === -1) {
+                throw new QuerySyntaxError("Unterminated quote", input.slice(index));
+            }
+            const value = input.slice(index + 1, close);
+            index = close + 1;
+            return { value, quoted: true };
+        }
+        const start = index;
+        while (index < input.length && !/\s/.test(input[index])) index++;
+        return { value: input.slice(start, index), quoted: false };
+    };
+
+    while (index < input.length) {
+        if (/\s/.test(input[index])) {
+            index++;
+            continue;
+        }
+        const start = index;
+        const negated = input[index] === "-" && index + 1 < input.length && !/\s/.test(input[index + 1]);
+        if (negated) index++;
+
+        const field = /^[a-z]+/i.exec(input.slice(index));
+        const operator = field && QUERY_OPERATORS.find(candidate => input.startsWith(candidate, index + field[0].length));
+        const known = field && (field[0].toLowerCase() === "sort" || Boolean(QUERY_FIELDS[field[0].toLowerCase()]));
+        let term;
+        if (operator && (known || operator !== ":")) {
+            index += field[0].length + operator.length;
+            const { value } = readValue();
+            term = { negated, field: field[0].toLowerCase(), operator: operator === ":" ? "=" : operator, value };
+        } else {
+            const { value, quoted } = readValue();
+            term = { negated, field: null, operator: null, value, quoted };
+        }
+        term.text = input.slice(start, index);
+        if (term.value === "") {
+            throw new QuerySyntaxError(term.field ? `${term.field} needs a value` : "Empty search term", term.text);
+        }
+        terms.push(term);
+    }
+    return terms;
+}
+
+// Transaction Query - a parsed search; parse() throws QuerySyntaxError naming the term at fault
+class TransactionQuery {
+    constructor(text, terms, sort) {
+        this._text = text;
+        this._terms = terms;
+        this._sort = sort;
+    }
+
+    static parse(text = "") {
+        const source = String(text || "").trim();
+        let sort = null;
+        const terms = [];
+        tokenize(source).forEach(term => {
+            try {
+                if (term.field === "sort") {
+                    if (term.negated || term.operator !== "=") {
+                        throw new QuerySyntaxError("Write sort:key or sort:-key");
+                    }
+                    if (sort !== null) {
+                        throw new QuerySyntaxError("A query sorts one way; use a single sort: term");
+                    }
+                    if (!QUERY_SORTS[term.value.replace(/^-/, "")]) {
+                        throw new QuerySyntaxError(`Cannot sort by "${term.value.replace(/^-/, "")}"; use ${Object.keys(QUERY_SORTS).join(", ")}`);
+                    }
+                    sort = term.value;
+                    return;
+                }
+                if (term.field === null) {
+                    const wanted = term.value.toLowerCase();
+                    terms.push({ ...term, test: transaction =>
+                        String(transaction.description).toLowerCase().includes(wanted) || transaction.type.toLowerCase().includes(wanted) });
+                    return;
+                }
+                const field = QUERY_FIELDS[term.field];
+                if (!field) {
+                    throw new QuerySyntaxError(`Unknown field "${term.field}"; use ${Object.keys(QUERY_FIELDS).join(", ")} or sort`);
+                }
+                if (!field.operators.includes(term.operator)) {
+                    throw new QuerySyntaxError(`${term.field} does not take "${term.operator}"`);
+                }
+                terms.push({ ...term, test: field.compile(term.operator, term.value) });
+            } catch (error) {
+                throw error instanceof QuerySyntaxError && !error.term ? new QuerySyntaxError(error.message, term.text) : error;
+            }
+        });
+        return new TransactionQuery(source, terms, sort);
+    }
+
+    get text() { return this._text; }
+    get isEmpty() { return this._terms.length === 0; }
+
+    // The sort the query asked for, or null to leave the choice to the caller
+    get sort() { return this._sort; }
+
+    get terms() {
+        return this._terms.map(({ test, ...term }) => term);
+    }
+
+    matches(transaction, context = {}) {
+        const resolved = { accountsOf: () => [], ...context };
+        return this._terms.every(term => term.test(transaction, resolved) !== term.negated);
+    }
+
+    filter(transactions, context = {}) {
+        return transactions.filter(transaction => this.matches(transaction, context));
+    }
+
+    // One page of the matching transactions: { items, total, page, pageCount, pageSize, sort }.
+    // The query's own sort: term wins over options.sort
+    run(transactions, options = {}) {
+        const sort = this._sort || options.sort || DEFAULT_QUERY_SORT;
+        const sorted = sortTransactions(this.filter(transactions, options), sort);
+        return { ...paginate(sorted, options.page, options.pageSize), sort };
+    }
+
+    toString() {
+        return this._text;
+    }
+}
+
+// Orders a copy of `transactions` by a sort key, "-key" for descending; ties keep their order
+function sortTransactions(transactions, sort = DEFAULT_QUERY_SORT) {
+    const descending = sort.startsWith("-");
+    const compare = QUERY_SORTS[sort.replace(/^-/, "")];
+    if (!compare) {
+        throw new Error(`Unknown sort key: ${sort}`);
+    }
+    return [...transactions].sort((a, b) => descending ? compare(b, a) : compare(a, b));
+}
+
+// Page `page` (from 1, clamped to the pages there are) of `items`
+function paginate(items, page = 1, pageSize = DEFAULT_PAGE_SIZE) {
+    const pageCount = Math.max(Math.ceil(items.length / pageSize), 1);
+    const current = Math.min(Math.max(Math.floor(page) || 1, 1), pageCount);
+    return {
+        items: items.slice((current - 1) * pageSize, current * pageSize),
+        total: items.length,
+        page: current,
+        pageCount,
+        pageSize
+    };
+}
+
+// Saved Filters - named queries with their sort, checked when saved; names are unique ignoring case
+class SavedFilters {
+    constructor(filters = []) {
+        this._filters = filters.map(filter => ({ ...filter }));
+    }
+
+    get filters() {
+        return this._filters.map(filter => ({ ...filter }));
+    }
+
+    find(name) {
+        const wanted = String(name).trim().toLowerCase();
+        const filter = this._filters.find(candidate => candidate.name.toLowerCase() === wanted);
+        return filter ? { ...filter } : null;
+    }
+
+    // Adds the filter, or replaces the one saved under the same name
+    save(name, query, sort = DEFAULT_QUERY_SORT) {
+        const label = String(name || "").trim();
+        if (!label) {
+            throw new Error("Give the filter a name");
+        }
+        const parsed = TransactionQuery.parse(query);
+        if (parsed.isEmpty && !parsed.sort) {
+            throw new Error("There is no search to save");
+        }
+        sortTransactions([], sort);
+        const filter = { name: label, query: parsed.text, sort };
+        const existing = this._filters.findIndex(candidate => candidate.name.toLowerCase() === label.toLowerCase());
+        if (existing === -1) {
+            this._filters.push(filter);
+        } else {
+            this._filters[existing] = filter;
+        }
+        return { ...filter };
+    }
+
+    remove(name) {
+        const filter = this.find(name);
+        if (!filter) {
+            throw new Error(`No saved filter called "${name}"`);
+        }
+        this._filters = this._filters.filter(candidate => candidate.name.toLowerCase() !== filter.name.toLowerCase());
+        return filter;
+    }
+
+    toJSON() {
+        return this.filters;
+    }
+
+    static fromJSON(data = []) {
+        return new SavedFilters(data);
+    }
+}
+
+export {
+    QUERY_OPERATORS,
+    DEFAULT_QUERY_SORT,
+    DEFAULT_PAGE_SIZE,
+    QuerySyntaxError,
+    QUERY_FIELDS,
+    QUERY_SORTS,
+    TransactionQuery,
+    sortTransactions,
+    paginate,
+    SavedFilters
+};
@@ -0,0 +1,523 @@
+// ===========================================
+// STATEMENTS - EXPORT & IMPORT
+// ===========================================
+
+import { Money, formatAmount } from "./money.js";
+import { bankingClock, startOfDay, addDays, formatDate } from "./clock.js";
+
+// Account statement over whole days, from the start of `from` to the end of `to`
+class Statement {
+    constructor(account, from, to) {
+        this._account = account;
+        this._from = startOfDay(from);
+        this._to = new Date(addDays(startOfDay(to), 1).getTime() - 1);
+        if (this._to < this._from) {
+            throw new Error("Statement end date is before its start date");
+        }
+        this._transactions = account.transactionHistory.filter(transaction =>
+            transaction.timestamp >= this._from && transaction.timestamp <= this._to);
+        this._openingBalance = account.balanceAt(new Date(this._from.getTime() - 1));
+        this._closingBalance = account.balanceAt(this._to);
+        this._generatedAt = bankingClock.now();
+    }
+
+    get account() { return this._account; }
+    get from() { return new Date(this._from); }
+    get to() { return new Date(this._to); }
+    get transactions() { return [...this._transactions]; }
+    get openingBalance() { return this._openingBalance; }
+    get closingBalance() { return this._closingBalance; }
+    get generatedAt() { return new Date(this._generatedAt); }
+
+    get totalCredits() {
+        return Money.sum(this._transactions.filter(tx => tx.direction === "credit").map(tx => tx.amount), this._account.currency);
+    }
+
+    get totalDebits() {
+        return Money.sum(this._transactions.filter(tx => tx.direction === "debit").map(tx => tx.amount), this._account.currency);
+    }
+}
+
+const pad2 = value => String(value).padStart(2, "0");
+
+// Escapes text for markup built as strings: HTML statements here, and the pages' lists and notifications
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Local "YYYY-MM-DD HH:MM"; statements are read in the customer's own time zone
+function formatStatementDate(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+// Exported reference for a transaction; imported rows keep the bank's own
+function statementReference(transaction) {
+    return transaction.reference || `SB${String(transaction.id).replace(".", "")}`;
+}
+
+// Statement Formatter Interface - format(statement) returns the file contents as a string
+class StatementFormatter {
+    format(statement) {
+        throw new Error("format method must be implemented");
+    }
+
+    get extension() {
+        throw new Error("extension getter must be implemented");
+    }
+
+    get mimeType() {
+        return "text/plain";
+    }
+
+    fileName(statement) {
+        const day = date => formatStatementDate(date).slice(0, 10);
+        const account = statement.account.accountNumber.replace(/\W/g, "");
+        return `statement-${account}-${day(statement.from)}-to-${day(statement.to)}.${this.extension}`;
+    }
+}
+
+class CsvStatementFormatter extends StatementFormatter {
+    get extension() { return "csv"; }
+    get mimeType() { return "text/csv"; }
+
+    // Opening and closing balances are rows without an amount, which the importer skips
+    format(statement) {
+        const field = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = [
+            ["Date", "Description", "Type", "Debit", "Credit", "Balance", "Reference"],
+            [formatStatementDate(statement.from), "Opening Balance", "", "", "", statement.openingBalance.toString(), ""],
+            ...statement.transactions.map(tx => [
+                formatStatementDate(tx.timestamp),
+                tx.description,
+                tx.type,
+                tx.direction === "debit" ? tx.amount.toString() : "",
+                tx.direction === "credit" ? tx.amount.toString() : "",
+                tx.balance.toString(),
+                statementReference(tx)
+            ]),
+            [formatStatementDate(statement.to), "Closing Balance", "", "", "", statement.closingBalance.toString(), ""]
+        ];
+        return rows.map(row => row.map(field).join(",")).join("\r\n") + "\r\n";
+    }
+}
+
+// OFX 1.0.2 (SGML); QFX is the same document with Quicken's INTU.BID in the sign-on block
+class OfxStatementFormatter extends StatementFormatter {
+    constructor(options = {}) {
+        super();
+        this._extension = options.extension || "ofx";
+        this._intuitBankId = options.intuitBankId || null;
+    }
+
+    get extension() { return this._extension; }
+    get mimeType() { return "application/x-ofx"; }
+
+    format(statement) {
+        const ofxDate = date => formatStatementDate(date).replace(/\D/g, "") + pad2(date.getSeconds());
+        const text = value => String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").slice(0, 255);
+        const trnTypes = { deposit: "CREDIT", withdraw: "DEBIT", transfer: "XFER", interest: "INT", charge: "SRVCHG", maturity: "XFER", installment: "XFER", disbursal: "XFER", emi: "PAYMENT", prepayment: "PAYMENT" };
+        const accountType = { current: "CHECKING", loan: "CREDITLINE" }[statement.account.kind] || "SAVINGS";
+        const now = ofxDate(statement.generatedAt);
+
+        const transactions = statement.transactions.map(tx => [
+            "<STMTTRN>",
+            `<TRNTYPE>${trnTypes[tx.type] || (tx.direction === "debit" ? "DEBIT" : "CREDIT")}`,
+            `<DTPOSTED>${ofxDate(tx.timestamp)}`,
+            `<TRNAMT>${tx.direction === "debit" ? tx.amount.negate().toString() : tx.amount.toString()}`,
+            `<FITID>${text(statementReference(tx))}`,
+            `<NAME>${text(tx.description.slice(0, 32))}`,
+            `<MEMO>${text(tx.description)}`,
+            "</STMTTRN>"
+        ].join("\n"));
+
+        return [
+            "OFXHEADER:100",
+            "DATA:OFXSGML",
+            "VERSION:102",
+            "SECURITY:NONE",
+            "ENCODING:USASCII",
+            "CHARSET:1252",
+            "COMPRESSION:NONE",
+            "OLDFILEUID:NONE",
+            "NEWFILEUID:NONE",
+            "",
+            "<OFX>",
+            "<SIGNONMSGSRSV1>",
+            "<SONRS>",
+            "<STATUS>", "<CODE>0", "<SEVERITY>INFO", "</STATUS>",
+            `<DTSERVER>${now}`,
+            "<LANGUAGE>ENG",
+            ...(this._intuitBankId ? [`<INTU.BID>${this._intuitBankId}`] : []),
+            "</SONRS>",
+            "</SIGNONMSGSRSV1>",
+            "<BANKMSGSRSV1>",
+            "<STMTTRNRS>",
+            "<TRNUID>1",
+            "<STATUS>", "<CODE>0", "<SEVERITY>INFO", "</STATUS>",
+            "<STMTRS>",
+            `<CURDEF>${statement.account.currency}`,
+            "<BANKACCTFROM>",
+            "<BANKID>SECUREBANK",
+            `<ACCTID>${text(statement.account.accountNumber)}`,
+            `<ACCTTYPE>${accountType}`,
+            "</BANKACCTFROM>",
+            "<BANKTRANLIST>",
+            `<DTSTART>${ofxDate(statement.from)}`,
+            `<DTEND>${ofxDate(statement.to)}`,
+            ...transactions,
+            "</BANKTRANLIST>",
+            "<LEDGERBAL>",
+            `<BALAMT>${statement.closingBalance.toString()}`,
+            `<DTASOF>${ofxDate(statement.to)}`,
+            "</LEDGERBAL>",
+            "</STMTRS>",
+            "</STMTTRNRS>",
+            "</BANKMSGSRSV1>",
+            "</OFX>",
+            ""
+        ].join("\n");
+    }
+}
+
+// Standalone page with print styles; the browser's "Save as PDF" turns it into a PDF statement
+class HtmlStatementFormatter extends StatementFormatter {
+    get extension() { return "html"; }
+    get mimeType() { return "text/html"; }
+
+    format(statement) {
+        const account = statement.account;
+        const rows = statement.transactions.map(tx => `
+            <tr>
+                <td>${escapeHtml(formatStatementDate(tx.timestamp))}</td>
+                <td>${escapeHtml(tx.description)}</td>
+                <td class="num">${tx.direction === "debit" ? escapeHtml(formatAmount(tx.amount)) : ""}</td>
+                <td class="num">${tx.direction === "credit" ? escapeHtml(formatAmount(tx.amount)) : ""}</td>
+                <td class="num">${escapeHtml(formatAmount(tx.balance))}</td>
+            </tr>`).join("");
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Statement ${escapeHtml(account.accountNumber)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111827; margin: 2rem; }
+    h1 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+    .meta { color: #4b5563; font-size: 0.875rem; margin-bottom: 1.5rem; }
+    .summary { display: flex; gap: 2rem; margin-bottom: 1.5rem; }
+    .summary div span { display: block; color: #6b7280; font-size: 0.75rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    th, td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    th { background: #f3f4f6; }
+    .num { text-align: right; white-space: nowrap; }
+    @media print { body { margin: 0; } @page { margin: 1.5cm; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>SecureBank Account Statement</h1>
+    <div class="meta">
+        Account ${escapeHtml(account.accountNumber)} (${escapeHtml(account.kind)}) &bull;
+        ${escapeHtml(formatDate(statement.from))} to ${escapeHtml(formatDate(statement.to))} &bull;
+        Generated ${escapeHtml(statement.generatedAt.toLocaleString())}
+    </div>
+    <div class="summary">
+        <div><span>Opening Balance</span>${escapeHtml(formatAmount(statement.openingBalance))}</div>
+        <div><span>Total Credits</span>${escapeHtml(formatAmount(statement.totalCredits))}</div>
+        <div><span>Total Debits</span>${escapeHtml(formatAmount(statement.totalDebits))}</div>
+        <div><span>Closing Balance</span>${escapeHtml(formatAmount(statement.closingBalance))}</div>
+    </div>
+    <table>
+        <thead><tr><th>Date</th><th>Description</th><th class="num">Debit</th><th class="num">Credit</th><th class="num">Balance</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="5">No transactions in this period</td></tr>'}</tbody>
+    </table>
+</body>
+</html>
+`;
+    }
+}
+
+const STATEMENT_FORMATS = {
+    csv: new CsvStatementFormatter(),
+    ofx: new OfxStatementFormatter(),
+    qfx: new OfxStatementFormatter({ extension: "qfx" }),
+    html: new HtmlStatementFormatter()
+};
+
+function exportStatement(account, from, to, format = "csv") {
+    const formatter = STATEMENT_FORMATS[format];
+    if (!formatter) {
+        throw new Error(`Unknown statement format: ${format}`);
+    }
+    const statement = new Statement(account, from, to);
+    return {
+        statement,
+        fileName: formatter.fileName(statement),
+        mimeType: formatter.mimeType,
+        content: formatter.format(statement)
+    };
+}
+
+// Loan amortisation schedule as CSV, one row per installment; paid rows carry the date they were collected
+function formatScheduleCsv(rows) {
+    const day = date => formatStatementDate(date).slice(0, 10);
+    const lines = [
+        ["Installment", "Due Date", "Opening Balance", "EMI", "Interest", "Principal", "Closing Balance", "Paid On"],
+        ...rows.map(row => [
+            String(row.number),
+            day(row.dueDate),
+            row.opening.toString(),
+            row.payment.toString(),
+            row.interest.toString(),
+            row.principal.toString(),
+            row.closing.toString(),
+            row.paidAt ? day(row.paidAt) : ""
+        ])
+    ];
+    return lines.map(line => line.join(",")).join("\r\n") + "\r\n";
+}
+
+// Schedule rows as a CSV download named after `name`, e.g. the loan's account number
+function exportSchedule(rows, name = "loan") {
+    return {
+        fileName: `emi-schedule-${String(name).replace(/[^\w-]+/g, "")}.csv`,
+        mimeType: "text/csv",
+        content: formatScheduleCsv(rows)
+    };
+}
+
+// "2024-01-31", "2024-01-31 09:30[:15]", "2024-01-31T09:30" or Indian "31/01/2024"; local time
+function parseStatementDate(value) {
+    const text = String(value || "").trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+        return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    }
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) {
+        return new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+    }
+    return null;
+}
+
+// Bank amounts may carry grouping commas or a currency symbol; returns a plain decimal string or null
+function parseStatementAmount(value) {
+    const text = String(value || "").replace(/[,\s₹]/g, "").replace(/^INR/i, "");
+    return /^-?\d+(\.\d+)?$/.test(text) ? text : null;
+}
+
+// RFC 4180 rows; quoted fields may hold commas, doubled quotes and line breaks
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+}
+
+// Header names accepted for each field, lower-case
+const CSV_IMPORT_COLUMNS = {
+    date: ["date", "transaction date", "txn date", "value date", "posted"],
+    description: ["description", "narration", "details", "particulars", "memo", "name"],
+    debit: ["debit", "withdrawal", "withdrawal amt", "debit amount"],
+    credit: ["credit", "deposit", "deposit amt", "credit amount"],
+    amount: ["amount"],
+    reference: ["reference", "ref", "ref no", "chq/ref no", "fitid", "transaction id"]
+};
+
+// Statement parsers return { date, description, amount, direction, reference, error } rows;
+// amount is a major-unit string so the importer can make exact Money in the account's currency
+class CsvStatementParser {
+    parse(text) {
+        const [header, ...rows] = parseCsvRows(text);
+        if (!header) return [];
+        const names = header.map(name => name.trim().toLowerCase());
+        const columns = {};
+        Object.entries(CSV_IMPORT_COLUMNS).forEach(([key, aliases]) => {
+            columns[key] = names.findIndex(name => aliases.includes(name));
+        });
+        if (columns.date < 0 || (columns.amount < 0 && columns.debit < 0 && columns.credit < 0)) {
+            throw new Error("CSV needs a date column and an amount, debit or credit column");
+        }
+        const cell = (row, key) => columns[key] >= 0 ? (row[columns[key]] || "").trim() : "";
+
+        return rows.map(row => {
+            const debit = parseStatementAmount(cell(row, "debit"));
+            const credit = parseStatementAmount(cell(row, "credit"));
+            const signed = parseStatementAmount(cell(row, "amount"));
+            let amount = null;
+            let direction = null;
+            if (debit && Number(debit) !== 0) {
+                [amount, direction] = [debit.replace("-", ""), "debit"];
+            } else if (credit && Number(credit) !== 0) {
+                [amount, direction] = [credit.replace("-", ""), "credit"];
+            } else if (signed && Number(signed) !== 0) {
+                [amount, direction] = [signed.replace("-", ""), signed.startsWith("-") ? "debit" : "credit"];
+            }
+            return {
+                date: parseStatementDate(cell(row, "date")),
+                description: cell(row, "description") || "Imported transaction",
+                amount,
+                direction,
+                reference: cell(row, "reference") || null
+            };
+        }).filter(entry => entry.amount !== null); // Balance-only rows such as opening/closing lines
+    }
+}
+
+class OfxStatementParser {
+    parse(text) {
+        const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+        const decode = value => value.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+        const field = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+            return match ? decode(match[1].trim()) : "";
+        };
+        // YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]], read as local time
+        const parseDate = value => {
+            const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/);
+            if (!match) return null;
+            const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+            return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+        };
+
+        return blocks.map(block => {
+            const signed = parseStatementAmount(field(block, "TRNAMT"));
+            return {
+                date: parseDate(field(block, "DTPOSTED")),
+                description: field(block, "MEMO") || field(block, "NAME") || "Imported transaction",
+                amount: signed ? signed.replace("-", "") : null,
+                direction: signed && signed.startsWith("-") ? "debit" : "credit",
+                reference: field(block, "FITID") || null
+            };
+        });
+    }
+}
+
+const STATEMENT_PARSERS = {
+    csv: new CsvStatementParser(),
+    ofx: new OfxStatementParser(),
+    qfx: new OfxStatementParser()
+};
+
+function detectStatementFormat(text) {
+    return /OFXHEADER|<OFX>/i.test(text) ? "ofx" : "csv";
+}
+
+// Statement Importer - previews a bank file against an account, then commits the new rows
+class StatementImporter {
+    constructor(account) {
+        this._account = account;
+    }
+
+    // Nothing is changed here; each row carries `duplicate` (a reason) or `error` when it will be skipped
+    preview(text, format = detectStatementFormat(text)) {
+        const parser = STATEMENT_PARSERS[format];
+        if (!parser) {
+            throw new Error(`Unknown statement format: ${format}`);
+        }
+
+        const history = this._account.transactionHistory;
+        const knownReferences = new Set(history.map(statementReference));
+        const fingerprint = (date, direction, amount, description) =>
+            `${startOfDay(date).getTime()}|${direction}|${amount.minor}|${description.trim().toLowerCase()}`;
+        const knownFingerprints = new Set(history.map(tx => fingerprint(tx.timestamp, tx.direction, tx.amount, tx.description)));
+        const seenReferences = new Set();
+
+        const rows = parser.parse(text).map(entry => {
+            const row = { ...entry, duplicate: null, error: null };
+            if (!entry.date || isNaN(entry.date.getTime())) {
+                row.error = "Unreadable date";
+                return row;
+            }
+            if (entry.amount === null) {
+                row.error = "Unreadable amount";
+                return row;
+            }
+            row.amount = Money.of(entry.amount, this._account.currency);
+            if (entry.reference && (knownReferences.has(entry.reference) || seenReferences.has(entry.reference))) {
+                row.duplicate = "Reference already present";
+            } else if (knownFingerprints.has(fingerprint(entry.date, entry.direction, row.amount, entry.description))) {
+                row.duplicate = "Matches an existing transaction";
+            }
+            if (entry.reference) seenReferences.add(entry.reference);
+            return row;
+        });
+
+        return {
+            account: this._account,
+            format,
+            rows,
+            importable: rows.filter(row => !row.duplicate && !row.error).length,
+            duplicates: rows.filter(row => row.duplicate).length,
+            errors: rows.filter(row => row.error).length
+        };
+    }
+
+    commit(preview) {
+        if (preview.account !== this._account) {
+            throw new Error("Preview was made for a different account");
+        }
+        return this._account.importTransactions(preview.rows.filter(row => !row.duplicate && !row.error));
+    }
+}
+
+export {
+    Statement,
+    pad2,
+    escapeHtml,
+    formatStatementDate,
+    statementReference,
+    StatementFormatter,
+    CsvStatementFormatter,
+    OfxStatementFormatter,
+    HtmlStatementFormatter,
+    STATEMENT_FORMATS,
+    exportStatement,
+    formatScheduleCsv,
+    exportSchedule,
+    parseStatementDate,
+    parseStatementAmount,
+    parseCsvRows,
+    CSV_IMPORT_COLUMNS,
+    CsvStatementParser,
+    OfxStatementParser,
+    STATEMENT_PARSERS,
+    detectStatementFormat,
+    StatementImporter
+};
@@ -0,0 +1,170 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Money,
+    ManualClock,
+    setBankingClock,
+    BaseAccount,
+    SavingsAccount,
+    CurrentAccount,
+    FixedDepositAccount,
+    FD_PREMATURE_POLICIES,
+    ACCOUNT_STATUSES,
+    AccountStatusError,
+    OverdraftEvent,
+    Journal
+} from "../index.js";
+
+let clock;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1));
+    setBankingClock(clock);
+});
+
+// The balance must always equal the opening balance plus credits less debits in the history
+function assertBalanceMatchesHistory(account, opening) {
+    const net = account.transactionHistory.reduce((total, transaction) =>
+        transaction.direction === "credit" ? total.add(transaction.amount) : total.subtract(transaction.amount), Money.of(opening));
+    assert.ok(account.balance.equals(net), `${account.balance} should equal ${net}`);
+    const last = account.transactionHistory.at(-1);
+    if (last) assert.ok(last.balance.equals(account.balance));
+}
+
+test("deposits and withdrawals move the balance and record a transaction each", () => {
+    const account = new SavingsAccount("SB-1", 5000);
+    const deposit = account.deposit(2500.5, "Salary");
+    const withdrawal = account.withdraw("1000.25", "Rent");
+
+    assert.equal(account.balance.toString(), "6500.25");
+    assert.equal(account.transactionHistory.length, 2);
+    assert.equal(deposit.direction, "credit");
+    assert.equal(withdrawal.direction, "debit");
+    assert.equal(withdrawal.balance.toString(), "6500.25");
+    assertBalanceMatchesHistory(account, 5000);
+});
+
+test("the balance always matches the history over a run of operations", () => {
+    const account = new SavingsAccount("SB-1", 1000);
+    const amounts = [250, 99.99, 0.01, 400, 1234.56, 10, 777];
+    amounts.forEach((amount, index) => {
+        clock.advanceDays(1);
+        if (index % 2 === 0) {
+            account.deposit(amount, `In ${index}`);
+        } else {
+            account.withdraw(amount, `Out ${index}`);
+        }
+        assertBalanceMatchesHistory(account, 1000);
+    });
+    assert.ok(account.balanceAt(new Date(2025, 0, 2, 12)).equals(Money.of(1250)));
+});
+
+test("a refused withdrawal leaves the account untouched", () => {
+    const account = new SavingsAccount("SB-1", 100);
+    assert.throws(() => account.withdraw(100.01, "Too much"), /Insufficient balance/);
+    assert.throws(() => account.withdraw(0, "Nothing"), /Amount must be positive/);
+    assert.throws(() => account.deposit(-5, "Negative"), /Amount must be positive/);
+    assert.equal(account.balance.toString(), "100.00");
+    assert.equal(account.transactionHistory.length, 0);
+});
+
+test("observers hear every transaction along with the account", () => {
+    const account = new SavingsAccount("SB-1", 0);
+    const heard = [];
+    const observer = { update: (event, source) => heard.push([event.type, source.accountNumber]) };
+    account.addObserver(observer);
+    account.deposit(10, "One");
+    account.removeObserver(observer);
+    account.deposit(10, "Two");
+    assert.deepEqual(heard, [["deposit", "SB-1"]]);
+});
+
+test("current accounts may run into their overdraft and announce crossing zero", () => {
+    const account = new CurrentAccount("CA-1", 1000, 5000);
+    const events = [];
+    account.addObserver({ update: event => events.push(event) });
+
+    account.withdraw(4000, "Into overdraft");
+    assert.equal(account.balance.toString(), "-3000.00");
+    assert.ok(account.isOverdrawn);
+    assert.throws(() => account.withdraw(2000.01, "Past the limit"), /Insufficient balance/);
+    account.deposit(3500, "Back in credit");
+
+    const crossings = events.filter(event => event instanceof OverdraftEvent).map(event => event.type);
+    assert.deepEqual(crossings, ["overdraft_entered", "overdraft_cleared"]);
+    assert.throws(() => account.setOverdraftLimit(-1), /cannot be negative/);
+});
+
+test("account status decides which way money may move", () => {
+    const account = new SavingsAccount("SB-1", 1000);
+    account.transitionTo(ACCOUNT_STATUSES.FROZEN, "Court order");
+    account.deposit(100, "Still allowed");
+    assert.throws(() => account.withdraw(100, "Blocked"), AccountStatusError);
+    assert.throws(() => account.transitionTo(ACCOUNT_STATUSES.DORMANT), /cannot go from Frozen to Dormant/);
+
+    account.transitionTo(ACCOUNT_STATUSES.ACTIVE, "Lifted");
+    account.withdraw(100, "Allowed again");
+    assert.deepEqual(account.statusHistory.map(change => change.to), ["frozen", "active"]);
+});
+
+test("accounts go dormant after a long spell without customer activity", () => {
+    const account = new SavingsAccount("SB-1", 1000);
+    account.deposit(10, "Activity", "branch");
+    clock.set(new Date(2026, 11, 31));
+    assert.equal(account.checkDormancy(), null);
+    clock.set(new Date(2027, 0, 2));
+    assert.equal(account.checkDormancy().to, ACCOUNT_STATUSES.DORMANT);
+    assert.throws(() => account.withdraw(1, "Blocked"), /dormant/);
+});
+
+test("closing settles the balance into another account through the journal", () => {
+    const journal = new Journal();
+    const closing = new SavingsAccount("SB-1", 1200);
+    const receiving = new SavingsAccount("SB-2", 0);
+
+    assert.throws(() => closing.close(null, journal, null), /choose an account to receive it/);
+    const events = closing.close(receiving, journal, null);
+    assert.equal(closing.status, ACCOUNT_STATUSES.CLOSED);
+    assert.ok(closing.balance.isZero());
+    assert.equal(receiving.balance.toString(), "1200.00");
+    assert.equal(events.at(-1).to, ACCOUNT_STATUSES.CLOSED);
+    assert.throws(() => closing.deposit(1, "After closing"), /is closed/);
+});
+
+test("fixed deposits pay reduced interest on premature withdrawals, or refuse them", () => {
+    const deposit = new FixedDepositAccount("FD-1", 100000, 12, { penaltyRate: 1 });
+    clock.set(new Date(2025, 6, 1)); // 181 days in
+
+    deposit.withdraw(50000, "Early exit");
+    const interest = deposit.transactionHistory.find(transaction => transaction.type === "interest");
+    // 7.5% less the 1% penalty, on the amount withdrawn, for the days held
+    assert.ok(interest.amount.equals(Money.of(50000).scale(6.5 * 181, 365 * 100)));
+
+    const locked = new FixedDepositAccount("FD-2", 1000, 12, { prematurePolicy: FD_PREMATURE_POLICIES.BLOCK });
+    assert.throws(() => locked.withdraw(10, "Early exit"), /premature withdrawal is not allowed/);
+});
+
+test("matured fixed deposits credit interest and pay out", () => {
+    const payout = new SavingsAccount("SB-1", 0);
+    const deposit = new FixedDepositAccount("FD-1", 10000, 12, { payoutAccount: payout });
+    clock.set(new Date(2026, 0, 1));
+    deposit.processMaturity(new Journal());
+    assert.ok(deposit.balance.isZero());
+    assert.equal(payout.balance.toString(), "10750.00");
+    assert.ok(deposit.settledAt);
+});
+
+test("accounts survive a JSON round trip", () => {
+    const account = new CurrentAccount("CA-1", 500, 2000);
+    account.deposit(250, "Cheque", "branch");
+    account.withdraw(1000, "Supplier");
+    const restored = BaseAccount.fromJSON(JSON.parse(JSON.stringify(account)));
+
+    assert.ok(restored instanceof CurrentAccount);
+    assert.ok(restored.balance.equals(account.balance));
+    assert.ok(restored.overdraftLimit.equals(Money.of(2000)));
+    assert.deepEqual(restored.transactionHistory.map(transaction => transaction.toJSON()),
+        account.transactionHistory.map(transaction => transaction.toJSON()));
+    assert.throws(() => BaseAccount.fromJSON({ kind: "crypto" }), /Unknown account kind/);
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    ManualClock,
+    setBankingClock,
+    SavingsAccount,
+    AnalyticsEngine,
+    ANALYTICS_GROUPINGS,
+    percentChange,
+    Money
+} from "../index.js";
+
+let clock;
+let account;
+let engine;
+
+// Salary in early January, a bonus on the last day of the month, and spending either side of it
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1, 10));
+    setBankingClock(clock);
+    account = new SavingsAccount("SB-1", 0);
+    account.deposit(20000, "Salary");
+    clock.set(new Date(2025, 0, 2, 12));
+    account.withdraw(1000, "Groceries", null, "food");
+    clock.set(new Date(2025, 0, 31, 18));
+    account.deposit(10000, "Bonus");
+    clock.set(new Date(2025, 1, 1, 9));
+    account.withdraw(2500, "Dinner", null, "food");
+    clock.set(new Date(2025, 1, 2, 11));
+    account.deposit(500, "Refund");
+    clock.set(new Date(2025, 1, 2, 20));
+    engine = new AnalyticsEngine([account], clock);
+});
+
+const balances = series => series.map(point => [point.date.getMonth() + 1, point.date.getDate(), point.balance.toString()]);
+
+test("daily balances run across a month boundary, one end-of-day point per day", () => {
+    assert.deepEqual(balances(engine.dailyBalances(account, new Date(2025, 0, 30), new Date(2025, 1, 2))), [
+        [1, 30, "19000.00"],
+        [1, 31, "29000.00"],
+        [2, 1, "26500.00"],
+        [2, 2, "27000.00"]
+    ]);
+    // Before the first transaction the balance is what it was opened with
+    assert.deepEqual(balances(engine.dailyBalances(account, new Date(2024, 11, 31), new Date(2024, 11, 31))), [[12, 31, "0.00"]]);
+    assert.deepEqual(balances(engine.totalDailyBalances(new Date(2025, 0, 31), new Date(2025, 1, 1))), [
+        [1, 31, "29000.00"],
+        [2, 1, "26500.00"]
+    ]);
+});
+
+test("summarise totals income, categorised spending and the balances either side of the range", () => {
+    const summary = engine.summarise(new Date(2025, 1, 1), new Date(2025, 1, 28));
+    assert.equal(summary.count, 2);
+    assert.equal(summary.income.toString(), "500.00");
+    assert.equal(summary.spending.toString(), "2500.00");
+    assert.equal(summary.net.toString(), "-2000.00");
+    assert.equal(summary.byCategory.food.toString(), "2500.00");
+    assert.equal(summary.openingBalance.toString(), "29000.00");
+    assert.equal(summary.closingBalance.toString(), "27000.00");
+});
+
+test("monthly flows split the range at the month boundary", () => {
+    const buckets = engine.flows(new Date(2025, 0, 30), new Date(2025, 1, 2), ANALYTICS_GROUPINGS.MONTH);
+    assert.deepEqual(buckets.map(bucket => [bucket.from.getDate(), bucket.to.getDate(), bucket.net.toString()]), [
+        [30, 31, "10000.00"],
+        [1, 2, "-2000.00"]
+    ]);
+    assert.equal(engine.flows(new Date(2025, 0, 30), new Date(2025, 1, 2), ANALYTICS_GROUPINGS.DAY).length, 4);
+    assert.throws(() => engine.flows(new Date(2025, 0, 1), new Date(2025, 0, 2), "week"), /Unknown grouping/);
+});
+
+test("month-to-date compares against the same days of the previous month", () => {
+    const comparison = engine.compare("month");
+    assert.equal(comparison.current.spending.toString(), "2500.00");
+    assert.equal(comparison.previous.spending.toString(), "1000.00");
+    assert.equal(comparison.changes.spending, 150);
+    assert.equal(comparison.changes.income, -97.5);
+    // Nothing happened a year earlier to compare against
+    assert.equal(engine.compare("year").changes.spending, null);
+    assert.throws(() => engine.compare("week"), /Unknown comparison/);
+    assert.equal(percentChange(Money.of(50), Money.of(-100)), 150);
+});
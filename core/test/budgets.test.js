@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    ManualClock,
+    setBankingClock,
+    SavingsAccount,
+    Budget,
+    BudgetTracker,
+    BUDGET_ROLLOVER_MODES
+} from "../index.js";
+
+let clock;
+let account;
+let tracker;
+
+const JANUARY = new Date(2025, 0, 1);
+const FEBRUARY = new Date(2025, 1, 1);
+const MARCH = new Date(2025, 2, 1);
+
+// A ₹5,000 food budget overspent by ₹2,000 in January, then underspent in February
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 15));
+    setBankingClock(clock);
+    account = new SavingsAccount("SB-1", 50000);
+    account.withdraw(7000, "Restaurant", null, "food");
+    clock.set(new Date(2025, 1, 10));
+    account.withdraw(1000, "Groceries", null, "food");
+    clock.set(new Date(2025, 2, 5));
+    tracker = new BudgetTracker();
+    tracker.attach(account);
+});
+
+const budget = rollover => tracker.add(new Budget({ category: "food", amount: 5000, rollover, startDate: JANUARY }));
+
+test("without rollover every month gets the budgeted amount", () => {
+    const food = budget(BUDGET_ROLLOVER_MODES.NONE);
+    assert.equal(tracker.spentIn(food, JANUARY).toString(), "7000.00");
+    assert.equal(tracker.limitFor(food, FEBRUARY).toString(), "5000.00");
+    assert.equal(tracker.limitFor(food, MARCH).toString(), "5000.00");
+});
+
+test("UNSPENT rollover drops an overspend but carries leftovers forward", () => {
+    const food = budget(BUDGET_ROLLOVER_MODES.UNSPENT);
+    assert.equal(tracker.limitFor(food, JANUARY).toString(), "5000.00");
+    // January's ₹2,000 overspend is not taken out of February
+    assert.equal(tracker.limitFor(food, FEBRUARY).toString(), "5000.00");
+    // February leaves ₹4,000 unspent
+    assert.equal(tracker.limitFor(food, MARCH).toString(), "9000.00");
+});
+
+test("NET rollover takes an overspend out of the next month", () => {
+    const food = budget(BUDGET_ROLLOVER_MODES.NET);
+    assert.equal(tracker.limitFor(food, FEBRUARY).toString(), "3000.00");
+    // ₹3,000 less ₹1,000 spent carries ₹2,000 into March
+    assert.equal(tracker.limitFor(food, MARCH).toString(), "7000.00");
+    const status = tracker.status(food, new Date(2025, 1, 28));
+    assert.equal(status.remaining.toString(), "2000.00");
+});
+
+test("budgets reject non-spending categories and unknown rollover modes", () => {
+    assert.throws(() => new Budget({ category: "income", amount: 100 }), /spending categories/);
+    assert.throws(() => new Budget({ category: "food", amount: 100, rollover: "sometimes" }), /Unknown rollover mode/);
+    assert.throws(() => new Budget({ category: "food", amount: 0 }), /must be positive/);
+});
@@ -0,0 +1,286 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Money,
+    ManualClock,
+    setBankingClock,
+    setDefaultServices,
+    SavingsAccount,
+    CurrentAccount,
+    Journal,
+    JournalEntry,
+    TransactionPolicy,
+    PolicyViolationError,
+    DepositCommand,
+    WithdrawCommand,
+    TransferCommand,
+    CommandInvoker,
+    COMMAND_STATUSES,
+    CurrencyExchange,
+    StaticFxRateProvider
+} from "../index.js";
+
+let clock;
+let journal;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1));
+    setBankingClock(clock);
+    journal = new Journal();
+    setDefaultServices({ journal: () => journal, policy: () => null });
+});
+
+function totalOf(accounts) {
+    return Money.sum(accounts.map(account => account.balance));
+}
+
+test("deposit and withdraw commands undo and redo exactly", () => {
+    const account = new SavingsAccount("SB-1", 1000);
+    const invoker = new CommandInvoker();
+
+    assert.equal(invoker.executeCommand(new DepositCommand(account, 500, "Cash")), true);
+    assert.equal(invoker.executeCommand(new WithdrawCommand(account, 200, "ATM")), true);
+    assert.equal(account.balance.toString(), "1300.00");
+
+    invoker.undoLastCommand();
+    assert.equal(account.balance.toString(), "1500.00");
+    invoker.undoLastCommand();
+    assert.equal(account.balance.toString(), "1000.00");
+    assert.equal(invoker.canUndo, false);
+
+    invoker.redoLastCommand();
+    invoker.redoLastCommand();
+    assert.equal(account.balance.toString(), "1300.00");
+    assert.equal(invoker.canRedo, false);
+    assert.throws(() => invoker.redoLastCommand(), /No commands to redo/);
+});
+
+test("transfers conserve the total across every step", () => {
+    const accounts = [new SavingsAccount("SB-1", 5000), new CurrentAccount("CA-1", 2000), new SavingsAccount("SB-2", 0)];
+    const total = totalOf(accounts);
+    const invoker = new CommandInvoker();
+
+    invoker.executeCommand(new TransferCommand(accounts[0], accounts[1], 1500.75, "Rent share"));
+    invoker.executeCommand(new TransferCommand(accounts[1], accounts[2], 3000, "Savings"));
+    invoker.executeCommand(new TransferCommand(accounts[2], accounts[0], "0.01", "Rounding"));
+    assert.ok(totalOf(accounts).equals(total));
+
+    while (invoker.canUndo) {
+        invoker.undoLastCommand();
+        assert.ok(totalOf(accounts).equals(total));
+    }
+    assert.deepEqual(accounts.map(account => account.balance.toString()), ["5000.00", "2000.00", "0.00"]);
+    // Each transfer and each undo is its own balanced journal entry
+    assert.equal(journal.entries.length, 6);
+    assert.equal(journal.entries[3].reversalOf, journal.entries[2].id);
+});
+
+test("a new command clears the redo stack", () => {
+    const account = new SavingsAccount("SB-1", 1000);
+    const invoker = new CommandInvoker();
+    invoker.executeCommand(new DepositCommand(account, 100, "One"));
+    invoker.undoLastCommand();
+    assert.equal(invoker.canRedo, true);
+    invoker.executeCommand(new DepositCommand(account, 50, "Two"));
+    assert.equal(invoker.canRedo, false);
+});
+
+test("a failed command returns false and changes nothing", () => {
+    const from = new SavingsAccount("SB-1", 100);
+    const to = new SavingsAccount("SB-2", 0);
+    const invoker = new CommandInvoker();
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(invoker.executeCommand(new TransferCommand(from, to, 500, "Too much")), false);
+        assert.equal(invoker.executeCommand(new WithdrawCommand(from, 101, "Too much")), false);
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.equal(from.balance.toString(), "100.00");
+    assert.ok(to.balance.isZero());
+    assert.equal(from.transactionHistory.length, 0);
+    assert.equal(journal.entries.length, 0);
+    assert.equal(invoker.canUndo, false);
+    assert.deepEqual(invoker.log.map(record => record.status), [COMMAND_STATUSES.FAILED, COMMAND_STATUSES.FAILED]);
+});
+
+test("limit breaches are thrown with one violation per rule", () => {
+    const account = new SavingsAccount("SB-1", 100000);
+    const policy = new TransactionPolicy({ perTransaction: 10000 }, clock);
+    const invoker = new CommandInvoker();
+    const originalError = console.error;
+    console.error = () => {};
+    let caught = null;
+    try {
+        invoker.executeCommand(new WithdrawCommand(account, 99500, "Everything", "branch", policy));
+    } catch (error) {
+        caught = error;
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.ok(caught instanceof PolicyViolationError);
+    assert.deepEqual(caught.violations.map(violation => violation.rule).sort(), ["daily", "minimumBalance", "perTransaction"]);
+    assert.equal(account.balance.toString(), "100000.00");
+    assert.equal(invoker.log[0].status, COMMAND_STATUSES.FAILED);
+});
+
+test("undone and reverted debits stop counting towards the limits", () => {
+    const account = new SavingsAccount("SB-1", 200000);
+    const other = new SavingsAccount("SB-2", 0);
+    const policy = new TransactionPolicy({ daily: 30000, perTransaction: null }, clock);
+    const invoker = new CommandInvoker();
+    const day = 24 * 60 * 60 * 1000;
+
+    invoker.executeCommand(new WithdrawCommand(account, 20000, "Cash", "branch", policy));
+    assert.equal(policy.usage(account, day).toString(), "20000.00");
+    invoker.undoLastCommand();
+    assert.equal(policy.usage(account, day).toString(), "0.00");
+    invoker.redoLastCommand();
+    assert.equal(policy.usage(account, day).toString(), "20000.00");
+
+    const transfer = new TransferCommand(account, other, 10000, "Rent", journal, "transfer", policy);
+    invoker.executeCommand(transfer);
+    invoker.undoLastCommand();
+    assert.equal(policy.usage(account, day).toString(), "20000.00");
+    invoker.redoLastCommand();
+    assert.equal(policy.usage(account, day).toString(), "30000.00");
+
+    const withdrawal = invoker.log[0].command;
+    invoker.revertCommand(withdrawal.id);
+    invoker.revertCommand(transfer.id);
+    assert.equal(policy.usage(account, day).toString(), "0.00");
+    assert.equal(invoker.executeCommand(new WithdrawCommand(account, 30000, "Cash again", "branch", policy)), true);
+});
+
+test("reverting an older command compensates it and leaves the rest in place", () => {
+    const from = new SavingsAccount("SB-1", 5000);
+    const to = new SavingsAccount("SB-2", 0);
+    const invoker = new CommandInvoker();
+    const first = new TransferCommand(from, to, 1000, "First");
+    invoker.executeCommand(first);
+    invoker.executeCommand(new DepositCommand(to, 250, "Cash"));
+
+    const compensation = invoker.revertCommand(first.id);
+    assert.equal(from.balance.toString(), "5000.00");
+    assert.equal(to.balance.toString(), "250.00");
+    assert.equal(invoker.history.length, 1);
+    assert.throws(() => invoker.revertCommand(first.id), /Only executed commands can be reverted/);
+    assert.throws(() => invoker.revertCommand(compensation.id), /cannot itself be reverted/);
+});
+
+test("undoing a cross-currency transfer restores both balances exactly", () => {
+    const rupees = new SavingsAccount("SB-INR", 100000);
+    const dollars = new SavingsAccount("SB-USD", Money.of(0, "USD"));
+    const invoker = new CommandInvoker();
+    const transfer = new TransferCommand(rupees, dollars, 10000, "Travel money");
+    invoker.executeCommand(transfer);
+
+    assert.equal(dollars.currency, "USD");
+    assert.ok(dollars.balance.isPositive());
+    assert.ok(transfer.quote);
+    assert.ok(transfer.creditedAmount.equals(dollars.balance));
+
+    invoker.undoLastCommand();
+    assert.equal(rupees.balance.toString(), "100000.00");
+    assert.ok(dollars.balance.isZero());
+});
+
+test("redoing a cross-currency transfer credits at the rate first used", () => {
+    const rates = new StaticFxRateProvider();
+    const exchange = new CurrencyExchange(rates);
+    const rupees = new SavingsAccount("SB-INR", 100000);
+    const dollars = new SavingsAccount("SB-USD", Money.of(0, "USD"));
+    const invoker = new CommandInvoker();
+    const transfer = new TransferCommand(rupees, dollars, 10000, "Travel money", journal, "transfer", null, exchange);
+    invoker.executeCommand(transfer);
+    const credited = dollars.balance.toString();
+    const quote = transfer.quote;
+
+    invoker.undoLastCommand();
+    rates.setRate("USD", "90");
+    invoker.redoLastCommand();
+    assert.equal(dollars.balance.toString(), credited);
+    assert.equal(transfer.quote, quote);
+    assert.equal(journal.entries.at(-1).fx, quote);
+
+    invoker.undoLastCommand();
+    const restored = CommandInvoker.fromJSON(JSON.parse(JSON.stringify(invoker)), number => ({ "SB-INR": rupees, "SB-USD": dollars })[number], journal);
+    restored.redoLastCommand();
+    assert.equal(dollars.balance.toString(), credited);
+    assert.equal(restored.history[0].quote.rate, quote.rate);
+});
+
+test("stats count executed, failed, undone and reverted commands apart", () => {
+    const account = new SavingsAccount("SB-1", 1000);
+    const invoker = new CommandInvoker();
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        invoker.executeCommand(new WithdrawCommand(account, 5000, "Too much"));
+    } finally {
+        console.error = originalError;
+    }
+    const reverted = new DepositCommand(account, 100, "Cash");
+    invoker.executeCommand(reverted);
+    invoker.executeCommand(new DepositCommand(account, 200, "Cheque"));
+    invoker.executeCommand(new DepositCommand(account, 300, "Transfer in"));
+    invoker.undoLastCommand();
+    invoker.revertCommand(reverted.id);
+
+    assert.deepEqual(invoker.stats, { total: 5, successful: 2, failed: 1, undone: 1, reverted: 1, undoable: 1, redoable: 1 });
+});
+
+test("the invoker's history survives a JSON round trip", () => {
+    const accounts = new Map([["SB-1", new SavingsAccount("SB-1", 3000)], ["SB-2", new SavingsAccount("SB-2", 0)]]);
+    const resolve = number => accounts.get(number);
+    const invoker = new CommandInvoker();
+    invoker.executeCommand(new DepositCommand(resolve("SB-1"), 500, "Cash"));
+    invoker.executeCommand(new TransferCommand(resolve("SB-1"), resolve("SB-2"), 1200, "Move"));
+    invoker.undoLastCommand();
+
+    const restored = CommandInvoker.fromJSON(JSON.parse(JSON.stringify(invoker)), resolve, journal);
+    assert.deepEqual(restored.log.map(record => record.status), [COMMAND_STATUSES.EXECUTED, COMMAND_STATUSES.UNDONE]);
+    assert.equal(restored.history.length, 1);
+
+    restored.redoLastCommand();
+    assert.equal(resolve("SB-1").balance.toString(), "2300.00");
+    assert.equal(resolve("SB-2").balance.toString(), "1200.00");
+    restored.undoLastCommand();
+    restored.undoLastCommand();
+    assert.equal(resolve("SB-1").balance.toString(), "3000.00");
+});
+
+test("transfers post to the journal registered as the default service", () => {
+    const from = new SavingsAccount("SB-1", 1000);
+    const to = new SavingsAccount("SB-2", 0);
+    new TransferCommand(from, to, 400, "Default journal").execute();
+    assert.equal(journal.entries.length, 1);
+
+    const other = new Journal();
+    setDefaultServices({ journal: () => other });
+    new TransferCommand(from, to, 100, "Swapped journal").execute();
+    assert.equal(other.entries.length, 1);
+    assert.equal(journal.entries.length, 1);
+});
+
+test("the journal rejects unbalanced entries and rolls back failed postings", () => {
+    const from = new SavingsAccount("SB-1", 1000);
+    const to = new SavingsAccount("SB-2", 0);
+
+    assert.throws(() => journal.post(new JournalEntry("Lopsided", [
+        { account: from, direction: "debit", amount: 100 },
+        { account: to, direction: "credit", amount: 90 }
+    ])), /not balanced/);
+    assert.throws(() => journal.post(new JournalEntry("Overdrawn", [
+        { account: from, direction: "debit", amount: 1500 },
+        { account: to, direction: "credit", amount: 1500 }
+    ])), /Insufficient balance/);
+
+    assert.equal(from.balance.toString(), "1000.00");
+    assert.ok(to.balance.isZero());
+    assert.equal(journal.entries.length, 0);
+});
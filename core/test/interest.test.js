@@ -0,0 +1,200 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Money,
+    ManualClock,
+    setBankingClock,
+    SavingsAccount,
+    CurrentAccount,
+    FixedDepositAccount,
+    SimpleInterestStrategy,
+    CompoundInterestStrategy,
+    TieredInterestStrategy,
+    OverdraftInterestStrategy,
+    InterestCalculator,
+    createInterestStrategy,
+    InterestAccrualEngine,
+    DAY_COUNT_CONVENTIONS,
+    days360,
+    nextPostingDate,
+    interestRates
+} from "../index.js";
+
+let clock;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1));
+    setBankingClock(clock);
+});
+
+// Closed-form compound interest in floating point, rounded to paise, to check the exact calculation against
+function compoundReference(principal, rate, periodsPerYear, years) {
+    const growth = Math.pow(1 + rate / 100 / periodsPerYear, periodsPerYear * years);
+    return Math.round(principal * (growth - 1) * 100) / 100;
+}
+
+test("simple interest is principal × rate × months / 1200", () => {
+    const account = new SavingsAccount("SB-1", 100000);
+    account.setInterestStrategy(new SimpleInterestStrategy());
+    assert.equal(account.calculateInterest().toString(), "4500.00");
+    assert.equal(account.calculateInterest(6).toString(), "2250.00");
+    assert.equal(account.calculateInterest(1).toString(), "375.00");
+});
+
+test("each account kind reads its own rate from the rate table", () => {
+    assert.equal(new SavingsAccount("SB-1", 10000).calculateInterest().toString(), "450.00");
+    assert.equal(new CurrentAccount("CA-1", 10000).calculateInterest().toString(), "200.00");
+    const deposit = new FixedDepositAccount("FD-1", 10000, 24);
+    assert.equal(deposit.calculateInterest().toString(), "1500.00");
+    assert.equal(deposit.maturityAmount.toString(), "11500.00");
+});
+
+test("no interest is earned on a zero or overdrawn balance", () => {
+    assert.ok(new SavingsAccount("SB-1", 0).calculateInterest().isZero());
+    assert.ok(new CurrentAccount("CA-1", -5000).calculateInterest().isZero());
+});
+
+test("compound interest matches the closed-form formula", () => {
+    const account = new SavingsAccount("SB-1", 100000);
+    [["monthly", 12], ["quarterly", 4], ["annual", 1]].forEach(([frequency, periods]) => {
+        account.setInterestStrategy(new CompoundInterestStrategy(frequency, "savings"));
+        assert.equal(account.calculateInterest(12).toNumber(), compoundReference(100000, 4.5, periods, 1), frequency);
+        assert.equal(account.calculateInterest(60).toNumber(), compoundReference(100000, 4.5, periods, 5), frequency);
+    });
+});
+
+test("a trailing part period earns simple interest on the compounded balance", () => {
+    const account = new SavingsAccount("SB-1", 100000);
+    account.setInterestStrategy(new CompoundInterestStrategy("quarterly", "savings"));
+    const twoQuarters = 100000 * Math.pow(1.01125, 2);
+    const expected = Math.round((twoQuarters * (1 + 0.045 / 12) - 100000) * 100) / 100;
+    assert.equal(account.calculateInterest(7).toNumber(), expected);
+    assert.throws(() => new CompoundInterestStrategy("weekly"), /Unknown compounding frequency/);
+});
+
+test("tiered interest pays each slice of the balance its slab's rate", () => {
+    const account = new SavingsAccount("SB-1", 600000);
+    account.setInterestStrategy(new TieredInterestStrategy());
+    // 1,00,000 at 3.5% + 4,00,000 at 4.5% + 1,00,000 at 5%
+    assert.equal(account.calculateInterest(12).toString(), "26500.00");
+
+    const small = new SavingsAccount("SB-2", 50000);
+    small.setInterestStrategy(new TieredInterestStrategy([{ upTo: 10000, rate: 1 }, { upTo: null, rate: 2 }]));
+    assert.equal(small.calculateInterest(12).toString(), "900.00");
+});
+
+test("overdraft interest is charged only on an overdrawn balance", () => {
+    const account = new CurrentAccount("CA-1", -10000);
+    assert.equal(account.calculateOverdraftInterest(1).toString(), "100.00");
+    assert.equal(account.calculateOverdraftInterest(3).toString(), "300.00");
+    assert.ok(new OverdraftInterestStrategy().calculate(new CurrentAccount("CA-2", 500)).isZero());
+});
+
+test("strategies follow rate table changes", () => {
+    const account = new SavingsAccount("SB-1", 10000);
+    const original = interestRates.rateFor("savings");
+    try {
+        interestRates.setRate("savings", 6);
+        assert.equal(account.calculateInterest().toString(), "600.00");
+    } finally {
+        interestRates.setRate("savings", original);
+    }
+    assert.throws(() => interestRates.setRate("savings", -1), /non-negative/);
+});
+
+test("createInterestStrategy picks simple or compound from the settings", () => {
+    assert.ok(createInterestStrategy("savings", { compoundInterest: false }) instanceof SimpleInterestStrategy);
+    const compound = createInterestStrategy("fd", { compoundInterest: true, compoundingFrequency: "monthly" });
+    assert.ok(compound instanceof CompoundInterestStrategy);
+    assert.equal(compound.frequency, "monthly");
+    assert.throws(() => new InterestCalculator().calculateInterest(new SavingsAccount("SB-1", 1), 1), /Strategy not set/);
+});
+
+test("day-count conventions", () => {
+    const start = new Date(2025, 0, 31);
+    const end = new Date(2025, 2, 31);
+    assert.equal(DAY_COUNT_CONVENTIONS.ACTUAL_365.days(start, end), 59);
+    assert.equal(days360(start, end), 60);
+    assert.equal(days360(new Date(2025, 1, 28), new Date(2025, 2, 31)), 33);
+    assert.deepEqual(nextPostingDate(new Date(2025, 1, 14), "quarterly"), new Date(2025, 3, 1));
+    assert.throws(() => nextPostingDate(new Date(), "weekly"), /Unknown posting frequency/);
+});
+
+test("daily accrual on the end-of-day balance under each convention", () => {
+    const account = new SavingsAccount("SB-1", 36500);
+    const from = new Date(2025, 0, 1);
+    const to = new Date(2025, 1, 1);
+    const accrue = convention => new InterestAccrualEngine({ clock, convention }).accrue(account, from, to, 10).toString();
+    assert.equal(accrue(DAY_COUNT_CONVENTIONS.ACTUAL_365), "310.00");
+    assert.equal(accrue(DAY_COUNT_CONVENTIONS.ACTUAL_360), "314.31");
+    assert.equal(accrue(DAY_COUNT_CONVENTIONS.THIRTY_360), "304.17");
+});
+
+test("accrual follows balance changes within the period", () => {
+    const account = new SavingsAccount("SB-1", 0);
+    account.deposit(36500, "Opening");
+    clock.set(new Date(2025, 0, 11, 12));
+    account.deposit(36500, "Top-up");
+    const engine = new InterestAccrualEngine({ clock });
+    // 10 days on 36,500 and 21 days on 73,000 at 10% over 365
+    assert.equal(engine.accrue(account, new Date(2025, 0, 1), new Date(2025, 1, 1), 10).toString(), "520.00");
+});
+
+test("postDue posts one credit per completed period and moves the posted-through date", () => {
+    const account = new SavingsAccount("SB-1", 0);
+    account.deposit(100000, "Opening");
+    const engine = new InterestAccrualEngine({ clock });
+
+    clock.set(new Date(2025, 2, 5));
+    const posted = engine.postDue(account);
+    assert.equal(posted.length, 2);
+    assert.deepEqual(account.interestPostedThrough, new Date(2025, 2, 1));
+    // Both periods accrue on 1,00,000: January's interest is credited when it posts, on Mar 5
+    const january = Money.of(100000).scale(4.5 * 31, 365 * 100);
+    assert.ok(posted[0].amount.equals(january));
+    assert.ok(posted[1].amount.equals(Money.of(100000).scale(4.5 * 28, 365 * 100)));
+    assert.ok(account.balance.equals(Money.of(100000).add(posted[0].amount).add(posted[1].amount)));
+
+    assert.deepEqual(engine.postDue(account), []);
+    clock.set(new Date(2025, 2, 15));
+    assert.ok(engine.accruedToDate(account).isPositive());
+});
+
+test("overdrawn current accounts are charged at the overdraft rate when interest posts", () => {
+    const account = new CurrentAccount("CA-1", 0);
+    account.withdraw(36500, "Overdrawn");
+    const engine = new InterestAccrualEngine({ clock });
+    clock.set(new Date(2025, 1, 1));
+    const [charge] = engine.postDue(account);
+    assert.equal(charge.type, "charge");
+    assert.equal(charge.amount.toString(), Money.of(36500).scale(12 * 31, 365 * 100).toString());
+});
+
+test("accrual uses each slab's rate for an account on the tiered strategy", () => {
+    const account = new SavingsAccount("SB-1", 0);
+    account.deposit(600000, "Opening");
+    account.setInterestStrategy(new TieredInterestStrategy());
+    const engine = new InterestAccrualEngine({ clock });
+
+    clock.set(new Date(2025, 1, 1));
+    const [credit] = engine.postDue(account);
+    // 1,00,000 at 3.5% + 4,00,000 at 4.5% + 1,00,000 at 5%, for 31 days over 365
+    const expected = Money.of(100000 * 3.5 + 400000 * 4.5 + 100000 * 5).scale(31, 365 * 100);
+    assert.ok(credit.amount.equals(expected));
+    assert.equal(credit.amount.toString(), "2250.68");
+});
+
+test("accrual follows the assigned strategy's rate and compounding period", () => {
+    const account = new SavingsAccount("SB-1", 0);
+    account.deposit(100000, "Opening");
+    account.setInterestStrategy(new CompoundInterestStrategy("quarterly", "savings"));
+    const engine = new InterestAccrualEngine({ clock, frequency: "monthly" });
+    assert.equal(engine.frequencyFor(account), "quarterly");
+
+    clock.set(new Date(2025, 3, 1));
+    const posted = engine.postDue(account);
+    assert.equal(posted.length, 1);
+    assert.ok(posted[0].amount.equals(Money.of(100000).scale(4.5 * 90, 365 * 100)));
+    assert.equal(engine.frequencyFor(new SavingsAccount("SB-2", 0)), "monthly");
+});
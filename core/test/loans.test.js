@@ -0,0 +1,232 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Money,
+    ManualClock,
+    setBankingClock,
+    setDefaultServices,
+    BaseAccount,
+    SavingsAccount,
+    FixedDepositAccount,
+    Journal,
+    CommandInvoker,
+    Command,
+    TransactionPolicy,
+    PolicyViolationError,
+    LoanAccount,
+    LoanEvent,
+    LoanDisbursementCommand,
+    EmiPaymentCommand,
+    LoanPrepaymentCommand,
+    PREPAYMENT_MODES,
+    emiFor,
+    tenureFor,
+    amortisationSchedule,
+    scheduleTotals
+} from "../index.js";
+
+let clock;
+let journal;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1));
+    setBankingClock(clock);
+    journal = new Journal();
+    setDefaultServices({ journal: () => journal, policy: () => null });
+});
+
+// A personal loan at 12% repaid from a savings account, disbursed into it on Jan 1
+function disbursedLoan(principal = 100000, tenure = 12, savings = 50000) {
+    const repayment = new SavingsAccount("SB-1", savings);
+    const loan = new LoanAccount("LN-1", 0, { principal, tenure, rate: 12, repaymentAccount: repayment });
+    loan.disburse(repayment, journal);
+    return { loan, repayment };
+}
+
+test("the EMI matches the reducing-balance formula", () => {
+    assert.equal(emiFor(100000, 12, 12).toString(), "8884.88");
+    const reference = (principal, rate, months) => {
+        const r = rate / 1200;
+        return Math.round(principal * r * Math.pow(1 + r, months) / (Math.pow(1 + r, months) - 1) * 100) / 100;
+    };
+    assert.equal(emiFor(2500000, 8.5, 240).toNumber(), reference(2500000, 8.5, 240));
+    assert.equal(emiFor(650000, 9.25, 84).toNumber(), reference(650000, 9.25, 84));
+    assert.equal(emiFor(1200, 0, 12).toString(), "100.00");
+    assert.throws(() => emiFor(1000, 12, 0), /whole number of months/);
+});
+
+test("the schedule repays the principal exactly, the last installment taking up the rounding", () => {
+    const rows = amortisationSchedule(100000, 12, 12, { firstDueDate: new Date(2025, 1, 1) });
+    const totals = scheduleTotals(rows);
+    assert.equal(rows.length, 12);
+    assert.ok(totals.principal.equals(Money.of(100000)));
+    assert.ok(rows.at(-1).closing.isZero());
+    assert.equal(rows[0].interest.toString(), "1000.00");
+    assert.ok(rows.slice(0, -1).every(row => row.payment.equals(Money.of("8884.88"))));
+    assert.ok(rows.every((row, index) => index === 0 || row.opening.equals(rows[index - 1].closing)));
+    assert.deepEqual(rows[11].dueDate, new Date(2026, 0, 1));
+    assert.throws(() => amortisationSchedule(100000, 12, 12, { emi: 1000 }), /does not cover the interest/);
+    assert.equal(tenureFor(100000, 12, "8884.88"), 12);
+});
+
+test("disbursal credits the chosen account once and starts the schedule", () => {
+    const repayment = new SavingsAccount("SB-1", 0);
+    const loan = new LoanAccount("LN-1", 0, { principal: 100000, tenure: 12, rate: 12, repaymentAccount: repayment });
+    assert.throws(() => loan.payInstallment(journal), /no installment to collect/);
+
+    const invoker = new CommandInvoker();
+    assert.equal(invoker.executeCommand(new LoanDisbursementCommand(loan, repayment, journal)), true);
+    assert.equal(repayment.balance.toString(), "100000.00");
+    assert.equal(loan.balance.toString(), "-100000.00");
+    assert.equal(invoker.canUndo, false);
+    assert.deepEqual(loan.nextDueDate, new Date(2025, 1, 1));
+    assert.throws(() => loan.disburse(repayment, journal), /already been disbursed/);
+    assert.throws(() => loan.deposit(10), /EMIs or a prepayment/);
+    assert.throws(() => loan.withdraw(10), /cannot be withdrawn/);
+    assert.equal(loan.operable, false);
+});
+
+test("each EMI charges the month's interest and pays down the principal", () => {
+    const { loan, repayment } = disbursedLoan();
+    const invoker = new CommandInvoker();
+    clock.set(new Date(2025, 1, 1));
+    assert.equal(invoker.executeCommand(new EmiPaymentCommand(loan, journal)), true);
+
+    const [interest] = loan.transactionHistory.filter(transaction => transaction.type === "charge");
+    assert.equal(interest.amount.toString(), "1000.00");
+    assert.equal(loan.balance.toString(), "-92115.12");
+    assert.ok(loan.balance.negate().equals(loan.outstandingPrincipal));
+    assert.equal(repayment.balance.toString(), String(150000 - 8884.88));
+    assert.equal(loan.paidInstallments.length, 1);
+    assert.equal(loan.schedule[0].status, "paid");
+    assert.throws(() => invoker.revertCommand(invoker.log[0].command.id), /cannot be reverted/);
+});
+
+test("a full run of EMIs repays the loan and clears the balance", () => {
+    const { loan } = disbursedLoan(100000, 12, 100000);
+    const events = [];
+    loan.addObserver({ update: event => events.push(event) });
+    for (let month = 1; month <= 12; month++) {
+        clock.set(new Date(2025, month, 1));
+        loan.payInstallment(journal);
+    }
+    assert.ok(loan.isRepaid);
+    assert.ok(loan.balance.isZero());
+    assert.equal(loan.nextInstallment, null);
+    assert.equal(events.filter(event => event instanceof LoanEvent).map(event => event.type).join(), "loan_repaid");
+    loan.close(null, journal, null);
+    assert.equal(loan.status, "closed");
+});
+
+test("an EMI the repayment account cannot cover charges nothing", () => {
+    const { loan, repayment } = disbursedLoan(100000, 12, 0);
+    repayment.withdraw(95000, "Spent");
+    clock.set(new Date(2025, 1, 1));
+    assert.throws(() => loan.payInstallment(journal), /Insufficient balance/);
+    assert.equal(loan.balance.toString(), "-100000.00");
+    assert.equal(loan.transactionHistory.length, 1);
+    assert.equal(loan.paidInstallments.length, 0);
+});
+
+test("installments unpaid past the grace period are charged one late fee each", () => {
+    const { loan } = disbursedLoan(100000, 12, 0);
+    const heard = [];
+    loan.addObserver({ update: event => heard.push(event) });
+
+    clock.set(new Date(2025, 1, 6)); // Due Feb 1, five days' grace
+    assert.deepEqual(loan.applyLateFees(), []);
+    clock.set(new Date(2025, 1, 7));
+    const [overdue] = loan.applyLateFees();
+    assert.equal(overdue.type, "installment_overdue");
+    assert.equal(overdue.amount.toString(), "177.70"); // 2% of 8,884.88
+    assert.deepEqual(loan.applyLateFees(), []);
+    assert.ok(heard.includes(overdue));
+
+    // The fee is collected with the installment
+    const collected = new EmiPaymentCommand(loan, journal);
+    assert.equal(Money.fromJSON(collected.toJSON().amount).toString(), "9062.58");
+    collected.execute();
+    assert.ok(loan.feesDue.isZero());
+    assert.ok(loan.balance.negate().equals(loan.outstandingPrincipal));
+});
+
+test("prepaying keeps the EMI and shortens the tenure, or keeps the tenure and lowers the EMI", () => {
+    const tenure = disbursedLoan(100000, 12, 100000).loan;
+    clock.set(new Date(2025, 1, 1));
+    tenure.payInstallment(journal);
+    tenure.prepay(tenure.repaymentAccount, 40000, PREPAYMENT_MODES.REDUCE_TENURE, journal);
+    assert.ok(tenure.emi.equals(Money.of("8884.88")));
+    assert.equal(tenure.remainingSchedule.length, 7);
+    assert.ok(tenure.balance.negate().equals(tenure.outstandingPrincipal));
+    assert.ok(scheduleTotals(tenure.remainingSchedule).principal.equals(tenure.outstandingPrincipal));
+    assert.deepEqual(tenure.remainingSchedule[0].dueDate, new Date(2025, 2, 1));
+
+    setBankingClock(clock = new ManualClock(new Date(2025, 0, 1)));
+    const lower = disbursedLoan(100000, 12, 100000).loan;
+    clock.set(new Date(2025, 1, 1));
+    lower.payInstallment(journal);
+    lower.prepay(lower.repaymentAccount, 40000, PREPAYMENT_MODES.REDUCE_EMI, journal);
+    assert.equal(lower.remainingSchedule.length, 11);
+    assert.ok(lower.emi.equals(emiFor(Money.of("52115.12"), 12, 11)));
+    assert.equal(lower.prepayments[0].monthsAfter, 11);
+
+    assert.throws(() => lower.prepay(lower.repaymentAccount, 60000, PREPAYMENT_MODES.REDUCE_EMI, journal), /exceeds/);
+    lower.prepay(lower.repaymentAccount, lower.outstandingPrincipal, PREPAYMENT_MODES.REDUCE_EMI, journal);
+    assert.ok(lower.isRepaid);
+    assert.ok(lower.balance.isZero());
+});
+
+test("prepayments wait for overdue installments and respect the transfer limits", () => {
+    const { loan, repayment } = disbursedLoan(100000, 12, 100000);
+    clock.set(new Date(2025, 1, 2));
+    assert.throws(() => loan.prepay(repayment, 1000, PREPAYMENT_MODES.REDUCE_TENURE, journal), /overdue installment/);
+    loan.payInstallment(journal);
+
+    const policy = new TransactionPolicy({ perTransaction: 10000 }, clock);
+    const invoker = new CommandInvoker();
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.throws(() => invoker.executeCommand(new LoanPrepaymentCommand(loan, repayment, 20000, PREPAYMENT_MODES.REDUCE_TENURE, journal, policy)),
+            PolicyViolationError);
+    } finally {
+        console.error = originalError;
+    }
+    assert.equal(loan.prepayments.length, 0);
+});
+
+test("accounts a deposit or loan depends on are listed as linked", () => {
+    const savings = new SavingsAccount("SB-1", 1000);
+    assert.deepEqual(new FixedDepositAccount("FD-1", 1000, 12, { payoutAccount: savings }).linkedAccounts, [savings]);
+    assert.deepEqual(new LoanAccount("LN-1", 0, { principal: 1000, repaymentAccount: savings }).linkedAccounts, [savings]);
+    assert.deepEqual(savings.linkedAccounts, []);
+    assert.throws(() => new LoanAccount("LN-2", 0, { loanType: "boat" }), /Unknown loan type/);
+});
+
+test("loans and their commands survive a JSON round trip", () => {
+    const { loan, repayment } = disbursedLoan(100000, 12, 100000);
+    const invoker = new CommandInvoker();
+    clock.set(new Date(2025, 1, 1));
+    invoker.executeCommand(new EmiPaymentCommand(loan, journal));
+    invoker.executeCommand(new LoanPrepaymentCommand(loan, repayment, 10000, PREPAYMENT_MODES.REDUCE_EMI, journal));
+
+    const saved = new Map([repayment, loan].map(account => [account.accountNumber, BaseAccount.fromJSON(JSON.parse(JSON.stringify(account)))]));
+    const resolve = number => saved.get(number);
+    saved.forEach(account => account._resolveLinks(resolve));
+    const restored = resolve("LN-1");
+
+    assert.ok(restored instanceof LoanAccount);
+    assert.equal(restored.repaymentAccount, resolve("SB-1"));
+    assert.ok(restored.emi.equals(loan.emi));
+    assert.ok(restored.outstandingPrincipal.equals(loan.outstandingPrincipal));
+    assert.deepEqual(restored.schedule.map(row => row.payment.toString()), loan.schedule.map(row => row.payment.toString()));
+
+    const commands = CommandInvoker.fromJSON(JSON.parse(JSON.stringify(invoker)), resolve, journal);
+    assert.deepEqual(commands.log.map(record => record.command.toJSON().kind), ["emi", "prepayment"]);
+    assert.ok(Command.fromJSON(JSON.parse(JSON.stringify(invoker.log[0].command)), resolve, journal) instanceof EmiPaymentCommand);
+
+    clock.set(new Date(2025, 2, 1));
+    restored.payInstallment(journal);
+    assert.ok(restored.balance.negate().equals(restored.outstandingPrincipal));
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Money, ROUNDING_MODES, formatAmount } from "../index.js";
+
+test("Money.of parses decimals exactly into minor units", () => {
+    assert.equal(Money.of("1250.50").minor, 125050);
+    assert.equal(Money.of(0.1).add(Money.of(0.2)).toString(), "0.30");
+    assert.equal(Money.of("1e3").minor, 100000);
+    assert.equal(Money.of(500, "JPY").minor, 500);
+    assert.throws(() => Money.of("12abc"), /Invalid decimal value/);
+});
+
+test("rounding modes differ only on exact ties", () => {
+    assert.equal(Money.of("0.125").toString(), "0.12");
+    assert.equal(Money.of("0.135").toString(), "0.14");
+    assert.equal(Money.of("0.125", "INR", ROUNDING_MODES.HALF_UP).toString(), "0.13");
+    assert.equal(Money.of("-0.125", "INR", ROUNDING_MODES.HALF_UP).toString(), "-0.13");
+    assert.equal(Money.of("0.126").toString(), "0.13");
+});
+
+test("scale and percentage round once", () => {
+    assert.equal(Money.of(1000).percentage(4.5).toString(), "45.00");
+    assert.equal(Money.of(100).scale(1, 3).toString(), "33.33");
+    assert.equal(Money.of("0.05").multiply("0.5").toString(), "0.02");
+});
+
+test("allocate never loses or creates a minor unit", () => {
+    const parts = Money.of(100).split(3);
+    assert.deepEqual(parts.map(part => part.toString()), ["33.34", "33.33", "33.33"]);
+    assert.ok(Money.sum(parts).equals(Money.of(100)));
+
+    const weighted = Money.of("0.05").allocate([70, 30]);
+    assert.deepEqual(weighted.map(part => part.minor), [4, 1]);
+    assert.throws(() => Money.of(1).allocate([0, 0]), /cannot all be zero/);
+});
+
+test("arithmetic refuses to mix currencies", () => {
+    assert.throws(() => Money.of(1, "USD").add(Money.of(1, "EUR")), /Currency mismatch/);
+    assert.equal(Money.of(10, "USD").convert("INR", "83.25").toString(), "832.50");
+    assert.equal(Money.of(1000, "INR").convert("JPY", "1.7857").toString(), "1786");
+});
+
+test("serialises to and from JSON", () => {
+    const money = Money.of("-42.07", "GBP");
+    assert.ok(Money.fromJSON(JSON.parse(JSON.stringify(money))).equals(money));
+});
+
+test("formatAmount writes each currency in its own locale", () => {
+    assert.equal(formatAmount(Money.of(246250)), "₹2,46,250.00");
+    assert.equal(formatAmount(1234.5, "USD"), "$1,234.50");
+    assert.equal(formatAmount(Money.of(1200, "JPY")).replace(/\s/g, ""), "￥1,200");
+});
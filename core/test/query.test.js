@@ -0,0 +1,178 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Money,
+    ManualClock,
+    setBankingClock,
+    SavingsAccount,
+    CurrentAccount,
+    Journal,
+    JournalEntry,
+    Transaction,
+    TransactionQuery,
+    QuerySyntaxError,
+    QUERY_FIELDS,
+    sortTransactions,
+    paginate,
+    SavedFilters
+} from "../index.js";
+
+let clock;
+let savings;
+let current;
+let listed;
+let context;
+
+// A month of activity on two accounts, listed the way the pages list it: account rows plus journal entries
+beforeEach(() => {
+    clock = new ManualClock(new Date(2026, 8, 1));
+    setBankingClock(clock);
+    const journal = new Journal();
+    savings = new SavingsAccount("****4589", 50000);
+    current = new CurrentAccount("****9210", 10000);
+
+    clock.set(new Date(2026, 8, 3));
+    savings.deposit(60000, "Salary");
+    clock.set(new Date(2026, 8, 12));
+    savings.withdraw(2000, "ATM withdrawal");
+    clock.set(new Date(2026, 8, 20));
+    current.withdraw(7500, "Electricity bill", "payment", "bills");
+    clock.set(new Date(2026, 9, 2));
+    journal.post(new JournalEntry("Rent", [
+        { account: savings, direction: "debit", amount: 18000 },
+        { account: current, direction: "credit", amount: 18000 }
+    ]));
+    clock.set(new Date(2026, 10, 5));
+    current.withdraw(900, "ATM withdrawal");
+
+    const owners = new Map();
+    [savings, current].forEach(account => account.transactionHistory.forEach(transaction => owners.set(transaction, [account])));
+    listed = [savings, current].flatMap(account => account.transactionHistory.filter(transaction => !transaction.journalId))
+        .concat(journal.entries);
+    context = { accountsOf: transaction => transaction instanceof JournalEntry ? transaction.legs.map(leg => leg.account) : owners.get(transaction) };
+});
+
+function descriptions(query, options = {}) {
+    return TransactionQuery.parse(query).run(listed, { ...context, ...options }).items.map(transaction => transaction.description);
+}
+
+test("bare words and quoted phrases match the description or type", () => {
+    assert.deepEqual(descriptions("atm"), ["ATM withdrawal", "ATM withdrawal"]);
+    assert.deepEqual(descriptions("\"electricity bill\""), ["Electricity bill"]);
+    assert.deepEqual(descriptions("deposit"), ["Salary"]);
+    assert.equal(descriptions("").length, 5);
+});
+
+test("fields compare amounts, dates, accounts and categories", () => {
+    assert.deepEqual(descriptions("amount>5000 sort:date"), ["Salary", "Electricity bill", "Rent"]);
+    assert.deepEqual(descriptions("amount:1000..8000 sort:amount"), ["ATM withdrawal", "Electricity bill"]);
+    assert.deepEqual(descriptions("amount<=900"), ["ATM withdrawal"]);
+    assert.deepEqual(descriptions("date:2026-09-12"), ["ATM withdrawal"]);
+    assert.deepEqual(descriptions("date:2026-09..2026-10 sort:date"), ["Salary", "ATM withdrawal", "Electricity bill", "Rent"]);
+    assert.deepEqual(descriptions("date>2026-09"), ["ATM withdrawal", "Rent"]);
+    assert.deepEqual(descriptions("date:2026-10.."), ["ATM withdrawal", "Rent"]);
+    assert.deepEqual(descriptions("account:current sort:date"), ["Electricity bill", "Rent", "ATM withdrawal"]);
+    assert.deepEqual(descriptions("account:4589 direction:debit"), ["Rent", "ATM withdrawal"]);
+    assert.deepEqual(descriptions("category:bills channel:payment"), ["Electricity bill"]);
+    assert.deepEqual(descriptions("type:transfer"), ["Rent"]);
+});
+
+test("the example query combines every kind of term", () => {
+    assert.deepEqual(descriptions("amount>5000 account:savings date:2026-09..2026-10 -\"ATM\" sort:date"), ["Salary", "Rent"]);
+    assert.deepEqual(descriptions("account:savings -type:deposit -rent"), ["ATM withdrawal"]);
+});
+
+test("mistakes are reported with the term at fault", () => {
+    const mistakes = {
+        "amount>lots": /"lots" is not an amount in "amount>lots"/,
+        "colour>red": /Unknown field "colour"; use amount, date, account, category, type, direction, channel or sort/,
+        "amount:..": /A range needs at least one end in "amount:.."/,
+        "date:..": /A range needs at least one end/,
+        "date:2026-13": /has no month 13/,
+        "date:2026-02-30": /not a day of the month/,
+        "date>2026-09..2026-10": /Ranges only go with/,
+        "category:snacks": /Unknown category "snacks"/,
+        "account>4589": /account does not take ">"/,
+        "sort:balance": /Cannot sort by "balance"/,
+        "amount>": /amount needs a value/,
+        "amount>5000.555": /"5000.555" has more than 2 decimal places/,
+        "amount:10..20.001": /"20.001" has more than 2 decimal places/,
+        "sort:date sort:-amount": /single sort: term in "sort:-amount"/,
+        "\"ATM": /Unterminated quote/
+    };
+    Object.entries(mistakes).forEach(([query, message]) => {
+        assert.throws(() => TransactionQuery.parse(query), error => error instanceof QuerySyntaxError && message.test(error.message), query);
+    });
+});
+
+test("a word before \":\" that is not a field is searched as text", () => {
+    const linked = new Transaction("deposit", 100, "Refund ref:42 see http://shop.example", Money.of(100));
+    assert.equal(TransactionQuery.parse("http://shop.example").matches(linked), true);
+    assert.equal(TransactionQuery.parse("ref:42 amount:100").matches(linked), true);
+    assert.equal(TransactionQuery.parse("-ref:43").matches(linked), true);
+    assert.deepEqual(TransactionQuery.parse("http://x").terms, [{ negated: false, field: null, operator: null, value: "http://x", quoted: false, text: "http://x" }]);
+});
+
+test("journal entries match the direction of their legs on the listed accounts", () => {
+    const onlySavings = { accountsOf: transaction => (transaction instanceof JournalEntry ? transaction.legs.map(leg => leg.account) : []).filter(account => account === savings) };
+    const rent = listed.find(transaction => transaction.description === "Rent");
+    assert.equal(TransactionQuery.parse("direction:debit").matches(rent, onlySavings), true);
+    assert.equal(TransactionQuery.parse("direction:credit").matches(rent, onlySavings), false);
+    assert.deepEqual(descriptions("direction:credit"), ["Rent", "Salary"]);
+});
+
+test("results sort newest first unless asked otherwise, and come a page at a time", () => {
+    assert.deepEqual(descriptions("").slice(0, 2), ["ATM withdrawal", "Rent"]);
+    assert.deepEqual(descriptions("", { sort: "-amount" }).slice(0, 2), ["Salary", "Rent"]);
+    assert.deepEqual(descriptions("sort:description", { sort: "-amount" })[0], "ATM withdrawal");
+
+    const result = TransactionQuery.parse("").run(listed, { ...context, page: 2, pageSize: 2 });
+    assert.deepEqual([result.total, result.page, result.pageCount, result.items.length], [5, 2, 3, 2]);
+    assert.equal(paginate(listed, 9, 2).page, 3);
+    assert.equal(paginate([], 1).pageCount, 1);
+    assert.throws(() => sortTransactions(listed, "balance"), /Unknown sort key/);
+});
+
+test("amounts compare exactly in their own currency and sort across currencies at mid rates", () => {
+    const rupees = new Transaction("deposit", 5000, "Rupees", 5000);
+    const dollars = new Transaction("deposit", Money.of(100, "USD"), "Dollars", Money.of(100, "USD"));
+    const yen = new Transaction("deposit", Money.of(1, "JPY"), "Yen", Money.of(1, "JPY"));
+
+    assert.equal(TransactionQuery.parse("amount>0.5").matches(yen), true);
+    assert.equal(TransactionQuery.parse("amount<=0.5").matches(yen), false);
+    assert.equal(TransactionQuery.parse("amount:5000.00").matches(rupees), true);
+    assert.equal(TransactionQuery.parse("amount>4999.99").matches(rupees), true);
+
+    // $100 is worth more than ₹5,000, though 100 is the smaller number
+    assert.deepEqual(sortTransactions([dollars, rupees, yen], "amount").map(transaction => transaction.description),
+        ["Yen", "Rupees", "Dollars"]);
+});
+
+test("apps can register their own fields", () => {
+    QUERY_FIELDS.memo = { operators: ["="], compile: (operator, value) => transaction => transaction.description.startsWith(value) };
+    try {
+        assert.deepEqual(descriptions("memo:Elec"), ["Electricity bill"]);
+    } finally {
+        delete QUERY_FIELDS.memo;
+    }
+    const plain = new Transaction("deposit", 100, "Cash", Money.of(100));
+    assert.equal(TransactionQuery.parse("account:savings").matches(plain), false);
+});
+
+test("saved filters are checked, replaced by name and survive a JSON round trip", () => {
+    const saved = new SavedFilters();
+    saved.save("Big bills", "category:bills amount>5000", "-amount");
+    saved.save("big BILLS", "category:bills amount>1000");
+    assert.equal(saved.filters.length, 1);
+    assert.equal(saved.find("Big Bills").query, "category:bills amount>1000");
+    assert.throws(() => saved.save("Broken", "amount>lots"), QuerySyntaxError);
+    assert.throws(() => saved.save("", "rent"), /name/);
+    assert.throws(() => saved.save("Nothing", "  "), /no search to save/);
+
+    const restored = SavedFilters.fromJSON(JSON.parse(JSON.stringify(saved)));
+    assert.deepEqual(restored.filters, saved.filters);
+    restored.remove("big bills");
+    assert.equal(restored.filters.length, 0);
+    assert.throws(() => restored.remove("big bills"), /No saved filter/);
+});
@@ -0,0 +1,158 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Money,
+    ManualClock,
+    setBankingClock,
+    setDefaultServices,
+    BaseAccount,
+    SavingsAccount,
+    RecurringDepositAccount,
+    RecurringDepositInstallmentCommand,
+    RecurringDepositInterestStrategy,
+    quarterlyCompoundedInterest,
+    Journal,
+    CommandInvoker,
+    Command
+} from "../index.js";
+
+let clock;
+let journal;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1));
+    setBankingClock(clock);
+    journal = new Journal();
+    setDefaultServices({ journal: () => journal, policy: () => null });
+});
+
+// ₹1,000 a month for a year at 7%, funded from a savings account; the opening deposit is installment 1
+function openDeposit(savings = 20000) {
+    const funding = new SavingsAccount("SB-1", savings);
+    const deposit = new RecurringDepositAccount("RD-1", 1000, 12, { installment: 1000, fundingAccount: funding });
+    return { deposit, funding };
+}
+
+// Each installment compounding quarterly from the start of its month, in floating point
+function recurringReference(installment, rate, months) {
+    let total = 0;
+    for (let held = 1; held <= months; held++) {
+        const quarters = Math.floor(held / 3);
+        total += installment * Math.pow(1 + rate / 400, quarters) * (1 + rate / 1200 * (held % 3));
+    }
+    return Math.round((total - installment * months) * 100) / 100;
+}
+
+test("maturity interest compounds every installment quarterly", () => {
+    const { deposit } = openDeposit();
+    assert.equal(deposit.maturityInterest.toString(), "462.41");
+    assert.equal(deposit.maturityAmount.toString(), "12462.41");
+    assert.equal(deposit.calculateInterest().toNumber(), recurringReference(1000, 7, 12));
+    assert.equal(quarterlyCompoundedInterest(Money.of(5000), 6.5, Array.from({ length: 60 }, (_, index) => 60 - index)).toNumber(),
+        recurringReference(5000, 6.5, 60));
+    assert.ok(quarterlyCompoundedInterest(Money.of(1000), 7, []).isZero());
+    assert.equal(new RecurringDepositInterestStrategy().label, "Compound (quarterly)");
+});
+
+test("installments are collected on their due dates and not before", () => {
+    const { deposit, funding } = openDeposit();
+    assert.deepEqual(deposit.nextInstallment, { number: 2, dueDate: new Date(2025, 1, 1) });
+    assert.throws(() => deposit.payInstallment(journal), /not due until/);
+
+    clock.set(new Date(2025, 1, 1));
+    const invoker = new CommandInvoker();
+    assert.equal(invoker.executeCommand(new RecurringDepositInstallmentCommand(deposit, journal)), true);
+    assert.equal(deposit.balance.toString(), "2000.00");
+    assert.equal(funding.balance.toString(), "19000.00");
+    assert.equal(journal.entries.at(-1).type, "installment");
+    assert.equal(invoker.canUndo, false);
+    assert.throws(() => invoker.revertCommand(invoker.log[0].command.id), /cannot be reverted/);
+    assert.throws(() => deposit.deposit(500), /only its monthly installments/);
+    assert.throws(() => deposit.withdraw(500), /pays out at maturity/);
+    assert.equal(deposit.operable, false);
+    assert.deepEqual(deposit.linkedAccounts, [funding]);
+});
+
+test("installments paid after the grace days are charged a penalty for each month late", () => {
+    const { deposit } = openDeposit();
+    clock.set(new Date(2025, 1, 6)); // Due Feb 1, five days' grace
+    assert.ok(deposit.penaltyFor(2).isZero());
+    clock.set(new Date(2025, 1, 7));
+    assert.equal(deposit.penaltyFor(2).toString(), "15.00");
+    clock.set(new Date(2025, 2, 2));
+    assert.equal(deposit.missedInstallments().map(missed => missed.number).join(), "2,3");
+    assert.equal(deposit.penaltyFor(2).toString(), "30.00");
+
+    const collected = new RecurringDepositInstallmentCommand(deposit, journal);
+    assert.equal(Money.fromJSON(collected.toJSON().amount).toString(), "1030.00");
+    collected.execute();
+    assert.equal(deposit.balance.toString(), "1970.00");
+    assert.equal(deposit.penaltiesCharged.toString(), "30.00");
+    assert.equal(deposit.transactionHistory.at(-1).type, "charge");
+
+    // An auto-debit caught up later may count as paid on the due date, without a penalty
+    deposit.payInstallment(journal, new Date(2025, 2, 1));
+    assert.equal(deposit.balance.toString(), "2970.00");
+    assert.deepEqual(deposit.paidInstallments.at(-1).paidAt, new Date(2025, 2, 1));
+});
+
+test("an installment the funding account cannot cover changes nothing", () => {
+    const { deposit, funding } = openDeposit(500);
+    clock.set(new Date(2025, 1, 1));
+    assert.throws(() => deposit.payInstallment(journal), /Insufficient balance/);
+    assert.equal(deposit.balance.toString(), "1000.00");
+    assert.equal(funding.balance.toString(), "500.00");
+    assert.equal(deposit.paidInstallments.length, 1);
+});
+
+test("at maturity the interest earned is credited and the deposit paid out", () => {
+    const { deposit, funding } = openDeposit();
+    for (let month = 1; month < 12; month++) {
+        clock.set(new Date(2025, month, 1));
+        deposit.payInstallment(journal);
+    }
+    assert.equal(deposit.nextInstallment, null);
+    clock.set(new Date(2026, 0, 1));
+    deposit.processMaturity(journal);
+    assert.ok(deposit.balance.isZero());
+    assert.equal(funding.balance.toString(), "21462.41"); // 9,000 left after installments 2-12, plus 12,462.41
+    assert.ok(deposit.settledAt);
+    assert.deepEqual(deposit.processMaturity(journal), []);
+});
+
+test("missed installments earn nothing and lapse at maturity", () => {
+    const { deposit, funding } = openDeposit();
+    clock.set(new Date(2025, 1, 1));
+    deposit.payInstallment(journal);
+    clock.set(new Date(2026, 0, 1));
+    assert.deepEqual(deposit.missedInstallments(), []);
+    assert.throws(() => deposit.payInstallment(journal), /has matured/);
+    const expected = quarterlyCompoundedInterest(Money.of(1000), 7, [12, 11]);
+    assert.ok(deposit.earnedInterest.equals(expected));
+    deposit.processMaturity(journal);
+    assert.ok(funding.balance.equals(Money.of(19000).add(Money.of(2000)).add(expected)));
+});
+
+test("recurring deposits and their installments survive a JSON round trip", () => {
+    const { deposit, funding } = openDeposit();
+    const invoker = new CommandInvoker();
+    clock.set(new Date(2025, 1, 10));
+    invoker.executeCommand(new RecurringDepositInstallmentCommand(deposit, journal));
+
+    const saved = new Map([funding, deposit].map(account => [account.accountNumber, BaseAccount.fromJSON(JSON.parse(JSON.stringify(account)))]));
+    const resolve = number => saved.get(number);
+    saved.forEach(account => account._resolveLinks(resolve));
+    const restored = resolve("RD-1");
+
+    assert.ok(restored instanceof RecurringDepositAccount);
+    assert.equal(restored.fundingAccount, resolve("SB-1"));
+    assert.ok(restored.installment.equals(deposit.installment));
+    assert.ok(restored.maturityInterest.equals(deposit.maturityInterest));
+    assert.ok(restored.penaltiesCharged.equals(Money.of(15)));
+    assert.ok(Command.fromJSON(JSON.parse(JSON.stringify(invoker.log[0].command)), resolve, journal) instanceof RecurringDepositInstallmentCommand);
+
+    clock.set(new Date(2025, 2, 1));
+    restored.payInstallment(journal);
+    assert.equal(restored.paidInstallments.length, 3);
+});
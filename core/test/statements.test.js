@@ -0,0 +1,76 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    ManualClock,
+    setBankingClock,
+    SavingsAccount,
+    StatementImporter,
+    exportStatement,
+    parseCsvRows
+} from "../index.js";
+
+let clock;
+let account;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 20));
+    setBankingClock(clock);
+    account = new SavingsAccount("SB-1", 10000);
+});
+
+const BANK_CSV = [
+    "Date,Narration,Withdrawal Amt,Deposit Amt,Ref No",
+    "05/01/2025,Electricity bill,\"1,200.00\",,UTR001",
+    "06/01/2025,Salary,,50000.00,UTR002",
+    "07/01/2025,Coffee,150.00,,"
+].join("\n");
+
+test("CSV rows keep quoted commas and doubled quotes", () => {
+    assert.deepEqual(parseCsvRows('a,"b, c","say ""hi"""\r\n\r\n1,2,3'), [["a", "b, c", 'say "hi"'], ["1", "2", "3"]]);
+});
+
+test("re-importing the same CSV flags every row as a duplicate", () => {
+    const importer = new StatementImporter(account);
+    const first = importer.preview(BANK_CSV);
+    assert.equal(first.importable, 3);
+    assert.equal(importer.commit(first).length, 3);
+    assert.equal(account.balance.toString(), "58650.00");
+
+    const again = importer.preview(BANK_CSV);
+    assert.equal(again.importable, 0);
+    assert.equal(again.duplicates, 3);
+    // Rows with a bank reference match on it; rows without one on date, direction, amount and description
+    assert.deepEqual(again.rows.map(row => row.duplicate), [
+        "Reference already present",
+        "Reference already present",
+        "Matches an existing transaction"
+    ]);
+    assert.deepEqual(importer.commit(again), []);
+    assert.equal(account.balance.toString(), "58650.00");
+});
+
+test("a reference repeated within one file is imported once", () => {
+    const preview = new StatementImporter(account).preview([
+        "Date,Description,Amount,Reference",
+        "2025-01-05,Refund,250.00,R-1",
+        "2025-01-05,Refund,250.00,R-1",
+        "not a date,Refund,250.00,R-2"
+    ].join("\n"));
+    assert.equal(preview.importable, 1);
+    assert.equal(preview.duplicates, 1);
+    assert.equal(preview.errors, 1);
+    assert.equal(preview.rows[2].error, "Unreadable date");
+});
+
+test("an account's own exported CSV is recognised as already present", () => {
+    clock.set(new Date(2025, 0, 21));
+    account.deposit(500, "Cash deposit");
+    account.withdraw(200, "ATM withdrawal");
+    const { content } = exportStatement(account, new Date(2025, 0, 1), new Date(2025, 0, 31), "csv");
+
+    const preview = new StatementImporter(account).preview(content);
+    assert.equal(preview.rows.length, 2);
+    assert.equal(preview.importable, 0);
+    assert.equal(preview.duplicates, 2);
+});
@@ -0,0 +1,105 @@
+// ===========================================
+// TRANSACTIONS - ONE MOVEMENT ON ONE ACCOUNT
+// ===========================================
+
+import { Money } from "./money.js";
+import { bankingClock } from "./clock.js";
+
+const TRANSACTION_CATEGORIES = {
+    BILLS: "bills",
+    SHOPPING: "shopping",
+    FOOD: "food",
+    FUEL: "fuel",
+    OTHER: "other",
+    INCOME: "income",
+    INTEREST: "interest",
+    FEES: "fees",
+    TRANSFER: "transfer"
+};
+
+// How a transaction got its category; rules never overwrite payment or manual choices
+const CATEGORY_SOURCES = {
+    PAYMENT: "payment",
+    MANUAL: "manual",
+    RULE: "rule",
+    DEFAULT: "default"
+};
+
+// Transaction Class - Encapsulation
+class Transaction {
+    constructor(type, amount, description, balance, timestamp = bankingClock.now(), links = {}) {
+        this._type = type;
+        this._amount = Money.from(amount);
+        this._description = description;
+        this._balance = Money.from(balance);
+        this._timestamp = timestamp;
+        this._id = Date.now() + Math.random();
+        this._journalId = links.journalId || null; // Shared by every leg of one journal entry
+        this._direction = links.direction || (type === "withdraw" ? "debit" : "credit");
+        this._channel = links.channel || null; // Set for customer-initiated transactions only
+        this._reference = links.reference || null; // Bank reference (e.g. OFX FITID) of imported rows
+        this._reversalOf = links.reversalOf || null; // Id of the transaction this one cancels, for undo and revert
+        this._category = links.category || null;
+        this._categorySource = links.category ? (links.categorySource || CATEGORY_SOURCES.MANUAL) : null;
+    }
+
+    get type() { return this._type; }
+    get amount() { return this._amount; }
+    get description() { return this._description; }
+    get balance() { return this._balance; }
+    get timestamp() { return this._timestamp; }
+    get id() { return this._id; }
+    get journalId() { return this._journalId; }
+    get direction() { return this._direction; }
+    get channel() { return this._channel; }
+    get reference() { return this._reference; }
+    get reversalOf() { return this._reversalOf; }
+    get category() { return this._category; }
+    get categorySource() { return this._categorySource; } // One of CATEGORY_SOURCES
+
+    setCategory(category, source = CATEGORY_SOURCES.MANUAL) {
+        if (!Object.values(TRANSACTION_CATEGORIES).includes(category)) {
+            throw new Error(`Unknown category: ${category}`);
+        }
+        this._category = category;
+        this._categorySource = source;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            type: this._type,
+            amount: this._amount.toJSON(),
+            description: this._description,
+            balance: this._balance.toJSON(),
+            timestamp: this._timestamp.toISOString(),
+            journalId: this._journalId,
+            direction: this._direction,
+            channel: this._channel,
+            reference: this._reference,
+            reversalOf: this._reversalOf,
+            category: this._category,
+            categorySource: this._categorySource
+        };
+    }
+
+    static fromJSON(data) {
+        const transaction = new Transaction(data.type, Money.fromJSON(data.amount), data.description, Money.fromJSON(data.balance), new Date(data.timestamp), {
+            journalId: data.journalId,
+            direction: data.direction,
+            channel: data.channel,
+            reference: data.reference,
+            reversalOf: data.reversalOf,
+            category: data.category,
+            categorySource: data.categorySource
+        });
+        transaction._id = data.id;
+        return transaction;
+    }
+}
+
+export {
+    TRANSACTION_CATEGORIES,
+    CATEGORY_SOURCES,
+    Transaction
+};
@@ -0,0 +1,60 @@
+// ===========================================
+// DEV SERVER - SERVES THE PAGES OVER HTTP
+// ===========================================
+
+// The pages load core/ as ES modules, which browsers refuse to run from file:// URLs, so they
+// have to be served. This is a static file server with no dependencies: `npm start`, then open
+// http://localhost:8080/ (set PORT to use another port).
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL(".", import.meta.url));
+const DEFAULT_PORT = 8080;
+
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".ico": "image/x-icon"
+};
+
+// Absolute path for a request URL, or null when it would leave the site root
+function resolvePath(url) {
+    const pathname = decodeURIComponent(new URL(url, "http://localhost").pathname);
+    const relative = normalize(pathname.endsWith("/") ? `${pathname}index.html` : pathname);
+    const path = join(ROOT, relative);
+    return path.startsWith(ROOT.endsWith(sep) ? ROOT : ROOT + sep) ? path : null;
+}
+
+const server = createServer(async (request, response) => {
+    let path = null;
+    try {
+        path = resolvePath(request.url);
+    } catch (error) {
+        // Malformed percent-encoding; answered as a bad request below
+    }
+    if (!path) {
+        response.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+        response.end("Bad request");
+        return;
+    }
+    try {
+        const body = await readFile(path);
+        response.writeHead(200, { "Content-Type": CONTENT_TYPES[extname(path)] || "application/octet-stream" });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+        response.end("Not found");
+    }
+});
+
+const port = Number(process.env.PORT) || DEFAULT_PORT;
+server.listen(port, () => {
+    console.log(`SecureBank is running at http://localhost:${port}/`);
+});
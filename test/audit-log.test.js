@@ -0,0 +1,133 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadBanking } from "./banking-context.js";
+
+const {
+    AuditLog, auditObserver, MemoryStorageBackend, AUDIT_CATEGORIES, ManualClock, CommandInvoker, DepositCommand, SavingsAccount
+} = loadBanking();
+
+const KEY = "securebank.audit";
+
+let backend;
+let log;
+
+// Five settings changes, so there is a chain to cut
+beforeEach(() => {
+    backend = new MemoryStorageBackend();
+    log = new AuditLog(backend, KEY, new ManualClock(new Date(2025, 0, 1)));
+    for (let index = 1; index <= 5; index++) {
+        log.record({ category: AUDIT_CATEGORIES.SETTINGS, action: "settings.updated", reason: `Change ${index}` });
+    }
+});
+
+const rewrite = edit => backend.setItem(KEY, JSON.stringify(edit(JSON.parse(backend.getItem(KEY)))));
+
+test("an untouched chain verifies up to its recorded head", () => {
+    const result = log.verify();
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 5);
+    assert.equal(result.headHash, log.headHash);
+    assert.equal(new AuditLog(new MemoryStorageBackend()).verify().valid, true);
+});
+
+test("entries removed from the end of the log are reported", () => {
+    rewrite(entries => entries.slice(0, 3));
+    const result = log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 4);
+    assert.match(result.problem, /2 entries were removed from the end/);
+});
+
+test("emptying the whole log is reported", () => {
+    rewrite(() => []);
+    assert.match(log.verify().problem, /All 5 entries were removed/);
+    backend.removeItem(KEY);
+    assert.equal(log.verify().valid, false);
+});
+
+test("a removed head record or a replaced last entry is reported", () => {
+    const head = backend.getItem(`${KEY}.head`);
+    backend.removeItem(`${KEY}.head`);
+    assert.match(log.verify().problem, /latest entry is missing/);
+
+    backend.setItem(`${KEY}.head`, head);
+    rewrite(entries => entries.slice(0, 4));
+    log.record({ category: AUDIT_CATEGORIES.SETTINGS, action: "settings.updated", reason: "Forged" });
+    assert.equal(log.verify().valid, true, "record() moves the head with the chain");
+
+    const forged = log.headHash;
+    backend.setItem(`${KEY}.head`, head);
+    const result = log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.headHash, forged);
+    assert.match(result.problem, /does not end at the recorded entry 5/);
+});
+
+// Memory storage that refuses writes once the stored text would pass `capacity` characters
+class SmallStorage extends MemoryStorageBackend {
+    constructor(capacity) {
+        super();
+        this.capacity = capacity;
+    }
+
+    setItem(key, value) {
+        const used = [...this._items].reduce((total, [name, stored]) => total + (name === key ? 0 : stored.length), 0);
+        if (used + String(value).length > this.capacity) {
+            const error = new Error("The quota has been exceeded.");
+            error.name = "QuotaExceededError";
+            throw error;
+        }
+        super.setItem(key, value);
+    }
+}
+
+const recordMany = (target, count) => {
+    for (let index = 1; index <= count; index++) {
+        target.record({ category: AUDIT_CATEGORIES.SETTINGS, action: "settings.updated", reason: `Change ${index}` });
+    }
+};
+
+test("appends rewrite only the open segment, and the sealed ones still verify", () => {
+    const segmented = new AuditLog(backend, "segmented", new ManualClock(new Date(2025, 0, 1)), 4, 10);
+    recordMany(segmented, 10);
+    assert.equal(JSON.parse(backend.getItem("segmented")).length, 2);
+    assert.deepEqual(JSON.parse(backend.getItem("segmented.head")).segments, [1, 5]);
+    assert.deepEqual(segmented.entries.map(entry => entry.sequence), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.equal(segmented.verify().valid, true);
+
+    backend.removeItem("segmented.segment.5");
+    assert.match(segmented.verify().problem, /segment starting at entry 5 is missing/);
+});
+
+test("only the newest segments are kept, and the chain verifies from the oldest kept entry", () => {
+    const capped = new AuditLog(backend, "capped", new ManualClock(new Date(2025, 0, 1)), 4, 2);
+    recordMany(capped, 20);
+    const sequences = capped.entries.map(entry => entry.sequence);
+    assert.deepEqual(sequences, [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+    assert.equal(backend.getItem("capped.segment.1"), null);
+    assert.deepEqual(capped.verify(), { valid: true, checked: 12, headHash: capped.headHash, brokenAt: null, problem: null });
+
+    const head = JSON.parse(backend.getItem("capped.head"));
+    backend.setItem("capped.head", JSON.stringify({ ...head, segments: head.segments.slice(1), base: { ...head.base, sequence: 13 } }));
+    assert.match(capped.verify().problem, /does not follow the entry before it/);
+});
+
+test("a full storage area drops the oldest segments, and the same failure reaches every caller", () => {
+    const storage = new SmallStorage(6000);
+    const full = new AuditLog(storage, KEY, new ManualClock(new Date(2025, 0, 1)), 4, 100);
+    recordMany(full, 40);
+    assert.equal(full.verify().valid, true);
+    assert.ok(full.entries[0].sequence > 1);
+    assert.equal(full.entries.at(-1).sequence, 40);
+
+    storage.capacity = 0;
+    assert.throws(() => recordMany(full, 1), { name: "QuotaExceededError" });
+    assert.equal(full.verify().valid, true);
+
+    const invoker = new CommandInvoker();
+    invoker.setAuditLog(full);
+    assert.equal(invoker.executeCommand(new DepositCommand(new SavingsAccount("SB-1", 100), 50, "Cash")), true);
+    assert.doesNotThrow(() => auditObserver(change => full.recordSettingsChange(change))
+        .update({ type: "updated", before: { theme: "light" }, after: { theme: "dark" } }));
+});
@@ -0,0 +1,96 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ManualClock } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const {
+    AuthService, MemoryStorageBackend, AUTH_ERRORS, hashPassword, verifyPassword, passwordWeakness,
+    bytesToBase32, base32ToBytes, totpCode, matchTotp
+} = loadBanking();
+
+const PASSWORD = "asha-secret-42";
+const CUSTOMER = "CUS-asha";
+
+// RFC 6238's SHA-1 seed, "12345678901234567890"
+const RFC_SECRET = bytesToBase32(new TextEncoder().encode("12345678901234567890"));
+
+let clock;
+let auth;
+let events;
+
+beforeEach(async () => {
+    clock = new ManualClock(new Date(2025, 0, 1, 12));
+    auth = new AuthService(new MemoryStorageBackend(), "securebank.auth", clock);
+    events = [];
+    auth.addObserver({ update: event => events.push(event.type) });
+    await auth.enrol(CUSTOMER, PASSWORD, { code: await auth.issueEnrolmentCode(CUSTOMER) });
+});
+
+const later = minutes => clock.set(new Date(clock.now().getTime() + minutes * 60 * 1000));
+
+test("passwords are stored as salted PBKDF2-SHA-256 hashes", async () => {
+    const salt = new TextEncoder().encode("salt");
+    const known = await hashPassword("password", salt, 1);
+    assert.equal(known.hash, "120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b");
+
+    const record = await hashPassword(PASSWORD);
+    assert.equal(record.algorithm, "PBKDF2-SHA-256");
+    assert.equal(record.iterations, 310000);
+    assert.match(record.salt, /^[0-9a-f]{32}$/);
+    assert.notEqual((await hashPassword(PASSWORD)).hash, record.hash, "a fresh salt every time");
+    assert.equal(await verifyPassword(PASSWORD, record), true);
+    assert.equal(await verifyPassword("asha-secret-43", record), false);
+    assert.ok(!JSON.stringify(record).includes(PASSWORD));
+});
+
+test("weak passwords are refused", () => {
+    assert.match(passwordWeakness("short1"), /at least 8/);
+    assert.match(passwordWeakness("lettersonly"), /letters and digits/);
+    assert.equal(passwordWeakness(PASSWORD), null);
+});
+
+test("TOTP codes match the RFC 6238 vectors and drift by at most one step", async () => {
+    assert.deepEqual(Array.from(base32ToBytes(RFC_SECRET)), Array.from(new TextEncoder().encode("12345678901234567890")));
+    assert.equal(await totpCode(RFC_SECRET, new Date(59 * 1000)), "287082");
+    assert.equal(await totpCode(RFC_SECRET, new Date(1111111109 * 1000)), "081804");
+    assert.equal(await totpCode(RFC_SECRET, new Date(1234567890 * 1000)), "005924");
+
+    const at = new Date(1111111109 * 1000);
+    const counter = Math.floor(1111111109 / 30);
+    assert.equal(await matchTotp(RFC_SECRET, "081804", at), counter);
+    assert.equal(await matchTotp(RFC_SECRET, "081 804", new Date(at.getTime() + 30 * 1000)), counter);
+    assert.equal(await matchTotp(RFC_SECRET, "081804", new Date(at.getTime() + 90 * 1000)), null);
+    assert.equal(await matchTotp(RFC_SECRET, "abcdef", at), null);
+});
+
+test("a two-factor code is needed after the password, and works only once", async () => {
+    const { secret } = auth.beginTwoFactor(CUSTOMER, "asha@example.com");
+    await assert.rejects(auth.confirmTwoFactor(CUSTOMER, "000000"), { code: AUTH_ERRORS.INVALID_CODE });
+    await auth.confirmTwoFactor(CUSTOMER, await totpCode(secret, clock.now()));
+    later(1);
+
+    await assert.rejects(auth.signIn(CUSTOMER, PASSWORD), { code: AUTH_ERRORS.TWO_FACTOR_REQUIRED });
+    const code = await totpCode(secret, clock.now());
+    await auth.signIn(CUSTOMER, PASSWORD, code);
+    await assert.rejects(auth.signIn(CUSTOMER, PASSWORD, code), { code: AUTH_ERRORS.INVALID_CODE });
+});
+
+test("repeated failures lock the customer out, even with the right password, until the lockout ends", async () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+        await assert.rejects(auth.signIn(CUSTOMER, "wrong-password-1"), { code: AUTH_ERRORS.INVALID_CREDENTIALS });
+    }
+    await auth.signIn(CUSTOMER, PASSWORD);
+    for (let attempt = 1; attempt <= 4; attempt++) {
+        await assert.rejects(auth.signIn(CUSTOMER, "wrong-password-1"), { code: AUTH_ERRORS.INVALID_CREDENTIALS });
+    }
+    assert.ok(!events.includes("locked_out"), "a success resets the count");
+
+    await assert.rejects(auth.signIn(CUSTOMER, "wrong-password-1"), { code: AUTH_ERRORS.INVALID_CREDENTIALS });
+    assert.equal(events.at(-1), "locked_out");
+    await assert.rejects(auth.signIn(CUSTOMER, PASSWORD), { code: AUTH_ERRORS.LOCKED_OUT, message: /try again in 15 minutes/ });
+    await assert.rejects(auth.confirmIdentity(CUSTOMER, PASSWORD), { code: AUTH_ERRORS.LOCKED_OUT });
+
+    later(15);
+    await auth.signIn(CUSTOMER, PASSWORD);
+});
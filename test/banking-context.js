@@ -0,0 +1,16 @@
+// Loads banking.js the way the pages do - a classic script over globalThis.SecureBankCore - and
+// returns its window.BankingSystem. Node has no DOM, so only code that does not touch it can run.
+
+import { readFileSync } from "node:fs";
+import { runInThisContext } from "node:vm";
+import * as SecureBankCore from "../core/index.js";
+
+export function loadBanking() {
+    if (!globalThis.BankingSystem) {
+        globalThis.SecureBankCore = SecureBankCore;
+        globalThis.window = globalThis;
+        const url = new URL("../banking.js", import.meta.url);
+        runInThisContext(readFileSync(url, "utf8"), { filename: url.pathname });
+    }
+    return globalThis.BankingSystem;
+}
@@ -0,0 +1,61 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { SavingsAccount, ManualClock } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const { Customer, CustomerRegistry, ACCOUNT_MANDATES, AuthService, MemoryStorageBackend, AUTH_ERRORS, totpCode } = loadBanking();
+
+const PASSWORD = "partner-secret-42";
+
+let clock;
+let auth;
+let registry;
+let owner;
+let partner;
+let joint;
+
+beforeEach(async () => {
+    clock = new ManualClock(new Date(2025, 0, 1, 12));
+    auth = new AuthService(new MemoryStorageBackend(), "securebank.auth", clock);
+    owner = new Customer("Asha Rao", "asha@example.com");
+    partner = new Customer("Ravi Rao", "ravi@example.com");
+    registry = new CustomerRegistry([owner, partner]);
+    registry.setAuth(auth);
+    joint = registry.register(new SavingsAccount("SB-J", 5000), [owner.id, partner.id], ACCOUNT_MANDATES.JOINTLY);
+    await auth.enrol(partner.id, PASSWORD, { code: await auth.issueEnrolmentCode(partner.id) });
+    registry.selectCustomer(owner.id);
+});
+
+test("a holder cannot co-sign without their password", async () => {
+    await assert.rejects(registry.addCoSigner(partner.id), { code: AUTH_ERRORS.INVALID_CREDENTIALS });
+    await assert.rejects(registry.addCoSigner(partner.id, "not-their-password"), { code: AUTH_ERRORS.INVALID_CREDENTIALS });
+    assert.deepEqual(registry.actors, [owner.id]);
+    assert.match(registry.refusal(joint, "debit", registry.actors).message, /must also sign/);
+});
+
+test("a holder's own password lets them co-sign", async () => {
+    assert.equal(await registry.addCoSigner(partner.id, PASSWORD), partner);
+    assert.deepEqual(registry.actors, [owner.id, partner.id]);
+    assert.equal(registry.refusal(joint, "debit", registry.actors), null);
+});
+
+test("co-signing asks for the authenticator code when two-factor is on", async () => {
+    const { secret } = auth.beginTwoFactor(partner.id, partner.email);
+    await auth.confirmTwoFactor(partner.id, await totpCode(secret, clock.now()));
+    clock.set(new Date(clock.now().getTime() + 60 * 1000));
+
+    await assert.rejects(registry.addCoSigner(partner.id, PASSWORD), { code: AUTH_ERRORS.TWO_FACTOR_REQUIRED });
+    assert.deepEqual(registry.actors, [owner.id]);
+    await registry.addCoSigner(partner.id, PASSWORD, await totpCode(secret, clock.now()));
+    assert.deepEqual(registry.actors, [owner.id, partner.id]);
+});
+
+test("nobody co-signs without a password set or an auth service", async () => {
+    const newcomer = registry.addCustomer("Meera Iyer", "meera@example.com");
+    await assert.rejects(registry.addCoSigner(newcomer.id, ""), { code: AUTH_ERRORS.NO_PASSWORD });
+
+    const unguarded = new CustomerRegistry([owner, partner]);
+    await assert.rejects(unguarded.addCoSigner(partner.id, PASSWORD), /not available without sign-in/);
+    assert.deepEqual(unguarded.actors, [owner.id]);
+});
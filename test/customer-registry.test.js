@@ -0,0 +1,79 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { SavingsAccount, TransactionPolicy, Money, TRANSACTION_CHANNELS } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const { Customer, CustomerRegistry, ACCOUNT_MANDATES, SYSTEM_ACTOR } = loadBanking();
+
+let registry;
+let asha;
+let ravi;
+let meera;
+
+beforeEach(() => {
+    asha = new Customer("Asha Rao", "asha@example.com", "CUS-asha");
+    ravi = new Customer("Ravi Rao", "ravi@example.com", "CUS-ravi");
+    meera = new Customer("Meera Iyer", "meera@example.com", "CUS-meera");
+    registry = new CustomerRegistry([asha, ravi, meera]);
+});
+
+const open = (number, holders, mandate) => registry.register(new SavingsAccount(number, 5000), holders.map(holder => holder.id), mandate);
+
+const refusal = (account, actors, direction = "debit") => registry.refusal(account, direction, actors.map(actor => actor.id || actor));
+
+test("a sole account is debited by its holder only", () => {
+    const own = open("SB-1", [asha]);
+    assert.equal(registry.holding(own).mandate, ACCOUNT_MANDATES.SOLE);
+    assert.equal(refusal(own, [asha]), null);
+    assert.match(refusal(own, [ravi]).message, /Only the holders of SB-1/);
+    assert.equal(refusal(own, [ravi], "credit"), null, "anyone may pay in");
+});
+
+test("either holder of an either-or-survivor account may debit it alone", () => {
+    const joint = open("SB-2", [asha, ravi], ACCOUNT_MANDATES.EITHER_OR_SURVIVOR);
+    assert.equal(refusal(joint, [asha]), null);
+    assert.equal(refusal(joint, [ravi]), null);
+    assert.equal(refusal(joint, [meera]).rule, "mandate");
+    assert.equal(refusal(joint, [meera, ravi]), null);
+});
+
+test("a jointly operated account needs every holder to sign, and names those missing", () => {
+    const joint = open("SB-3", [asha, ravi, meera], ACCOUNT_MANDATES.JOINTLY);
+    assert.match(refusal(joint, [asha]).message, /operated jointly; Ravi Rao, Meera Iyer must also sign/);
+    assert.match(refusal(joint, [asha, meera]).message, /Ravi Rao must also sign$/);
+    assert.equal(refusal(joint, [asha, ravi, meera]), null);
+    assert.equal(refusal(joint, [asha], "credit"), null);
+});
+
+test("the system actor and unregistered accounts are not held to mandates", () => {
+    const joint = open("SB-4", [asha, ravi], ACCOUNT_MANDATES.JOINTLY);
+    assert.equal(refusal(joint, [SYSTEM_ACTOR]), null);
+    assert.equal(registry.refusal(joint, "debit", null), null);
+    assert.equal(refusal(new SavingsAccount("SB-X", 100), [meera]), null);
+});
+
+test("mandates follow the holders: a lone survivor operates solely, a new joint account becomes either-or", () => {
+    const joint = open("SB-5", [asha, ravi], ACCOUNT_MANDATES.JOINTLY);
+    registry.removeHolder(joint, ravi.id);
+    assert.equal(registry.holding(joint).mandate, ACCOUNT_MANDATES.SOLE);
+    assert.equal(refusal(joint, [asha]), null);
+
+    registry.addHolder(joint, meera.id);
+    assert.equal(registry.holding(joint).mandate, ACCOUNT_MANDATES.EITHER_OR_SURVIVOR);
+    assert.equal(refusal(joint, [meera]), null);
+
+    registry.addHolder(joint, ravi.id, ACCOUNT_MANDATES.JOINTLY);
+    assert.equal(refusal(joint, [asha, meera]).rule, "mandate");
+    assert.throws(() => registry.register(new SavingsAccount("SB-6", 0), [asha.id], "anyone"), /Unknown mandate/);
+});
+
+test("the transaction policy refuses a debit the mandate does not allow", () => {
+    const joint = open("SB-7", [asha, ravi], ACCOUNT_MANDATES.JOINTLY);
+    const policy = new TransactionPolicy({});
+    policy.setMandates(registry);
+    const request = actors => ({ account: joint, amount: Money.of(100), direction: "debit", channel: TRANSACTION_CHANNELS.TRANSFER, actors });
+
+    assert.throws(() => policy.assertAllowed(request(registry.actors)), { name: "PolicyViolationError", message: /Ravi Rao must also sign/ });
+    assert.deepEqual(policy.evaluate(request([asha.id, ravi.id])), []);
+});
@@ -0,0 +1,122 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { setDefaultServices } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const { LedgerStore, MemoryStorageBackend, LEDGER_STORAGE_KEY, LEDGER_SCHEMA_VERSION, LEDGER_MIGRATIONS, ACCOUNT_MANDATES } = loadBanking();
+
+// What the first release saved: plain-number amounts, no journal, and a bare undo history
+const V1_SNAPSHOT = {
+    version: 1,
+    savedAt: "2024-03-01T10:00:00.000Z",
+    accounts: [
+        {
+            key: "savings",
+            kind: "savings",
+            accountNumber: "SAV-001",
+            balance: 12500.5,
+            transactions: [
+                { id: 1, type: "deposit", amount: 10000, description: "Opening deposit", balance: 10000, timestamp: "2024-01-15T09:00:00.000Z" },
+                { id: 2, type: "deposit", amount: 3000.5, description: "Salary", balance: 13000.5, timestamp: "2024-02-01T09:00:00.000Z" },
+                { id: 3, type: "withdraw", amount: 500, description: "Transfer to CUR-001", balance: 12500.5, timestamp: "2024-02-10T09:00:00.000Z" }
+            ]
+        },
+        {
+            key: "current",
+            kind: "current",
+            accountNumber: "CUR-001",
+            balance: 500,
+            transactions: [
+                { id: 4, type: "deposit", amount: 500, description: "Transfer from SAV-001", balance: 500, timestamp: "2024-02-10T09:00:00.000Z" }
+            ]
+        },
+        { key: "fd", kind: "fd", accountNumber: "FD-001", balance: 50000, tenure: 12, transactions: [] }
+    ],
+    history: [
+        { kind: "transfer", from: "SAV-001", to: "CUR-001", amount: 500, description: "Rent share", executed: true }
+    ]
+};
+
+let backend;
+let store;
+
+beforeEach(() => {
+    backend = new MemoryStorageBackend();
+    store = new LedgerStore(backend);
+    setDefaultServices({ journal: () => null, policy: () => null, accrualEngine: () => null });
+});
+
+const migrated = snapshot => store._migrate(JSON.parse(JSON.stringify(snapshot)));
+
+test("there is a migration for every version up to the current one", () => {
+    assert.equal(LEDGER_SCHEMA_VERSION, 12);
+    for (let version = 1; version < LEDGER_SCHEMA_VERSION; version++) {
+        assert.equal(typeof LEDGER_MIGRATIONS[version], "function", `v${version} → v${version + 1}`);
+    }
+});
+
+test("a version 1 snapshot is migrated step by step to the current schema", () => {
+    const snapshot = migrated(V1_SNAPSHOT);
+    assert.equal(snapshot.version, LEDGER_SCHEMA_VERSION);
+    assert.deepEqual(snapshot.journal, []);
+
+    const [savings, current, fd] = snapshot.accounts;
+    assert.deepEqual(savings.balance, { minor: 1250050, currency: "INR" });
+    assert.deepEqual(savings.transactions[1].amount, { minor: 300050, currency: "INR" });
+    assert.equal(savings.openedAt, "2024-01-15T09:00:00.000Z");
+    assert.equal(fd.openedAt, V1_SNAPSHOT.savedAt, "an account with no transactions opened when it was saved");
+    assert.equal(savings.interestPostedThrough, V1_SNAPSHOT.savedAt);
+    assert.equal(fd.termStart, fd.openedAt);
+    assert.equal(fd.renewal, "none");
+    assert.equal(savings.overdraftLimit, undefined);
+    assert.deepEqual(current.overdraftLimit.currency, "INR");
+    assert.deepEqual(snapshot.accounts.map(account => account.status), ["active", "active", "active"]);
+
+    assert.equal(snapshot.history, undefined);
+    assert.equal(snapshot.invoker.log.length, 1);
+    assert.equal(snapshot.invoker.log[0].status, "executed");
+    assert.deepEqual(snapshot.invoker.log[0].command.amount, { minor: 50000, currency: "INR" });
+    assert.deepEqual(snapshot.invoker.history, [snapshot.invoker.log[0].command.id]);
+
+    assert.deepEqual(snapshot.instructions, []);
+    assert.ok(snapshot.categoryRules.length > 0);
+    assert.deepEqual(snapshot.customers.holdings.map(holding => [holding.account, holding.mandate]),
+        [["SAV-001", ACCOUNT_MANDATES.SOLE], ["CUR-001", ACCOUNT_MANDATES.SOLE], ["FD-001", ACCOUNT_MANDATES.SOLE]]);
+    assert.ok(snapshot.customers.holdings.every(holding => !("closedAt" in holding)));
+    assert.deepEqual(snapshot.beneficiaries, []);
+    assert.deepEqual(snapshot.payments, []);
+});
+
+test("a closed holding from version 10 becomes a closed account in version 11", () => {
+    const v10 = migrated(V1_SNAPSHOT);
+    v10.version = 10;
+    v10.customers.holdings[1].closedAt = "2024-03-01T09:00:00.000Z";
+    delete v10.beneficiaries;
+    delete v10.payments;
+    v10.accounts.forEach(account => {
+        delete account.status;
+        delete account.statusHistory;
+    });
+
+    const snapshot = migrated(v10);
+    assert.deepEqual(snapshot.accounts.map(account => account.status), ["active", "closed", "active"]);
+    assert.deepEqual(snapshot.accounts[1].statusHistory, [{ from: "active", to: "closed", at: "2024-03-01T09:00:00.000Z", reason: null }]);
+});
+
+test("a version 1 ledger loads with its balances, history and undo stack", () => {
+    backend.setItem(LEDGER_STORAGE_KEY, JSON.stringify(V1_SNAPSHOT));
+    const loaded = store.load();
+
+    assert.deepEqual(Object.keys(loaded.accounts), ["SAV-001", "CUR-001", "FD-001"], "re-keyed by account number in v10");
+    assert.equal(loaded.accounts["SAV-001"].balance.toString(), "12500.50");
+    assert.equal(loaded.accounts["SAV-001"].transactionHistory.length, 3);
+    assert.equal(loaded.invoker.history.length, 1);
+    assert.equal(loaded.customers.holdersOf(loaded.accounts["CUR-001"]).length, 1);
+    assert.deepEqual(loaded.payments, []);
+});
+
+test("a snapshot from a newer release is refused rather than misread", () => {
+    backend.setItem(LEDGER_STORAGE_KEY, JSON.stringify({ ...V1_SNAPSHOT, version: LEDGER_SCHEMA_VERSION + 1 }));
+    assert.throws(() => store.load(), /newer than supported version 12/);
+});
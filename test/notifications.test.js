@@ -0,0 +1,109 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ManualClock } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const {
+    NotificationDispatcher, NotificationInbox, LocalOutboxTransport, InboxChannel, EmailChannel, SmsChannel, MemoryStorageBackend
+} = loadBanking();
+
+const ASHA = { id: "CUS-asha", name: "Asha Rao", email: "asha@example.com", phone: "+919800000001" };
+const RAVI = { id: "CUS-ravi", name: "Ravi Rao", email: "ravi@example.com", phone: "" };
+
+const QUIET = { quietHours: { enabled: true, start: "22:00", end: "07:00" } };
+const DIGEST = { digest: { enabled: true, intervalMinutes: 60 } };
+
+let clock;
+let backend;
+let inbox;
+let email;
+let sms;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1, 23, 30));
+    backend = new MemoryStorageBackend();
+    inbox = new NotificationInbox(backend);
+    email = new LocalOutboxTransport(backend, "securebank.outbox.email", 50, clock);
+    sms = new LocalOutboxTransport(backend, "securebank.outbox.sms", 50, clock);
+});
+
+const dispatcher = (preferences = {}) => new NotificationDispatcher(
+    [new InboxChannel(inbox), new EmailChannel(email), new SmsChannel(sms)],
+    { backend, clock, preferences: { ...preferences, events: { account: { channels: ["inbox", "email", "sms"] } } } }
+);
+
+const at = (hours, minutes = 0, day = 1) => clock.set(new Date(2025, 0, day, hours, minutes));
+
+const account = (notifications, recipient, message) => notifications.notify(recipient, "account", { message });
+
+test("outside quiet hours every channel delivers at once", () => {
+    at(12);
+    account(dispatcher(QUIET), ASHA, "Overdraft used");
+    assert.equal(inbox.forCustomer(ASHA.id).length, 1);
+    assert.equal(email.messages.length, 1);
+    assert.equal(sms.messages[0].body, "SecureBank: Overdraft used");
+});
+
+test("quiet hours hold email and SMS until they end, but not the inbox", () => {
+    const notifications = dispatcher(QUIET);
+    account(notifications, ASHA, "Overdraft used");
+    assert.equal(inbox.forCustomer(ASHA.id).length, 1);
+    assert.equal(email.messages.length, 0);
+    assert.equal(notifications.queued.length, 2);
+
+    at(6, 59, 2);
+    assert.equal(notifications.flush(), 0);
+    at(7, 0, 2);
+    assert.equal(notifications.flush(), 2);
+    assert.equal(email.messages[0].subject, "SecureBank: Account update");
+    assert.equal(sms.messages.length, 1);
+    assert.equal(notifications.queued.length, 0);
+});
+
+test("quiet hours that do not span midnight", () => {
+    at(13, 30);
+    const notifications = dispatcher({ quietHours: { enabled: true, start: "13:00", end: "14:00" } });
+    account(notifications, ASHA, "Overdraft used");
+    assert.equal(email.messages.length, 0);
+    at(14);
+    assert.equal(notifications.flush(), 2);
+});
+
+test("urgent notifications ignore quiet hours and digests", () => {
+    const notifications = dispatcher({ ...QUIET, ...DIGEST });
+    notifications.notify(ASHA, "loan_overdue", { message: "EMI for LN-1 is overdue" });
+    assert.equal(email.messages.length, 1);
+    assert.equal(notifications.queued.length, 0);
+});
+
+test("a digest groups what is queued per recipient and channel, at most once an interval", () => {
+    at(12);
+    const notifications = dispatcher(DIGEST);
+    account(notifications, ASHA, "First");
+    account(notifications, ASHA, "Second");
+    account(notifications, RAVI, "Third");
+    assert.equal(email.messages.length, 0);
+
+    assert.equal(notifications.flush(), 6);
+    const [toRavi, toAsha] = email.messages;
+    assert.equal(toRavi.to, RAVI.email);
+    assert.equal(toRavi.subject, "SecureBank: Account update");
+    assert.equal(toAsha.subject, "SecureBank: 2 updates from SecureBank");
+    assert.match(toAsha.body, /- Account update: First\n- Account update: Second/);
+    assert.equal(sms.messages.length, 1, "Ravi has no phone, so his SMS is dropped from the queue");
+
+    at(12, 30);
+    account(notifications, ASHA, "Fourth");
+    assert.equal(notifications.flush(), 0);
+    at(13);
+    assert.equal(notifications.flush(), 2);
+    assert.equal(email.messages[0].subject, "SecureBank: Account update");
+});
+
+test("the queue survives in storage for another dispatcher to flush", () => {
+    account(dispatcher(QUIET), ASHA, "Overdraft used");
+    at(8, 0, 2);
+    assert.equal(dispatcher(QUIET).flush(), 2);
+    assert.equal(email.messages.length, 1);
+});
@@ -0,0 +1,139 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { SavingsAccount, TransactionPolicy, ManualClock, Money, TRANSACTION_CHANNELS } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const {
+    BeneficiaryBook, PaymentProcessor, PaymentOrder, SimulatedPaymentRail, PAYMENT_STATUSES,
+    bankCodeCheckCharacter, bankCodeProblem
+} = loadBanking();
+
+const BANK_CODE = "HDFC000123G";
+const CUSTOMER = "CUS-asha";
+
+let clock;
+let book;
+let payments;
+let policy;
+let account;
+let events;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1, 12));
+    book = new BeneficiaryBook([], { clock });
+    payments = new PaymentProcessor([
+        new SimulatedPaymentRail("NEFT", "NEFT", { batchMinutes: 30 }),
+        new SimulatedPaymentRail("UPI", "UPI", { limit: 100000 })
+    ], [], { clock });
+    policy = new TransactionPolicy({}, clock);
+    policy.setPayments(payments);
+    account = new SavingsAccount("SB-1", 200000);
+    events = [];
+    payments.addObserver({ update: change => events.push(change.type) });
+});
+
+const later = minutes => clock.set(new Date(clock.now().getTime() + minutes * 60 * 1000));
+
+const payee = (accountNumber = "123456789012", name = "Ravi Rao") => book.add(CUSTOMER, { name, accountNumber, bankCode: BANK_CODE });
+
+const payeeRefusals = (beneficiary, amount = 1000) => policy
+    .evaluate({ account, amount: Money.of(amount), direction: "debit", channel: TRANSACTION_CHANNELS.PAYEE, beneficiary })
+    .map(violation => violation.rule);
+
+test("bank codes carry a mod-36 check character that catches typos", () => {
+    assert.equal(bankCodeCheckCharacter("HDFC000123"), "G");
+    assert.equal(bankCodeProblem(BANK_CODE), null);
+    assert.match(bankCodeProblem("HDFC000132G"), /fails its check character/);
+    assert.match(bankCodeProblem("HDFC100123G"), /4 letters, a zero/);
+    assert.match(bankCodeProblem("HDF000123G"), /4 letters, a zero/);
+
+    assert.equal(book.add(CUSTOMER, { name: "Ravi", accountNumber: "1234 5678 9012", bankCode: " hdfc000123g " }).bankCode, BANK_CODE);
+    assert.throws(() => book.add(CUSTOMER, { name: "Ravi", accountNumber: "123456789012", bankCode: "HDFC000123H" }), /check character/);
+    assert.throws(() => book.add(CUSTOMER, { name: "Ravi", accountNumber: "12345", bankCode: BANK_CODE }), /9 to 18 digits/);
+    assert.throws(() => payee(), /already saved/);
+});
+
+test("a new payee is paid only once verified and out of its cooling-off", () => {
+    const ravi = payee();
+    assert.deepEqual(payeeRefusals(ravi), ["payeeUnverified"]);
+    book.verify(ravi.id, payments.rail("UPI"));
+    assert.equal(ravi.verifiedName, "RAVI RAO");
+    assert.deepEqual(payeeRefusals(ravi), ["payeeCoolingOff"]);
+
+    later(30);
+    assert.deepEqual(payeeRefusals(ravi), []);
+    payments.send(account, ravi, Money.of(20000), "Deposit", "UPI");
+    assert.deepEqual(payeeRefusals(ravi, 6000), ["newPayee"]);
+    later(24 * 60);
+    assert.deepEqual(payeeRefusals(ravi, 6000), []);
+
+    assert.throws(() => book.verify(payee("123456789999", "Nobody").id, payments.rail("UPI")), /No account \*\*\*\*9999/);
+});
+
+test("rerouting a payee clears its verification and restarts the cooling-off", () => {
+    const ravi = payee();
+    book.verify(ravi.id, payments.rail("UPI"));
+    later(60);
+    assert.deepEqual(payeeRefusals(ravi), []);
+
+    book.update(ravi.id, { nickname: "Ravi" });
+    assert.equal(ravi.isVerified, true);
+    book.update(ravi.id, { accountNumber: "123456789013" });
+    assert.equal(ravi.isVerified, false);
+    book.verify(ravi.id, payments.rail("UPI"));
+    assert.deepEqual(payeeRefusals(ravi), ["payeeCoolingOff"]);
+});
+
+test("a batched payment stays pending until its batch clears, then settles", () => {
+    const ravi = payee();
+    const order = payments.send(account, ravi, Money.of(5000), "Rent", "NEFT");
+    assert.equal(order.status, PAYMENT_STATUSES.PENDING);
+    assert.equal(account.balance.toString(), "195000.00");
+    assert.equal(payments.process().length, 0);
+
+    later(30);
+    assert.deepEqual(payments.process(), [order]);
+    assert.equal(order.status, PAYMENT_STATUSES.SETTLED);
+    assert.deepEqual(order.completedAt, clock.now());
+    assert.equal(account.balance.toString(), "195000.00");
+    assert.deepEqual(events, ["submitted", "settled", "processed"]);
+    assert.equal(payments.sentTo(ravi, "INR").toString(), "5000.00");
+});
+
+test("a payment the receiving bank returns fails and is refunded", () => {
+    const closed = payee("123456780000", "Closed Account");
+    const order = payments.send(account, closed, Money.of(5000), "Rent", "NEFT");
+    later(30);
+    payments.process();
+
+    assert.equal(order.status, PAYMENT_STATUSES.FAILED);
+    assert.match(order.reason, /returned the credit: account closed/);
+    assert.equal(account.balance.toString(), "200000.00");
+    assert.match(account.transactionHistory.at(-1).description, /^Refund: Rent/);
+    assert.equal(payments.sentTo(closed, "INR").toString(), "0.00");
+    assert.deepEqual(events, ["submitted", "failed", "processed"]);
+});
+
+test("a refund that cannot be credited is kept on the order", () => {
+    const closed = payee("123456780000", "Closed Account");
+    const order = payments.send(account, closed, Money.of(5000), "Rent", "NEFT");
+    account.withdraw(Money.of(195000), "Close out");
+    account.close();
+    later(30);
+    payments.process();
+
+    assert.equal(order.status, PAYMENT_STATUSES.FAILED);
+    assert.ok(order.refundError);
+    const restored = PaymentOrder.fromJSON(JSON.parse(JSON.stringify(order)), () => account);
+    assert.equal(restored.refundError, order.refundError);
+});
+
+test("instant rails settle before send returns, within their limit", () => {
+    const ravi = payee();
+    const order = payments.send(account, ravi, Money.of(1000), "Dinner", "UPI");
+    assert.equal(order.status, PAYMENT_STATUSES.SETTLED);
+    assert.match(order.reference, /^UPI/);
+    assert.throws(() => payments.send(account, ravi, Money.of(150000), "Car", "UPI"), /cannot exceed/);
+    assert.equal(account.balance.toString(), "199000.00");
+});
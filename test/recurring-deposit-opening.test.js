@@ -0,0 +1,74 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    SavingsAccount, Journal, CommandInvoker, TransactionPolicy, ACCOUNT_STATUSES, COMMAND_STATUSES, ManualClock, setBankingClock, setDefaultServices
+} from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const { Customer, CustomerRegistry } = loadBanking();
+
+let journal;
+let invoker;
+let policy;
+let registry;
+let holder;
+let funding;
+
+beforeEach(() => {
+    setBankingClock(new ManualClock(new Date(2025, 0, 1)));
+    journal = new Journal();
+    invoker = new CommandInvoker();
+    policy = null;
+    setDefaultServices({ journal: () => journal, policy: () => policy });
+    holder = new Customer("Asha Rao", "asha@example.com");
+    registry = new CustomerRegistry([holder]);
+    funding = registry.register(new SavingsAccount("SB-1", 20000), [holder.id]);
+});
+
+const openDeposit = (options = {}) => registry.openAccount("rd", [holder.id], {
+    installment: 1500, tenure: 12, fundingAccount: funding, kycVerified: true, invoker, ...options
+});
+
+test("opening a recurring deposit moves its first installment out of the funding account", () => {
+    const deposit = openDeposit();
+    assert.equal(funding.balance.toString(), "18500.00");
+    assert.equal(deposit.balance.toString(), "1500.00");
+    assert.equal(deposit.paidInstallments.length, 1);
+    assert.equal(deposit.nextInstallment.number, 2);
+
+    const [record] = invoker.log;
+    assert.equal(record.status, COMMAND_STATUSES.EXECUTED);
+    assert.equal(record.command.toJSON().kind, "installment");
+
+    const [entry] = journal.entries;
+    assert.equal(entry.type, "installment");
+    assert.equal(entry.channel, "transfer");
+    assert.deepEqual(entry.legs.map(leg => [leg.account.accountNumber, leg.direction, leg.amount.toString()]), [
+        ["SB-1", "debit", "1500.00"],
+        [deposit.accountNumber, "credit", "1500.00"]
+    ]);
+});
+
+test("a recurring deposit whose first installment cannot be paid is closed again", () => {
+    assert.throws(() => openDeposit({ installment: 25000 }));
+    assert.equal(funding.balance.toString(), "20000.00");
+    assert.equal(journal.entries.length, 0);
+
+    const deposit = registry.accounts.find(account => account.kind === "rd");
+    assert.equal(deposit.status, ACCOUNT_STATUSES.CLOSED);
+    assert.equal(invoker.log[0].status, COMMAND_STATUSES.FAILED);
+});
+
+test("the first installment goes through the transaction policy", () => {
+    policy = new TransactionPolicy({ channels: { transfer: { daily: 1000 } } });
+    assert.throws(() => openDeposit(), /daily transfer limit/);
+    assert.equal(funding.balance.toString(), "20000.00");
+    assert.equal(registry.accounts.find(account => account.kind === "rd").status, ACCOUNT_STATUSES.CLOSED);
+});
+
+test("a recurring deposit takes no opening deposit of its own", () => {
+    assert.throws(() => openDeposit({ initialBalance: 1500 }), /first installment from the funding account/);
+    assert.throws(() => openDeposit({ installment: 0 }), /monthly installment/);
+    assert.equal(funding.balance.toString(), "20000.00");
+});
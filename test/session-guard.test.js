@@ -0,0 +1,88 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { Money, SavingsAccount, ManualClock, TRANSACTION_CHANNELS } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const { AuthService, SessionGuard, MemoryStorageBackend, AUTH_ERRORS, SYSTEM_ACTOR } = loadBanking();
+
+const PASSWORD = "asha-secret-42";
+const CUSTOMER = "CUS-asha";
+
+let clock;
+let backend;
+let auth;
+let guard;
+let account;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 1, 12));
+    backend = new MemoryStorageBackend();
+    auth = new AuthService(backend, "securebank.auth", clock);
+    guard = new SessionGuard(auth, backend, new MemoryStorageBackend());
+    account = new SavingsAccount("SB-1", 50000);
+});
+
+const debit = (channel, amount = 500, actors = [CUSTOMER]) =>
+    guard.refusal({ account, amount: Money.of(amount), direction: "debit", channel, actors });
+
+const enrolWithCode = async () => {
+    const code = await auth.issueEnrolmentCode(CUSTOMER);
+    await auth.enrol(CUSTOMER, PASSWORD, { code });
+};
+
+test("every customer debit needs a live session, whatever its channel", () => {
+    Object.values(TRANSACTION_CHANNELS).forEach(channel => {
+        assert.equal(debit(channel).rule, "session", channel);
+    });
+    assert.equal(guard.refusal({ account, amount: Money.of(500), direction: "credit", channel: TRANSACTION_CHANNELS.BRANCH, actors: [CUSTOMER] }), null);
+    assert.equal(debit(null), null);
+    assert.equal(debit(TRANSACTION_CHANNELS.BRANCH, 500, [SYSTEM_ACTOR]), null);
+});
+
+test("only transfers and payee payments ask for step-up once signed in", async () => {
+    await enrolWithCode();
+    await guard.signIn(CUSTOMER, PASSWORD);
+    clock.set(new Date(2025, 0, 1, 12, 10));
+
+    assert.equal(debit(TRANSACTION_CHANNELS.BRANCH, 20000), null);
+    assert.equal(debit(TRANSACTION_CHANNELS.PAYMENT, 20000), null);
+    assert.equal(debit(TRANSACTION_CHANNELS.TRANSFER, 500), null);
+    assert.equal(debit(TRANSACTION_CHANNELS.TRANSFER, 20000).rule, "stepUp");
+    assert.equal(debit(TRANSACTION_CHANNELS.PAYEE, 20000).rule, "stepUp");
+});
+
+test("a first password needs an enrolment code", async () => {
+    await assert.rejects(auth.enrol(CUSTOMER, PASSWORD), { code: AUTH_ERRORS.INVALID_CODE });
+    await assert.rejects(auth.setPassword(CUSTOMER, PASSWORD), { code: AUTH_ERRORS.NO_PASSWORD });
+    assert.equal(auth.hasPassword(CUSTOMER), false);
+
+    await enrolWithCode();
+    assert.equal(auth.hasPassword(CUSTOMER), true);
+    await assert.rejects(auth.enrol(CUSTOMER, "taken-over-99", { code: "00000000" }), /already set/);
+});
+
+test("an enrolment code works once, expires, and is void after too many wrong guesses", async () => {
+    let code = await auth.issueEnrolmentCode(CUSTOMER);
+    clock.set(new Date(2025, 0, 1, 12, 31));
+    await assert.rejects(auth.enrol(CUSTOMER, PASSWORD, { code }), /expired/);
+
+    code = await auth.issueEnrolmentCode(CUSTOMER);
+    const wrong = code === "12345678" ? "87654321" : "12345678";
+    for (let guess = 0; guess < 5; guess++) {
+        await assert.rejects(auth.enrol(CUSTOMER, PASSWORD, { code: wrong }), { code: AUTH_ERRORS.INVALID_CODE });
+    }
+    await assert.rejects(auth.enrol(CUSTOMER, PASSWORD, { code }), { code: AUTH_ERRORS.INVALID_CODE });
+    assert.equal(auth.hasPassword(CUSTOMER), false);
+});
+
+test("a signed-in customer can set a first password for someone else", async () => {
+    await enrolWithCode();
+    const session = await guard.signIn(CUSTOMER, PASSWORD);
+
+    await auth.enrol("CUS-ravi", "ravi-secret-42", { sponsorToken: session.id });
+    assert.equal(auth.hasPassword("CUS-ravi"), true);
+
+    guard.signOut();
+    await assert.rejects(auth.enrol("CUS-meera", "meera-secret-42", { sponsorToken: session.id }), { code: AUTH_ERRORS.INVALID_CODE });
+});
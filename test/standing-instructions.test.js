@@ -0,0 +1,96 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { SavingsAccount, Journal, CommandInvoker, ManualClock, setDefaultServices } from "../core/index.js";
+import { loadBanking } from "./banking-context.js";
+
+const { StandingInstruction, InstructionScheduler, INSTRUCTION_STATUSES } = loadBanking();
+
+let clock;
+let journal;
+let invoker;
+let savings;
+let current;
+
+beforeEach(() => {
+    clock = new ManualClock(new Date(2025, 0, 15, 9));
+    journal = new Journal();
+    invoker = new CommandInvoker();
+    setDefaultServices({ journal: () => journal, policy: () => null });
+    savings = new SavingsAccount("SB-1", 10000);
+    current = new SavingsAccount("SB-2", 0);
+});
+
+const day = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+const instruction = options => new StandingInstruction({
+    type: "payment", from: savings, amount: 1000, description: "Rent", frequency: "monthly", ...options
+});
+
+const schedulerFor = (...instructions) => new InstructionScheduler(instructions, { clock, invoker, journal });
+
+test("a schedule on the 31st falls on the last day of shorter months and returns to the 31st", () => {
+    const rent = instruction({ startDate: new Date(2025, 0, 31) });
+    assert.deepEqual(rent.preview(5).map(day), [[2025, 1, 31], [2025, 2, 28], [2025, 3, 31], [2025, 4, 30], [2025, 5, 31]]);
+
+    const quarterly = instruction({ startDate: new Date(2024, 10, 30), frequency: "quarterly" });
+    assert.deepEqual(quarterly.preview(3).map(day), [[2024, 11, 30], [2025, 2, 28], [2025, 5, 30]]);
+});
+
+test("February 29 is kept in leap years and becomes the 28th in the others", () => {
+    const yearly = instruction({ startDate: new Date(2024, 1, 29), frequency: "yearly" });
+    assert.deepEqual(yearly.preview(5).map(day), [[2024, 2, 29], [2025, 2, 28], [2026, 2, 28], [2027, 2, 28], [2028, 2, 29]]);
+
+    const monthly = instruction({ startDate: new Date(2024, 0, 31) });
+    assert.deepEqual(monthly.preview(3).map(day), [[2024, 1, 31], [2024, 2, 29], [2024, 3, 31]]);
+    const nonLeap = instruction({ startDate: new Date(2023, 0, 31) });
+    assert.deepEqual(nonLeap.preview(3).map(day), [[2023, 1, 31], [2023, 2, 28], [2023, 3, 31]]);
+});
+
+test("the last clamped occurrence still respects the end date", () => {
+    const rent = instruction({ startDate: new Date(2025, 0, 31), endDate: new Date(2025, 1, 28) });
+    assert.deepEqual(rent.preview(5).map(day), [[2025, 1, 31], [2025, 2, 28]]);
+});
+
+test("after the clock jumps forward every missed occurrence runs once, in order", () => {
+    const rent = instruction({ startDate: new Date(2025, 0, 15) });
+    const scheduler = schedulerFor(rent);
+    assert.equal(scheduler.runDue().length, 1);
+    assert.equal(scheduler.runDue().length, 0);
+
+    clock.set(new Date(2025, 3, 20, 9));
+    const results = scheduler.runDue();
+    assert.deepEqual(results.map(result => [result.status, ...day(result.due)]),
+        [["executed", 2025, 2, 15], ["executed", 2025, 3, 15], ["executed", 2025, 4, 15]]);
+    assert.equal(savings.balance.toString(), "6000.00");
+    assert.deepEqual(day(rent.nextDueDate), [2025, 5, 15]);
+    assert.equal(invoker.log.length, 4);
+});
+
+test("catching up stops at an occurrence waiting on a retry", () => {
+    const transfer = instruction({ type: "transfer", to: current, amount: 4000, startDate: new Date(2025, 0, 15) });
+    const scheduler = schedulerFor(transfer);
+    clock.set(new Date(2025, 3, 20, 9));
+
+    const results = scheduler.runDue();
+    assert.deepEqual(results.map(result => result.status), ["executed", "executed", "retrying"]);
+    assert.equal(current.balance.toString(), "8000.00");
+    assert.deepEqual(day(transfer.nextDueDate), [2025, 3, 15]);
+    assert.deepEqual(day(transfer.nextRunDate), [2025, 4, 21]);
+    assert.equal(scheduler.runDue().length, 0);
+});
+
+test("occurrences missed while paused are skipped on resume, not paid late", () => {
+    const rent = instruction({ startDate: new Date(2025, 0, 15) });
+    const scheduler = schedulerFor(rent);
+    scheduler.runDue();
+    scheduler.pause(rent.id);
+
+    clock.set(new Date(2025, 3, 20, 9));
+    assert.equal(scheduler.runDue().length, 0);
+    scheduler.resume(rent.id);
+    assert.equal(rent.status, INSTRUCTION_STATUSES.ACTIVE);
+    assert.deepEqual(rent.runs.filter(run => run.status === "skipped").map(run => day(run.due)), [[2025, 2, 15], [2025, 3, 15], [2025, 4, 15]]);
+    assert.equal(scheduler.runDue().length, 0);
+    assert.equal(savings.balance.toString(), "9000.00");
+});
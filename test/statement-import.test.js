@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadBanking } from "./banking-context.js";
+
+const { SavingsAccount, StatementImporter, transactionRowHtml, paymentRowHtml } = loadBanking();
+
+const PAYLOAD = '<img src=x onerror="alert(1)">';
+
+function importedTransaction(text) {
+    const account = new SavingsAccount("SB-1", 0);
+    const importer = new StatementImporter(account);
+    importer.commit(importer.preview(text));
+    const [transaction] = account.transactionHistory;
+    assert.equal(transaction.description, PAYLOAD);
+    return transaction;
+}
+
+function assertEscaped(html) {
+    assert.ok(!html.includes("<img"), "the description must not become markup");
+    assert.ok(html.includes("&lt;img src=x onerror=&quot;alert(1)&quot;&gt;"));
+}
+
+test("descriptions imported from a CSV statement are escaped in the transaction and payment lists", () => {
+    const transaction = importedTransaction(`Date,Description,Debit,Credit\n2025-01-05,"${PAYLOAD.replace(/"/g, '""')}",,250.00\n`);
+    assertEscaped(transactionRowHtml(transaction));
+    assertEscaped(paymentRowHtml(transaction));
+});
+
+test("transaction rows name the account, not its balance", () => {
+    const account = new SavingsAccount("SB-1", 0);
+    account.deposit(1500, "Salary");
+    const [transaction] = account.transactionHistory;
+    const html = transactionRowHtml(transaction, [account]);
+    assert.match(html, /Account: SB-1</);
+    assert.ok(!html.includes(`Account: ${transaction.balance}`));
+});
+
+test("descriptions imported from an OFX statement are escaped in the transaction list", () => {
+    const memo = PAYLOAD.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const transaction = importedTransaction([
+        "OFXHEADER:100",
+        "<OFX><BANKTRANLIST>",
+        "<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250105<TRNAMT>250.00<FITID>T1",
+        `<MEMO>${memo}`,
+        "</STMTTRN></BANKTRANLIST></OFX>"
+    ].join("\n"));
+    assertEscaped(transactionRowHtml(transaction));
+});